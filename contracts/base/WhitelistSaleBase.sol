@@ -0,0 +1,1223 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+/**
+ * @title WhitelistSaleBase
+ * @dev Token sale with whitelist functionality, shared by WhitelistSale (constructor)
+ * and WhitelistSaleUpgradeable (UUPS proxy). OpenZeppelin parents keep their state in
+ * namespaced storage, so the variables below start at slot 0: only append new ones.
+ * @author Whitelist Token Team
+ */
+abstract contract WhitelistSaleBase is
+    Initializable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable,
+    OwnableUpgradeable
+{
+    using SafeERC20 for IERC20;
+    
+    // Sale configuration
+    struct SaleConfig {
+        uint256 tokenPrice;      // Price per token in wei
+        uint256 minPurchase;     // Minimum purchase amount in tokens
+        uint256 maxPurchase;     // Maximum purchase amount in tokens
+        uint256 maxSupply;       // Maximum tokens available for sale
+        uint256 startTime;       // Sale start timestamp
+        uint256 endTime;         // Sale end timestamp
+        bool whitelistRequired;  // Whether whitelist is required
+    }
+    
+    // Sale round (seed, private, public, ...) with its own terms
+    struct Round {
+        string name;
+        uint256 tokenPrice;      // Price per token in wei
+        uint256 supply;          // Maximum tokens sold in this round
+        uint256 minPurchase;     // Minimum purchase amount in tokens
+        uint256 maxPurchase;     // Maximum tokens per wallet in this round
+        uint256 startTime;       // Round start timestamp
+        uint256 endTime;         // Round end timestamp
+        bytes32 merkleRoot;      // Round allowlist, checked alongside the whitelist mapping
+        bool open;               // Anyone may buy, no allowlist check
+    }
+    
+    // ERC20 accepted as payment (e.g. USDC, USDT, DAI)
+    // tokenPrice is in the payment token's smallest unit, so it already reflects its decimals
+    struct PaymentToken {
+        bool accepted;
+        uint256 tokenPrice;      // Price per sale token in the payment token's smallest unit
+    }
+    
+    // Vesting applied to claims
+    enum VestingMode {
+        None,        // Everything unlocks at claimStartTime
+        Linear,      // Unlocks continuously over the duration
+        MonthlyStep  // Unlocks in equal steps every VESTING_STEP
+    }
+    
+    // Off-chain approval from voucherSigner, an alternative to the whitelist and Merkle roots
+    struct PurchaseVoucher {
+        address buyer;
+        uint256 maxAmount;       // Cap on the buyer's total purchased tokens
+        uint256 nonce;           // Must equal voucherNonces[buyer]; revokeVouchers bumps it
+        uint256 deadline;        // Last timestamp the voucher can be redeemed
+    }
+    
+    // Outcome of a sale with a soft cap
+    enum RaiseState {
+        NoSoftCap,   // Payments go straight to the treasury
+        Escrow,      // Until endTime, payments held by the contract
+        Succeeded,   // Sale over with the soft cap met, awaiting finalizeRaise
+        Failed,      // Sale over below the soft cap, buyers may refund
+        Finalized    // Escrow released to the treasury, claims open
+    }
+    
+    struct VestingSchedule {
+        VestingMode mode;
+        uint256 tgeUnlockBps;    // Share unlocked at claimStartTime, in basis points
+        uint256 cliff;           // Seconds after claimStartTime before vesting begins
+        uint256 duration;        // Seconds over which the remainder vests after the cliff
+    }
+    
+    // Purchase record
+    struct Purchase {
+        uint256 amount;
+        uint256 ethSpent;
+        uint256 timestamp;
+        bool claimed;
+    }
+    
+    // Events
+    event TokenPurchase(
+        address indexed buyer,
+        uint256 tokenAmount,
+        uint256 ethAmount,
+        uint256 timestamp
+    );
+    event TokensClaimed(address indexed buyer, uint256 amount);
+    event WhitelistUpdated(address indexed account, bool whitelisted);
+    event SaleConfigUpdated();
+    event EmergencyWithdraw(address indexed token, uint256 amount);
+    event MerkleRootUpdated(bytes32 newRoot);
+    event RoundAdded(uint256 indexed roundId, string name);
+    event RoundUpdated(uint256 indexed roundId);
+    event RoundMerkleRootUpdated(uint256 indexed roundId, bytes32 newRoot);
+    event RoundPurchase(
+        uint256 indexed roundId,
+        address indexed buyer,
+        uint256 tokenAmount,
+        uint256 ethAmount
+    );
+    event PaymentTokenUpdated(address indexed paymentToken, bool accepted, uint256 tokenPrice);
+    event TokenPaymentReceived(
+        address indexed buyer,
+        address indexed paymentToken,
+        uint256 tokenAmount,
+        uint256 paymentAmount
+    );
+    event VoucherSignerUpdated(address indexed signer);
+    event VouchersRevoked(address indexed buyer, uint256 nonce);
+    event VoucherRedeemed(address indexed buyer, uint256 nonce, uint256 tokenAmount);
+    event SoftCapUpdated(uint256 softCap);
+    event RaiseFinalized(uint256 ethAmount);
+    event Refunded(address indexed buyer, uint256 tokenAmount, uint256 ethAmount);
+    event PaymentRefunded(address indexed buyer, address indexed paymentToken, uint256 amount);
+    event VestingScheduleUpdated(VestingMode mode, uint256 tgeUnlockBps, uint256 cliff, uint256 duration);
+    event TrustedForwarderUpdated(address indexed forwarder);
+    event SaleFinalized(uint256 totalSold, uint256 totalEthRaised, uint256 unsoldAmount, bool unsoldBurned);
+    
+    // Constants
+    uint256 public constant BPS_DENOMINATOR = 10_000;
+    uint256 public constant VESTING_STEP = 30 days;
+    // EIP-712 domain {name: "WhitelistSale", version: "1"}, built per call so it tracks the proxy address
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant DOMAIN_NAME_HASH = keccak256("WhitelistSale");
+    bytes32 private constant DOMAIN_VERSION_HASH = keccak256("1");
+    bytes32 public constant VOUCHER_TYPEHASH =
+        keccak256("PurchaseVoucher(address buyer,uint256 maxAmount,uint256 nonce,uint256 deadline)");
+    
+    // State variables
+    IERC20 public token;
+    address public treasury;
+    SaleConfig public saleConfig;
+    
+    // Whitelist management
+    mapping(address => bool) public whitelist;
+    bytes32 public merkleRoot;
+    address public voucherSigner;
+    mapping(address => uint256) public voucherNonces;
+    
+    // Purchase tracking
+    mapping(address => Purchase) public purchases;
+    mapping(address => uint256) public totalPurchased;
+    uint256 public totalSold;
+    uint256 public totalEthRaised;
+    
+    // Claim settings
+    bool public claimEnabled;
+    uint256 public claimStartTime;
+    
+    // Rounds (when empty, saleConfig prices and limits every purchase)
+    Round[] public rounds;
+    uint256 public totalRoundSupply;
+    mapping(uint256 => uint256) public roundSold;
+    mapping(uint256 => uint256) public roundEthRaised;
+    mapping(uint256 => mapping(address => uint256)) public roundPurchased;
+    
+    // ERC20 payments (ETH is tracked by totalEthRaised / ethSpent)
+    mapping(address => PaymentToken) public paymentTokens;
+    address[] public paymentTokenList;
+    mapping(address => uint256) public raisedByCurrency;
+    mapping(address => mapping(address => uint256)) public paidByCurrency;
+    
+    // Soft cap in wei (zero disables escrow)
+    uint256 public softCap;
+    bool public raiseFinalized;
+    
+    // Vesting
+    VestingSchedule public vestingSchedule;
+    mapping(address => uint256) public claimedAmount;
+    
+    // ERC-2771 forwarder allowed to relay calls for buyers (zero disables meta-transactions)
+    address public trustedForwarder;
+    
+    // Set by finalizeSale; locks the sale configuration
+    bool public saleFinalized;
+    
+    // Tokens sent out by claimTokens; totalSold - totalClaimed is what the sale still owes buyers.
+    // Not public to keep the upgradeable sale under the contract size limit (sum TokensClaimed instead)
+    uint256 internal totalClaimed;
+    
+    modifier whenNotFinalized() {
+        _requireNotFinalized();
+        _;
+    }
+    
+    /**
+     * @dev Sets up the sale; called once by the constructor or the proxy initializer
+     * @param _token Address of the token being sold
+     * @param _treasury Address to receive ETH payments
+     * @param _tokenPrice Price per token in wei
+     * @param _minPurchase Minimum purchase amount in tokens
+     * @param _maxPurchase Maximum purchase amount in tokens
+     * @param _maxSupply Maximum tokens available for sale
+     * @param _startTime Sale start timestamp
+     * @param _endTime Sale end timestamp
+     * @param _initialOwner Initial owner of the contract
+     */
+    function __WhitelistSale_init(
+        address _token,
+        address _treasury,
+        uint256 _tokenPrice,
+        uint256 _minPurchase,
+        uint256 _maxPurchase,
+        uint256 _maxSupply,
+        uint256 _startTime,
+        uint256 _endTime,
+        address _initialOwner
+    ) internal onlyInitializing {
+        __Ownable_init(_initialOwner);
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        
+        require(_token != address(0), "WhitelistSale: token cannot be zero address");
+        require(_treasury != address(0), "WhitelistSale: treasury cannot be zero address");
+        require(_initialOwner != address(0), "WhitelistSale: initial owner cannot be zero address");
+        require(_tokenPrice > 0, "WhitelistSale: token price must be greater than 0");
+        require(_minPurchase > 0, "WhitelistSale: min purchase must be greater than 0");
+        require(_maxPurchase >= _minPurchase, "WhitelistSale: max purchase must be >= min purchase");
+        require(_maxSupply > 0, "WhitelistSale: max supply must be greater than 0");
+        require(_startTime >= block.timestamp, "WhitelistSale: start time must be in the future");
+        require(_endTime > _startTime, "WhitelistSale: end time must be after start time");
+        
+        token = IERC20(_token);
+        treasury = _treasury;
+        
+        saleConfig = SaleConfig({
+            tokenPrice: _tokenPrice,
+            minPurchase: _minPurchase,
+            maxPurchase: _maxPurchase,
+            maxSupply: _maxSupply,
+            startTime: _startTime,
+            endTime: _endTime,
+            whitelistRequired: true
+        });
+        
+        
+        // Add treasury to whitelist
+        whitelist[_treasury] = true;
+        emit WhitelistUpdated(_treasury, true);
+    }
+    
+    /**
+     * @dev Purchase tokens during the sale
+     * @param tokenAmount Amount of tokens to purchase
+     * @param merkleProof Merkle proof for whitelist verification (if using Merkle tree)
+     */
+    function purchaseTokens(
+        uint256 tokenAmount,
+        bytes32[] calldata merkleProof
+    ) external payable nonReentrant whenNotPaused {
+        _purchaseWithEth(_msgSender(), tokenAmount, merkleProof, false);
+    }
+    
+    /**
+     * @dev Purchase tokens with a voucher signed by voucherSigner instead of an allowlist entry.
+     * The voucher can be reused until its deadline, up to its cap on the buyer's total purchases.
+     * It replaces the sale whitelist and the active round's Merkle allowlist; everything else
+     * purchaseTokens checks (the round's window, price, minimum, supply and per-wallet limit) still
+     * applies, since both run through _purchaseWithEth. Kept apart from purchaseTokens so its
+     * ABI, and the callers built on it, stay unchanged.
+     * @param tokenAmount Amount of tokens to purchase
+     * @param voucher Voucher issued to the buyer
+     * @param signature EIP-712 signature of the voucher by voucherSigner
+     */
+    function purchaseTokensWithVoucher(
+        uint256 tokenAmount,
+        PurchaseVoucher calldata voucher,
+        bytes calldata signature
+    ) external payable nonReentrant whenNotPaused {
+        address buyer = _msgSender();
+        require(voucherSigner != address(0), "WhitelistSale: vouchers disabled");
+        require(voucher.buyer == buyer, "WhitelistSale: voucher is for another buyer");
+        require(block.timestamp <= voucher.deadline, "WhitelistSale: voucher expired");
+        require(voucher.nonce == voucherNonces[buyer], "WhitelistSale: voucher revoked");
+        require(
+            ECDSA.recover(hashVoucher(voucher), signature) == voucherSigner,
+            "WhitelistSale: invalid voucher signature"
+        );
+        require(
+            totalPurchased[buyer] + tokenAmount <= voucher.maxAmount,
+            "WhitelistSale: exceeds voucher cap"
+        );
+        
+        _purchaseWithEth(buyer, tokenAmount, new bytes32[](0), true);
+        
+        emit VoucherRedeemed(buyer, voucher.nonce, tokenAmount);
+    }
+    
+    /**
+     * @dev Shared ETH purchase path
+     * @param approved Eligibility already established (by a voucher), skip allowlist checks
+     */
+    function _purchaseWithEth(
+        address buyer,
+        uint256 tokenAmount,
+        bytes32[] memory merkleProof,
+        bool approved
+    ) internal {
+        (uint256 tokenPrice, bool inRound, uint256 roundId) = _checkPurchase(buyer, tokenAmount, merkleProof, approved);
+        
+        // Calculate required ETH
+        uint256 ethRequired = (tokenAmount * tokenPrice) / 1e18;
+        require(msg.value >= ethRequired, "WhitelistSale: insufficient ETH sent");
+        
+        _recordPurchase(buyer, tokenAmount, ethRequired, inRound, roundId);
+        
+        // Refund excess ETH
+        if (msg.value > ethRequired) {
+            payable(buyer).transfer(msg.value - ethRequired);
+        }
+        
+        // Forward ETH to treasury, unless it is escrowed until the soft cap is settled
+        if (softCap == 0) {
+            payable(treasury).transfer(ethRequired);
+        }
+    }
+    
+    /**
+     * @dev Purchase tokens with an accepted ERC20; payment goes straight to the treasury
+     * @param paymentToken Accepted payment token
+     * @param tokenAmount Amount of tokens to purchase
+     * @param maxPayment Most the buyer is willing to pay, in payment token units
+     * @param merkleProof Merkle proof for whitelist verification (if using Merkle tree)
+     */
+    function purchaseWithToken(
+        address paymentToken,
+        uint256 tokenAmount,
+        uint256 maxPayment,
+        bytes32[] calldata merkleProof
+    ) external nonReentrant whenNotPaused {
+        _purchaseWithToken(_msgSender(), paymentToken, tokenAmount, maxPayment, merkleProof);
+    }
+    
+    /**
+     * @dev Purchase tokens with an EIP-2612 permit instead of a prior approval.
+     * The permit must allow this contract to spend `maxPayment`.
+     */
+    function purchaseWithPermit(
+        address paymentToken,
+        uint256 tokenAmount,
+        uint256 maxPayment,
+        bytes32[] calldata merkleProof,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused {
+        // A front-run permit has already set the allowance; transferFrom still enforces it
+        address buyer = _msgSender();
+        try IERC20Permit(paymentToken).permit(buyer, address(this), maxPayment, deadline, v, r, s) {} catch {}
+        
+        _purchaseWithToken(buyer, paymentToken, tokenAmount, maxPayment, merkleProof);
+    }
+    
+    /**
+     * @dev Shared ERC20 purchase path
+     */
+    function _purchaseWithToken(
+        address buyer,
+        address paymentToken,
+        uint256 tokenAmount,
+        uint256 maxPayment,
+        bytes32[] calldata merkleProof
+    ) internal {
+        require(paymentTokens[paymentToken].accepted, "WhitelistSale: payment token not accepted");
+        (uint256 tokenPrice, bool inRound, uint256 roundId) = _checkPurchase(buyer, tokenAmount, merkleProof, false);
+        
+        uint256 paymentAmount = _paymentAmount(paymentToken, tokenAmount, tokenPrice);
+        require(paymentAmount > 0, "WhitelistSale: payment amount is zero");
+        require(paymentAmount <= maxPayment, "WhitelistSale: payment exceeds maximum");
+        
+        _recordPurchase(buyer, tokenAmount, 0, inRound, roundId);
+        raisedByCurrency[paymentToken] += paymentAmount;
+        paidByCurrency[buyer][paymentToken] += paymentAmount;
+        
+        IERC20(paymentToken).safeTransferFrom(buyer, softCap == 0 ? treasury : address(this), paymentAmount);
+        
+        emit TokenPaymentReceived(buyer, paymentToken, tokenAmount, paymentAmount);
+    }
+    
+    /**
+     * @dev Checks a purchase against the current round, or the sale-wide config without rounds
+     * @param approved Skip the whitelist / Merkle eligibility check
+     * @return tokenPrice Price per token in wei
+     * @return inRound Whether the purchase falls in a round
+     * @return roundId The round, when inRound
+     */
+    function _checkPurchase(
+        address buyer,
+        uint256 tokenAmount,
+        bytes32[] memory merkleProof,
+        bool approved
+    ) internal view returns (uint256 tokenPrice, bool inRound, uint256 roundId) {
+        require(isSaleActive(), "WhitelistSale: sale is not active");
+        
+        if (rounds.length > 0) {
+            (inRound, roundId) = currentRound();
+            require(inRound, "WhitelistSale: no active round");
+            Round storage round = rounds[roundId];
+            
+            require(tokenAmount >= round.minPurchase, "WhitelistSale: below round minimum purchase");
+            require(roundSold[roundId] + tokenAmount <= round.supply, "WhitelistSale: exceeds round supply");
+            require(totalSold + tokenAmount <= saleConfig.maxSupply, "WhitelistSale: exceeds max supply");
+            require(
+                approved || round.open || _isEligible(round.merkleRoot, buyer, merkleProof),
+                "WhitelistSale: address not eligible for round"
+            );
+            require(
+                roundPurchased[roundId][buyer] + tokenAmount <= round.maxPurchase,
+                "WhitelistSale: exceeds round purchase limit"
+            );
+            
+            return (round.tokenPrice, true, roundId);
+        }
+        
+        require(tokenAmount >= saleConfig.minPurchase, "WhitelistSale: below minimum purchase");
+        require(tokenAmount <= saleConfig.maxPurchase, "WhitelistSale: exceeds maximum purchase");
+        require(totalSold + tokenAmount <= saleConfig.maxSupply, "WhitelistSale: exceeds max supply");
+        
+        // Check whitelist requirements
+        if (saleConfig.whitelistRequired && !approved) {
+            require(
+                _isWhitelisted(buyer, merkleProof),
+                "WhitelistSale: address not whitelisted"
+            );
+        }
+        
+        // Check individual purchase limit
+        require(
+            totalPurchased[buyer] + tokenAmount <= saleConfig.maxPurchase,
+            "WhitelistSale: exceeds individual purchase limit"
+        );
+        
+        return (saleConfig.tokenPrice, false, 0);
+    }
+    
+    /**
+     * @dev Updates purchase records and sale / round totals
+     * @param ethAmount ETH paid (zero for ERC20 payments)
+     */
+    function _recordPurchase(
+        address buyer,
+        uint256 tokenAmount,
+        uint256 ethAmount,
+        bool inRound,
+        uint256 roundId
+    ) internal {
+        purchases[buyer] = Purchase({
+            amount: purchases[buyer].amount + tokenAmount,
+            ethSpent: purchases[buyer].ethSpent + ethAmount,
+            timestamp: block.timestamp,
+            claimed: false
+        });
+        
+        totalPurchased[buyer] += tokenAmount;
+        totalSold += tokenAmount;
+        totalEthRaised += ethAmount;
+        
+        if (inRound) {
+            roundPurchased[roundId][buyer] += tokenAmount;
+            roundSold[roundId] += tokenAmount;
+            roundEthRaised[roundId] += ethAmount;
+            emit RoundPurchase(roundId, buyer, tokenAmount, ethAmount);
+        }
+        
+        emit TokenPurchase(buyer, tokenAmount, ethAmount, block.timestamp);
+    }
+    
+    /**
+     * @dev Payment token amount for `tokenAmount` at `tokenPrice` (wei per token).
+     * Payment token prices are quoted against saleConfig.tokenPrice, so a round
+     * priced differently scales them by the same ratio.
+     */
+    function _paymentAmount(
+        address paymentToken,
+        uint256 tokenAmount,
+        uint256 tokenPrice
+    ) internal view returns (uint256) {
+        return (tokenAmount * paymentTokens[paymentToken].tokenPrice * tokenPrice) /
+            (saleConfig.tokenPrice * 1e18);
+    }
+    
+    /**
+     * @dev Claim purchased tokens (if claiming is enabled)
+     */
+    function claimTokens() external nonReentrant {
+        require(softCap == 0 || raiseFinalized, "WhitelistSale: raise not finalized");
+        require(claimEnabled, "WhitelistSale: claiming not enabled");
+        require(block.timestamp >= claimStartTime, "WhitelistSale: claiming not started");
+        
+        address buyer = _msgSender();
+        Purchase storage purchase = purchases[buyer];
+        require(purchase.amount > 0, "WhitelistSale: no tokens to claim");
+        require(claimedAmount[buyer] < purchase.amount, "WhitelistSale: tokens already claimed");
+        
+        uint256 vested = _vestedAmount(purchase.amount);
+        require(vested > claimedAmount[buyer], "WhitelistSale: no vested tokens to claim");
+        
+        uint256 amount = vested - claimedAmount[buyer];
+        claimedAmount[buyer] = vested;
+        purchase.claimed = claimedAmount[buyer] == purchase.amount;
+        totalClaimed += amount;
+        
+        // Transfer tokens to buyer
+        token.safeTransfer(buyer, amount);
+        
+        emit TokensClaimed(buyer, amount);
+    }
+    
+    /**
+     * @dev Refund a buyer's ETH and ERC20 payments after a sale that missed its soft cap.
+     * The allocation is cancelled; round totals keep what was sold.
+     */
+    function refund() external nonReentrant {
+        require(raiseState() == RaiseState.Failed, "WhitelistSale: refunds not available");
+        
+        address buyer = _msgSender();
+        Purchase memory purchase = purchases[buyer];
+        require(purchase.amount > 0, "WhitelistSale: nothing to refund");
+        
+        delete purchases[buyer];
+        totalPurchased[buyer] = 0;
+        totalSold -= purchase.amount;
+        totalEthRaised -= purchase.ethSpent;
+        
+        for (uint256 i = 0; i < paymentTokenList.length; i++) {
+            address paymentToken = paymentTokenList[i];
+            uint256 paid = paidByCurrency[buyer][paymentToken];
+            if (paid > 0) {
+                paidByCurrency[buyer][paymentToken] = 0;
+                raisedByCurrency[paymentToken] -= paid;
+                IERC20(paymentToken).safeTransfer(buyer, paid);
+                emit PaymentRefunded(buyer, paymentToken, paid);
+            }
+        }
+        
+        if (purchase.ethSpent > 0) {
+            payable(buyer).transfer(purchase.ethSpent);
+        }
+        
+        emit Refunded(buyer, purchase.amount, purchase.ethSpent);
+    }
+    
+    /**
+     * @dev Release escrowed funds to the treasury once the soft cap is met and open claims
+     * (claimStartTime is kept if claiming was already scheduled)
+     */
+    function finalizeRaise() external onlyOwner nonReentrant {
+        RaiseState state = raiseState();
+        require(state != RaiseState.NoSoftCap, "WhitelistSale: no soft cap");
+        require(state != RaiseState.Finalized, "WhitelistSale: raise already finalized");
+        require(state != RaiseState.Escrow, "WhitelistSale: sale has not ended");
+        require(state == RaiseState.Succeeded, "WhitelistSale: soft cap not reached");
+        
+        raiseFinalized = true;
+        _openClaims();
+        
+        for (uint256 i = 0; i < paymentTokenList.length; i++) {
+            address paymentToken = paymentTokenList[i];
+            if (raisedByCurrency[paymentToken] > 0) {
+                IERC20(paymentToken).safeTransfer(treasury, raisedByCurrency[paymentToken]);
+            }
+        }
+        payable(treasury).transfer(totalEthRaised);
+        
+        emit RaiseFinalized(totalEthRaised);
+    }
+    
+    /**
+     * @dev Close out an ended sale: lock its configuration, open claims if they were not
+     * scheduled and send the unsold tokens to the treasury or burn them. Unsold is the sale's
+     * token balance beyond what buyers are still owed (totalSold - totalClaimed), so a sale that
+     * was funded below maxSupply or drained by emergencyWithdraw still closes, and a surplus is swept.
+     * ETH has already gone to the treasury with each purchase or with finalizeRaise, so a
+     * soft-capped raise must be finalized first; after a failed raise buyers refund instead.
+     * @param burnUnsold Burn unsold tokens instead of sending them to the treasury
+     */
+    function finalizeSale(bool burnUnsold) external onlyOwner whenNotFinalized {
+        require(block.timestamp > saleConfig.endTime, "WhitelistSale: sale has not ended");
+        require(!_isEscrowed(), "WhitelistSale: raise not finalized");
+        
+        saleFinalized = true;
+        _openClaims();
+        
+        uint256 unsold = _unsoldBalance();
+        // Nothing is left to sell, and off-chain checks read maxSupply - totalSold as unsold
+        saleConfig.maxSupply = totalSold;
+        if (burnUnsold) {
+            ERC20Burnable(address(token)).burn(unsold);
+        } else {
+            token.safeTransfer(treasury, unsold);
+        }
+        emit SaleFinalized(totalSold, totalEthRaised, unsold, burnUnsold);
+    }
+    
+    function _requireNotFinalized() private view {
+        require(!saleFinalized, "WhitelistSale: sale finalized");
+    }
+    
+    /**
+     * @dev Tokens held beyond what buyers are still owed; reverts if the sale cannot cover them
+     */
+    function _unsoldBalance() private view returns (uint256) {
+        return token.balanceOf(address(this)) - (totalSold - totalClaimed);
+    }
+    
+    /**
+     * @dev Enable claims from now unless claiming was already scheduled
+     */
+    function _openClaims() private {
+        if (!claimEnabled) {
+            claimEnabled = true;
+            claimStartTime = block.timestamp;
+        }
+    }
+    
+    /**
+     * @dev Update sale configuration (only owner)
+     */
+    function updateSaleConfig(
+        uint256 _tokenPrice,
+        uint256 _minPurchase,
+        uint256 _maxPurchase,
+        uint256 _maxSupply,
+        uint256 _startTime,
+        uint256 _endTime,
+        bool _whitelistRequired
+    ) external onlyOwner whenNotFinalized {
+        require(_tokenPrice > 0, "WhitelistSale: token price must be greater than 0");
+        require(_minPurchase > 0, "WhitelistSale: min purchase must be greater than 0");
+        require(_maxPurchase >= _minPurchase, "WhitelistSale: max purchase must be >= min purchase");
+        require(_maxSupply >= totalSold, "WhitelistSale: max supply cannot be less than total sold");
+        require(_maxSupply >= totalRoundSupply, "WhitelistSale: max supply cannot be less than round supply");
+        require(_endTime > _startTime, "WhitelistSale: end time must be after start time");
+        // Reopening an ended sale would undo a failed raise or one awaiting finalization
+        require(
+            softCap == 0 || block.timestamp <= saleConfig.endTime,
+            "WhitelistSale: soft cap sale has ended"
+        );
+        
+        saleConfig = SaleConfig({
+            tokenPrice: _tokenPrice,
+            minPurchase: _minPurchase,
+            maxPurchase: _maxPurchase,
+            maxSupply: _maxSupply,
+            startTime: _startTime,
+            endTime: _endTime,
+            whitelistRequired: _whitelistRequired
+        });
+        
+        emit SaleConfigUpdated();
+    }
+    
+    /**
+     * @dev Add or remove addresses from whitelist
+     */
+    function updateWhitelist(address account, bool whitelisted) external onlyOwner {
+        _setWhitelisted(account, whitelisted);
+    }
+    
+    /**
+     * @dev Update multiple addresses in whitelist
+     */
+    function updateWhitelistBatch(address[] calldata accounts, bool whitelisted) external onlyOwner {
+        require(accounts.length > 0, "WhitelistSale: empty accounts array");
+        require(accounts.length <= 100, "WhitelistSale: too many accounts in batch");
+        
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _setWhitelisted(accounts[i], whitelisted);
+        }
+    }
+    
+    /**
+     * @dev Shared by updateWhitelist and updateWhitelistBatch
+     */
+    function _setWhitelisted(address account, bool whitelisted) private {
+        require(account != address(0), "WhitelistSale: cannot whitelist zero address");
+        
+        whitelist[account] = whitelisted;
+        emit WhitelistUpdated(account, whitelisted);
+    }
+    
+    /**
+     * @dev Set Merkle root for whitelist verification
+     */
+    function setMerkleRoot(bytes32 _merkleRoot) external onlyOwner {
+        merkleRoot = _merkleRoot;
+        emit MerkleRootUpdated(_merkleRoot);
+    }
+    
+    /**
+     * @dev Enable/disable token claiming. Enabling with a zero start keeps a scheduled
+     * claimStartTime, or starts claims now if none was set, so vesting always has a start.
+     */
+    function setClaimEnabled(bool _enabled, uint256 _claimStartTime) external onlyOwner whenNotFinalized {
+        claimEnabled = _enabled;
+        if (_enabled) {
+            if (_claimStartTime > 0) {
+                claimStartTime = _claimStartTime;
+            } else if (claimStartTime == 0) {
+                claimStartTime = block.timestamp;
+            }
+        }
+    }
+    
+    /**
+     * @dev Add a sale round. Rounds may not overlap and must fit in the sale window and max supply.
+     * @param round Round terms
+     * @return roundId Index of the new round
+     */
+    function addRound(Round calldata round) external onlyOwner returns (uint256 roundId) {
+        roundId = rounds.length;
+        _validateRound(round, roundId);
+        
+        rounds.push(round);
+        totalRoundSupply += round.supply;
+        
+        emit RoundAdded(roundId, round.name);
+    }
+    
+    /**
+     * @dev Replace the terms of a round that has not started yet
+     */
+    function updateRound(uint256 roundId, Round calldata round) external onlyOwner {
+        require(roundId < rounds.length, "WhitelistSale: round does not exist");
+        require(block.timestamp < rounds[roundId].startTime, "WhitelistSale: round already started");
+        _validateRound(round, roundId);
+        
+        totalRoundSupply = totalRoundSupply - rounds[roundId].supply + round.supply;
+        rounds[roundId] = round;
+        
+        emit RoundUpdated(roundId);
+    }
+    
+    /**
+     * @dev Set the Merkle root of a round's allowlist
+     */
+    function setRoundMerkleRoot(uint256 roundId, bytes32 _merkleRoot) external onlyOwner {
+        require(roundId < rounds.length, "WhitelistSale: round does not exist");
+        
+        rounds[roundId].merkleRoot = _merkleRoot;
+        emit RoundMerkleRootUpdated(roundId, _merkleRoot);
+    }
+    
+    /**
+     * @dev Checks round terms; `roundId` is skipped in the overlap check
+     */
+    function _validateRound(Round calldata round, uint256 roundId) internal view {
+        require(round.tokenPrice > 0, "WhitelistSale: token price must be greater than 0");
+        require(round.supply > 0, "WhitelistSale: round supply must be greater than 0");
+        require(round.minPurchase > 0, "WhitelistSale: min purchase must be greater than 0");
+        require(round.maxPurchase >= round.minPurchase, "WhitelistSale: max purchase must be >= min purchase");
+        require(round.startTime >= block.timestamp, "WhitelistSale: start time must be in the future");
+        require(round.endTime > round.startTime, "WhitelistSale: end time must be after start time");
+        require(
+            round.startTime >= saleConfig.startTime && round.endTime <= saleConfig.endTime,
+            "WhitelistSale: round outside sale window"
+        );
+        require(!round.open || round.merkleRoot == bytes32(0), "WhitelistSale: open round cannot have a Merkle root");
+        
+        uint256 supply = totalRoundSupply + round.supply;
+        if (roundId < rounds.length) {
+            supply -= rounds[roundId].supply;
+        }
+        require(supply <= saleConfig.maxSupply, "WhitelistSale: round supply exceeds max supply");
+        
+        for (uint256 i = 0; i < rounds.length; i++) {
+            if (i != roundId) {
+                require(
+                    round.endTime < rounds[i].startTime || round.startTime > rounds[i].endTime,
+                    "WhitelistSale: round overlaps another round"
+                );
+            }
+        }
+    }
+    
+    /**
+     * @dev Accept an ERC20 as payment, or update its price
+     * @param paymentToken ERC20 to accept
+     * @param tokenPrice Price per sale token in the payment token's smallest unit
+     * (e.g. 10000 for 0.01 of a 6-decimal stablecoin); it is not scaled by decimals()
+     */
+    function setPaymentToken(address paymentToken, uint256 tokenPrice) external onlyOwner {
+        require(paymentToken != address(0), "WhitelistSale: payment token cannot be zero address");
+        require(paymentToken != address(token), "WhitelistSale: cannot pay with the sale token");
+        require(tokenPrice > 0, "WhitelistSale: token price must be greater than 0");
+        
+        PaymentToken storage payment = paymentTokens[paymentToken];
+        // A price is only ever zero before the token is first added
+        if (payment.tokenPrice == 0) {
+            paymentTokenList.push(paymentToken);
+        }
+        
+        payment.accepted = true;
+        payment.tokenPrice = tokenPrice;
+        
+        emit PaymentTokenUpdated(paymentToken, true, tokenPrice);
+    }
+    
+    /**
+     * @dev Stop accepting an ERC20 as payment (its raised total is kept)
+     */
+    function removePaymentToken(address paymentToken) external onlyOwner {
+        require(paymentTokens[paymentToken].accepted, "WhitelistSale: payment token not accepted");
+        
+        paymentTokens[paymentToken].accepted = false;
+        emit PaymentTokenUpdated(paymentToken, false, paymentTokens[paymentToken].tokenPrice);
+    }
+    
+    /**
+     * @dev Set the address whose signed vouchers are accepted; zero disables vouchers
+     */
+    function setVoucherSigner(address signer) external onlyOwner {
+        voucherSigner = signer;
+        emit VoucherSignerUpdated(signer);
+    }
+    
+    /**
+     * @dev Set the ERC-2771 forwarder allowed to relay calls on behalf of buyers; zero disables it.
+     * Only before the sale starts, so buyers know who may act for them before they approve or pay;
+     * disabling is allowed at any time.
+     */
+    function setTrustedForwarder(address forwarder) external onlyOwner {
+        require(
+            forwarder == address(0) || (block.timestamp < saleConfig.startTime && totalSold == 0),
+            "WhitelistSale: sale already started"
+        );
+        
+        trustedForwarder = forwarder;
+        emit TrustedForwarderUpdated(forwarder);
+    }
+    
+    /**
+     * @dev ERC-2771: whether `forwarder` may append the sender to the calls it relays
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
+    }
+    
+    /**
+     * @dev The account behind a call: for calls relayed by the trusted forwarder, the address it
+     * appended to the calldata (ERC-2771), otherwise msg.sender. Every sender check uses it,
+     * onlyOwner included.
+     *
+     * Trust assumption: the forwarder can act as any account, so it must only append senders it has
+     * verified. OpenZeppelin's ERC2771Forwarder appends the signer of an EIP-712 request and cannot be
+     * changed. A forwarder that appends arbitrary addresses could buy with any buyer's ERC20
+     * allowance, claim or refund for them, or make owner calls; hence setTrustedForwarder is limited
+     * to before the sale starts.
+     */
+    function _msgSender() internal view override returns (address) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+    
+    /**
+     * @dev Invalidate every voucher issued to `buyer` so far
+     */
+    function revokeVouchers(address buyer) external onlyOwner {
+        voucherNonces[buyer] += 1;
+        emit VouchersRevoked(buyer, voucherNonces[buyer]);
+    }
+    
+    /**
+     * @dev Set the soft cap in wei; zero sends payments straight to the treasury.
+     * Only before the sale starts, since it decides where payments go.
+     */
+    function setSoftCap(uint256 _softCap) external onlyOwner {
+        require(
+            block.timestamp < saleConfig.startTime && totalSold == 0,
+            "WhitelistSale: sale already started"
+        );
+        
+        softCap = _softCap;
+        emit SoftCapUpdated(_softCap);
+    }
+    
+    /**
+     * @dev Set the vesting schedule applied to claims. Only before claiming starts: once
+     * claimStartTime has passed or anything was claimed the schedule is locked, even if
+     * claims were disabled again, so the terms never change under earlier claims.
+     * @param _mode Vesting mode
+     * @param _tgeUnlockBps Share unlocked at claimStartTime, in basis points
+     * @param _cliff Seconds after claimStartTime before vesting begins
+     * @param _duration Seconds over which the remainder vests after the cliff
+     */
+    function setVestingSchedule(
+        VestingMode _mode,
+        uint256 _tgeUnlockBps,
+        uint256 _cliff,
+        uint256 _duration
+    ) external onlyOwner whenNotFinalized {
+        require(
+            totalClaimed == 0 && (claimStartTime == 0 || block.timestamp < claimStartTime),
+            "WhitelistSale: claiming already started"
+        );
+        require(_tgeUnlockBps <= BPS_DENOMINATOR, "WhitelistSale: TGE unlock exceeds 100%");
+        
+        if (_mode == VestingMode.None) {
+            require(
+                _tgeUnlockBps == 0 && _cliff == 0 && _duration == 0,
+                "WhitelistSale: vesting parameters require a vesting mode"
+            );
+        } else {
+            require(_duration > 0, "WhitelistSale: vesting duration must be greater than 0");
+        }
+        if (_mode == VestingMode.MonthlyStep) {
+            require(
+                _duration % VESTING_STEP == 0,
+                "WhitelistSale: duration must be a multiple of the vesting step"
+            );
+        }
+        
+        vestingSchedule = VestingSchedule({
+            mode: _mode,
+            tgeUnlockBps: _tgeUnlockBps,
+            cliff: _cliff,
+            duration: _duration
+        });
+        
+        emit VestingScheduleUpdated(_mode, _tgeUnlockBps, _cliff, _duration);
+    }
+    
+    /**
+     * @dev Pause the sale
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+    
+    /**
+     * @dev Unpause the sale
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+    
+    /**
+     * @dev Emergency withdraw tokens (only owner)
+     */
+    function emergencyWithdraw(address tokenAddress, uint256 amount) external onlyOwner {
+        require(tokenAddress != address(0), "WhitelistSale: token cannot be zero address");
+        
+        if (tokenAddress == address(token)) {
+            // For main token, only allow withdrawal of tokens buyers are not owed
+            require(amount <= _unsoldBalance(), "WhitelistSale: cannot withdraw sold tokens");
+        } else if (_isEscrowed()) {
+            uint256 available = IERC20(tokenAddress).balanceOf(address(this)) - raisedByCurrency[tokenAddress];
+            require(amount <= available, "WhitelistSale: cannot withdraw escrowed funds");
+        }
+        
+        IERC20(tokenAddress).safeTransfer(owner(), amount);
+        emit EmergencyWithdraw(tokenAddress, amount);
+    }
+    
+    /**
+     * @dev Emergency withdraw ETH (only owner)
+     */
+    function emergencyWithdrawETH() external onlyOwner {
+        uint256 available = address(this).balance - (_isEscrowed() ? totalEthRaised : 0);
+        require(available > 0, "WhitelistSale: no ETH to withdraw");
+        
+        payable(owner()).transfer(available);
+    }
+    
+    /**
+     * @dev Check if sale is currently active
+     */
+    function isSaleActive() public view returns (bool) {
+        bool windowOpen = block.timestamp >= saleConfig.startTime && 
+               block.timestamp <= saleConfig.endTime &&
+               totalSold < saleConfig.maxSupply;
+        if (!windowOpen || rounds.length == 0) {
+            return windowOpen;
+        }
+        
+        (bool found, uint256 roundId) = currentRound();
+        return found && roundSold[roundId] < rounds[roundId].supply;
+    }
+    
+    /**
+     * @dev Where a soft-capped sale stands; see RaiseState
+     */
+    function raiseState() public view returns (RaiseState) {
+        if (softCap == 0) {
+            return RaiseState.NoSoftCap;
+        }
+        if (raiseFinalized) {
+            return RaiseState.Finalized;
+        }
+        // Settled at endTime even when sold out earlier, so refunds cannot reopen the sale
+        if (block.timestamp <= saleConfig.endTime) {
+            return RaiseState.Escrow;
+        }
+        return totalEthRaised >= softCap ? RaiseState.Succeeded : RaiseState.Failed;
+    }
+    
+    /**
+     * @dev Whether payments are still held by the contract
+     */
+    function _isEscrowed() internal view returns (bool) {
+        return softCap > 0 && !raiseFinalized;
+    }
+    
+    /**
+     * @dev Round whose window contains the current time, if any
+     */
+    function currentRound() public view returns (bool found, uint256 roundId) {
+        for (uint256 i = 0; i < rounds.length; i++) {
+            if (block.timestamp >= rounds[i].startTime && block.timestamp <= rounds[i].endTime) {
+                return (true, i);
+            }
+        }
+        return (false, 0);
+    }
+    
+    /**
+     * @dev Number of payment tokens ever accepted (see paymentTokens for current status)
+     */
+    function paymentTokenCount() external view returns (uint256) {
+        return paymentTokenList.length;
+    }
+    
+    /**
+     * @dev Payment token amount for a purchase of `tokenAmount` right now
+     */
+    function quotePayment(address paymentToken, uint256 tokenAmount) external view returns (uint256) {
+        require(paymentTokens[paymentToken].accepted, "WhitelistSale: payment token not accepted");
+        
+        uint256 tokenPrice = saleConfig.tokenPrice;
+        (bool found, uint256 roundId) = currentRound();
+        if (found) {
+            tokenPrice = rounds[roundId].tokenPrice;
+        }
+        return _paymentAmount(paymentToken, tokenAmount, tokenPrice);
+    }
+    
+    /**
+     * @dev Number of configured rounds
+     */
+    function roundCount() external view returns (uint256) {
+        return rounds.length;
+    }
+    
+    /**
+     * @dev Get remaining tokens available for sale
+     */
+    function remainingTokens() external view returns (uint256) {
+        return saleConfig.maxSupply - totalSold;
+    }
+    
+    /**
+     * @dev Get purchase information for an address
+     */
+    function getPurchaseInfo(address buyer) external view returns (
+        uint256 amount,
+        uint256 ethSpent,
+        uint256 timestamp,
+        bool claimed
+    ) {
+        Purchase memory purchase = purchases[buyer];
+        return (purchase.amount, purchase.ethSpent, purchase.timestamp, purchase.claimed);
+    }
+    
+    /**
+     * @dev Get vesting progress for an address
+     * @return total Tokens purchased
+     * @return claimed Tokens already claimed
+     * @return claimable Tokens vested but not yet claimed
+     * @return locked Tokens not yet vested
+     */
+    function getVestingInfo(address buyer) external view returns (
+        uint256 total,
+        uint256 claimed,
+        uint256 claimable,
+        uint256 locked
+    ) {
+        total = purchases[buyer].amount;
+        claimed = claimedAmount[buyer];
+        
+        // claimStartTime may have moved since tokens were claimed
+        uint256 vested = _vestedAmount(total);
+        if (vested < claimed) {
+            vested = claimed;
+        }
+        
+        claimable = claimEnabled ? vested - claimed : 0;
+        locked = total - vested;
+    }
+    
+    /**
+     * @dev Amount of `total` vested at the current time under the vesting schedule
+     */
+    function _vestedAmount(uint256 total) internal view returns (uint256) {
+        // Nothing vests before a claim start is known
+        if (claimStartTime == 0 || block.timestamp < claimStartTime) {
+            return 0;
+        }
+        
+        VestingSchedule memory schedule = vestingSchedule;
+        if (schedule.mode == VestingMode.None) {
+            return total;
+        }
+        
+        uint256 tgeAmount = (total * schedule.tgeUnlockBps) / BPS_DENOMINATOR;
+        uint256 vestingStart = claimStartTime + schedule.cliff;
+        if (block.timestamp < vestingStart) {
+            return tgeAmount;
+        }
+        
+        uint256 elapsed = block.timestamp - vestingStart;
+        if (elapsed >= schedule.duration) {
+            return total;
+        }
+        
+        if (schedule.mode == VestingMode.MonthlyStep) {
+            // Round down to whole steps
+            elapsed -= elapsed % VESTING_STEP;
+        }
+        
+        return tgeAmount + ((total - tgeAmount) * elapsed) / schedule.duration;
+    }
+    
+    /**
+     * @dev Check if an address is whitelisted (supports both mapping and Merkle proof)
+     */
+    function _isWhitelisted(address account, bytes32[] memory merkleProof) internal view returns (bool) {
+        return _isEligible(merkleRoot, account, merkleProof);
+    }
+    
+    /**
+     * @dev Check an address against the whitelist mapping or a Merkle root
+     */
+    function _isEligible(bytes32 root, address account, bytes32[] memory merkleProof) internal view returns (bool) {
+        // Check mapping-based whitelist
+        if (whitelist[account]) {
+            return true;
+        }
+        
+        // Check Merkle proof-based whitelist
+        if (root != bytes32(0) && merkleProof.length > 0) {
+            bytes32 leaf = keccak256(abi.encodePacked(account));
+            return MerkleProof.verify(merkleProof, root, leaf);
+        }
+        
+        return false;
+    }
+    
+    /**
+     * @dev Public function to check whitelist status
+     */
+    function isWhitelisted(address account, bytes32[] calldata merkleProof) external view returns (bool) {
+        return _isWhitelisted(account, merkleProof);
+    }
+    
+    /**
+     * @dev EIP-712 digest voucherSigner signs for a voucher
+     */
+    function hashVoucher(PurchaseVoucher calldata voucher) public view returns (bytes32) {
+        return MessageHashUtils.toTypedDataHash(
+            domainSeparator(),
+            keccak256(abi.encode(VOUCHER_TYPEHASH, voucher.buyer, voucher.maxAmount, voucher.nonce, voucher.deadline))
+        );
+    }
+    
+    /**
+     * @dev EIP-712 domain separator for vouchers
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, DOMAIN_NAME_HASH, DOMAIN_VERSION_HASH, block.chainid, address(this)));
+    }
+    
+    /**
+     * @dev Whether a voucher is currently redeemable by its buyer (signature, deadline and nonce)
+     */
+    function isVoucherValid(PurchaseVoucher calldata voucher, bytes calldata signature) external view returns (bool) {
+        if (voucherSigner == address(0) || block.timestamp > voucher.deadline) {
+            return false;
+        }
+        if (voucher.nonce != voucherNonces[voucher.buyer]) {
+            return false;
+        }
+        (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hashVoucher(voucher), signature);
+        return error == ECDSA.RecoverError.NoError && recovered == voucherSigner;
+    }
+    
+    /**
+     * @dev Public function to check whether an address may buy in a round
+     */
+    function isEligibleForRound(
+        uint256 roundId,
+        address account,
+        bytes32[] calldata merkleProof
+    ) external view returns (bool) {
+        require(roundId < rounds.length, "WhitelistSale: round does not exist");
+        Round storage round = rounds[roundId];
+        return round.open || _isEligible(round.merkleRoot, account, merkleProof);
+    }
+}
\ No newline at end of file
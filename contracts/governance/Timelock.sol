@@ -0,0 +1,6 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Compiled so deploy/004_timelock.js and the admin tasks can use OpenZeppelin's
+// TimelockController artifact; ownership of the token and sale is handed to it
+import "@openzeppelin/contracts/governance/TimelockController.sol";
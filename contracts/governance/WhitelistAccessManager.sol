@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/manager/AccessManager.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title WhitelistAccessManager
+ * @dev OpenZeppelin AccessManager that owns WhitelistToken and WhitelistSale, so each owner-only
+ * function can be assigned to a role (minter, whitelist manager, pauser, sale admin, recovery) and
+ * called by that role's members through {execute}. Functions without a role stay with ADMIN_ROLE.
+ * As the owner it also receives emergencyWithdraw / recoverETH funds, which {sweep} forwards.
+ * @author Whitelist Token Team
+ */
+contract WhitelistAccessManager is AccessManager {
+    using SafeERC20 for IERC20;
+
+    event Swept(address indexed token, address indexed to, uint256 amount);
+
+    /**
+     * @param initialAdmin Account granted ADMIN_ROLE
+     */
+    constructor(address initialAdmin) AccessManager(initialAdmin) {}
+
+    /**
+     * @dev Accepts ETH sent by the managed contracts' emergency functions
+     */
+    receive() external payable {}
+
+    /**
+     * @dev Forwards funds the manager holds; restricted to the role assigned to this function
+     * @param token ERC20 to send, or the zero address for ETH
+     * @param to Recipient
+     * @param amount Amount to send
+     */
+    function sweep(address token, address to, uint256 amount) external onlyAuthorized {
+        require(to != address(0), "WhitelistAccessManager: cannot sweep to zero address");
+
+        if (token == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, "WhitelistAccessManager: ETH transfer failed");
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+        emit Swept(token, to, amount);
+    }
+}
@@ -0,0 +1,6 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Compiled so deploy/001_deploy_forwarder.js and scripts/relayer.js can use OpenZeppelin's
+// ERC2771Forwarder artifact; WhitelistSale trusts it to relay signed buyer requests
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title MockStablecoin
+ * @dev USDC-style test token with configurable decimals, EIP-2612 permit and an open faucet.
+ * For local networks only: anyone can mint.
+ */
+contract MockStablecoin is ERC20, ERC20Permit {
+    uint8 private immutable _decimals;
+    
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_
+    ) ERC20(name, symbol) ERC20Permit(name) {
+        _decimals = decimals_;
+    }
+    
+    /**
+     * @dev Mint tokens to any address (test faucet)
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+    
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../upgradeable/WhitelistTokenUpgradeable.sol";
+import "../upgradeable/WhitelistSaleUpgradeable.sol";
+
+/**
+ * @title WhitelistTokenUpgradeableV2
+ * @dev Upgrade target for tests: appends a state variable
+ */
+contract WhitelistTokenUpgradeableV2 is WhitelistTokenUpgradeable {
+    uint256 public upgradedAt;
+    
+    // Version 2 is taken by initialize / initializePermit
+    function initializeV2() external reinitializer(3) {
+        upgradedAt = block.timestamp;
+    }
+    
+    function version() external pure override returns (string memory) {
+        return "2";
+    }
+}
+
+/**
+ * @title WhitelistSaleUpgradeableV2
+ * @dev Upgrade target for tests: appends a state variable
+ */
+contract WhitelistSaleUpgradeableV2 is WhitelistSaleUpgradeable {
+    uint256 public upgradedAt;
+    
+    function initializeV2() external reinitializer(2) {
+        upgradedAt = block.timestamp;
+    }
+    
+    function version() external pure override returns (string memory) {
+        return "2";
+    }
+}
+
+// Storage that sorts before the sale's own variables
+contract ShiftedStorage {
+    uint256 public shifted;
+}
+
+/**
+ * @title WhitelistSaleUpgradeableBadLayout
+ * @dev Upgrade target for tests: every sale variable moves down a slot
+ */
+contract WhitelistSaleUpgradeableBadLayout is ShiftedStorage, WhitelistSaleUpgradeable {}
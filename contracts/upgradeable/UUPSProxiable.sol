@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC1967.sol";
+import "@openzeppelin/contracts/interfaces/draft-IERC1822.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/StorageSlot.sol";
+
+/**
+ * @title UUPSProxiable
+ * @dev UUPS upgrade logic for implementations behind an ERC1967 proxy, with the same
+ * interface as OpenZeppelin's UUPSUpgradeable (which needs solc 0.8.22; this repo builds with 0.8.20).
+ * @author Whitelist Token Team
+ */
+abstract contract UUPSProxiable is IERC1822Proxiable, IERC1967 {
+    
+    // ERC1967 implementation slot: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+    
+    string public constant UPGRADE_INTERFACE_VERSION = "5.0.0";
+    
+    address private immutable __self = address(this);
+    
+    /**
+     * @dev Only callable through a proxy that points at this implementation
+     */
+    modifier onlyProxy() {
+        require(
+            address(this) != __self && _getImplementation() == __self,
+            "UUPSProxiable: must be called through the proxy"
+        );
+        _;
+    }
+    
+    /**
+     * @dev Only callable on the implementation itself, not through a proxy
+     */
+    modifier notDelegated() {
+        require(address(this) == __self, "UUPSProxiable: must not be called through delegatecall");
+        _;
+    }
+    
+    /**
+     * @dev ERC1822 slot the proxy stores this implementation in
+     */
+    function proxiableUUID() external view notDelegated returns (bytes32) {
+        return IMPLEMENTATION_SLOT;
+    }
+    
+    /**
+     * @dev Point the proxy at a new implementation and optionally call it
+     * @param newImplementation UUPS implementation to switch to
+     * @param data Calldata for the new implementation (e.g. a reinitializer), or empty
+     */
+    function upgradeToAndCall(address newImplementation, bytes calldata data) external payable onlyProxy {
+        _authorizeUpgrade(newImplementation);
+        
+        // An implementation without proxiableUUID would leave the proxy unable to upgrade again
+        try IERC1822Proxiable(newImplementation).proxiableUUID() returns (bytes32 slot) {
+            require(slot == IMPLEMENTATION_SLOT, "UUPSProxiable: unsupported proxiableUUID");
+        } catch {
+            revert("UUPSProxiable: new implementation is not UUPS");
+        }
+        
+        StorageSlot.getAddressSlot(IMPLEMENTATION_SLOT).value = newImplementation;
+        emit Upgraded(newImplementation);
+        
+        if (data.length > 0) {
+            Address.functionDelegateCall(newImplementation, data);
+        } else {
+            require(msg.value == 0, "UUPSProxiable: unexpected ETH with upgrade");
+        }
+    }
+    
+    /**
+     * @dev Current implementation as stored by the proxy
+     */
+    function _getImplementation() internal view returns (address) {
+        return StorageSlot.getAddressSlot(IMPLEMENTATION_SLOT).value;
+    }
+    
+    /**
+     * @dev Reverts unless the caller may upgrade to `newImplementation`
+     */
+    function _authorizeUpgrade(address newImplementation) internal virtual;
+}
@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../base/WhitelistSaleBase.sol";
+import "./UUPSProxiable.sol";
+
+/**
+ * @title WhitelistSaleUpgradeable
+ * @dev WhitelistSale deployed behind an ERC1967 proxy; the owner authorizes upgrades
+ * @author Whitelist Token Team
+ */
+contract WhitelistSaleUpgradeable is WhitelistSaleBase, UUPSProxiable {
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initializes the proxy's state, in place of WhitelistSale's constructor
+     * (same parameters)
+     */
+    function initialize(
+        address _token,
+        address _treasury,
+        uint256 _tokenPrice,
+        uint256 _minPurchase,
+        uint256 _maxPurchase,
+        uint256 _maxSupply,
+        uint256 _startTime,
+        uint256 _endTime,
+        address _initialOwner
+    ) external initializer {
+        __WhitelistSale_init(
+            _token,
+            _treasury,
+            _tokenPrice,
+            _minPurchase,
+            _maxPurchase,
+            _maxSupply,
+            _startTime,
+            _endTime,
+            _initialOwner
+        );
+    }
+    
+    /**
+     * @dev Implementation version, bumped by every upgrade
+     */
+    function version() external pure virtual returns (string memory) {
+        return "1";
+    }
+    
+    /**
+     * @dev Only the owner can upgrade
+     */
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
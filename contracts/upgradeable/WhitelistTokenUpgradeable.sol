@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../base/WhitelistTokenBase.sol";
+import "./UUPSProxiable.sol";
+
+/**
+ * @title WhitelistTokenUpgradeable
+ * @dev WhitelistToken deployed behind an ERC1967 proxy; the owner authorizes upgrades
+ * @author Whitelist Token Team
+ */
+contract WhitelistTokenUpgradeable is WhitelistTokenBase, UUPSProxiable {
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initializes the proxy's state, in place of WhitelistToken's constructor. Counts as
+     * version 2: it already sets up the ERC20Permit domain that initializePermit adds later.
+     * @param name The name of the token
+     * @param symbol The symbol of the token
+     * @param initialOwner The initial owner of the contract
+     */
+    function initialize(
+        string memory name,
+        string memory symbol,
+        address initialOwner
+    ) external reinitializer(2) {
+        __WhitelistToken_init(name, symbol, initialOwner);
+    }
+    
+    /**
+     * @dev Sets the EIP-712 domain ERC20Permit signs against on proxies initialized before the
+     * token had permit, whose domain name and version are still empty. Run during the upgrade.
+     */
+    function initializePermit() external reinitializer(2) onlyOwner {
+        __EIP712_init(name(), "1");
+    }
+    
+    /**
+     * @dev Implementation version, bumped by every upgrade
+     */
+    function version() external pure virtual returns (string memory) {
+        return "1";
+    }
+    
+    /**
+     * @dev Only the owner can upgrade
+     */
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
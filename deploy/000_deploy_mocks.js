@@ -0,0 +1,37 @@
+const { ethers } = require("hardhat");
+
+// Balance minted to each local account so stablecoin purchases can be tried right away
+const FAUCET_AMOUNT = "1000000";
+
+async function deployMocks(hre) {
+  const { deployments, getNamedAccounts, network } = hre;
+  const { deploy, log } = deployments;
+  const { deployer } = await getNamedAccounts();
+
+  log("----------------------------------------------------");
+  log("Deploying MockStablecoin (local network only)...");
+
+  const stablecoin = await deploy("MockStablecoin", {
+    from: deployer,
+    args: ["Mock USD", "mUSD", 6],
+    log: true,
+    waitConfirmations: 1,
+  });
+
+  if (stablecoin.newlyDeployed) {
+    const contract = await ethers.getContractAt("MockStablecoin", stablecoin.address);
+    const amount = ethers.parseUnits(FAUCET_AMOUNT, 6);
+
+    for (const signer of (await ethers.getSigners()).slice(0, 10)) {
+      const mintTx = await contract.mint(signer.address, amount);
+      await mintTx.wait();
+    }
+    log(`Minted ${FAUCET_AMOUNT} mUSD to the first 10 accounts`);
+  }
+
+  log(`MockStablecoin deployed to: ${stablecoin.address} (network: ${network.name})`);
+}
+
+module.exports = deployMocks;
+module.exports.tags = ["MockStablecoin", "mocks"];
+module.exports.skip = async (hre) => hre.network.config.chainId !== 31337;
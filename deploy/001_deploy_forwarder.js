@@ -0,0 +1,27 @@
+const { loadNetworkConfig } = require("../lib/config");
+const { FORWARDER_DEPLOYMENT, FORWARDER_NAME } = require("../lib/forwarder");
+
+async function deployForwarder(hre) {
+  const { deployments, getNamedAccounts, network } = hre;
+  const { deploy, log } = deployments;
+  const { deployer } = await getNamedAccounts();
+
+  log("----------------------------------------------------");
+  log("Deploying ERC2771Forwarder...");
+
+  const forwarder = await deploy(FORWARDER_DEPLOYMENT, {
+    contract: "ERC2771Forwarder",
+    from: deployer,
+    args: [FORWARDER_NAME],
+    log: true,
+    waitConfirmations: network.config.chainId === 31337 ? 1 : 5,
+  });
+
+  log(`ERC2771Forwarder deployed to: ${forwarder.address}`);
+  log("----------------------------------------------------");
+}
+
+module.exports = deployForwarder;
+module.exports.tags = ["Forwarder", "forwarder"];
+// Only networks whose sale trusts our own forwarder deploy one; an address in the config is used as is
+module.exports.skip = async (hre) => (loadNetworkConfig(hre.network.name).sale || {}).trustedForwarder !== FORWARDER_DEPLOYMENT;
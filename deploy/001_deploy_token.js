@@ -1,4 +1,6 @@
 const { ethers } = require("hardhat");
+const { loadDeployConfig, getTokenArgs } = require("../lib/config");
+const { deployProxy } = require("../lib/upgrades");
 
 async function deployToken(hre) {
   const { deployments, getNamedAccounts, network } = hre;
@@ -10,22 +12,31 @@ async function deployToken(hre) {
   log("Network:", network.name);
   log("Deployer:", deployer);
 
-  // Token configuration
-  const tokenName = "WhitelistToken";
-  const tokenSymbol = "WLT";
-  const initialOwner = deployer;
+  // Token configuration from config/networks/<network>.json
+  // (token and sale are both validated before anything is deployed)
+  const config = await loadDeployConfig(hre);
+  const args = getTokenArgs(config);
+  const [tokenName, tokenSymbol, initialOwner] = args;
 
-  const args = [tokenName, tokenSymbol, initialOwner];
+  const waitConfirmations = network.config.chainId === 31337 ? 1 : 5;
 
-  const whitelistToken = await deploy("WhitelistToken", {
-    from: deployer,
-    args: args,
-    log: true,
-    waitConfirmations: network.config.chainId === 31337 ? 1 : 5,
-  });
+  // With "upgradeable": true, WhitelistTokenUpgradeable behind a UUPS proxy; re-running upgrades it
+  const whitelistToken = config.upgradeable
+    ? (await deployProxy(hre, "WhitelistToken", { from: deployer, initArgs: args, log: true, waitConfirmations })).deployment
+    : await deploy("WhitelistToken", {
+        from: deployer,
+        args: args,
+        log: true,
+        waitConfirmations,
+      });
 
   log(`WhitelistToken deployed to: ${whitelistToken.address}`);
-  log(`Constructor arguments: ${args.join(", ")}`);
+  if (config.upgradeable) {
+    log(`Implementation: ${whitelistToken.implementation}`);
+    log(`Initializer arguments: ${args.join(", ")}`);
+  } else {
+    log(`Constructor arguments: ${args.join(", ")}`);
+  }
 
   // Verify contract on Etherscan if not on local network
   if (network.config.chainId !== 31337 && process.env.ETHERSCAN_API_KEY) {
@@ -33,9 +44,10 @@ async function deployToken(hre) {
     await new Promise((resolve) => setTimeout(resolve, 30000));
 
     try {
+      // A proxy's code is the implementation, which takes no constructor arguments
       await hre.run("verify:verify", {
-        address: whitelistToken.address,
-        constructorArguments: args,
+        address: config.upgradeable ? whitelistToken.implementation : whitelistToken.address,
+        constructorArguments: config.upgradeable ? [] : args,
       });
       log("Contract verified on Etherscan");
     } catch (error) {
@@ -54,5 +66,5 @@ async function deployToken(hre) {
   log("----------------------------------------------------");
 }
 
-module.exports.default = deployToken;
+module.exports = deployToken;
 module.exports.tags = ["WhitelistToken", "token"];
\ No newline at end of file
@@ -1,9 +1,17 @@
 const { ethers } = require("hardhat");
+const {
+  loadDeployConfig,
+  getSaleArgs,
+  getRoundArgs,
+  getVestingArgs,
+  resolveTrustedForwarder,
+} = require("../lib/config");
+const { deployProxy } = require("../lib/upgrades");
 
 async function deploySale(hre) {
   const { deployments, getNamedAccounts, network } = hre;
   const { deploy, get, log } = deployments;
-  const { deployer, treasury } = await getNamedAccounts();
+  const { deployer } = await getNamedAccounts();
 
   log("----------------------------------------------------");
   log("Deploying WhitelistSale...");
@@ -14,55 +22,99 @@ async function deploySale(hre) {
   const whitelistToken = await get("WhitelistToken");
   log(`Using WhitelistToken at: ${whitelistToken.address}`);
 
-  // Sale configuration
-  const saleConfig = {
-    tokenPrice: ethers.parseEther("0.001"), // 0.001 ETH per token
-    minPurchase: ethers.parseEther("10"), // 10 tokens minimum
-    maxPurchase: ethers.parseEther("10000"), // 10,000 tokens maximum
-    maxSupply: ethers.parseEther("100000000"), // 100 million tokens for sale
-    startTime: Math.floor(Date.now() / 1000) + 3600, // Start in 1 hour
-    endTime: Math.floor(Date.now() / 1000) + 30 * 24 * 3600, // End in 30 days
-  };
-
-  // Use treasury if available, otherwise use deployer
-  const treasuryAddress = treasury || deployer;
-
-  const args = [
-    whitelistToken.address, // token
-    treasuryAddress, // treasury
-    saleConfig.tokenPrice, // tokenPrice
-    saleConfig.minPurchase, // minPurchase
-    saleConfig.maxPurchase, // maxPurchase
-    saleConfig.maxSupply, // maxSupply
-    saleConfig.startTime, // startTime
-    saleConfig.endTime, // endTime
-    deployer, // initialOwner
-  ];
-
-  const whitelistSale = await deploy("WhitelistSale", {
-    from: deployer,
-    args: args,
-    log: true,
-    waitConfirmations: network.config.chainId === 31337 ? 1 : 5,
-  });
+  // Sale configuration from config/networks/<network>.json
+  const tokenContract = await ethers.getContractAt("WhitelistToken", whitelistToken.address);
+  const config = await loadDeployConfig(hre, await tokenContract.remainingMintableSupply());
+  const saleConfig = config.sale;
+  const treasuryAddress = saleConfig.treasury;
+
+  const args = getSaleArgs(config, whitelistToken.address);
+
+  const waitConfirmations = network.config.chainId === 31337 ? 1 : 5;
+
+  // With "upgradeable": true, WhitelistSaleUpgradeable behind a UUPS proxy; re-running upgrades it,
+  // so one-time setup below keys off `created` rather than newlyDeployed
+  let whitelistSale;
+  let created;
+  if (config.upgradeable) {
+    ({ deployment: whitelistSale, created } = await deployProxy(hre, "WhitelistSale", {
+      from: deployer,
+      initArgs: args,
+      log: true,
+      waitConfirmations,
+    }));
+  } else {
+    whitelistSale = await deploy("WhitelistSale", {
+      from: deployer,
+      args: args,
+      log: true,
+      waitConfirmations,
+    });
+    created = whitelistSale.newlyDeployed;
+  }
 
   log(`WhitelistSale deployed to: ${whitelistSale.address}`);
 
+  // Rounds, soft cap, vesting and the forwarder are owner calls made once, right after deployment
+  const roundArgs = getRoundArgs(config);
+  const vestingArgs = getVestingArgs(config);
+  const trustedForwarder = await resolveTrustedForwarder(hre, config);
+  if (created && saleConfig.owner === deployer) {
+    const saleContract = await ethers.getContractAt("WhitelistSale", whitelistSale.address);
+
+    for (const round of roundArgs) {
+      const roundTx = await saleContract.addRound(round);
+      await roundTx.wait();
+      log(`Added round "${round.name}"`);
+    }
+
+    // The soft cap decides where payments go, so it must be set before the sale starts
+    if (saleConfig.softCap > 0n) {
+      const softCapTx = await saleContract.setSoftCap(saleConfig.softCap);
+      await softCapTx.wait();
+      log(`Set soft cap to ${ethers.formatEther(saleConfig.softCap)} ETH`);
+    }
+
+    // Vesting must be set before claiming starts
+    if (vestingArgs) {
+      const vestingTx = await saleContract.setVestingSchedule(...vestingArgs);
+      await vestingTx.wait();
+      log(`Set ${saleConfig.vesting.mode} vesting schedule`);
+    }
+
+    if (trustedForwarder) {
+      const forwarderTx = await saleContract.setTrustedForwarder(trustedForwarder);
+      await forwarderTx.wait();
+      log(`Trusting forwarder ${trustedForwarder} for meta-transactions`);
+    }
+  } else if (created) {
+    if (roundArgs.length > 0) {
+      log(`⚠️  Sale owner must call addRound for ${roundArgs.length} configured rounds`);
+    }
+    if (saleConfig.softCap > 0n) {
+      log(`⚠️  Sale owner must call setSoftCap(${saleConfig.softCap}) before the sale starts`);
+    }
+    if (vestingArgs) {
+      log(`⚠️  Sale owner must call setVestingSchedule(${vestingArgs.join(", ")}) before claiming starts`);
+    }
+    if (trustedForwarder) {
+      log(`⚠️  Sale owner must call setTrustedForwarder(${trustedForwarder}) to accept meta-transactions`);
+    }
+  }
+
   // Transfer tokens to sale contract
-  if (network.config.chainId === 31337) {
+  if (created && network.config.chainId === 31337) {
     log("Setting up sale contract with tokens...");
 
-    const tokenContract = await ethers.getContractAt("WhitelistToken", whitelistToken.address);
-
     // Mint tokens for the sale
     const mintTx = await tokenContract.mint(whitelistSale.address, saleConfig.maxSupply);
     await mintTx.wait();
 
     log(`Minted ${ethers.formatEther(saleConfig.maxSupply)} tokens to sale contract`);
 
-    // Enable claiming immediately for local testing
+    // Enable claiming from the end of the sale for local testing
     const saleContract = await ethers.getContractAt("WhitelistSale", whitelistSale.address);
-    const claimTx = await saleContract.setClaimEnabled(true, saleConfig.startTime);
+    const claimTx = await saleContract.setClaimEnabled(true, saleConfig.endTime);
     await claimTx.wait();
 
     log("Enabled token claiming");
@@ -72,17 +124,26 @@ async function deploySale(hre) {
   log("----------------------------------------------------");
   log("Sale Deployment Summary:");
   log(`Sale Contract: ${whitelistSale.address}`);
+  if (config.upgradeable) {
+    log(`Implementation: ${whitelistSale.implementation} (UUPS proxy)`);
+  }
   log(`Token Contract: ${whitelistToken.address}`);
   log(`Treasury: ${treasuryAddress}`);
+  log(`Owner: ${saleConfig.owner}`);
   log(`Token Price: ${ethers.formatEther(saleConfig.tokenPrice)} ETH`);
   log(`Min Purchase: ${ethers.formatEther(saleConfig.minPurchase)} tokens`);
   log(`Max Purchase: ${ethers.formatEther(saleConfig.maxPurchase)} tokens`);
   log(`Max Supply: ${ethers.formatEther(saleConfig.maxSupply)} tokens`);
   log(`Start Time: ${new Date(saleConfig.startTime * 1000).toISOString()}`);
   log(`End Time: ${new Date(saleConfig.endTime * 1000).toISOString()}`);
+  log(`Rounds: ${roundArgs.map((round) => round.name).join(", ") || "none"}`);
+  log(`Soft Cap: ${saleConfig.softCap > 0n ? `${ethers.formatEther(saleConfig.softCap)} ETH` : "none"}`);
+  log(`Vesting: ${saleConfig.vesting.mode}`);
+  log(`Trusted Forwarder: ${trustedForwarder || "none"}`);
   log("----------------------------------------------------");
 }
 
-module.exports.default = deploySale;
+module.exports = deploySale;
 module.exports.tags = ["WhitelistSale", "sale"];
-module.exports.dependencies = ["WhitelistToken"];
\ No newline at end of file
+// The Forwarder dependency is a no-op unless the sale trusts our own forwarder
+module.exports.dependencies = ["WhitelistToken", "Forwarder"];
\ No newline at end of file
@@ -0,0 +1,42 @@
+const { ethers } = require("hardhat");
+const { loadDeployConfig, resolvePaymentTokens } = require("../lib/config");
+
+async function setupPaymentTokens(hre) {
+  const { deployments, getNamedAccounts } = hre;
+  const { get, log } = deployments;
+  const { deployer } = await getNamedAccounts();
+
+  const config = await loadDeployConfig(hre);
+  const paymentTokens = await resolvePaymentTokens(hre, config);
+  if (paymentTokens.length === 0) {
+    return;
+  }
+
+  log("----------------------------------------------------");
+  log("Configuring payment tokens...");
+
+  const whitelistSale = await get("WhitelistSale");
+  const sale = await ethers.getContractAt("WhitelistSale", whitelistSale.address);
+  const isOwner = (await sale.owner()) === deployer;
+
+  for (const payment of paymentTokens) {
+    const price = `${ethers.formatUnits(payment.tokenPrice, payment.decimals)} ${payment.symbol}`;
+    const current = await sale.paymentTokens(payment.address);
+
+    if (current.accepted && current.tokenPrice === payment.tokenPrice) {
+      log(`${payment.symbol} already accepted at ${price}`);
+    } else if (isOwner) {
+      const tx = await sale.setPaymentToken(payment.address, payment.tokenPrice);
+      await tx.wait();
+      log(`Accepting ${payment.symbol} (${payment.address}) at ${price} per token`);
+    } else {
+      log(`⚠️  Sale owner must call setPaymentToken(${payment.address}, ${payment.tokenPrice}) for ${payment.symbol}`);
+    }
+  }
+
+  log("----------------------------------------------------");
+}
+
+module.exports = setupPaymentTokens;
+module.exports.tags = ["PaymentTokens", "sale"];
+module.exports.dependencies = ["WhitelistSale", "mocks"];
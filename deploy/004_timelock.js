@@ -0,0 +1,57 @@
+const { ethers } = require("hardhat");
+const { loadNetworkConfig, loadDeployConfig, getTimelockArgs } = require("../lib/config");
+const { TIMELOCK_DEPLOYMENT, transferOwnership } = require("../lib/admin");
+const { formatDuration } = require("../lib/output");
+
+async function deployTimelock(hre) {
+  const { deployments, getNamedAccounts, network } = hre;
+  const { deploy, log } = deployments;
+  const { deployer } = await getNamedAccounts();
+
+  log("----------------------------------------------------");
+  log("Deploying TimelockController...");
+
+  const config = await loadDeployConfig(hre);
+  const args = getTimelockArgs(config);
+  const [minDelay, proposers, executors] = args;
+
+  const timelock = await deploy(TIMELOCK_DEPLOYMENT, {
+    contract: "TimelockController",
+    from: deployer,
+    args,
+    log: true,
+    waitConfirmations: network.config.chainId === 31337 ? 1 : 5,
+  });
+
+  log(`TimelockController deployed to: ${timelock.address}`);
+  log(`Min Delay: ${formatDuration(minDelay)}`);
+  log(`Proposers: ${proposers.join(", ")}`);
+  log(`Executors: ${executors.map((executor) => (executor === ethers.ZeroAddress ? "anyone" : executor)).join(", ")}`);
+
+  // With roles configured the AccessManager takes ownership and the timelock administers it
+  if (config.roles) {
+    log("Ownership goes to the AccessManager, with the timelock as its admin (see 006_roles)");
+    log("----------------------------------------------------");
+    return;
+  }
+
+  // Runs last so the deploy scripts above can still make their owner calls
+  const handoff = await transferOwnership(hre, timelock.address, { from: deployer });
+  for (const { name, previousOwner, transferred } of handoff) {
+    if (transferred) {
+      log(`Transferred ${name} ownership to the timelock`);
+    } else if (previousOwner === timelock.address) {
+      log(`${name} is already owned by the timelock`);
+    } else {
+      log(`⚠️  ${name} owner ${previousOwner} must call transferOwnership(${timelock.address})`);
+    }
+  }
+
+  log("----------------------------------------------------");
+}
+
+module.exports = deployTimelock;
+module.exports.tags = ["Timelock", "timelock"];
+module.exports.dependencies = ["WhitelistSale", "PaymentTokens"];
+// Only networks whose config has a "timelock" block hand ownership over
+module.exports.skip = async (hre) => !loadNetworkConfig(hre.network.name).timelock;
@@ -0,0 +1,36 @@
+const { loadNetworkConfig } = require("../lib/config");
+const { runPreflight, getConfiguredExpectations, formatPreflightCheck } = require("../lib/preflight");
+
+async function preflight(hre) {
+  const { deployments, ethers } = hre;
+  const { get, log } = deployments;
+
+  log("----------------------------------------------------");
+  log("Running preflight checks...");
+
+  const saleDeployment = await get("WhitelistSale");
+  const sale = await ethers.getContractAt("WhitelistSale", saleDeployment.address);
+  const token = await ethers.getContractAt("WhitelistToken", await sale.token());
+
+  const report = await runPreflight({
+    token,
+    sale,
+    expected: await getConfiguredExpectations(hre),
+    fromBlock: saleDeployment.receipt ? saleDeployment.receipt.blockNumber : 0,
+  });
+  report.checks.forEach((check) => log(formatPreflightCheck(check)));
+
+  if (!report.passed) {
+    throw new Error("Preflight failed; fix the deployment and re-run, or check it with `npx hardhat sale:preflight`");
+  }
+
+  log("✅ Preflight passed");
+  log("----------------------------------------------------");
+}
+
+module.exports = preflight;
+module.exports.tags = ["Preflight", "preflight"];
+// Runs after the timelock and role handoffs so the owner checks see the final owners
+module.exports.dependencies = ["WhitelistSale", "PaymentTokens", "Timelock", "Roles"];
+// Only networks whose config sets "preflight": true check the deployment
+module.exports.skip = async (hre) => loadNetworkConfig(hre.network.name).preflight !== true;
@@ -0,0 +1,77 @@
+const { ethers } = require("hardhat");
+const { loadNetworkConfig, loadDeployConfig } = require("../lib/config");
+const { TIMELOCK_DEPLOYMENT, transferOwnership } = require("../lib/admin");
+const { ACCESS_MANAGER_DEPLOYMENT, ROLES, ROLE_TARGETS, planRoleSetup } = require("../lib/roles");
+
+async function deployRoles(hre) {
+  const { deployments, getNamedAccounts, network } = hre;
+  const { deploy, get, log } = deployments;
+  const { deployer } = await getNamedAccounts();
+
+  log("----------------------------------------------------");
+  log("Deploying AccessManager...");
+
+  const config = await loadDeployConfig(hre);
+  // The timelock, when there is one, administers the roles instead of owning the contracts
+  const timelock = config.timelock ? await get(TIMELOCK_DEPLOYMENT) : null;
+  const admin = config.roles.admin || (timelock ? timelock.address : deployer);
+
+  const deployment = await deploy(ACCESS_MANAGER_DEPLOYMENT, {
+    contract: "WhitelistAccessManager",
+    from: deployer,
+    args: [deployer],
+    log: true,
+    waitConfirmations: network.config.chainId === 31337 ? 1 : 5,
+  });
+  log(`WhitelistAccessManager deployed to: ${deployment.address}`);
+
+  const handoff = await transferOwnership(hre, deployment.address, { from: deployer });
+  for (const { name, previousOwner, transferred } of handoff) {
+    if (transferred) {
+      log(`Transferred ${name} ownership to the AccessManager`);
+    } else if (previousOwner === deployment.address) {
+      log(`${name} is already owned by the AccessManager`);
+    } else {
+      log(`⚠️  ${name} owner ${previousOwner} must call transferOwnership(${deployment.address})`);
+    }
+  }
+
+  const manager = await ethers.getContractAt("WhitelistAccessManager", deployment.address, await ethers.getSigner(deployer));
+  const [isAdmin] = await manager.hasRole(ROLES.ADMIN, deployer);
+  if (!isAdmin) {
+    log(`Deployer is no longer an admin; change roles with roles:grant / roles:revoke from ${admin}`);
+    log("----------------------------------------------------");
+    return;
+  }
+
+  const targets = {};
+  for (const [key, name] of Object.entries(ROLE_TARGETS)) {
+    targets[key] = name === ACCESS_MANAGER_DEPLOYMENT ? deployment : await get(name);
+  }
+  const steps = await planRoleSetup(manager, {
+    interfaces: Object.fromEntries(Object.entries(targets).map(([key, { abi }]) => [key, new ethers.Interface(abi)])),
+    addresses: Object.fromEntries(Object.entries(targets).map(([key, { address }]) => [key, address])),
+    members: config.roles.members,
+    admin,
+    deployer,
+    fromBlock: deployment.receipt ? deployment.receipt.blockNumber : 0,
+  });
+
+  for (const step of steps) {
+    const tx = await manager[step.method](...step.args);
+    await tx.wait();
+    log(step.description);
+  }
+  if (steps.length === 0) {
+    log("Roles already configured");
+  }
+
+  log("----------------------------------------------------");
+}
+
+module.exports = deployRoles;
+module.exports.tags = ["Roles", "roles"];
+// The Timelock dependency is a no-op unless the timelock is configured
+module.exports.dependencies = ["WhitelistSale", "PaymentTokens", "Timelock"];
+// Only networks whose config has a "roles" block split ownership into roles
+module.exports.skip = async (hre) => !loadNetworkConfig(hre.network.name).roles;
@@ -5,6 +5,8 @@ import "hardhat-deploy";
 import "hardhat-gas-reporter";
 import "solidity-coverage";
 
+import "./tasks";
+
 import dotenv from "dotenv";
 dotenv.config();
 
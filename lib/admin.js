@@ -0,0 +1,554 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { resolveTime } = require("./config");
+const { resolveAddress } = require("./deployments");
+const { readProofFile } = require("./merkle");
+const { toJson } = require("./output");
+const { ACCESS_MANAGER_DEPLOYMENT, ROLES, getAccessManager, readRoles } = require("./roles");
+
+// ============================================
+// ADMIN TRANSACTIONS
+// Owner-only calls on WhitelistToken / WhitelistSale built from high-level
+// intents, then sent by the owner directly or scheduled and executed through
+// the TimelockController that owns them. When a WhitelistAccessManager owns
+// them, each call goes through manager.execute instead, from role members or
+// from the timelock that administers the manager. Batches can be exported as
+// Safe Transaction Builder JSON for a multisig proposer.
+// ============================================
+
+// Deployment names intents refer to as "token" / "sale"
+const ADMIN_TARGETS = { token: "WhitelistToken", sale: "WhitelistSale" };
+
+const TIMELOCK_DEPLOYMENT = "Timelock";
+
+// Version of the Safe Transaction Builder app the exported files follow
+const SAFE_TX_BUILDER_VERSION = "1.16.5";
+
+/**
+ * Parses a decimal amount (string or number) into the token's smallest unit
+ */
+function parseAmount(value, field, decimals = 18) {
+  if (value === undefined || value === null || !/^\d+(\.\d+)?$/.test(String(value))) {
+    throw new Error(`${field} must be a positive decimal amount`);
+  }
+  return ethers.parseUnits(String(value), decimals);
+}
+
+/**
+ * Checksummed address, or an error naming the intent field
+ */
+function parseAddress(value, field) {
+  if (!value || !ethers.isAddress(value)) {
+    throw new Error(`${field} must be an address`);
+  }
+  return ethers.getAddress(value);
+}
+
+/**
+ * Strict boolean, so "false" in a JSON file is not read as true
+ */
+function parseBool(value, field) {
+  if (typeof value !== "boolean") {
+    throw new Error(`${field} must be true or false`);
+  }
+  return value;
+}
+
+// High-level intents: which contract ("token" / "sale", or the intent's own "target"),
+// which function, and how the intent's fields become its arguments
+const ADMIN_INTENTS = {
+  "pause-sale": { target: "sale", method: "pause" },
+  "unpause-sale": { target: "sale", method: "unpause" },
+  "pause-token": { target: "token", method: "pause" },
+  "unpause-token": { target: "token", method: "unpause" },
+  mint: {
+    target: "token",
+    method: "mint",
+    args: (intent) => [parseAddress(intent.to, "to"), parseAmount(intent.amount, "amount")],
+  },
+  "set-merkle-root": {
+    target: "sale",
+    method: "setMerkleRoot",
+    // A merkle:build proofs file or a literal root
+    args: (intent) => {
+      const root = intent.proofs ? readProofFile(intent.proofs).root : intent.root;
+      if (!ethers.isHexString(root, 32)) {
+        throw new Error("root must be a 32-byte hex string (or pass proofs)");
+      }
+      return [root];
+    },
+  },
+  "set-transfer-restrictions": {
+    target: "token",
+    method: "setTransferRestrictions",
+    args: (intent) => [parseBool(intent.restricted, "restricted")],
+  },
+  whitelist: {
+    method: "updateWhitelistBatch",
+    args: (intent) => {
+      if (!Array.isArray(intent.accounts) || intent.accounts.length === 0) {
+        throw new Error("accounts must be a non-empty array of addresses");
+      }
+      const accounts = intent.accounts.map((account, i) => parseAddress(account, `accounts[${i}]`));
+      return [accounts, intent.whitelisted === undefined ? true : parseBool(intent.whitelisted, "whitelisted")];
+    },
+  },
+  "set-claim-enabled": {
+    target: "sale",
+    method: "setClaimEnabled",
+    args: (intent, { now, allowRelative }) => [
+      parseBool(intent.enabled, "enabled"),
+      intent.claimStartTime === undefined ? now : resolveTime(intent.claimStartTime, now, allowRelative),
+    ],
+  },
+  // Unset fields keep their current on-chain values
+  "update-sale-config": {
+    target: "sale",
+    method: "updateSaleConfig",
+    args: async (intent, { contract, now, allowRelative }) => {
+      const current = await contract.saleConfig();
+      const amount = (field) => (intent[field] === undefined ? current[field] : parseAmount(intent[field], field));
+      const time = (field) =>
+        intent[field] === undefined ? current[field] : resolveTime(intent[field], now, allowRelative);
+      return [
+        amount("tokenPrice"),
+        amount("minPurchase"),
+        amount("maxPurchase"),
+        amount("maxSupply"),
+        time("startTime"),
+        time("endTime"),
+        intent.whitelistRequired === undefined
+          ? current.whitelistRequired
+          : parseBool(intent.whitelistRequired, "whitelistRequired"),
+      ];
+    },
+  },
+  // Withdrawn funds go to the sale's owner
+  "emergency-withdraw": {
+    target: "sale",
+    method: "emergencyWithdraw",
+    args: async (intent, { contract, provider }) => {
+      const tokenAddress = intent.token === "token" ? await contract.token() : parseAddress(intent.token, "token");
+      const erc20 = new ethers.Contract(tokenAddress, ["function decimals() view returns (uint8)"], provider);
+      return [tokenAddress, parseAmount(intent.amount, "amount", await erc20.decimals())];
+    },
+  },
+  "emergency-withdraw-eth": { target: "sale", method: "emergencyWithdrawETH" },
+  "transfer-ownership": {
+    method: "transferOwnership",
+    args: (intent) => [parseAddress(intent.to, "to")],
+  },
+};
+
+/**
+ * Contract for an intent target, using the deployment's ABI (which includes the proxy
+ * functions for upgradeable deployments) when the address is the deployed one
+ */
+async function getTargetContract(hre, target, overrides = {}) {
+  const name = ADMIN_TARGETS[target];
+  if (!name) {
+    throw new Error(`target must be one of ${Object.keys(ADMIN_TARGETS).join(", ")}`);
+  }
+  const address = await resolveAddress(hre, name, overrides[target]);
+  const deployment = await hre.deployments.getOrNull(name);
+  const abi = deployment && deployment.address === address ? deployment.abi : (await hre.artifacts.readArtifact(name)).abi;
+  return new ethers.Contract(address, abi, hre.ethers.provider);
+}
+
+/**
+ * Formats an argument for descriptions: addresses and hashes as-is, arrays inline
+ */
+function formatArg(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatArg).join(", ")}]`;
+  }
+  return String(value);
+}
+
+/**
+ * Turns intents into encoded calls. Each intent is { action, ...fields } from ADMIN_INTENTS,
+ * or a raw call { target, method, args, value } for anything else.
+ * @param {HardhatRuntimeEnvironment} hre
+ * @param {Object[]} intents
+ * @param {{ token?: string, sale?: string }} [overrides] Addresses instead of the deployments
+ * @returns {Promise<Array<{ action: string, target: string, to: string, value: bigint, method: string,
+ *   args: Array, data: string, description: string }>>}
+ */
+async function buildAdminCalls(hre, intents, overrides = {}) {
+  if (!Array.isArray(intents) || intents.length === 0) {
+    throw new Error("No intents; expected a non-empty array");
+  }
+  const { timestamp: now } = await hre.ethers.provider.getBlock("latest");
+  const allowRelative = hre.network.config.chainId === 31337;
+  const calls = [];
+
+  for (const [i, intent] of intents.entries()) {
+    const label = `intents[${i}] (${intent.action || "raw call"})`;
+    try {
+      const definition = intent.action ? ADMIN_INTENTS[intent.action] : { method: intent.method };
+      if (!definition) {
+        throw new Error(`unknown action; use one of ${Object.keys(ADMIN_INTENTS).join(", ")} or a raw call`);
+      }
+      if (!definition.method) {
+        throw new Error("raw calls need a method");
+      }
+
+      const target = definition.target || intent.target;
+      const contract = await getTargetContract(hre, target, overrides);
+      const args = definition.args
+        ? await definition.args(intent, { contract, now, allowRelative, provider: hre.ethers.provider })
+        : intent.args || [];
+      const value = intent.value === undefined ? 0n : parseAmount(intent.value, "value");
+      const fragment = contract.interface.getFunction(definition.method);
+      if (!fragment) {
+        throw new Error(`${ADMIN_TARGETS[target]} has no function ${definition.method}`);
+      }
+
+      calls.push({
+        action: intent.action || "call",
+        target,
+        to: await contract.getAddress(),
+        value,
+        method: fragment.format("sighash"),
+        args,
+        data: contract.interface.encodeFunctionData(fragment, args),
+        description: `${ADMIN_TARGETS[target]}.${fragment.name}(${args.map(formatArg).join(", ")})`,
+      });
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  }
+
+  return calls;
+}
+
+/**
+ * TimelockController at `address`, or null when the address is an EOA or another contract
+ */
+async function getTimelock(hre, address) {
+  if ((await hre.ethers.provider.getCode(address)) === "0x") {
+    return null;
+  }
+  const timelock = await hre.ethers.getContractAt("TimelockController", address);
+  try {
+    await timelock.getMinDelay();
+    return timelock;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * TimelockController holding ADMIN_ROLE on an AccessManager, or null
+ */
+async function getManagerTimelock(hre, manager) {
+  const deployment = await hre.deployments.getOrNull(ACCESS_MANAGER_DEPLOYMENT);
+  const isDeployment = deployment && deployment.address === manager.target;
+  const fromBlock = isDeployment && deployment.receipt ? deployment.receipt.blockNumber : 0;
+  const { members } = await readRoles(manager, { fromBlock });
+  for (const member of members) {
+    if (member.role === ROLES.ADMIN && member.active) {
+      const timelock = await getTimelock(hre, member.account);
+      if (timelock) {
+        return timelock;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether `account` may make every call through the manager without an execution delay
+ */
+async function canCallThroughManager(manager, account, calls) {
+  for (const call of calls) {
+    const [immediate] = await manager.canCall(account, call.to, call.data.slice(0, 10));
+    if (!immediate) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Whether `address` may send a batch's transactions without a timelock: the owner itself,
+ * or an account whose roles on the owning AccessManager allow every call
+ */
+async function canSendAdminBatch(hre, batch, address) {
+  if (!batch.manager) {
+    return address === batch.owner;
+  }
+  const manager = await getAccessManager(hre, batch.manager);
+  return manager !== null && canCallThroughManager(manager, address, batch.calls);
+}
+
+/**
+ * The account every call must come from: the common owner of the targeted contracts
+ */
+async function resolveCallOwner(hre, calls) {
+  const owners = {};
+  for (const call of calls) {
+    if (!owners[call.to]) {
+      const contract = new ethers.Contract(call.to, ["function owner() view returns (address)"], hre.ethers.provider);
+      owners[call.to] = await contract.owner();
+    }
+  }
+
+  const distinct = [...new Set(Object.values(owners))];
+  if (distinct.length > 1) {
+    throw new Error(
+      `The batch targets contracts with different owners (${Object.entries(owners)
+        .map(([address, owner]) => `${address} owned by ${owner}`)
+        .join(", ")}); split it per owner`
+    );
+  }
+  return distinct[0];
+}
+
+/**
+ * Id TimelockController.hashOperationBatch returns for these calls
+ */
+function hashTimelockOperation(calls, predecessor, salt) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address[]", "uint256[]", "bytes[]", "bytes32", "bytes32"],
+      [calls.map((call) => call.to), calls.map((call) => call.value), calls.map((call) => call.data), predecessor, salt]
+    )
+  );
+}
+
+/**
+ * Resolves a salt: 32-byte hex as-is, any other text hashed, random when unset
+ */
+function resolveSalt(salt) {
+  if (!salt) {
+    return ethers.hexlify(ethers.randomBytes(32));
+  }
+  return ethers.isHexString(salt, 32) ? salt : ethers.id(salt);
+}
+
+/**
+ * Builds an admin batch: the encoded calls, the transactions that send them (each call wrapped
+ * in manager.execute when an AccessManager owns the contracts) and, when the owner is a
+ * TimelockController or a timelock administers the manager and may make every call, the
+ * scheduleBatch / executeBatch transactions that run them after the delay
+ * @param {{ intents: Object[], overrides?: Object, salt?: string, predecessor?: string, delay?: number }} options
+ *   delay defaults to the timelock's minimum delay
+ */
+async function buildAdminBatch(hre, options) {
+  const calls = await buildAdminCalls(hre, options.intents, options.overrides);
+  const owner = await resolveCallOwner(hre, calls);
+  const manager = await getAccessManager(hre, owner);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const batch = {
+    network: hre.network.name,
+    chainId: chainId.toString(),
+    createdAt: new Date().toISOString(),
+    owner,
+    manager: manager ? owner : null,
+    calls,
+    transactions: calls.map((call) =>
+      manager
+        ? { to: owner, value: call.value, data: manager.interface.encodeFunctionData("execute", [call.to, call.data]) }
+        : { to: call.to, value: call.value, data: call.data }
+    ),
+    timelock: null,
+  };
+
+  let timelock = manager ? await getManagerTimelock(hre, manager) : await getTimelock(hre, owner);
+  // Calls the timelock holds no role for are left to the role members
+  if (timelock && manager && !(await canCallThroughManager(manager, timelock.target, calls))) {
+    timelock = null;
+  }
+  if (!timelock) {
+    return batch;
+  }
+
+  const minDelay = await timelock.getMinDelay();
+  const delay = options.delay === undefined ? minDelay : BigInt(options.delay);
+  if (delay < minDelay) {
+    throw new Error(`Delay ${delay}s is below the timelock's minimum delay of ${minDelay}s`);
+  }
+  const predecessor = options.predecessor || ethers.ZeroHash;
+  const salt = resolveSalt(options.salt);
+  const { transactions } = batch;
+  const batchArgs = [transactions.map((tx) => tx.to), transactions.map((tx) => tx.value), transactions.map((tx) => tx.data), predecessor, salt];
+  const totalValue = transactions.reduce((total, tx) => total + tx.value, 0n);
+
+  batch.timelock = {
+    address: timelock.target,
+    minDelay,
+    delay,
+    predecessor,
+    salt,
+    operationId: hashTimelockOperation(transactions, predecessor, salt),
+    schedule: {
+      to: timelock.target,
+      value: 0n,
+      data: timelock.interface.encodeFunctionData("scheduleBatch", [...batchArgs, delay]),
+    },
+    // ETH the calls forward is sent along with executeBatch
+    execute: {
+      to: timelock.target,
+      value: totalValue,
+      data: timelock.interface.encodeFunctionData("executeBatch", batchArgs),
+    },
+  };
+  return batch;
+}
+
+/**
+ * Safe Transaction Builder batch file ("Load" in the Transaction Builder app)
+ * @param {string} chainId
+ * @param {Array<{ to: string, value: bigint, data: string }>} transactions
+ * @param {{ name: string, description?: string, safe?: string }} meta
+ */
+function toSafeTransactionBatch(chainId, transactions, { name, description = "", safe = "" }) {
+  return {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      txBuilderVersion: SAFE_TX_BUILDER_VERSION,
+      createdFromSafeAddress: safe,
+      createdFromOwnerAddress: "",
+    },
+    transactions: transactions.map((tx) => ({
+      to: tx.to,
+      value: tx.value.toString(),
+      data: tx.data,
+      contractMethod: null,
+      contractInputsValues: null,
+    })),
+  };
+}
+
+/**
+ * Safe batches for an admin batch: the transactions themselves when the Safe owns the contracts
+ * (or holds the roles on their AccessManager), or one schedule and one execute batch when a
+ * timelock does
+ * @returns {Object<string, Object>} Batch files by kind ("calls", or "schedule" and "execute")
+ */
+function toSafeBatches(batch, { name = "Admin batch", safe } = {}) {
+  const description = batch.calls.map((call) => call.description).join("; ");
+  if (!batch.timelock) {
+    return { calls: toSafeTransactionBatch(batch.chainId, batch.transactions, { name, description, safe }) };
+  }
+  return {
+    schedule: toSafeTransactionBatch(batch.chainId, [batch.timelock.schedule], {
+      name: `${name}: schedule`,
+      description: `Schedule ${batch.timelock.operationId} on ${batch.timelock.address}: ${description}`,
+      safe,
+    }),
+    execute: toSafeTransactionBatch(batch.chainId, [batch.timelock.execute], {
+      name: `${name}: execute`,
+      description: `Execute ${batch.timelock.operationId} on ${batch.timelock.address}: ${description}`,
+      safe,
+    }),
+  };
+}
+
+/**
+ * Writes a batch file (bigints as decimal strings)
+ */
+function writeAdminBatch(file, batch) {
+  fs.writeFileSync(file, `${toJson(batch)}\n`);
+}
+
+/**
+ * Safe batch file next to the admin batch, e.g. admin-batch.schedule.safe.json
+ */
+function safeBatchFile(output, kind) {
+  const base = output.replace(/\.json$/, "");
+  return kind === "calls" ? `${base}.safe.json` : `${base}.${kind}.safe.json`;
+}
+
+/**
+ * Writes a batch file plus its Safe Transaction Builder files next to it
+ * @returns {Object<string, string>} Files written: "batch", and "calls" or "schedule" and "execute"
+ */
+function writeAdminBatchFiles(output, batch, { name, safe } = {}) {
+  writeAdminBatch(output, batch);
+  const files = { batch: output };
+  for (const [kind, safeBatch] of Object.entries(toSafeBatches(batch, { name, safe }))) {
+    files[kind] = safeBatchFile(output, kind);
+    fs.writeFileSync(files[kind], `${toJson(safeBatch)}\n`);
+  }
+  return files;
+}
+
+/**
+ * Reads a batch file written by writeAdminBatch
+ */
+function readAdminBatch(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Admin batch ${file} not found; run admin:build first`);
+  }
+  const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+  const toCall = (tx) => ({ ...tx, value: BigInt(tx.value) });
+  batch.calls = batch.calls.map(toCall);
+  batch.transactions = batch.transactions.map(toCall);
+  if (batch.timelock) {
+    batch.timelock.schedule = toCall(batch.timelock.schedule);
+    batch.timelock.execute = toCall(batch.timelock.execute);
+  }
+  return batch;
+}
+
+/**
+ * State of a batch's timelock operation: unset, waiting, ready or done
+ * @returns {Promise<{ state: string, readyAt: bigint }>}
+ */
+async function getOperationState(hre, batch) {
+  const timelock = await hre.ethers.getContractAt("TimelockController", batch.timelock.address);
+  const [state, timestamp] = await Promise.all([
+    timelock.getOperationState(batch.timelock.operationId),
+    timelock.getTimestamp(batch.timelock.operationId),
+  ]);
+  return { state: ["unset", "waiting", "ready", "done"][Number(state)], readyAt: timestamp };
+}
+
+/**
+ * Transfers ownership of the deployed token and sale to `newOwner` where `from` still owns them
+ * @returns {Promise<Array<{ name: string, address: string, previousOwner: string, transferred: boolean }>>}
+ */
+async function transferOwnership(hre, newOwner, { from }) {
+  const signer = await hre.ethers.getSigner(from);
+  const results = [];
+
+  for (const name of Object.values(ADMIN_TARGETS)) {
+    const { address } = await hre.deployments.get(name);
+    const contract = await hre.ethers.getContractAt(name, address, signer);
+    const previousOwner = await contract.owner();
+
+    const transferred = previousOwner === from && previousOwner !== newOwner;
+    if (transferred) {
+      const tx = await contract.transferOwnership(newOwner);
+      await tx.wait();
+    }
+    results.push({ name, address, previousOwner, transferred });
+  }
+
+  return results;
+}
+
+module.exports = {
+  ADMIN_TARGETS,
+  ADMIN_INTENTS,
+  TIMELOCK_DEPLOYMENT,
+  buildAdminCalls,
+  buildAdminBatch,
+  getTimelock,
+  getManagerTimelock,
+  canSendAdminBatch,
+  hashTimelockOperation,
+  toSafeTransactionBatch,
+  toSafeBatches,
+  writeAdminBatch,
+  writeAdminBatchFiles,
+  readAdminBatch,
+  getOperationState,
+  transferOwnership,
+};
@@ -0,0 +1,250 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { MAX_BATCH_SIZE } = require("./whitelist");
+const { toJson } = require("./output");
+
+// ============================================
+// TOKEN AIRDROPS
+// Validates address,amount distribution lists and sizes the
+// mintBatch / transferBatch calls that deliver them
+// ============================================
+
+const DISTRIBUTION_MODES = ["mint", "transfer"];
+
+/**
+ * Parses one address cell, telling a bad checksum apart from a malformed address
+ * @returns {{ address?: string, error?: string }}
+ */
+function parseRecipient(value) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    return { error: `invalid address "${value}"` };
+  }
+  if (!ethers.isAddress(value)) {
+    return { error: `bad checksum for ${value} (expected ${ethers.getAddress(value.toLowerCase())})` };
+  }
+
+  const address = ethers.getAddress(value);
+  if (address === ethers.ZeroAddress) {
+    return { error: "the zero address cannot receive tokens" };
+  }
+  return { address };
+}
+
+/**
+ * Parses an address,amount CSV (amounts in whole tokens, optional header row)
+ * and collects every problem instead of stopping at the first one
+ * @param {string} content CSV content
+ * @returns {{ entries: { address: string, amount: bigint, line: number }[], errors: string[], total: bigint }}
+ */
+function parseDistribution(content) {
+  const entries = [];
+  const errors = [];
+  const seen = new Map();
+
+  content.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const cells = raw.split(",").map((cell) => cell.trim());
+    if (cells[0] === "" || cells[0].startsWith("#")) {
+      return;
+    }
+    // Skip a header row such as "address,amount"
+    if (index === 0 && !cells[0].startsWith("0x")) {
+      return;
+    }
+    if (cells.length !== 2) {
+      errors.push(`line ${line}: expected "address,amount"`);
+      return;
+    }
+
+    const { address, error } = parseRecipient(cells[0]);
+    if (error) {
+      errors.push(`line ${line}: ${error}`);
+    }
+
+    let amount;
+    try {
+      amount = ethers.parseEther(cells[1]);
+    } catch {
+      errors.push(`line ${line}: invalid amount "${cells[1]}"`);
+    }
+    if (amount !== undefined && amount <= 0n) {
+      errors.push(`line ${line}: amount must be greater than 0`);
+    }
+
+    if (!address) {
+      return;
+    }
+    if (seen.has(address)) {
+      errors.push(`line ${line}: duplicate of line ${seen.get(address)} (${address})`);
+      return;
+    }
+    seen.set(address, line);
+    if (amount > 0n) {
+      entries.push({ address, amount, line });
+    }
+  });
+
+  if (entries.length === 0 && errors.length === 0) {
+    errors.push("no recipients");
+  }
+
+  const total = entries.reduce((sum, entry) => sum + entry.amount, 0n);
+  return { entries, errors, total };
+}
+
+/**
+ * Reads and validates a distribution CSV, failing with every problem found
+ */
+function loadDistribution(file) {
+  const distribution = parseDistribution(fs.readFileSync(file, "utf8"));
+  if (distribution.errors.length > 0) {
+    throw new Error(`Invalid distribution ${file}:\n  ${distribution.errors.join("\n  ")}`);
+  }
+  return distribution;
+}
+
+/**
+ * Sends one batch of a distribution
+ * @param {Contract} token WhitelistToken connected to the sender
+ * @param {"mint"|"transfer"} mode
+ * @param {string[]} recipients
+ * @param {bigint[]} amounts
+ * @param {boolean} [single] Use mint/transfer for a one-recipient batch (tokens without the batch functions)
+ */
+function distributionCall(token, mode, recipients, amounts, single = false) {
+  if (single) {
+    return mode === "mint" ? token.mint(recipients[0], amounts[0]) : token.transfer(recipients[0], amounts[0]);
+  }
+  return mode === "mint" ? token.mintBatch(recipients, amounts) : token.transferBatch(recipients, amounts);
+}
+
+/**
+ * Picks how many recipients fit in one mintBatch / transferBatch call under `maxGas`
+ * @param {Contract} token WhitelistToken connected to the sender
+ * @param {"mint"|"transfer"} mode
+ * @param {{ address: string, amount: bigint }[]} entries Recipients still to plan
+ * @param {bigint} maxGas Gas budget per transaction
+ */
+async function estimateDistributionSize(token, mode, entries, maxGas) {
+  let size = Math.min(entries.length, MAX_BATCH_SIZE);
+
+  while (size > 1) {
+    const part = entries.slice(0, size);
+    const estimate = mode === "mint" ? token.mintBatch.estimateGas : token.transferBatch.estimateGas;
+    const gas = await estimate(
+      part.map((entry) => entry.address),
+      part.map((entry) => entry.amount)
+    );
+    if (gas <= maxGas) {
+      break;
+    }
+    // Scale down proportionally, always making progress
+    size = Math.min(size - 1, Math.floor((size * Number(maxGas)) / Number(gas)));
+  }
+
+  return Math.max(size, 1);
+}
+
+/**
+ * Splits a distribution into journal batches sized by estimateDistributionSize.
+ * The first batch's size is reused for the rest, which cost the same per recipient.
+ * @returns {Promise<{ action: string, recipients: string[], amounts: string[] }[]>}
+ */
+async function planDistributionBatches(token, mode, entries, { maxGas, single = false }) {
+  const size = single ? 1 : await estimateDistributionSize(token, mode, entries, maxGas);
+  const batches = [];
+
+  for (let i = 0; i < entries.length; i += size) {
+    const part = entries.slice(i, i + size);
+    batches.push({
+      action: mode,
+      recipients: part.map((entry) => entry.address),
+      amounts: part.map((entry) => entry.amount.toString()),
+    });
+  }
+  return batches;
+}
+
+/**
+ * Compares what the distribution should have delivered with the Transfer events
+ * of the journal's confirmed transactions
+ * @param {Object} options
+ * @param {Provider} options.provider
+ * @param {Contract} options.token WhitelistToken
+ * @param {Object} options.journal Airdrop journal
+ * @param {{ address: string, amount: bigint }[]} options.entries Validated distribution
+ * @param {"mint"|"transfer"} options.mode
+ * @param {string} options.sender Account that sent the distribution
+ */
+async function reconcileDistribution({ provider, token, journal, entries, mode, sender }) {
+  const tokenAddress = await token.getAddress();
+  const from = mode === "mint" ? ethers.ZeroAddress : sender;
+  const delivered = new Map();
+  const transactions = [];
+  let gasUsed = 0n;
+
+  for (const batch of journal.batches) {
+    if (batch.action === "whitelist" || batch.status !== "confirmed") {
+      continue;
+    }
+
+    const receipt = await provider.getTransactionReceipt(batch.txHash);
+    gasUsed += receipt.gasUsed;
+    transactions.push({ hash: batch.txHash, blockNumber: receipt.blockNumber, recipients: batch.recipients.length });
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== tokenAddress.toLowerCase()) {
+        continue;
+      }
+      const parsed = token.interface.parseLog(log);
+      if (parsed && parsed.name === "Transfer" && parsed.args.from === from) {
+        const to = parsed.args.to;
+        delivered.set(to, (delivered.get(to) || 0n) + parsed.args.value);
+      }
+    }
+  }
+
+  const recipients = entries.map((entry) => {
+    const received = delivered.get(entry.address) || 0n;
+    const status = received === entry.amount ? "ok" : received === 0n ? "missing" : "mismatch";
+    return { address: entry.address, expected: entry.amount, delivered: received, status };
+  });
+  const planned = entries.reduce((sum, entry) => sum + entry.amount, 0n);
+  const total = recipients.reduce((sum, recipient) => sum + recipient.delivered, 0n);
+
+  return {
+    token: tokenAddress,
+    mode,
+    sender,
+    planId: journal.planId,
+    complete: recipients.every((recipient) => recipient.status === "ok"),
+    planned,
+    delivered: total,
+    recipients,
+    transactions,
+    gasUsed,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Writes a reconciliation report atomically
+ */
+function writeReconciliation(file, report) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, toJson(report) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+module.exports = {
+  DISTRIBUTION_MODES,
+  parseDistribution,
+  loadDistribution,
+  distributionCall,
+  estimateDistributionSize,
+  planDistributionBatches,
+  reconcileDistribution,
+  writeReconciliation,
+};
@@ -0,0 +1,151 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// ============================================
+// ALLOWLIST / ADDRESS LIST HELPERS
+// ============================================
+
+/**
+ * Returns the checksummed form of an address, or throws if it is invalid
+ * @param {string} value Raw address as read from the allowlist
+ */
+function normalizeAddress(value) {
+  const trimmed = String(value).trim();
+  if (!ethers.isAddress(trimmed)) {
+    throw new Error(`Invalid address: ${trimmed}`);
+  }
+
+  const address = ethers.getAddress(trimmed);
+  if (address === ethers.ZeroAddress) {
+    throw new Error("Zero address cannot be whitelisted");
+  }
+  return address;
+}
+
+/**
+ * Extracts raw address entries from CSV content (first column, optional header)
+ */
+function parseCsv(content) {
+  const entries = [];
+  const lines = content.split(/\r?\n/);
+
+  lines.forEach((line, index) => {
+    const cell = line.split(",")[0].trim();
+    if (cell === "" || cell.startsWith("#")) {
+      return;
+    }
+    // Skip a header row such as "address,amount"
+    if (index === 0 && !cell.startsWith("0x")) {
+      return;
+    }
+    entries.push({ value: cell, source: `line ${index + 1}` });
+  });
+
+  return entries;
+}
+
+/**
+ * Extracts raw address entries from JSON content.
+ * Accepts ["0x..."], [{ address: "0x..." }] or { addresses: [...] }.
+ */
+function parseJson(content) {
+  const data = JSON.parse(content);
+  const list = Array.isArray(data) ? data : data.addresses;
+
+  if (!Array.isArray(list)) {
+    throw new Error("JSON allowlist must be an array or an object with an \"addresses\" array");
+  }
+
+  return list.map((item, index) => ({
+    value: typeof item === "string" ? item : item && item.address,
+    source: `entry ${index}`,
+  }));
+}
+
+/**
+ * Parses allowlist content, normalizing and de-duplicating addresses
+ * @param {string} content File content
+ * @param {"csv"|"json"} format Content format
+ * @returns {{ addresses: string[], duplicates: string[] }}
+ */
+function parseAllowlist(content, format) {
+  let entries;
+  if (format === "json") {
+    entries = parseJson(content);
+  } else if (format === "csv") {
+    entries = parseCsv(content);
+  } else {
+    throw new Error(`Unsupported allowlist format: ${format}`);
+  }
+
+  const seen = new Set();
+  const addresses = [];
+  const duplicates = [];
+
+  for (const entry of entries) {
+    let address;
+    try {
+      address = normalizeAddress(entry.value);
+    } catch (error) {
+      throw new Error(`${error.message} (${entry.source})`);
+    }
+
+    if (seen.has(address)) {
+      duplicates.push(address);
+      continue;
+    }
+    seen.add(address);
+    addresses.push(address);
+  }
+
+  return { addresses, duplicates };
+}
+
+/**
+ * Reads an allowlist file; the format is taken from the file extension
+ * @param {string} file Path to a .csv or .json allowlist
+ */
+function loadAllowlist(file) {
+  const extension = path.extname(file).toLowerCase();
+  const format = extension === ".json" ? "json" : "csv";
+  return parseAllowlist(fs.readFileSync(file, "utf8"), format);
+}
+
+/**
+ * Parses a comma-separated address list as passed on the command line
+ * @param {string} value e.g. "0xabc...,0xdef..."
+ */
+function parseAddressList(value) {
+  const addresses = value
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item !== "")
+    .map(normalizeAddress);
+
+  return [...new Set(addresses)];
+}
+
+/**
+ * Collects addresses from a CLI list and/or an allowlist file
+ * @param {{ addresses?: string, file?: string }} options
+ * @returns {string[]} Normalized, de-duplicated addresses
+ */
+function collectAddresses({ addresses, file }) {
+  const collected = [];
+  if (addresses) {
+    collected.push(...parseAddressList(addresses));
+  }
+  if (file) {
+    collected.push(...loadAllowlist(file).addresses);
+  }
+  return [...new Set(collected)];
+}
+
+module.exports = {
+  normalizeAddress,
+  parseAllowlist,
+  loadAllowlist,
+  parseAddressList,
+  collectAddresses,
+};
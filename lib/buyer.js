@@ -0,0 +1,203 @@
+const { ethers } = require("ethers");
+const { formatTimestamp } = require("./output");
+const { readRounds } = require("./state");
+const { getProof, verifyProof } = require("./merkle");
+
+// ============================================
+// BUYER FLOW
+// Mirrors WhitelistSale's purchase and claim requirements off-chain
+// so the CLI can explain why a call would revert before sending it
+// ============================================
+
+const tokens = (amount) => `${ethers.formatEther(amount)} tokens`;
+
+/**
+ * Picks the proof a buyer needs for `root`, or explains why there is none
+ * @param {Object} [proofData] merkle:build proof file (readProofFile)
+ * @returns {{ proof: string[], reason?: string }}
+ */
+function findProof(proofData, buyer, root) {
+  if (root === ethers.ZeroHash) {
+    return { proof: [], reason: "no Merkle root is set on-chain" };
+  }
+  if (!proofData) {
+    return { proof: [], reason: "no proof file was given" };
+  }
+  if (proofData.root !== root) {
+    return { proof: [], reason: `the proof file's root ${proofData.root} is not the on-chain root ${root}` };
+  }
+  const proof = getProof(proofData, buyer);
+  if (!proof) {
+    return { proof: [], reason: `${buyer} is not in the proof file` };
+  }
+  if (!verifyProof(root, buyer, proof)) {
+    return { proof: [], reason: `the proof for ${buyer} does not verify against ${root}` };
+  }
+  return { proof };
+}
+
+/**
+ * Checks a purchaseTokens call the way WhitelistSale would
+ * @param {Contract} sale WhitelistSale contract
+ * @param {string} buyer Buyer address
+ * @param {bigint} tokenAmount Tokens to buy (wei)
+ * @param {Object} [proofData] merkle:build proof file, read only when the buyer is not whitelisted
+ * @returns {Promise<{ ok: boolean, reasons: string[], tokenPrice: bigint, cost: bigint,
+ *   round: Object | null, proof: string[] }>}
+ */
+async function checkPurchase(sale, buyer, tokenAmount, proofData) {
+  const provider = sale.runner.provider;
+  const [config, paused, totalSold, totalPurchased, whitelisted, merkleRoot, currentRound, block] = await Promise.all([
+    sale.saleConfig(),
+    sale.paused(),
+    sale.totalSold(),
+    sale.totalPurchased(buyer),
+    sale.whitelist(buyer),
+    sale.merkleRoot(),
+    sale.currentRound(),
+    provider.getBlock("latest"),
+  ]);
+  const now = BigInt(block.timestamp);
+  const rounds = await readRounds(sale, now);
+  const reasons = [];
+  let proof = [];
+
+  if (paused) {
+    reasons.push("The sale is paused");
+  }
+  if (tokenAmount <= 0n) {
+    reasons.push("The amount must be greater than 0");
+  }
+  if (now < config.startTime) {
+    reasons.push(`The sale starts at ${formatTimestamp(config.startTime)}`);
+  } else if (now > config.endTime) {
+    reasons.push(`The sale ended at ${formatTimestamp(config.endTime)}`);
+  }
+  if (totalSold >= config.maxSupply) {
+    reasons.push("The sale is sold out");
+  } else if (totalSold + tokenAmount > config.maxSupply) {
+    reasons.push(`Only ${tokens(config.maxSupply - totalSold)} are left in the sale`);
+  }
+
+  // With rounds, the active round's terms replace the sale-wide limits
+  if (rounds.length > 0) {
+    const current = currentRound.found ? rounds[Number(currentRound.roundId)] : null;
+    if (!current) {
+      reasons.push("No round is active");
+      return { ok: false, reasons, tokenPrice: config.tokenPrice, cost: 0n, round: null, proof };
+    }
+
+    const purchased = await sale.roundPurchased(current.id, buyer);
+    if (current.remaining === 0n) {
+      reasons.push(`Round "${current.name}" is sold out`);
+    } else if (tokenAmount > current.remaining) {
+      reasons.push(`Only ${tokens(current.remaining)} are left in round "${current.name}"`);
+    }
+    if (tokenAmount < current.minPurchase) {
+      reasons.push(`Round "${current.name}" requires at least ${tokens(current.minPurchase)} per purchase`);
+    }
+    if (purchased + tokenAmount > current.maxPurchase) {
+      reasons.push(
+        `Round "${current.name}" allows ${tokens(current.maxPurchase)} per wallet; ${buyer} has bought ${tokens(purchased)}`
+      );
+    }
+    if (!current.open && !whitelisted) {
+      const found = findProof(proofData, buyer, current.merkleRoot);
+      proof = found.proof;
+      if (found.reason) {
+        reasons.push(`${buyer} is not eligible for round "${current.name}": ${found.reason}`);
+      }
+    }
+
+    const cost = (tokenAmount * current.tokenPrice) / 10n ** 18n;
+    return { ok: reasons.length === 0, reasons, tokenPrice: current.tokenPrice, cost, round: current, proof };
+  }
+
+  if (tokenAmount < config.minPurchase) {
+    reasons.push(`The minimum purchase is ${tokens(config.minPurchase)}`);
+  }
+  if (tokenAmount > config.maxPurchase) {
+    reasons.push(`The maximum purchase is ${tokens(config.maxPurchase)}`);
+  } else if (totalPurchased + tokenAmount > config.maxPurchase) {
+    reasons.push(
+      `${buyer} has bought ${tokens(totalPurchased)}; the limit per wallet is ${tokens(config.maxPurchase)}`
+    );
+  }
+  if (config.whitelistRequired && !whitelisted) {
+    const found = findProof(proofData, buyer, merkleRoot);
+    proof = found.proof;
+    if (found.reason) {
+      reasons.push(`${buyer} is not whitelisted: ${found.reason}`);
+    }
+  }
+
+  const cost = (tokenAmount * config.tokenPrice) / 10n ** 18n;
+  return { ok: reasons.length === 0, reasons, tokenPrice: config.tokenPrice, cost, round: null, proof };
+}
+
+/**
+ * A buyer's claim position and why claimTokens would revert, if it would
+ * @param {Contract} sale WhitelistSale contract
+ * @param {Contract} token WhitelistToken contract
+ * @param {string} buyer Buyer address
+ * @returns {Promise<{ ok: boolean, reasons: string[], purchased: bigint, ethSpent: bigint,
+ *   claimed: bigint, claimable: bigint, locked: bigint, fullyClaimed: boolean,
+ *   claimEnabled: boolean, claimStartTime: bigint }>}
+ */
+async function checkClaim(sale, token, buyer) {
+  const saleAddress = await sale.getAddress();
+  const [purchase, vesting, claimEnabled, claimStartTime, softCap, raiseFinalized, block] = await Promise.all([
+    sale.getPurchaseInfo(buyer),
+    sale.getVestingInfo(buyer),
+    sale.claimEnabled(),
+    sale.claimStartTime(),
+    sale.softCap(),
+    sale.raiseFinalized(),
+    sale.runner.provider.getBlock("latest"),
+  ]);
+  const [restricted, saleWhitelisted, buyerWhitelisted] = await Promise.all([
+    token.transferRestricted(),
+    token.whitelist(saleAddress),
+    token.whitelist(buyer),
+  ]);
+  const now = BigInt(block.timestamp);
+  const reasons = [];
+
+  if (softCap > 0n && !raiseFinalized) {
+    reasons.push("The raise has a soft cap and is not finalized yet");
+  }
+  if (!claimEnabled) {
+    reasons.push("Claiming is not enabled");
+  } else if (now < claimStartTime) {
+    reasons.push(`Claiming starts at ${formatTimestamp(claimStartTime)}`);
+  }
+  if (purchase.amount === 0n) {
+    reasons.push(`${buyer} has no purchased tokens`);
+  } else if (vesting.claimed >= purchase.amount) {
+    reasons.push(`${buyer} has already claimed all ${tokens(purchase.amount)}`);
+  } else if (reasons.length === 0 && vesting.claimable === 0n) {
+    reasons.push(`Nothing has vested since the last claim; ${tokens(vesting.locked)} are still locked`);
+  }
+  if (restricted && !saleWhitelisted && !buyerWhitelisted) {
+    reasons.push("Token transfers are restricted and neither the sale nor the buyer is whitelisted on the token");
+  }
+
+  return {
+    ok: reasons.length === 0,
+    reasons,
+    purchased: purchase.amount,
+    ethSpent: purchase.ethSpent,
+    claimed: vesting.claimed,
+    claimable: vesting.claimable,
+    locked: vesting.locked,
+    fullyClaimed: purchase.claimed,
+    claimEnabled,
+    claimStartTime,
+  };
+}
+
+module.exports = {
+  findProof,
+  checkPurchase,
+  checkClaim,
+};
@@ -0,0 +1,778 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { formatDuration } = require("./output");
+const { readProofFile } = require("./merkle");
+const { UPGRADEABLE_CONTRACTS } = require("./upgrades");
+const { ROLE_FUNCTIONS } = require("./roles");
+const { FORWARDER_DEPLOYMENT, FORWARDER_NAME } = require("./forwarder");
+
+// ============================================
+// DEPLOYMENT CONFIGURATION
+// One file per network in config/networks/<network>.json,
+// validated against the WhitelistSale constructor rules
+// ============================================
+
+const CONFIG_DIR = path.join(__dirname, "..", "config", "networks");
+
+// Mirrors WhitelistToken.MAX_SUPPLY for checks made before the token exists
+const TOKEN_MAX_SUPPLY = ethers.parseEther("1000000000");
+
+const LOCAL_CHAIN_ID = 31337;
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// Index matches WhitelistSale.VestingMode
+const VESTING_MODES = ["none", "linear", "monthly"];
+
+// Mirrors WhitelistSale.VESTING_STEP
+const VESTING_STEP = 30 * DURATION_UNITS.d;
+
+const NO_VESTING = { mode: "none", tgeUnlockBps: 0, cliff: 0, duration: 0 };
+
+/**
+ * Reads the raw configuration for a network
+ * @param {string} networkName Hardhat network name
+ */
+function loadNetworkConfig(networkName) {
+  const file = path.join(CONFIG_DIR, `${networkName}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment config for network "${networkName}" (expected ${file})`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Resolves a time value to unix seconds.
+ * Accepts unix seconds, an ISO date, or (local networks only) "+<n><s|m|h|d>"
+ * relative to the latest block.
+ */
+function resolveTime(value, now, allowRelative) {
+  if (typeof value === "number") {
+    return value;
+  }
+  if (typeof value !== "string" || value === "") {
+    return undefined;
+  }
+
+  const relative = value.match(/^\+(\d+)([smhd])$/);
+  if (relative) {
+    if (!allowRelative) {
+      throw new Error(`relative time "${value}" is only allowed on local networks`);
+    }
+    return now + Number(relative[1]) * DURATION_UNITS[relative[2]];
+  }
+
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`invalid time "${value}"`);
+  }
+  return Math.floor(parsed / 1000);
+}
+
+/**
+ * Resolves a duration to seconds. Accepts seconds or "<n><s|m|h|d>"; unset means 0.
+ */
+function resolveDuration(value) {
+  if (value === undefined || value === null) {
+    return 0;
+  }
+  if (Number.isInteger(value) && value >= 0) {
+    return value;
+  }
+
+  const match = typeof value === "string" && value.match(/^(\d+)([smhd])$/);
+  if (!match) {
+    throw new Error(`invalid duration "${value}"`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Converts a percentage (up to two decimals) to basis points; unset means 0
+ */
+function percentToBps(value) {
+  if (value === undefined || value === null) {
+    return 0;
+  }
+
+  const bps = Math.round(value * 100);
+  if (typeof value !== "number" || value < 0 || Math.abs(value * 100 - bps) > 1e-9) {
+    throw new Error(`invalid percentage "${value}"`);
+  }
+  return bps;
+}
+
+/**
+ * Resolves a round's Merkle root from "merkleRoot" or a merkle:build "proofs" file
+ */
+function resolveRoundRoot(rawRound) {
+  if (rawRound.merkleRoot && rawRound.proofs) {
+    throw new Error("set either merkleRoot or proofs, not both");
+  }
+  if (rawRound.proofs) {
+    return readProofFile(rawRound.proofs).root;
+  }
+  if (rawRound.merkleRoot) {
+    if (!ethers.isHexString(rawRound.merkleRoot, 32)) {
+      throw new Error(`invalid Merkle root "${rawRound.merkleRoot}"`);
+    }
+    return rawRound.merkleRoot;
+  }
+  return ethers.ZeroHash;
+}
+
+/**
+ * Resolves an address value: a named account (e.g. "treasury") or a literal address
+ */
+function resolveAccountValue(value, namedAccounts) {
+  if (!value) {
+    return undefined;
+  }
+  if (namedAccounts[value]) {
+    return namedAccounts[value];
+  }
+  if (!ethers.isAddress(value)) {
+    throw new Error(`"${value}" is neither a named account nor a valid address`);
+  }
+  return ethers.getAddress(value);
+}
+
+/**
+ * Resolves the raw network config into constructor-ready values
+ * @param {HardhatRuntimeEnvironment} hre
+ * @returns {Promise<{ network: string, now: number, saleDeployed: boolean, token: Object, sale: Object, errors: string[] }>}
+ */
+async function resolveDeployConfig(hre) {
+  const raw = loadNetworkConfig(hre.network.name);
+  const namedAccounts = await hre.getNamedAccounts();
+  const block = await hre.ethers.provider.getBlock("latest");
+  const now = block.timestamp;
+  const allowRelative = hre.network.config.chainId === LOCAL_CHAIN_ID;
+  const errors = [];
+
+  // Collects resolution errors instead of failing on the first one
+  const attempt = (field, fn) => {
+    try {
+      return fn();
+    } catch (error) {
+      errors.push(`${field}: ${error.message}`);
+      return undefined;
+    }
+  };
+
+  const rawToken = raw.token || {};
+  const rawSale = raw.sale || {};
+
+  const token = {
+    name: rawToken.name,
+    symbol: rawToken.symbol,
+    owner: attempt("token.owner", () => resolveAccountValue(rawToken.owner, namedAccounts)),
+  };
+
+  const sale = {
+    treasury: attempt("sale.treasury", () => resolveAccountValue(rawSale.treasury, namedAccounts)),
+    owner: attempt("sale.owner", () => resolveAccountValue(rawSale.owner, namedAccounts)),
+    tokenPrice: attempt("sale.tokenPrice", () => ethers.parseEther(String(rawSale.tokenPrice))),
+    minPurchase: attempt("sale.minPurchase", () => ethers.parseEther(String(rawSale.minPurchase))),
+    maxPurchase: attempt("sale.maxPurchase", () => ethers.parseEther(String(rawSale.maxPurchase))),
+    maxSupply: attempt("sale.maxSupply", () => ethers.parseEther(String(rawSale.maxSupply))),
+    startTime: attempt("sale.startTime", () => resolveTime(rawSale.startTime, now, allowRelative)),
+    endTime: attempt("sale.endTime", () => resolveTime(rawSale.endTime, now, allowRelative)),
+    softCap: attempt("sale.softCap", () => ethers.parseEther(String(rawSale.softCap || 0))),
+  };
+
+  sale.rounds = (rawSale.rounds || []).map((rawRound, i) => {
+    const field = (name) => `sale.rounds[${i}].${name}`;
+    return {
+      name: rawRound.name || `round ${i}`,
+      tokenPrice: attempt(field("tokenPrice"), () => ethers.parseEther(String(rawRound.tokenPrice))),
+      supply: attempt(field("supply"), () => ethers.parseEther(String(rawRound.supply))),
+      minPurchase: attempt(field("minPurchase"), () => ethers.parseEther(String(rawRound.minPurchase))),
+      maxPurchase: attempt(field("maxPurchase"), () => ethers.parseEther(String(rawRound.maxPurchase))),
+      startTime: attempt(field("startTime"), () => resolveTime(rawRound.startTime, now, allowRelative)),
+      endTime: attempt(field("endTime"), () => resolveTime(rawRound.endTime, now, allowRelative)),
+      merkleRoot: attempt(field("merkleRoot"), () => resolveRoundRoot(rawRound)),
+      open: rawRound.open === true,
+    };
+  });
+
+  // Token addresses may name a deployment and prices depend on decimals, so both are
+  // resolved against the chain by resolvePaymentTokens
+  sale.paymentTokens = (rawSale.paymentTokens || []).map((rawPayment) => ({
+    token: rawPayment.token,
+    price: rawPayment.price === undefined || rawPayment.price === null ? undefined : String(rawPayment.price),
+  }));
+
+  // ERC-2771 forwarder the sale trusts: an address, or a deployment name such as "Forwarder"
+  // (deployed by deploy/001_deploy_forwarder.js); resolved by resolveTrustedForwarder
+  sale.trustedForwarder = rawSale.trustedForwarder || null;
+
+  const rawVesting = rawSale.vesting || {};
+  sale.vesting = {
+    mode: rawVesting.mode || NO_VESTING.mode,
+    tgeUnlockBps: attempt("sale.vesting.tgeUnlockPercent", () => percentToBps(rawVesting.tgeUnlockPercent)),
+    cliff: attempt("sale.vesting.cliff", () => resolveDuration(rawVesting.cliff)),
+    duration: attempt("sale.vesting.duration", () => resolveDuration(rawVesting.duration)),
+  };
+
+  // Deploy WhitelistTokenUpgradeable / WhitelistSaleUpgradeable behind UUPS proxies
+  const upgradeable = raw.upgradeable === true;
+
+  // Run the sale:preflight checks as the last deploy step
+  const preflight = raw.preflight === true;
+
+  // Optional TimelockController that takes ownership of both contracts after deployment
+  const rawTimelock = raw.timelock;
+  const timelock = rawTimelock
+    ? {
+        minDelay: attempt("timelock.minDelay", () => resolveDuration(rawTimelock.minDelay)),
+        proposers: (rawTimelock.proposers || []).map((value, i) =>
+          attempt(`timelock.proposers[${i}]`, () => resolveAccountValue(value, namedAccounts))
+        ),
+        // "anyone" is OpenZeppelin's open executor role (granted to the zero address)
+        executors: (rawTimelock.executors || []).map((value, i) =>
+          attempt(`timelock.executors[${i}]`, () =>
+            value === "anyone" ? ethers.ZeroAddress : resolveAccountValue(value, namedAccounts)
+          )
+        ),
+        admin: attempt("timelock.admin", () => resolveAccountValue(rawTimelock.admin, namedAccounts)),
+      }
+    : null;
+
+  // Optional AccessManager that takes ownership of both contracts and hands each
+  // owner-only function to a role; members are role name -> accounts
+  const rawRoles = raw.roles;
+  const roles = rawRoles
+    ? {
+        admin: attempt("roles.admin", () => resolveAccountValue(rawRoles.admin, namedAccounts)),
+        members: Object.fromEntries(
+          Object.entries(rawRoles.members || {}).map(([role, accounts]) => [
+            role,
+            (Array.isArray(accounts) ? accounts : [accounts]).map((value, i) =>
+              attempt(`roles.members.${role}[${i}]`, () => resolveAccountValue(value, namedAccounts))
+            ),
+          ])
+        ),
+      }
+    : null;
+
+  // Deploy scripts re-run against an existing sale (proxy upgrades, later --tags handoffs)
+  // long after it has started, so checks that only bind a new sale are skipped then
+  const saleDeployed = Boolean(await hre.deployments.getOrNull("WhitelistSale"));
+
+  return { network: hre.network.name, now, saleDeployed, upgradeable, preflight, timelock, roles, token, sale, errors };
+}
+
+/**
+ * Checks a resolved config against the WhitelistToken / WhitelistSale rules
+ * @param {Object} config Result of resolveDeployConfig
+ * @param {bigint} [mintableSupply] Supply the token can still mint (defaults to MAX_SUPPLY)
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateDeployConfig(config, mintableSupply = TOKEN_MAX_SUPPLY) {
+  const errors = [...config.errors];
+  const { token, sale, now } = config;
+  const isSet = (value) => value !== undefined && value !== null;
+
+  if (!token.name) errors.push("token.name must be set");
+  if (!token.symbol) errors.push("token.symbol must be set");
+  if (!token.owner) errors.push("token.owner must be set");
+
+  if (!sale.treasury) errors.push("sale.treasury must be set");
+  if (!sale.owner) errors.push("sale.owner must be set");
+  if (isSet(sale.tokenPrice) && sale.tokenPrice <= 0n) {
+    errors.push("sale.tokenPrice must be greater than 0");
+  }
+  if (isSet(sale.minPurchase) && sale.minPurchase <= 0n) {
+    errors.push("sale.minPurchase must be greater than 0");
+  }
+  if (isSet(sale.minPurchase) && isSet(sale.maxPurchase) && sale.maxPurchase < sale.minPurchase) {
+    errors.push("sale.maxPurchase must be >= sale.minPurchase");
+  }
+  if (isSet(sale.maxSupply)) {
+    if (sale.maxSupply <= 0n) {
+      errors.push("sale.maxSupply must be greater than 0");
+    }
+    if (sale.maxSupply > mintableSupply) {
+      errors.push(
+        `sale.maxSupply ${ethers.formatEther(sale.maxSupply)} exceeds mintable token supply ${ethers.formatEther(mintableSupply)}`
+      );
+    }
+  }
+
+  if (!isSet(sale.startTime)) {
+    errors.push("sale.startTime must be set");
+  } else if (!config.saleDeployed && sale.startTime <= now) {
+    errors.push(`sale.startTime ${new Date(sale.startTime * 1000).toISOString()} must be in the future`);
+  }
+  if (!isSet(sale.endTime)) {
+    errors.push("sale.endTime must be set");
+  } else if (isSet(sale.startTime) && sale.endTime <= sale.startTime) {
+    errors.push("sale.endTime must be after sale.startTime");
+  }
+
+  // Rounds are added right after 002 creates the sale, never to an existing one
+  errors.push(...validateRounds(sale, config.saleDeployed ? undefined : now));
+
+  if (sale.softCap) {
+    const maxRaise = getMaxEthRaise(sale);
+    if (sale.softCap < 0n) {
+      errors.push("sale.softCap must not be negative");
+    } else if (isSet(maxRaise) && sale.softCap > maxRaise) {
+      errors.push(
+        `sale.softCap ${ethers.formatEther(sale.softCap)} ETH exceeds the most the sale can raise in ETH (${ethers.formatEther(maxRaise)} ETH)`
+      );
+    }
+  }
+
+  if (sale.trustedForwarder !== null && sale.trustedForwarder !== undefined && typeof sale.trustedForwarder !== "string") {
+    errors.push("sale.trustedForwarder must be an address or a deployment name");
+  } else if (sale.trustedForwarder === ethers.ZeroAddress) {
+    errors.push("sale.trustedForwarder must not be the zero address; leave it out to disable meta-transactions");
+  }
+
+  (sale.paymentTokens || []).forEach((payment, i) => {
+    if (!payment.token) {
+      errors.push(`sale.paymentTokens[${i}].token must be set`);
+    }
+    if (!payment.price || !/^\d+(\.\d+)?$/.test(payment.price) || Number(payment.price) <= 0) {
+      errors.push(`sale.paymentTokens[${i}].price must be a positive decimal`);
+    }
+  });
+
+  const vesting = sale.vesting || NO_VESTING;
+  if (!VESTING_MODES.includes(vesting.mode)) {
+    errors.push(`sale.vesting.mode must be one of ${VESTING_MODES.join(", ")}`);
+  } else if (vesting.mode === "none") {
+    if (vesting.tgeUnlockBps || vesting.cliff || vesting.duration) {
+      errors.push("sale.vesting.tgeUnlockPercent, cliff and duration require a vesting mode");
+    }
+  } else {
+    if (vesting.tgeUnlockBps > 10_000) {
+      errors.push("sale.vesting.tgeUnlockPercent must be at most 100");
+    }
+    if (!vesting.duration) {
+      errors.push("sale.vesting.duration must be greater than 0");
+    } else if (vesting.mode === "monthly" && vesting.duration % VESTING_STEP !== 0) {
+      errors.push("sale.vesting.duration must be a multiple of 30d for monthly vesting");
+    }
+  }
+
+  if (config.timelock) {
+    const { minDelay, proposers, executors } = config.timelock;
+    if (isSet(minDelay) && minDelay <= 0) {
+      errors.push("timelock.minDelay must be greater than 0");
+    }
+    if (proposers.length === 0) {
+      errors.push("timelock.proposers must list at least one account");
+    }
+    if (executors.length === 0) {
+      errors.push('timelock.executors must list at least one account (or "anyone")');
+    }
+  }
+
+  if (config.roles) {
+    for (const role of Object.keys(config.roles.members)) {
+      if (!ROLE_FUNCTIONS[role]) {
+        errors.push(`roles.members.${role} is not a role; use ${Object.keys(ROLE_FUNCTIONS).join(", ")} (and roles.admin for ADMIN)`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * ETH raised if every token sells for ETH: each round at its own price, or maxSupply at
+ * the sale-wide price without rounds (undefined while prices or supplies are unresolved)
+ */
+function getMaxEthRaise(sale) {
+  const tranches = (sale.rounds || []).length > 0 ? sale.rounds : [{ supply: sale.maxSupply, tokenPrice: sale.tokenPrice }];
+  if (tranches.some((tranche) => tranche.supply === undefined || tranche.tokenPrice === undefined)) {
+    return undefined;
+  }
+  return tranches.reduce((total, tranche) => total + (tranche.supply * tranche.tokenPrice) / 10n ** 18n, 0n);
+}
+
+/**
+ * Checks rounds against the WhitelistSale.addRound rules
+ * @param {Object} sale Resolved sale config
+ * @param {number} [now] Chain time the rounds must start after; leave it out for rounds already on-chain
+ * @returns {string[]} Validation errors
+ */
+function validateRounds(sale, now) {
+  const errors = [];
+  const rounds = sale.rounds || [];
+  const isSet = (value) => value !== undefined && value !== null;
+  let totalSupply = 0n;
+
+  rounds.forEach((round, i) => {
+    const field = (name) => `sale.rounds[${i}].${name}`;
+
+    if (isSet(round.tokenPrice) && round.tokenPrice <= 0n) {
+      errors.push(`${field("tokenPrice")} must be greater than 0`);
+    }
+    if (isSet(round.supply)) {
+      if (round.supply <= 0n) {
+        errors.push(`${field("supply")} must be greater than 0`);
+      }
+      totalSupply += round.supply;
+    }
+    if (isSet(round.minPurchase) && round.minPurchase <= 0n) {
+      errors.push(`${field("minPurchase")} must be greater than 0`);
+    }
+    if (isSet(round.minPurchase) && isSet(round.maxPurchase) && round.maxPurchase < round.minPurchase) {
+      errors.push(`${field("maxPurchase")} must be >= ${field("minPurchase")}`);
+    }
+    if (!isSet(round.startTime) || !isSet(round.endTime)) {
+      errors.push(`${field("startTime")} and ${field("endTime")} must be set`);
+    } else {
+      if (isSet(now) && round.startTime <= now) {
+        errors.push(`${field("startTime")} ${new Date(round.startTime * 1000).toISOString()} must be in the future`);
+      }
+      if (round.endTime <= round.startTime) {
+        errors.push(`${field("endTime")} must be after ${field("startTime")}`);
+      }
+      if (isSet(sale.startTime) && isSet(sale.endTime) &&
+        (round.startTime < sale.startTime || round.endTime > sale.endTime)) {
+        errors.push(`sale.rounds[${i}] must fall within sale.startTime and sale.endTime`);
+      }
+      rounds.slice(0, i).forEach((other, j) => {
+        if (isSet(other.startTime) && isSet(other.endTime) &&
+          round.startTime <= other.endTime && round.endTime >= other.startTime) {
+          errors.push(`sale.rounds[${i}] overlaps sale.rounds[${j}]`);
+        }
+      });
+    }
+    if (round.open && round.merkleRoot && round.merkleRoot !== ethers.ZeroHash) {
+      errors.push(`sale.rounds[${i}] is open and cannot have a Merkle root`);
+    }
+  });
+
+  if (isSet(sale.maxSupply) && totalSupply > sale.maxSupply) {
+    errors.push(
+      `sale.rounds supply ${ethers.formatEther(totalSupply)} exceeds sale.maxSupply ${ethers.formatEther(sale.maxSupply)}`
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Resolves and validates the config for the current network, throwing on any problem
+ * @param {HardhatRuntimeEnvironment} hre
+ * @param {bigint} [mintableSupply] Supply the token can still mint
+ * @param {{ newSale?: boolean }} [options] newSale checks the config as a fresh sale even when
+ * a WhitelistSale deployment exists
+ */
+async function loadDeployConfig(hre, mintableSupply, { newSale = false } = {}) {
+  const config = await resolveDeployConfig(hre);
+  if (newSale) {
+    config.saleDeployed = false;
+  }
+  const errors = validateDeployConfig(config, mintableSupply);
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid deployment config for ${config.network}:\n  - ${errors.join("\n  - ")}`
+    );
+  }
+  return config;
+}
+
+/**
+ * WhitelistToken constructor arguments
+ */
+function getTokenArgs(config) {
+  return [config.token.name, config.token.symbol, config.token.owner];
+}
+
+/**
+ * WhitelistSale constructor arguments
+ */
+function getSaleArgs(config, tokenAddress) {
+  const { sale } = config;
+  return [
+    tokenAddress,
+    sale.treasury,
+    sale.tokenPrice,
+    sale.minPurchase,
+    sale.maxPurchase,
+    sale.maxSupply,
+    sale.startTime,
+    sale.endTime,
+    sale.owner,
+  ];
+}
+
+/**
+ * TimelockController constructor arguments, or null without a timelock. Without an
+ * admin the timelock administers itself, so role changes also go through the delay.
+ */
+function getTimelockArgs(config) {
+  const { timelock } = config;
+  if (!timelock) {
+    return null;
+  }
+  return [timelock.minDelay, timelock.proposers, timelock.executors, timelock.admin || ethers.ZeroAddress];
+}
+
+/**
+ * Resolves configured payment tokens against the chain: deployment names to addresses
+ * and prices to the token's smallest unit
+ * @param {Object} [deployed] Name-to-address overrides for contracts deployed outside hardhat-deploy
+ * @returns {Promise<Array<{ address: string, symbol: string, decimals: number, tokenPrice: bigint }>>}
+ */
+async function resolvePaymentTokens(hre, config, deployed = {}) {
+  const resolved = [];
+
+  for (const payment of config.sale.paymentTokens || []) {
+    let address = deployed[payment.token] || payment.token;
+    if (!ethers.isAddress(address)) {
+      const deployment = await hre.deployments.getOrNull(payment.token);
+      if (!deployment) {
+        throw new Error(`Payment token "${payment.token}" is neither an address nor a deployment`);
+      }
+      address = deployment.address;
+    }
+
+    const erc20 = await hre.ethers.getContractAt("IERC20Metadata", address);
+    const [symbol, decimals] = await Promise.all([erc20.symbol(), erc20.decimals()]);
+    resolved.push({
+      address: ethers.getAddress(address),
+      symbol,
+      decimals: Number(decimals),
+      tokenPrice: ethers.parseUnits(payment.price, decimals),
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Resolves the configured trusted forwarder to an address: a deployment name to its
+ * deployment, an address as is
+ * @param {Object} [deployed] Name-to-address overrides for contracts deployed outside hardhat-deploy
+ * @returns {Promise<string|null>} Null when meta-transactions are not configured
+ */
+async function resolveTrustedForwarder(hre, config, deployed = {}) {
+  const { trustedForwarder } = config.sale;
+  if (!trustedForwarder) {
+    return null;
+  }
+  const address = deployed[trustedForwarder] || trustedForwarder;
+  if (ethers.isAddress(address)) {
+    return ethers.getAddress(address);
+  }
+  const deployment = await hre.deployments.getOrNull(trustedForwarder);
+  if (!deployment) {
+    throw new Error(`Trusted forwarder "${trustedForwarder}" is neither an address nor a deployment`);
+  }
+  return deployment.address;
+}
+
+/**
+ * WhitelistSale.setVestingSchedule arguments, or null when vesting is off
+ */
+function getVestingArgs(config) {
+  const vesting = config.sale.vesting || NO_VESTING;
+  if (vesting.mode === "none") {
+    return null;
+  }
+  return [VESTING_MODES.indexOf(vesting.mode), vesting.tgeUnlockBps, vesting.cliff, vesting.duration];
+}
+
+/**
+ * WhitelistSale.addRound arguments, one per configured round
+ */
+function getRoundArgs(config) {
+  return (config.sale.rounds || []).map((round) => ({
+    name: round.name,
+    tokenPrice: round.tokenPrice,
+    supply: round.supply,
+    minPurchase: round.minPurchase,
+    maxPurchase: round.maxPurchase,
+    startTime: round.startTime,
+    endTime: round.endTime,
+    merkleRoot: round.merkleRoot,
+    open: round.open,
+  }));
+}
+
+/**
+ * Human-readable constructor arguments for review (e.g. --dry-run)
+ * @returns {string[]} Lines to print
+ */
+function formatDeployPlan(config, tokenAddress = "<WhitelistToken address>") {
+  const { token, sale } = config;
+  const time = (value) => `${value} (${new Date(value * 1000).toISOString()})`;
+  // Proxies are initialized with the constructor's arguments
+  const deployCall = (name) => (config.upgradeable ? `${UPGRADEABLE_CONTRACTS[name]}.initialize(` : `${name}(`);
+
+  return [
+    `Network: ${config.network}`,
+    ...(config.upgradeable ? ["Proxies: UUPS (ERC1967), upgradeable by the owner"] : []),
+    "",
+    deployCall("WhitelistToken"),
+    `  name:           ${token.name}`,
+    `  symbol:         ${token.symbol}`,
+    `  initialOwner:   ${token.owner}`,
+    ")",
+    "",
+    deployCall("WhitelistSale"),
+    `  _token:         ${tokenAddress}`,
+    `  _treasury:      ${sale.treasury}`,
+    `  _tokenPrice:    ${sale.tokenPrice} (${ethers.formatEther(sale.tokenPrice)} ETH)`,
+    `  _minPurchase:   ${sale.minPurchase} (${ethers.formatEther(sale.minPurchase)} tokens)`,
+    `  _maxPurchase:   ${sale.maxPurchase} (${ethers.formatEther(sale.maxPurchase)} tokens)`,
+    `  _maxSupply:     ${sale.maxSupply} (${ethers.formatEther(sale.maxSupply)} tokens)`,
+    `  _startTime:     ${time(sale.startTime)}`,
+    `  _endTime:       ${time(sale.endTime)}`,
+    `  _initialOwner:  ${sale.owner}`,
+    ")",
+    ...formatRoundsPlan(sale.rounds || []),
+    ...(sale.softCap ? ["", `setSoftCap(${sale.softCap})  // ${ethers.formatEther(sale.softCap)} ETH, escrowed until endTime`] : []),
+    ...(sale.paymentTokens || []).flatMap((payment) => [
+      "",
+      `setPaymentToken(${payment.token}, ${payment.price} per token)`,
+    ]),
+    ...formatVestingPlan(sale.vesting || NO_VESTING),
+    ...formatForwarderPlan(sale.trustedForwarder),
+    ...formatTimelockPlan(config.timelock, config.roles),
+    ...formatRolesPlan(config.roles, config.timelock),
+    ...(config.preflight ? ["", "sale:preflight checks run after deployment; a failed check fails the deploy"] : []),
+  ];
+}
+
+/**
+ * Describes who may buy in a round
+ */
+function formatRoundAccess(round) {
+  if (round.open) {
+    return "open";
+  }
+  if (round.merkleRoot === ethers.ZeroHash) {
+    return "whitelist mapping";
+  }
+  return `whitelist mapping or Merkle root ${round.merkleRoot}`;
+}
+
+/**
+ * Plan lines for the rounds added after deployment
+ */
+function formatRoundsPlan(rounds) {
+  const time = (value) => new Date(value * 1000).toISOString();
+
+  return rounds.flatMap((round, i) => [
+    "",
+    `addRound(        // #${i} ${round.name}`,
+    `  tokenPrice:     ${ethers.formatEther(round.tokenPrice)} ETH`,
+    `  supply:         ${ethers.formatEther(round.supply)} tokens`,
+    `  min / max:      ${ethers.formatEther(round.minPurchase)} / ${ethers.formatEther(round.maxPurchase)} tokens per wallet`,
+    `  window:         ${time(round.startTime)} - ${time(round.endTime)}`,
+    `  access:         ${formatRoundAccess(round)}`,
+    ")",
+  ]);
+}
+
+/**
+ * Plan lines for the vesting schedule set after deployment
+ */
+function formatVestingPlan(vesting) {
+  if (vesting.mode === "none") {
+    return ["", "Vesting: none (everything unlocks at claim start)"];
+  }
+
+  return [
+    "",
+    "setVestingSchedule(",
+    `  _mode:          ${vesting.mode} (${VESTING_MODES.indexOf(vesting.mode)})`,
+    `  _tgeUnlockBps:  ${vesting.tgeUnlockBps} (${vesting.tgeUnlockBps / 100}%)`,
+    `  _cliff:         ${vesting.cliff} (${formatDuration(vesting.cliff)})`,
+    `  _duration:      ${vesting.duration} (${formatDuration(vesting.duration)})`,
+    ")",
+  ];
+}
+
+/**
+ * Plan lines for the trusted forwarder, deployed before the sale when the config names ours
+ */
+function formatForwarderPlan(trustedForwarder) {
+  if (!trustedForwarder) {
+    return [];
+  }
+  const deployed = trustedForwarder === FORWARDER_DEPLOYMENT;
+
+  return [
+    "",
+    ...(deployed ? [`ERC2771Forwarder("${FORWARDER_NAME}")`] : []),
+    `setTrustedForwarder(${deployed ? "<Forwarder address>" : trustedForwarder})  // relays signed buyer requests (ERC-2771)`,
+  ];
+}
+
+/**
+ * Plan lines for the timelock deployed after the sale and the ownership handoff.
+ * With roles configured the AccessManager takes ownership and the timelock becomes its admin.
+ */
+function formatTimelockPlan(timelock, roles) {
+  if (!timelock) {
+    return [];
+  }
+  const accounts = (list) => list.map((account) => (account === ethers.ZeroAddress ? "anyone" : account)).join(", ");
+
+  return [
+    "",
+    "TimelockController(",
+    `  minDelay:       ${timelock.minDelay} (${formatDuration(timelock.minDelay)})`,
+    `  proposers:      ${accounts(timelock.proposers)}`,
+    `  executors:      ${accounts(timelock.executors)}`,
+    `  admin:          ${timelock.admin || "none (self-administered)"}`,
+    ")",
+    ...(roles ? [] : ["transferOwnership(<TimelockController address>) on WhitelistToken and WhitelistSale"]),
+  ];
+}
+
+/**
+ * Plan lines for the AccessManager deployed last, its roles and the ownership handoff
+ */
+function formatRolesPlan(roles, timelock) {
+  if (!roles) {
+    return [];
+  }
+  const admin = roles.admin || (timelock ? "<TimelockController address>" : "deployer");
+
+  return [
+    "",
+    "WhitelistAccessManager(",
+    "  initialAdmin:   deployer (until the role setup below is done)",
+    ")",
+    "Roles:",
+    ...Object.keys(ROLE_FUNCTIONS).map((name) => {
+      const members = roles.members[name] || [];
+      return `  ${name.padEnd(18)}${members.length > 0 ? members.join(", ") : "no members"}`;
+    }),
+    `  ${"ADMIN".padEnd(18)}${admin}`,
+    "transferOwnership(<WhitelistAccessManager address>) on WhitelistToken and WhitelistSale",
+  ];
+}
+
+module.exports = {
+  TOKEN_MAX_SUPPLY,
+  VESTING_MODES,
+  loadNetworkConfig,
+  resolveTime,
+  resolveDuration,
+  resolveDeployConfig,
+  validateDeployConfig,
+  validateRounds,
+  loadDeployConfig,
+  getTokenArgs,
+  getSaleArgs,
+  getRoundArgs,
+  resolvePaymentTokens,
+  resolveTrustedForwarder,
+  getVestingArgs,
+  getTimelockArgs,
+  formatDeployPlan,
+};
@@ -0,0 +1,120 @@
+// ============================================
+// DEPLOYMENT RESOLUTION
+// Addresses come from an explicit override or from the
+// hardhat-deploy artifacts in deployments/<network>
+// ============================================
+
+const LOCAL_CHAIN_ID = 31337;
+
+/**
+ * Resolves a contract address
+ * @param {HardhatRuntimeEnvironment} hre
+ * @param {string} name Deployment name, e.g. "WhitelistSale"
+ * @param {string} [override] Address passed on the command line
+ */
+async function resolveAddress(hre, name, override) {
+  if (override) {
+    return hre.ethers.getAddress(override);
+  }
+
+  const deployment = await hre.deployments.getOrNull(name);
+  if (!deployment) {
+    throw new Error(
+      `No ${name} deployment found in deployments/${hre.network.name}; pass its address explicitly`
+    );
+  }
+  return deployment.address;
+}
+
+/**
+ * Same as resolveAddress, but returns undefined when nothing is deployed
+ */
+async function resolveOptionalAddress(hre, name, override) {
+  if (override) {
+    return hre.ethers.getAddress(override);
+  }
+
+  const deployment = await hre.deployments.getOrNull(name);
+  return deployment ? deployment.address : undefined;
+}
+
+/**
+ * Returns an ethers contract for a deployment (or an overridden address)
+ */
+async function getDeployedContract(hre, name, override) {
+  const address = await resolveAddress(hre, name, override);
+  return hre.ethers.getContractAt(name, address);
+}
+
+/**
+ * Resolves WhitelistToken, falling back to the token a WhitelistSale sells
+ */
+async function resolveTokenAddress(hre, override, saleAddress) {
+  const address = await resolveOptionalAddress(hre, "WhitelistToken", override);
+  if (address) {
+    return address;
+  }
+
+  if (saleAddress) {
+    const sale = await hre.ethers.getContractAt("WhitelistSale", saleAddress);
+    return sale.token();
+  }
+
+  return resolveAddress(hre, "WhitelistToken");
+}
+
+/**
+ * Picks the account to report on: --account, else the first signer (if any)
+ */
+async function resolveAccount(hre, account) {
+  if (account) {
+    return hre.ethers.getAddress(account);
+  }
+  const signers = await hre.ethers.getSigners();
+  return signers.length > 0 ? signers[0].address : undefined;
+}
+
+/**
+ * Signer for --from, or the first configured account `allowed` accepts. On the local
+ * network an account without a key (e.g. a Safe on a fork) is impersonated.
+ */
+async function resolveSender(hre, { from, allowed, description }) {
+  const { ethers } = hre;
+  const signers = await ethers.getSigners();
+
+  if (!from) {
+    for (const signer of signers) {
+      if (await allowed(signer.address)) {
+        return signer;
+      }
+    }
+    throw new Error(`No configured account is ${description}; pass --from`);
+  }
+
+  const address = ethers.getAddress(from);
+  if (!(await allowed(address))) {
+    throw new Error(`${address} is not ${description}`);
+  }
+  const signer = signers.find((candidate) => candidate.address === address);
+  if (signer) {
+    return signer;
+  }
+  if (hre.network.config.chainId !== LOCAL_CHAIN_ID) {
+    throw new Error(`${address} is not a configured account on ${hre.network.name}`);
+  }
+
+  await hre.network.provider.send("hardhat_impersonateAccount", [address]);
+  if ((await ethers.provider.getBalance(address)) === 0n) {
+    await hre.network.provider.send("hardhat_setBalance", [address, ethers.toQuantity(ethers.parseEther("10"))]);
+  }
+  return ethers.getSigner(address);
+}
+
+module.exports = {
+  resolveAddress,
+  resolveOptionalAddress,
+  getDeployedContract,
+  resolveTokenAddress,
+  resolveAccount,
+  resolveSender,
+};
@@ -0,0 +1,226 @@
+const http = require("http");
+const { ethers } = require("ethers");
+
+// ============================================
+// ERC-2771 META-TRANSACTIONS
+// Buyers sign an EIP-712 ForwardRequest for OpenZeppelin's ERC2771Forwarder;
+// a relayer submits it through forwarder.execute and pays the gas. WhitelistSale
+// trusts the forwarder, so the call runs as the signer. Only needs ethers, so a
+// relayer can run without Hardhat.
+// ============================================
+
+const FORWARDER_DEPLOYMENT = "Forwarder";
+
+// EIP-712 name of the deployed forwarder (ERC2771Forwarder always uses version "1")
+const FORWARDER_NAME = "WhitelistForwarder";
+
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+// Signed requests are valid for an hour unless a deadline is given
+const DEFAULT_REQUEST_TTL = 3600;
+
+// Headroom over the gas the call estimates, in percent
+const GAS_MARGIN = 20n;
+
+/**
+ * EIP-712 domain of a forwarder, read from the contract (EIP-5267)
+ * @param {Contract} forwarder ERC2771Forwarder
+ */
+async function getForwarderDomain(forwarder) {
+  const [, name, version, chainId, verifyingContract] = await forwarder.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * Builds an unsigned request for `from` to call `to` with `data` through the forwarder:
+ * the forwarder's current nonce for `from`, and the call's estimated gas unless given
+ * @param {Contract} forwarder ERC2771Forwarder
+ * @param {{ from: string, to: string, data: string, value?: bigint, gas?: bigint, deadline?: number }} call
+ */
+async function buildForwardRequest(forwarder, { from, to, data, value = 0n, gas, deadline }) {
+  const provider = forwarder.runner.provider;
+  const nonce = await forwarder.nonces(from);
+  const estimated = gas === undefined ? await provider.estimateGas({ from, to, data, value }) : undefined;
+  const expires = deadline === undefined ? (await provider.getBlock("latest")).timestamp + DEFAULT_REQUEST_TTL : deadline;
+
+  return {
+    from: ethers.getAddress(from),
+    to: ethers.getAddress(to),
+    value: BigInt(value),
+    gas: gas === undefined ? (estimated * (100n + GAS_MARGIN)) / 100n : BigInt(gas),
+    nonce,
+    deadline: Number(expires),
+    data,
+  };
+}
+
+/**
+ * Signs a request; the result is the ForwardRequestData forwarder.execute takes
+ * (the nonce is not part of it, the forwarder reads its own)
+ * @param {Signer} signer Must be request.from
+ * @returns {Promise<{ from: string, to: string, value: bigint, gas: bigint, deadline: number, data: string, signature: string }>}
+ */
+async function signForwardRequest(signer, domain, request) {
+  const signature = await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+  const { nonce, ...data } = request;
+  return { ...data, signature };
+}
+
+/**
+ * ForwardRequestData from its JSON form (amounts as decimal strings)
+ */
+function parseForwardRequest(json) {
+  if (!json || typeof json !== "object") {
+    throw new Error("Request must be a JSON object");
+  }
+  for (const field of ["from", "to", "value", "gas", "deadline", "data", "signature"]) {
+    if (json[field] === undefined || json[field] === null) {
+      throw new Error(`Request is missing "${field}"`);
+    }
+  }
+  return {
+    from: ethers.getAddress(json.from),
+    to: ethers.getAddress(json.to),
+    value: BigInt(json.value),
+    gas: BigInt(json.gas),
+    deadline: Number(json.deadline),
+    data: ethers.hexlify(json.data),
+    signature: ethers.hexlify(json.signature),
+  };
+}
+
+/**
+ * JSON form of a signed request, for sending it to a relayer
+ */
+function formatForwardRequest(request) {
+  return { ...request, value: request.value.toString(), gas: request.gas.toString() };
+}
+
+/**
+ * Reasons the relayer refuses a request, empty when it can be relayed: only calls
+ * listed in `allowed` (target address -> function selectors), without ETH, that the
+ * forwarder accepts and that would succeed
+ * @param {Contract} forwarder ERC2771Forwarder connected to the relayer
+ * @param {Object} request Parsed ForwardRequestData
+ * @param {Object<string, string[]>} allowed
+ * @returns {Promise<string[]>}
+ */
+async function checkForwardRequest(forwarder, request, allowed) {
+  const selectors = allowed[request.to] || [];
+  if (!selectors.includes(request.data.slice(0, 10))) {
+    return [`${request.data.slice(0, 10)} on ${request.to} is not relayed`];
+  }
+  if (request.value !== 0n) {
+    return ["Requests that send ETH are not relayed"];
+  }
+  if (!(await forwarder.verify(request))) {
+    return ["Invalid signature, nonce or deadline, or the target does not trust the forwarder"];
+  }
+  try {
+    await forwarder.execute.staticCall(request);
+  } catch (error) {
+    return [`Call would revert: ${error.shortMessage || error.message}`];
+  }
+  return [];
+}
+
+/**
+ * Checks and submits a signed request; the relayer pays the gas
+ * @returns {Promise<{ hash: string, blockNumber: number }>}
+ */
+async function relayForwardRequest(forwarder, request, allowed) {
+  const reasons = await checkForwardRequest(forwarder, request, allowed);
+  if (reasons.length > 0) {
+    throw new Error(reasons.join("; "));
+  }
+  const tx = await forwarder.execute(request);
+  const receipt = await tx.wait();
+  return { hash: tx.hash, blockNumber: receipt.blockNumber };
+}
+
+/**
+ * Minimal HTTP relayer: POST /relay with a signed request as JSON answers
+ * { hash, blockNumber }, or { error } with status 400. Requests are relayed one at a time.
+ * @param {Contract} forwarder ERC2771Forwarder connected to the relayer's signer
+ * @param {Object<string, string[]>} allowed Target address -> relayed function selectors
+ * @param {{ onRelay?: Function }} [options] Called with each request and its outcome
+ * @returns {http.Server} Not yet listening
+ */
+function createRelayServer(forwarder, allowed, { onRelay = () => {} } = {}) {
+  let queue = Promise.resolve();
+
+  const respond = (response, status, body) => {
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(body));
+  };
+
+  return http.createServer((request, response) => {
+    if (request.method !== "POST" || request.url !== "/relay") {
+      respond(response, 404, { error: "POST signed requests to /relay" });
+      return;
+    }
+
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+    });
+    request.on("end", () => {
+      // Nonces are sequential per signer, so relaying in order keeps them valid
+      queue = queue.then(async () => {
+        let forwardRequest;
+        try {
+          forwardRequest = parseForwardRequest(JSON.parse(body));
+          const result = await relayForwardRequest(forwarder, forwardRequest, allowed);
+          onRelay(forwardRequest, result);
+          respond(response, 200, result);
+        } catch (error) {
+          onRelay(forwardRequest, { error: error.message });
+          respond(response, 400, { error: error.message });
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Sends a signed request to a relayer started with createRelayServer
+ * @param {string} url Relayer base URL, e.g. http://127.0.0.1:8546
+ * @returns {Promise<{ hash: string, blockNumber: number }>}
+ */
+async function submitToRelayer(url, request) {
+  const response = await fetch(new URL("/relay", url), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(formatForwardRequest(request)),
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(`Relayer refused the request: ${result.error}`);
+  }
+  return result;
+}
+
+module.exports = {
+  FORWARDER_DEPLOYMENT,
+  FORWARDER_NAME,
+  FORWARD_REQUEST_TYPES,
+  getForwarderDomain,
+  buildForwardRequest,
+  signForwardRequest,
+  parseForwardRequest,
+  formatForwardRequest,
+  checkForwardRequest,
+  relayForwardRequest,
+  createRelayServer,
+  submitToRelayer,
+};
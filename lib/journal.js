@@ -0,0 +1,157 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// ============================================
+// TRANSACTION JOURNAL
+// Records each batch before and after it is sent so an
+// interrupted run resumes without re-sending transactions
+// ============================================
+
+const JOURNAL_VERSION = 1;
+
+/**
+ * Stable identifier for a run's inputs (e.g. desired list + target contracts)
+ */
+function hashPlanInputs(inputs) {
+  return "0x" + crypto.createHash("sha256").update(JSON.stringify(inputs)).digest("hex");
+}
+
+/**
+ * Creates a journal with every batch pending
+ * @param {string} planId Result of hashPlanInputs
+ * @param {Object[]} batches Batch descriptions (must be JSON-serializable)
+ */
+function createJournal(planId, batches) {
+  return {
+    version: JOURNAL_VERSION,
+    planId,
+    createdAt: new Date().toISOString(),
+    batches: batches.map((batch, index) => ({
+      index,
+      ...batch,
+      status: "pending",
+      txHash: null,
+    })),
+  };
+}
+
+/**
+ * Reads a journal file, or returns null if there is none
+ */
+function loadJournal(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const journal = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (journal.version !== JOURNAL_VERSION) {
+    throw new Error(`Unsupported journal version ${journal.version} in ${file}`);
+  }
+  return journal;
+}
+
+/**
+ * Writes the journal atomically
+ */
+function saveJournal(file, journal) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(journal, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Whether every batch in the journal is confirmed
+ */
+function isJournalComplete(journal) {
+  return journal.batches.every((batch) => batch.status === "confirmed");
+}
+
+/**
+ * Looks up a previously sent transaction.
+ * Returns its receipt, or null if the node no longer knows the transaction.
+ */
+async function recoverSentBatch(provider, batch) {
+  const receipt = await provider.getTransactionReceipt(batch.txHash);
+  if (receipt) {
+    return receipt;
+  }
+
+  const tx = await provider.getTransaction(batch.txHash);
+  return tx ? tx.wait() : null;
+}
+
+/**
+ * Sends every unconfirmed batch in order, saving the journal around each transaction
+ * @param {Object} options
+ * @param {Object} options.journal Journal from createJournal / loadJournal
+ * @param {string} options.file Journal path
+ * @param {Provider} options.provider Used to recover transactions sent by an earlier run
+ * @param {Function} options.send async (batch) => TransactionResponse
+ * @param {Function} [options.onBatch] Called with (batch, receipt) once a batch is confirmed
+ */
+async function runJournal({ journal, file, provider, send, onBatch }) {
+  for (const batch of journal.batches) {
+    if (batch.status === "confirmed") {
+      continue;
+    }
+
+    let receipt = null;
+    if (batch.status === "sent") {
+      receipt = await recoverSentBatch(provider, batch);
+      if (!receipt) {
+        // Dropped from the mempool: safe to send again
+        batch.status = "pending";
+        batch.txHash = null;
+      }
+    }
+
+    if (batch.status === "pending" || batch.status === "failed") {
+      const tx = await send(batch);
+      batch.status = "sent";
+      batch.txHash = tx.hash;
+      saveJournal(file, journal);
+
+      try {
+        receipt = await tx.wait();
+      } catch (error) {
+        // A revert is final; anything else (e.g. a dropped connection) stays "sent"
+        // so the next run looks the transaction up instead of re-sending it
+        if (error.code === "CALL_EXCEPTION") {
+          batch.status = "failed";
+          saveJournal(file, journal);
+        }
+        throw error;
+      }
+    }
+
+    if (!receipt || receipt.status !== 1) {
+      batch.status = "failed";
+      saveJournal(file, journal);
+      throw new Error(`Batch ${batch.index} failed (tx: ${batch.txHash})`);
+    }
+
+    batch.status = "confirmed";
+    batch.blockNumber = receipt.blockNumber;
+    batch.gasUsed = receipt.gasUsed.toString();
+    saveJournal(file, journal);
+
+    if (onBatch) {
+      onBatch(batch, receipt);
+    }
+  }
+
+  journal.completedAt = new Date().toISOString();
+  saveJournal(file, journal);
+  return journal;
+}
+
+module.exports = {
+  hashPlanInputs,
+  createJournal,
+  loadJournal,
+  saveJournal,
+  isJournalComplete,
+  runJournal,
+};
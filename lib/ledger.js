@@ -0,0 +1,358 @@
+const fs = require("fs");
+const path = require("path");
+
+// ============================================
+// SALE LEDGER
+// Incremental event store for WhitelistSale / WhitelistToken with a
+// resumable block cursor, per-buyer totals and on-chain reconciliation
+// ============================================
+
+const LEDGER_VERSION = 1;
+
+const SALE_EVENTS = [
+  "TokenPurchase",
+  "TokensClaimed",
+  "WhitelistUpdated",
+  "MerkleRootUpdated",
+  "EmergencyWithdraw",
+  "VestingScheduleUpdated",
+  "RoundAdded",
+  "RoundUpdated",
+  "RoundMerkleRootUpdated",
+  "RoundPurchase",
+  "PaymentTokenUpdated",
+  "TokenPaymentReceived",
+  "SoftCapUpdated",
+  "RaiseFinalized",
+  "SaleFinalized",
+  "Refunded",
+  "PaymentRefunded",
+  "VoucherSignerUpdated",
+  "VouchersRevoked",
+  "VoucherRedeemed",
+];
+
+const TOKEN_EVENTS = ["Transfer", "Mint"];
+
+/**
+ * Loads a ledger file, or creates an empty ledger bound to the given contracts
+ * @param {string} file Ledger path
+ * @param {{ chainId: number, sale: string, token: string, startBlock: number }} binding
+ */
+function loadLedger(file, binding) {
+  if (!fs.existsSync(file)) {
+    return {
+      version: LEDGER_VERSION,
+      chainId: binding.chainId,
+      sale: binding.sale,
+      token: binding.token,
+      startBlock: binding.startBlock,
+      lastBlock: binding.startBlock - 1,
+      events: [],
+    };
+  }
+
+  const ledger = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (ledger.version !== LEDGER_VERSION) {
+    throw new Error(`Unsupported ledger version ${ledger.version} in ${file}`);
+  }
+  if (ledger.chainId !== binding.chainId || ledger.sale !== binding.sale) {
+    throw new Error(
+      `Ledger ${file} was built for sale ${ledger.sale} on chain ${ledger.chainId}; use another --ledger file`
+    );
+  }
+  return ledger;
+}
+
+/**
+ * Writes the ledger atomically so an interrupted run keeps the last good cursor
+ */
+function saveLedger(file, ledger) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(ledger, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Converts decoded event arguments into a JSON-safe object keyed by input name
+ */
+function normalizeArgs(log) {
+  const args = {};
+  log.fragment.inputs.forEach((input, i) => {
+    const value = log.args[i];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return args;
+}
+
+/**
+ * Fetches the named events of a contract in a block range
+ */
+async function fetchEvents(contract, contractName, eventNames, fromBlock, toBlock) {
+  const logs = await contract.queryFilter("*", fromBlock, toBlock);
+
+  return logs
+    .filter((log) => log.fragment && eventNames.includes(log.fragment.name))
+    .map((log) => ({
+      contract: contractName,
+      event: log.fragment.name,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      args: normalizeArgs(log),
+    }));
+}
+
+/**
+ * Indexes new events up to `toBlock`, saving after every batch
+ * @param {Object} options
+ * @param {Contract} options.sale WhitelistSale contract
+ * @param {Contract} options.token WhitelistToken contract
+ * @param {Object} options.ledger Ledger from loadLedger
+ * @param {string} options.file Ledger path (saved after each batch)
+ * @param {number} options.toBlock Last block to index
+ * @param {number} [options.batchSize] Blocks per query
+ * @param {Function} [options.onBatch] Called with (fromBlock, toBlock, count)
+ * @returns {Promise<number>} Number of new events
+ */
+async function syncLedger({ sale, token, ledger, file, toBlock, batchSize = 2000, onBatch }) {
+  let added = 0;
+
+  for (let from = ledger.lastBlock + 1; from <= toBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, toBlock);
+
+    const events = [
+      ...(await fetchEvents(sale, "WhitelistSale", SALE_EVENTS, from, to)),
+      ...(await fetchEvents(token, "WhitelistToken", TOKEN_EVENTS, from, to)),
+    ].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    ledger.events.push(...events);
+    ledger.lastBlock = to;
+    saveLedger(file, ledger);
+
+    added += events.length;
+    if (onBatch) {
+      onBatch(from, to, events.length);
+    }
+  }
+
+  return added;
+}
+
+/**
+ * Aggregates purchases and claims per buyer
+ * @returns {Object<string, { amount: bigint, ethSpent: bigint, purchases: number,
+ *   firstPurchase: number, lastPurchase: number, claimed: bigint, isClaimed: boolean, refunded: boolean }>}
+ */
+function summarizeBuyers(ledger) {
+  const buyers = {};
+  const entry = (buyer) => {
+    if (!buyers[buyer]) {
+      buyers[buyer] = {
+        amount: 0n,
+        ethSpent: 0n,
+        purchases: 0,
+        firstPurchase: null,
+        lastPurchase: null,
+        claimed: 0n,
+        isClaimed: false,
+        refunded: false,
+      };
+    }
+    return buyers[buyer];
+  };
+
+  for (const { contract, event, args } of ledger.events) {
+    if (contract !== "WhitelistSale") {
+      continue;
+    }
+
+    if (event === "TokenPurchase") {
+      const buyer = entry(args.buyer);
+      const timestamp = Number(args.timestamp);
+      buyer.amount += BigInt(args.tokenAmount);
+      buyer.ethSpent += BigInt(args.ethAmount);
+      buyer.purchases += 1;
+      buyer.firstPurchase = buyer.firstPurchase === null ? timestamp : buyer.firstPurchase;
+      buyer.lastPurchase = timestamp;
+    } else if (event === "TokensClaimed") {
+      const buyer = entry(args.buyer);
+      buyer.claimed += BigInt(args.amount);
+    } else if (event === "Refunded") {
+      // A refund cancels the whole allocation
+      const buyer = entry(args.buyer);
+      buyer.amount = 0n;
+      buyer.ethSpent = 0n;
+      buyer.refunded = true;
+    }
+  }
+
+  // purchases(addr).claimed is only set once everything purchased is claimed
+  for (const buyer of Object.values(buyers)) {
+    buyer.isClaimed = buyer.amount > 0n && buyer.claimed === buyer.amount;
+  }
+
+  return buyers;
+}
+
+/**
+ * Aggregates RoundPurchase events per round
+ * @returns {Object<string, { name: string|null, sold: bigint, ethRaised: bigint, purchases: number, buyers: number }>}
+ */
+function summarizeRounds(ledger) {
+  const rounds = {};
+  const buyers = {};
+  const entry = (roundId) => {
+    if (!rounds[roundId]) {
+      rounds[roundId] = { name: null, sold: 0n, ethRaised: 0n, purchases: 0, buyers: 0 };
+      buyers[roundId] = new Set();
+    }
+    return rounds[roundId];
+  };
+
+  for (const { contract, event, args } of ledger.events) {
+    if (contract !== "WhitelistSale") {
+      continue;
+    }
+
+    if (event === "RoundAdded") {
+      entry(args.roundId).name = args.name;
+    } else if (event === "RoundPurchase") {
+      const round = entry(args.roundId);
+      round.sold += BigInt(args.tokenAmount);
+      round.ethRaised += BigInt(args.ethAmount);
+      round.purchases += 1;
+      buyers[args.roundId].add(args.buyer);
+      round.buyers = buyers[args.roundId].size;
+    }
+  }
+
+  return rounds;
+}
+
+/**
+ * Aggregates TokenPaymentReceived events per ERC20 payment token
+ * @returns {Object<string, { raised: bigint, tokensSold: bigint, purchases: number }>}
+ */
+function summarizeCurrencies(ledger) {
+  const currencies = {};
+
+  for (const { contract, event, args } of ledger.events) {
+    if (contract !== "WhitelistSale") {
+      continue;
+    }
+
+    if (event === "PaymentTokenUpdated" && !currencies[args.paymentToken]) {
+      currencies[args.paymentToken] = { raised: 0n, tokensSold: 0n, purchases: 0 };
+    } else if (event === "TokenPaymentReceived") {
+      const currency = currencies[args.paymentToken];
+      currency.raised += BigInt(args.paymentAmount);
+      currency.tokensSold += BigInt(args.tokenAmount);
+      currency.purchases += 1;
+    } else if (event === "PaymentRefunded") {
+      currencies[args.paymentToken].raised -= BigInt(args.amount);
+    }
+  }
+
+  return currencies;
+}
+
+/**
+ * Sums per-buyer totals into sale-wide totals
+ */
+function summarizeTotals(buyers) {
+  return Object.values(buyers).reduce(
+    (totals, buyer) => ({
+      totalSold: totals.totalSold + buyer.amount,
+      totalEthRaised: totals.totalEthRaised + buyer.ethSpent,
+      totalClaimed: totals.totalClaimed + buyer.claimed,
+      buyers: totals.buyers + (buyer.refunded ? 0 : 1),
+    }),
+    { totalSold: 0n, totalEthRaised: 0n, totalClaimed: 0n, buyers: 0 }
+  );
+}
+
+/**
+ * Compares ledger totals with purchases(addr), totalPurchased, claimedAmount, round totals,
+ * raisedByCurrency, totalSold and totalEthRaised.
+ * The chain must be read at ledger.lastBlock for the comparison to be exact.
+ * @returns {Promise<Array<{ scope: string, field: string, ledger: *, chain: * }>>}
+ */
+async function reconcileLedger(sale, ledger) {
+  const overrides = { blockTag: ledger.lastBlock };
+  const buyers = summarizeBuyers(ledger);
+  const totals = summarizeTotals(buyers);
+  const mismatches = [];
+
+  const compare = (scope, field, ledgerValue, chainValue) => {
+    if (ledgerValue !== chainValue) {
+      mismatches.push({ scope, field, ledger: ledgerValue, chain: chainValue });
+    }
+  };
+
+  for (const [address, buyer] of Object.entries(buyers)) {
+    const purchase = await sale.purchases(address, overrides);
+    const totalPurchased = await sale.totalPurchased(address, overrides);
+
+    compare(address, "purchases.amount", buyer.amount, purchase.amount);
+    compare(address, "purchases.ethSpent", buyer.ethSpent, purchase.ethSpent);
+    compare(address, "totalPurchased", buyer.amount, totalPurchased);
+    compare(address, "purchases.claimed", buyer.isClaimed, purchase.claimed);
+    compare(address, "claimedAmount", buyer.claimed, await sale.claimedAmount(address, overrides));
+  }
+
+  for (const [roundId, round] of Object.entries(summarizeRounds(ledger))) {
+    compare(`round ${roundId}`, "roundSold", round.sold, await sale.roundSold(roundId, overrides));
+    compare(`round ${roundId}`, "roundEthRaised", round.ethRaised, await sale.roundEthRaised(roundId, overrides));
+  }
+
+  for (const [paymentToken, currency] of Object.entries(summarizeCurrencies(ledger))) {
+    compare(paymentToken, "raisedByCurrency", currency.raised, await sale.raisedByCurrency(paymentToken, overrides));
+  }
+
+  compare("sale", "totalSold", totals.totalSold, await sale.totalSold(overrides));
+  compare("sale", "totalEthRaised", totals.totalEthRaised, await sale.totalEthRaised(overrides));
+
+  return mismatches;
+}
+
+/**
+ * Renders per-buyer totals as CSV for finance
+ */
+function buyersToCsv(buyers) {
+  const iso = (timestamp) => (timestamp === null ? "" : new Date(timestamp * 1000).toISOString());
+  const rows = [
+    "buyer,token_amount_wei,eth_spent_wei,purchases,first_purchase,last_purchase,claimed_wei",
+  ];
+
+  for (const [address, buyer] of Object.entries(buyers)) {
+    rows.push(
+      [
+        address,
+        buyer.amount,
+        buyer.ethSpent,
+        buyer.purchases,
+        iso(buyer.firstPurchase),
+        iso(buyer.lastPurchase),
+        buyer.claimed,
+      ].join(",")
+    );
+  }
+
+  return rows.join("\n") + "\n";
+}
+
+module.exports = {
+  SALE_EVENTS,
+  TOKEN_EVENTS,
+  loadLedger,
+  saveLedger,
+  syncLedger,
+  summarizeBuyers,
+  summarizeRounds,
+  summarizeCurrencies,
+  summarizeTotals,
+  reconcileLedger,
+  buyersToCsv,
+};
@@ -0,0 +1,353 @@
+const fs = require("fs");
+const path = require("path");
+const { toJson } = require("./output");
+
+// ============================================
+// FRONTEND DEPLOYMENT MANIFESTS
+// One JSON manifest per chain id, built from the hardhat-deploy
+// artifacts and the live contracts, plus an optional combined
+// manifest and a generated JS/TS package for frontends and indexers
+// ============================================
+
+// Bump when the manifest shape changes in a way readers must handle
+const MANIFEST_VERSION = 1;
+
+const COMBINED_MANIFEST = "combined.json";
+
+// ABI entries a frontend or indexer needs, picked by name from the deployment ABI
+const MANIFEST_ABIS = {
+  WhitelistToken: {
+    functions: [
+      "name",
+      "symbol",
+      "decimals",
+      "totalSupply",
+      "MAX_SUPPLY",
+      "balanceOf",
+      "allowance",
+      "approve",
+      "transfer",
+      "transferFrom",
+      "nonces",
+      "permit",
+      "paused",
+      "transferRestricted",
+      "whitelist",
+      "isWhitelisted",
+    ],
+    events: ["Transfer", "Approval", "WhitelistUpdated", "TransferRestrictionsUpdated", "Paused", "Unpaused"],
+  },
+  WhitelistSale: {
+    functions: [
+      "token",
+      "treasury",
+      "saleConfig",
+      "merkleRoot",
+      "whitelist",
+      "isWhitelisted",
+      "isSaleActive",
+      "paused",
+      "totalSold",
+      "totalEthRaised",
+      "remainingTokens",
+      "totalPurchased",
+      "getPurchaseInfo",
+      "getVestingInfo",
+      "claimEnabled",
+      "claimStartTime",
+      "currentRound",
+      "rounds",
+      "roundCount",
+      "roundPurchased",
+      "paymentTokens",
+      "paymentTokenList",
+      "paymentTokenCount",
+      "quotePayment",
+      "softCap",
+      "raiseState",
+      "voucherNonces",
+      "trustedForwarder",
+      "saleFinalized",
+      "purchaseTokens",
+      "purchaseTokensWithVoucher",
+      "purchaseWithToken",
+      "purchaseWithPermit",
+      "claimTokens",
+      "refund",
+    ],
+    events: [
+      "TokenPurchase",
+      "RoundPurchase",
+      "TokenPaymentReceived",
+      "VoucherRedeemed",
+      "TokensClaimed",
+      "Refunded",
+      "PaymentRefunded",
+      "MerkleRootUpdated",
+      "RaiseFinalized",
+      "SaleFinalized",
+      "Paused",
+      "Unpaused",
+    ],
+  },
+};
+
+/**
+ * Keeps the functions and events listed for a contract, in ABI order
+ */
+function pickAbi(abi, { functions, events }) {
+  return abi.filter(
+    (entry) =>
+      (entry.type === "function" && functions.includes(entry.name)) ||
+      (entry.type === "event" && events.includes(entry.name))
+  );
+}
+
+/**
+ * Manifest entry for a hardhat-deploy deployment
+ */
+function describeDeployment(name, deployment) {
+  return {
+    address: deployment.address,
+    // Proxies record the block the proxy was deployed in; upgrades keep it
+    deployBlock: deployment.receipt ? deployment.receipt.blockNumber : null,
+    transactionHash: deployment.transactionHash || null,
+    ...(deployment.implementation ? { implementation: deployment.implementation } : {}),
+    abi: pickAbi(deployment.abi, MANIFEST_ABIS[name]),
+  };
+}
+
+/**
+ * Builds the manifest for the current network from its deployments and the live contracts
+ * @returns {Promise<Object>} Manifest with bigints as decimal strings
+ */
+async function buildManifest(hre) {
+  const { deployments, ethers } = hre;
+  const contracts = {};
+  for (const name of Object.keys(MANIFEST_ABIS)) {
+    const deployment = await deployments.getOrNull(name);
+    if (!deployment) {
+      throw new Error(`No ${name} deployment found in deployments/${hre.network.name}; deploy with hardhat-deploy first`);
+    }
+    contracts[name] = describeDeployment(name, deployment);
+  }
+
+  const token = await ethers.getContractAt("WhitelistToken", contracts.WhitelistToken.address);
+  const sale = await ethers.getContractAt("WhitelistSale", contracts.WhitelistSale.address);
+  const [{ chainId }, blockNumber, name, symbol, decimals, maxSupply, config, merkleRoot] = await Promise.all([
+    ethers.provider.getNetwork(),
+    ethers.provider.getBlockNumber(),
+    token.name(),
+    token.symbol(),
+    token.decimals(),
+    token.MAX_SUPPLY(),
+    sale.saleConfig(),
+    sale.merkleRoot(),
+  ]);
+
+  return {
+    version: MANIFEST_VERSION,
+    chainId: Number(chainId),
+    network: hre.network.name,
+    blockNumber,
+    contracts,
+    token: {
+      name,
+      symbol,
+      decimals: Number(decimals),
+      maxSupply: maxSupply.toString(),
+    },
+    sale: {
+      saleConfig: {
+        tokenPrice: config.tokenPrice.toString(),
+        minPurchase: config.minPurchase.toString(),
+        maxPurchase: config.maxPurchase.toString(),
+        maxSupply: config.maxSupply.toString(),
+        startTime: Number(config.startTime),
+        endTime: Number(config.endTime),
+        whitelistRequired: config.whitelistRequired,
+      },
+      merkleRoot,
+    },
+  };
+}
+
+/**
+ * Path of the manifest for a chain, e.g. manifests/31337.json
+ */
+function manifestFile(dir, chainId) {
+  return path.join(dir, `${chainId}.json`);
+}
+
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${toJson(value)}\n`);
+}
+
+/**
+ * Writes a chain's manifest, replacing the previous one for that chain
+ * @returns {string} The file written
+ */
+function writeManifest(dir, manifest) {
+  const file = manifestFile(dir, manifest.chainId);
+  writeJson(file, manifest);
+  return file;
+}
+
+/**
+ * Reads every per-chain manifest in a directory, ordered by chain id
+ */
+function readManifests(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir)
+    .filter((file) => /^\d+\.json$/.test(file))
+    .map((file) => {
+      const manifest = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      if (manifest.version !== MANIFEST_VERSION) {
+        throw new Error(
+          `${path.join(dir, file)} has manifest version ${manifest.version}, expected ${MANIFEST_VERSION}; export it again`
+        );
+      }
+      return manifest;
+    })
+    .sort((a, b) => a.chainId - b.chainId);
+}
+
+/**
+ * Every chain's manifest keyed by chain id
+ */
+function combineManifests(manifests) {
+  return {
+    version: MANIFEST_VERSION,
+    chains: Object.fromEntries(manifests.map((manifest) => [String(manifest.chainId), manifest])),
+  };
+}
+
+/**
+ * Writes combined.json next to the per-chain manifests
+ * @returns {string} The file written
+ */
+function writeCombinedManifest(dir, manifests) {
+  const file = path.join(dir, COMBINED_MANIFEST);
+  writeJson(file, combineManifests(manifests));
+  return file;
+}
+
+/**
+ * TypeScript type of a JSON value, with literal leaves so addresses and ABIs stay precise
+ */
+function toTypeLiteral(value, indent = "") {
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return "readonly []";
+    }
+    const inner = `${indent}  `;
+    return `readonly [\n${value.map((item) => `${inner}${toTypeLiteral(item, inner)}`).join(",\n")}\n${indent}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (entries.length === 0) {
+      return "{}";
+    }
+    const inner = `${indent}  `;
+    const fields = entries.map(([key, item]) => `${inner}readonly ${JSON.stringify(key)}: ${toTypeLiteral(item, inner)};`);
+    return `{\n${fields.join("\n")}\n${indent}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const GENERATED_HEADER = "// Generated by `npx hardhat manifest:export --package`; do not edit";
+
+/**
+ * Writes a CommonJS package with TypeScript declarations exporting every manifest
+ * @param {string} dir Package directory
+ * @param {Object[]} manifests Per-chain manifests
+ * @param {{ name: string, version: string }} options npm package name and version
+ * @returns {string[]} The files written
+ */
+function writeManifestPackage(dir, manifests, { name, version }) {
+  if (manifests.length === 0) {
+    throw new Error("No manifests to package; export at least one network first");
+  }
+  const { chains } = combineManifests(manifests);
+  const chainIds = manifests.map((manifest) => manifest.chainId);
+
+  const packageJson = {
+    name,
+    version,
+    description: "WhitelistToken and WhitelistSale deployments: addresses, ABIs and sale config per chain",
+    main: "index.js",
+    types: "index.d.ts",
+    files: ["index.js", "index.d.ts"],
+    license: "MIT",
+  };
+
+  const js = [
+    GENERATED_HEADER,
+    "",
+    `const MANIFEST_VERSION = ${MANIFEST_VERSION};`,
+    "",
+    `const manifests = ${toJson(chains)};`,
+    "",
+    "const chainIds = Object.values(manifests).map((manifest) => manifest.chainId);",
+    "",
+    "function getManifest(chainId) {",
+    "  const manifest = manifests[String(chainId)];",
+    "  if (!manifest) {",
+    "    throw new Error(`No deployment manifest for chain ${chainId}`);",
+    "  }",
+    "  return manifest;",
+    "}",
+    "",
+    "module.exports = { MANIFEST_VERSION, manifests, chainIds, getManifest };",
+    "",
+  ].join("\n");
+
+  const dts = [
+    GENERATED_HEADER,
+    "",
+    `export declare const MANIFEST_VERSION: ${MANIFEST_VERSION};`,
+    "",
+    `export type Manifests = ${toTypeLiteral(chains)};`,
+    "",
+    `export type ChainId = ${chainIds.join(" | ")};`,
+    "export type ChainManifest = Manifests[keyof Manifests];",
+    'export type ContractName = keyof ChainManifest["contracts"];',
+    "",
+    "export declare const manifests: Manifests;",
+    "export declare const chainIds: readonly ChainId[];",
+    "export declare function getManifest<C extends ChainId>(chainId: C): Manifests[`${C}`];",
+    "export declare function getManifest(chainId: number | string): ChainManifest;",
+    "",
+  ].join("\n");
+
+  const files = {
+    "package.json": `${toJson(packageJson)}\n`,
+    "index.js": js,
+    "index.d.ts": dts,
+  };
+  fs.mkdirSync(dir, { recursive: true });
+  return Object.entries(files).map(([file, contents]) => {
+    const target = path.join(dir, file);
+    fs.writeFileSync(target, contents);
+    return target;
+  });
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  MANIFEST_ABIS,
+  COMBINED_MANIFEST,
+  pickAbi,
+  buildManifest,
+  manifestFile,
+  writeManifest,
+  readManifests,
+  combineManifests,
+  writeCombinedManifest,
+  writeManifestPackage,
+};
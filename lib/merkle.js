@@ -0,0 +1,93 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { SimpleMerkleTree } = require("@openzeppelin/merkle-tree");
+const { normalizeAddress } = require("./allowlist");
+
+// ============================================
+// MERKLE ALLOWLIST HELPERS
+// Leaves must match WhitelistSale._isWhitelisted:
+//   keccak256(abi.encodePacked(account))
+// ============================================
+
+const LEAF_ENCODING = "keccak256(abi.encodePacked(address))";
+
+/**
+ * Hashes an address the same way WhitelistSale does
+ */
+function hashLeaf(address) {
+  return ethers.solidityPackedKeccak256(["address"], [address]);
+}
+
+/**
+ * Builds the allowlist tree and a proof for every address
+ * @param {string[]} addresses Normalized, de-duplicated addresses
+ * @returns {{ root: string, proofs: Object<string, string[]> }}
+ */
+function buildAllowlistTree(addresses) {
+  // WhitelistSale ignores empty proofs, and a single-leaf tree yields one
+  if (addresses.length < 2) {
+    throw new Error("Merkle allowlist needs at least 2 addresses");
+  }
+
+  const tree = SimpleMerkleTree.of(addresses.map(hashLeaf));
+  const proofs = {};
+  for (const address of addresses) {
+    proofs[address] = tree.getProof(hashLeaf(address));
+  }
+
+  return { root: tree.root, proofs };
+}
+
+/**
+ * Verifies a proof off-chain using the contract's leaf encoding
+ */
+function verifyProof(root, address, proof) {
+  return SimpleMerkleTree.verify(root, hashLeaf(normalizeAddress(address)), proof);
+}
+
+/**
+ * Writes the root and per-address proofs to a JSON file
+ */
+function writeProofFile(file, { root, proofs }) {
+  const data = {
+    root,
+    leafEncoding: LEAF_ENCODING,
+    count: Object.keys(proofs).length,
+    generatedAt: new Date().toISOString(),
+    proofs,
+  };
+
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + "\n");
+  return data;
+}
+
+/**
+ * Reads a proof file written by writeProofFile
+ */
+function readProofFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!data.root || !data.proofs) {
+    throw new Error(`Not a Merkle proof file: ${file}`);
+  }
+  return data;
+}
+
+/**
+ * Looks up the proof for an address in a loaded proof file
+ * @returns {string[]|undefined}
+ */
+function getProof(proofData, address) {
+  return proofData.proofs[normalizeAddress(address)];
+}
+
+module.exports = {
+  LEAF_ENCODING,
+  hashLeaf,
+  buildAllowlistTree,
+  verifyProof,
+  writeProofFile,
+  readProofFile,
+  getProof,
+};
@@ -0,0 +1,532 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { sumClaimed } = require("./preflight");
+
+// ============================================
+// SALE MONITOR
+// Scans WhitelistSale / WhitelistToken events from a persisted block
+// cursor, polls key views and turns rule matches into alerts. A tick
+// commits its cursor only after its alerts are sent, so a failed tick
+// (e.g. a dropped provider) is retried without firing anything twice.
+// ============================================
+
+const MONITOR_VERSION = 1;
+
+const SEVERITIES = ["info", "warning", "critical"];
+const ALERT_ICONS = { info: "ℹ️ ", warning: "⚠️ ", critical: "🚨" };
+
+const RULE_TYPES = [
+  "percent-sold",
+  "large-purchase",
+  "pause",
+  "emergency-withdraw",
+  "claims-underfunded",
+  "sale-status",
+];
+
+// Used when no rules file is given; large purchases need a size, so they are opt-in
+const DEFAULT_RULES = [
+  { type: "percent-sold", thresholds: [25, 50, 75, 90, 100] },
+  { type: "pause" },
+  { type: "emergency-withdraw" },
+  { type: "claims-underfunded" },
+  { type: "sale-status" },
+];
+
+// Blocks per getLogs query
+const LOG_SCAN_BATCH = 2000;
+
+// Longest wait between retries after failed ticks
+const MAX_RETRY_DELAY = 300;
+
+/**
+ * Validates one rule and resolves its amounts
+ */
+function parseRule(raw) {
+  switch (raw.type) {
+    case "percent-sold": {
+      const thresholds = raw.thresholds || DEFAULT_RULES[0].thresholds;
+      if (!Array.isArray(thresholds) || thresholds.length === 0) {
+        throw new Error("thresholds must list at least one percentage");
+      }
+      thresholds.forEach((value) => {
+        if (typeof value !== "number" || value <= 0 || value > 100) {
+          throw new Error(`invalid threshold "${value}"; use a percentage above 0 and up to 100`);
+        }
+      });
+      return { type: raw.type, thresholds: [...thresholds].sort((a, b) => a - b) };
+    }
+    case "large-purchase": {
+      // Amounts are whole tokens / ETH
+      const minTokens = raw.minTokens === undefined ? null : ethers.parseEther(String(raw.minTokens));
+      const minEth = raw.minEth === undefined ? null : ethers.parseEther(String(raw.minEth));
+      if (minTokens === null && minEth === null) {
+        throw new Error("set minTokens and/or minEth");
+      }
+      return { type: raw.type, minTokens, minEth };
+    }
+    default:
+      return { type: raw.type };
+  }
+}
+
+/**
+ * Validates monitor rules
+ * @param {Object[]} rules e.g. [{ "type": "large-purchase", "minTokens": "50000" }]
+ * @returns {Object[]} Rules with amounts as bigints
+ */
+function parseRules(rules) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error("rules must be a non-empty array");
+  }
+
+  return rules.map((raw, i) => {
+    if (!RULE_TYPES.includes(raw.type)) {
+      throw new Error(`rules[${i}]: unknown rule type "${raw.type}"; expected one of ${RULE_TYPES.join(", ")}`);
+    }
+    if (raw.severity !== undefined && !SEVERITIES.includes(raw.severity)) {
+      throw new Error(`rules[${i}] (${raw.type}): severity must be one of ${SEVERITIES.join(", ")}`);
+    }
+    try {
+      return { ...parseRule(raw), ...(raw.severity ? { severity: raw.severity } : {}) };
+    } catch (error) {
+      throw new Error(`rules[${i}] (${raw.type}): ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Reads a rules file: { "rules": [...] }
+ */
+function loadMonitorRules(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  return parseRules(raw.rules);
+}
+
+/**
+ * Loads the monitor state, or creates one bound to the given contracts
+ * @param {string} file State path
+ * @param {{ chainId: number, sale: string, token: string }} binding
+ */
+function loadMonitorState(file, binding) {
+  if (!fs.existsSync(file)) {
+    return {
+      version: MONITOR_VERSION,
+      chainId: binding.chainId,
+      sale: binding.sale,
+      token: binding.token,
+      lastBlock: null,
+      claimed: null,
+      firedThresholds: [],
+      conditions: {},
+    };
+  }
+
+  const state = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (state.version !== MONITOR_VERSION) {
+    throw new Error(`Unsupported monitor state version ${state.version} in ${file}`);
+  }
+  if (state.chainId !== binding.chainId || state.sale !== binding.sale) {
+    throw new Error(
+      `Monitor state ${file} is for sale ${state.sale} on chain ${state.chainId}; use another --state file`
+    );
+  }
+  return state;
+}
+
+/**
+ * Writes the state atomically so an interrupted run keeps the last committed cursor
+ */
+function saveMonitorState(file, state) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Console line for an alert
+ */
+function formatAlert(alert) {
+  const location = alert.transactionHash ? ` (tx: ${alert.transactionHash})` : ` (block ${alert.blockNumber})`;
+  return `${ALERT_ICONS[alert.severity]} [${alert.rule}] ${alert.message}${location}`;
+}
+
+/**
+ * Prints alerts to stdout
+ */
+function stdoutSink() {
+  return { name: "stdout", send: async (alert) => console.log(formatAlert(alert)) };
+}
+
+/**
+ * Appends alerts to a file, one JSON object per line
+ */
+function fileSink(file) {
+  return {
+    name: `file ${file}`,
+    send: async (alert) => {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.appendFileSync(file, `${JSON.stringify(alert)}\n`);
+    },
+  };
+}
+
+/**
+ * POSTs each alert as JSON, retrying failed requests
+ */
+function webhookSink(url, { retries = 3, retryDelay = 1000 } = {}) {
+  return {
+    name: `webhook ${url}`,
+    send: async (alert) => {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const response = await fetch(url, {
+            method: "POST",
+            headers: { "content-type": "application/json" },
+            body: JSON.stringify(alert),
+          });
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return;
+        } catch (error) {
+          if (attempt > retries) {
+            throw new Error(`webhook ${url} failed after ${attempt} attempts: ${error.message}`);
+          }
+          await new Promise((resolve) => setTimeout(resolve, retryDelay * attempt));
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Builds an alert; `id` is stable, so receivers can de-duplicate too
+ */
+function makeAlert(rule, { severity, message, id, blockNumber, transactionHash = null, data = {} }) {
+  return {
+    id: `${rule.type}:${id}`,
+    rule: rule.type,
+    severity: rule.severity || severity,
+    message,
+    blockNumber,
+    transactionHash,
+    data,
+  };
+}
+
+/**
+ * Alerts for a decoded sale or token event
+ */
+function evaluateEvent(rules, event) {
+  const alerts = [];
+  const where = {
+    id: `${event.transactionHash}:${event.logIndex}`,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+  };
+  const fromSale = event.contract === "WhitelistSale";
+
+  for (const rule of rules) {
+    if (rule.type === "large-purchase" && fromSale && event.name === "TokenPurchase") {
+      const { buyer, tokenAmount, ethAmount } = event.args;
+      const largeInTokens = rule.minTokens !== null && tokenAmount >= rule.minTokens;
+      const largeInEth = rule.minEth !== null && ethAmount >= rule.minEth;
+      if (largeInTokens || largeInEth) {
+        alerts.push(
+          makeAlert(rule, {
+            ...where,
+            severity: "warning",
+            message: `${buyer} bought ${ethers.formatEther(tokenAmount)} tokens for ${ethers.formatEther(ethAmount)} ETH`,
+            data: { buyer, tokenAmount: tokenAmount.toString(), ethAmount: ethAmount.toString() },
+          })
+        );
+      }
+    }
+    if (rule.type === "pause" && (event.name === "Paused" || event.name === "Unpaused")) {
+      const paused = event.name === "Paused";
+      alerts.push(
+        makeAlert(rule, {
+          ...where,
+          severity: paused ? "warning" : "info",
+          message: `${event.contract} ${paused ? "paused" : "unpaused"} by ${event.args.account}`,
+          data: { contract: event.contract, paused, account: event.args.account },
+        })
+      );
+    }
+    if (rule.type === "emergency-withdraw" && fromSale && event.name === "EmergencyWithdraw") {
+      const { token, amount } = event.args;
+      alerts.push(
+        makeAlert(rule, {
+          ...where,
+          severity: "critical",
+          message: `EmergencyWithdraw of ${ethers.formatEther(amount)} of ${token} from the sale`,
+          data: { token, amount: amount.toString() },
+        })
+      );
+    }
+  }
+  return alerts;
+}
+
+/**
+ * Alerts from polled views; updates the fired thresholds and conditions in `state`
+ */
+function evaluateStatus(rules, status, state) {
+  const alerts = [];
+  const { blockNumber, totalSold, maxSupply, balance } = status;
+  const outstanding = totalSold - BigInt(state.claimed);
+
+  for (const rule of rules) {
+    if (rule.type === "percent-sold") {
+      const soldBps = maxSupply > 0n ? Number((totalSold * 10000n) / maxSupply) : 0;
+      const crossed = rule.thresholds.filter(
+        (threshold) => soldBps >= threshold * 100 && !state.firedThresholds.includes(threshold)
+      );
+      if (crossed.length > 0) {
+        // One alert for the highest threshold crossed since the last tick
+        const threshold = crossed[crossed.length - 1];
+        state.firedThresholds.push(...crossed);
+        alerts.push(
+          makeAlert(rule, {
+            id: threshold,
+            blockNumber,
+            severity: "info",
+            message: `${threshold}% sold: ${ethers.formatEther(totalSold)} of ${ethers.formatEther(maxSupply)} tokens`,
+            data: { threshold, soldBps, totalSold: totalSold.toString(), maxSupply: maxSupply.toString() },
+          })
+        );
+      }
+    }
+    if (rule.type === "claims-underfunded") {
+      const underfunded = balance < outstanding;
+      if (underfunded !== Boolean(state.conditions.underfunded)) {
+        alerts.push(
+          makeAlert(rule, {
+            id: `${blockNumber}:${underfunded ? "underfunded" : "covered"}`,
+            blockNumber,
+            severity: underfunded ? "critical" : "info",
+            message: underfunded
+              ? `Sale holds ${ethers.formatEther(balance)} tokens but owes buyers ${ethers.formatEther(outstanding)} unclaimed`
+              : `Sale balance ${ethers.formatEther(balance)} covers ${ethers.formatEther(outstanding)} unclaimed again`,
+            data: { balance: balance.toString(), outstanding: outstanding.toString() },
+          })
+        );
+      }
+      state.conditions.underfunded = underfunded;
+    }
+    if (rule.type === "sale-status") {
+      // The first tick only records the status
+      const previous = state.conditions.saleActive;
+      if (previous !== undefined && previous !== status.isSaleActive) {
+        const label = status.isSaleActive ? "active" : "inactive";
+        alerts.push(
+          makeAlert(rule, {
+            id: `${blockNumber}:${label}`,
+            blockNumber,
+            severity: "info",
+            message: `Sale is now ${label}`,
+            data: { isSaleActive: status.isSaleActive },
+          })
+        );
+      }
+      state.conditions.saleActive = status.isSaleActive;
+    }
+  }
+  return alerts;
+}
+
+/**
+ * Sends every alert to every sink; a failing sink does not stop the others
+ */
+async function dispatchAlerts(sinks, alerts, onSinkError) {
+  for (const alert of alerts) {
+    for (const sink of sinks) {
+      try {
+        await sink.send(alert);
+      } catch (error) {
+        if (onSinkError) {
+          onSinkError(error, sink, alert);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Creates a monitor for a sale and its token
+ * @param {Object} options
+ * @param {Contract} options.sale WhitelistSale contract
+ * @param {Contract} options.token WhitelistToken contract
+ * @param {Provider} [options.provider] Provider for blocks and logs (defaults to the sale's)
+ * @param {Object[]} options.rules Result of parseRules
+ * @param {Object} options.state Result of loadMonitorState
+ * @param {string} [options.file] State path, saved after every committed tick
+ * @param {Object[]} options.sinks Alert sinks ({ name, send(alert) })
+ * @param {number} [options.deployBlock] Sale deployment block, where the initial claim sum starts
+ * @param {number} [options.fromBlock] First block to scan on a fresh state (defaults to the next block)
+ * @param {number} [options.confirmations] Blocks to stay behind the chain head
+ * @param {Function} [options.onSinkError] Called with (error, sink, alert)
+ */
+function createMonitor(options) {
+  const { sale, token, rules, state, file, sinks, deployBlock = 0, confirmations = 0, onSinkError } = options;
+  const provider = options.provider || sale.runner.provider;
+  let stopped = false;
+  let wake = null;
+
+  /**
+   * Polls the views the rules and the status line use, all at the same block
+   */
+  async function readStatus(blockTag, saleAddress) {
+    const [isSaleActive, remainingTokens, salePaused, tokenPaused, totalEthRaised, totalSold, config, balance] =
+      await Promise.all([
+        sale.isSaleActive({ blockTag }),
+        sale.remainingTokens({ blockTag }),
+        sale.paused({ blockTag }),
+        token.paused({ blockTag }),
+        sale.totalEthRaised({ blockTag }),
+        sale.totalSold({ blockTag }),
+        sale.saleConfig({ blockTag }),
+        token.balanceOf(saleAddress, { blockTag }),
+      ]);
+    return {
+      blockNumber: blockTag,
+      isSaleActive,
+      remainingTokens,
+      salePaused,
+      tokenPaused,
+      totalEthRaised,
+      totalSold,
+      maxSupply: config.maxSupply,
+      balance,
+    };
+  }
+
+  /**
+   * Scans new blocks, polls the views and sends alerts; commits the new cursor last
+   * @returns {Promise<{ fromBlock: number, toBlock: number, alerts: Object[], status: Object | null }>}
+   */
+  async function tick() {
+    const [saleAddress, tokenAddress] = await Promise.all([sale.getAddress(), token.getAddress()]);
+    const head = (await provider.getBlockNumber()) - confirmations;
+    // Work on a copy; nothing is kept unless the whole tick succeeds
+    const next = JSON.parse(JSON.stringify(state));
+
+    const fresh = next.lastBlock === null;
+    if (fresh) {
+      next.lastBlock = (options.fromBlock === undefined ? head + 1 : options.fromBlock) - 1;
+    }
+    if (next.claimed === null) {
+      next.claimed = (await sumClaimed(sale, deployBlock, next.lastBlock)).toString();
+    }
+    // A provider behind the last tick (e.g. after reconnecting to another node) has nothing new
+    if (!fresh && head <= next.lastBlock) {
+      return { fromBlock: next.lastBlock + 1, toBlock: head, alerts: [], status: null };
+    }
+
+    const fromBlock = next.lastBlock + 1;
+    const alerts = [];
+    for (let from = fromBlock; from <= head; from += LOG_SCAN_BATCH) {
+      const to = Math.min(from + LOG_SCAN_BATCH - 1, head);
+      const logs = await provider.getLogs({ address: [saleAddress, tokenAddress], fromBlock: from, toBlock: to });
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+      for (const log of logs) {
+        const isSale = log.address.toLowerCase() === saleAddress.toLowerCase();
+        const parsed = (isSale ? sale : token).interface.parseLog(log);
+        if (!parsed) {
+          continue;
+        }
+        const event = {
+          contract: isSale ? "WhitelistSale" : "WhitelistToken",
+          name: parsed.name,
+          args: parsed.args,
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+          logIndex: log.index,
+        };
+        if (isSale && parsed.name === "TokensClaimed") {
+          next.claimed = (BigInt(next.claimed) + parsed.args.amount).toString();
+        }
+        alerts.push(...evaluateEvent(rules, event));
+      }
+    }
+
+    const status = await readStatus(head, saleAddress);
+    alerts.push(...evaluateStatus(rules, status, next));
+    next.lastBlock = head;
+
+    await dispatchAlerts(sinks, alerts, onSinkError);
+    Object.assign(state, next);
+    if (file) {
+      saveMonitorState(file, state);
+    }
+    return { fromBlock, toBlock: head, alerts, status };
+  }
+
+  /**
+   * Ticks every `interval` seconds until stop(); failed ticks are retried with backoff
+   * @param {{ interval: number, onTick?: Function, onError?: Function }} runOptions
+   *   onError is called with (error, failures, retryIn)
+   */
+  async function run({ interval, onTick, onError }) {
+    let failures = 0;
+    while (!stopped) {
+      let delay = interval;
+      try {
+        const result = await tick();
+        failures = 0;
+        if (onTick) {
+          onTick(result);
+        }
+      } catch (error) {
+        failures += 1;
+        delay = Math.min(interval * 2 ** failures, Math.max(interval, MAX_RETRY_DELAY));
+        if (onError) {
+          onError(error, failures, delay);
+        }
+      }
+      if (!stopped) {
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, delay * 1000);
+          wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+        wake = null;
+      }
+    }
+  }
+
+  /**
+   * Ends run() after the current tick
+   */
+  function stop() {
+    stopped = true;
+    if (wake) {
+      wake();
+    }
+  }
+
+  return { state, tick, run, stop };
+}
+
+module.exports = {
+  MONITOR_VERSION,
+  RULE_TYPES,
+  DEFAULT_RULES,
+  parseRules,
+  loadMonitorRules,
+  loadMonitorState,
+  saveMonitorState,
+  formatAlert,
+  stdoutSink,
+  fileSink,
+  webhookSink,
+  evaluateEvent,
+  evaluateStatus,
+  createMonitor,
+};
@@ -0,0 +1,63 @@
+// ============================================
+// CONSOLE / JSON OUTPUT HELPERS
+// ============================================
+
+/**
+ * JSON.stringify that writes bigints as decimal strings
+ */
+function toJson(value) {
+  return JSON.stringify(
+    value,
+    (key, item) => (typeof item === "bigint" ? item.toString() : item),
+    2
+  );
+}
+
+/**
+ * Prints a value as JSON to stdout
+ */
+function printJson(value) {
+  console.log(toJson(value));
+}
+
+/**
+ * Prints a section header in the style of the check scripts
+ */
+function printSection(title) {
+  console.log(`\n${title}`);
+  console.log("═".repeat(50));
+}
+
+/**
+ * Formats a unix timestamp (seconds) as an ISO string
+ */
+function formatTimestamp(seconds) {
+  if (!seconds) {
+    return "not set";
+  }
+  return new Date(Number(seconds) * 1000).toISOString();
+}
+
+/**
+ * Formats a duration in seconds using the largest whole unit (e.g. "90d", "36h")
+ */
+function formatDuration(seconds) {
+  const value = Number(seconds);
+  if (value === 0) {
+    return "0s";
+  }
+  for (const [unit, size] of [["d", 86400], ["h", 3600], ["m", 60]]) {
+    if (value % size === 0) {
+      return `${value / size}${unit}`;
+    }
+  }
+  return `${value}s`;
+}
+
+module.exports = {
+  toJson,
+  printJson,
+  printSection,
+  formatTimestamp,
+  formatDuration,
+};
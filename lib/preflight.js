@@ -0,0 +1,202 @@
+const { ethers } = require("ethers");
+const { TIMELOCK_DEPLOYMENT } = require("./admin");
+const { resolveDeployConfig } = require("./config");
+const { ACCESS_MANAGER_DEPLOYMENT } = require("./roles");
+const { formatTimestamp } = require("./output");
+
+// ============================================
+// DEPLOYMENT PREFLIGHT
+// Invariants a WhitelistToken + WhitelistSale deployment must hold before
+// buyers arrive: funding, claim timing, transfer restrictions, treasury
+// and ownership. Each check passes, warns or fails.
+// ============================================
+
+const PREFLIGHT_ICONS = { pass: "✅", warn: "⚠️ ", fail: "❌" };
+
+// Blocks per TokensClaimed query
+const CLAIM_SCAN_BATCH = 2000;
+
+/**
+ * Sum of every TokensClaimed amount between two blocks
+ */
+async function sumClaimed(sale, fromBlock, toBlock) {
+  let claimed = 0n;
+  for (let from = fromBlock; from <= toBlock; from += CLAIM_SCAN_BATCH) {
+    const to = Math.min(from + CLAIM_SCAN_BATCH - 1, toBlock);
+    const events = await sale.queryFilter(sale.filters.TokensClaimed(), from, to);
+    claimed += events.reduce((total, event) => total + event.args.amount, 0n);
+  }
+  return claimed;
+}
+
+/**
+ * Compares an address with what the deployment should use; warns when nothing is expected
+ */
+function checkExpected(name, actual, expected) {
+  if (!expected) {
+    return { name, status: "warn", message: `${actual} (nothing configured to compare with)` };
+  }
+  if (actual !== expected) {
+    return { name, status: "fail", message: `${actual}, expected ${expected}` };
+  }
+  return { name, status: "pass", message: actual };
+}
+
+/**
+ * Runs every preflight check against the chain
+ * @param {Object} options
+ * @param {Contract} options.token WhitelistToken contract
+ * @param {Contract} options.sale WhitelistSale contract
+ * @param {{ treasury?: string, tokenOwner?: string, saleOwner?: string }} [options.expected]
+ *   Addresses the deployment should use (usually from the network config)
+ * @param {number} [options.fromBlock] Sale deployment block, where the claim scan starts
+ * @returns {Promise<{ passed: boolean, checks: Array<{ name: string, status: string, message: string }> }>}
+ */
+async function runPreflight({ token, sale, expected = {}, fromBlock = 0 }) {
+  const provider = sale.runner.provider;
+  const [tokenAddress, saleAddress] = await Promise.all([token.getAddress(), sale.getAddress()]);
+  const [
+    saleToken,
+    treasury,
+    saleOwner,
+    tokenOwner,
+    config,
+    totalSold,
+    claimEnabled,
+    claimStartTime,
+    balance,
+    transferRestricted,
+    saleWhitelisted,
+    salePaused,
+    tokenPaused,
+    blockNumber,
+  ] = await Promise.all([
+    sale.token(),
+    sale.treasury(),
+    sale.owner(),
+    token.owner(),
+    sale.saleConfig(),
+    sale.totalSold(),
+    sale.claimEnabled(),
+    sale.claimStartTime(),
+    token.balanceOf(saleAddress),
+    token.transferRestricted(),
+    token.whitelist(saleAddress),
+    sale.paused(),
+    token.paused(),
+    provider.getBlockNumber(),
+  ]);
+  const checks = [];
+
+  checks.push(
+    saleToken === tokenAddress
+      ? { name: "Sale token", status: "pass", message: `WhitelistSale sells ${tokenAddress}` }
+      : { name: "Sale token", status: "fail", message: `WhitelistSale sells ${saleToken}, not ${tokenAddress}` }
+  );
+
+  // Unsold supply plus what buyers have bought but not claimed yet
+  const claimed = await sumClaimed(sale, fromBlock, blockNumber);
+  const unsold = config.maxSupply - totalSold;
+  const unclaimed = totalSold - claimed;
+  const owed = unsold + unclaimed;
+  const owedDetail = `${ethers.formatEther(unsold)} unsold + ${ethers.formatEther(unclaimed)} sold but unclaimed`;
+  checks.push(
+    balance >= owed
+      ? {
+          name: "Token balance",
+          status: "pass",
+          message: `Sale holds ${ethers.formatEther(balance)} tokens, owes ${ethers.formatEther(owed)} (${owedDetail})`,
+        }
+      : {
+          name: "Token balance",
+          status: "fail",
+          message: `Sale holds ${ethers.formatEther(balance)} tokens but owes ${ethers.formatEther(owed)} (${owedDetail}); short ${ethers.formatEther(owed - balance)}`,
+        }
+  );
+
+  if (!claimEnabled) {
+    checks.push({
+      name: "Claim start",
+      status: "warn",
+      message: `Claiming is disabled; call setClaimEnabled(true, ${config.endTime}) or later before buyers claim`,
+    });
+  } else if (claimStartTime < config.endTime) {
+    checks.push({
+      name: "Claim start",
+      status: "fail",
+      message: `Claims open at ${formatTimestamp(claimStartTime)}, before the sale ends at ${formatTimestamp(config.endTime)}`,
+    });
+  } else {
+    checks.push({
+      name: "Claim start",
+      status: "pass",
+      message: `Claims open at ${formatTimestamp(claimStartTime)}, after the sale ends`,
+    });
+  }
+
+  // Restricted transfers need the sender or the recipient whitelisted, and buyers usually are not
+  if (saleWhitelisted) {
+    checks.push({ name: "Claim transfers", status: "pass", message: "WhitelistSale is whitelisted on the token" });
+  } else if (transferRestricted) {
+    checks.push({
+      name: "Claim transfers",
+      status: "fail",
+      message: "transferRestricted is on and WhitelistSale is not whitelisted on the token; claimTokens reverts for buyers not whitelisted there",
+    });
+  } else {
+    checks.push({
+      name: "Claim transfers",
+      status: "warn",
+      message: "WhitelistSale is not whitelisted on the token; claims will revert if transferRestricted is turned on",
+    });
+  }
+
+  if ([ethers.ZeroAddress, saleAddress, tokenAddress].includes(treasury)) {
+    checks.push({ name: "Treasury", status: "fail", message: `${treasury} cannot receive the raise` });
+  } else {
+    checks.push(checkExpected("Treasury", treasury, expected.treasury));
+  }
+  checks.push(checkExpected("Token owner", tokenOwner, expected.tokenOwner));
+  checks.push(checkExpected("Sale owner", saleOwner, expected.saleOwner));
+
+  if (salePaused || tokenPaused) {
+    const paused = [salePaused && "WhitelistSale", tokenPaused && "WhitelistToken"].filter(Boolean);
+    checks.push({ name: "Paused", status: "warn", message: `${paused.join(" and ")} paused` });
+  }
+
+  return { passed: checks.every((check) => check.status !== "fail"), checks };
+}
+
+/**
+ * Treasury and owners the network config asks for. Owners are the AccessManager or the
+ * timelock when the config hands ownership to one and it is deployed.
+ * @returns {Promise<{ treasury?: string, tokenOwner?: string, saleOwner?: string }>}
+ */
+async function getConfiguredExpectations(hre) {
+  const config = await resolveDeployConfig(hre);
+  const handoff = config.roles
+    ? await hre.deployments.getOrNull(ACCESS_MANAGER_DEPLOYMENT)
+    : config.timelock
+      ? await hre.deployments.getOrNull(TIMELOCK_DEPLOYMENT)
+      : null;
+
+  return {
+    treasury: config.sale.treasury,
+    tokenOwner: handoff ? handoff.address : config.token.owner,
+    saleOwner: handoff ? handoff.address : config.sale.owner,
+  };
+}
+
+/**
+ * Report line for a check
+ */
+function formatPreflightCheck(check) {
+  return `${PREFLIGHT_ICONS[check.status]} ${check.name}: ${check.message}`;
+}
+
+module.exports = {
+  sumClaimed,
+  runPreflight,
+  getConfiguredExpectations,
+  formatPreflightCheck,
+};
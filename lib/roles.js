@@ -0,0 +1,296 @@
+// ============================================
+// ROLE-BASED ACCESS
+// A WhitelistAccessManager (OpenZeppelin AccessManager) owns WhitelistToken
+// and WhitelistSale; each owner-only function is assigned to a role whose
+// members call it through manager.execute. Role membership is rebuilt from
+// the manager's events and confirmed with hasRole.
+// ============================================
+
+const ACCESS_MANAGER_DEPLOYMENT = "AccessManager";
+
+// Role ids on the manager; ADMIN_ROLE (0) is AccessManager's built-in admin
+const ROLES = {
+  ADMIN: 0,
+  MINTER: 1,
+  WHITELIST_MANAGER: 2,
+  PAUSER: 3,
+  SALE_ADMIN: 4,
+  RECOVERY: 5,
+};
+
+// Functions each role may call, by target ("token", "sale" or the manager itself).
+// Owner-only functions not listed here (transferOwnership, upgrades) stay with ADMIN.
+const ROLE_FUNCTIONS = {
+  MINTER: {
+    token: ["mint", "mintBatch"],
+  },
+  WHITELIST_MANAGER: {
+    token: ["updateWhitelist", "updateWhitelistBatch", "setTransferRestrictions"],
+    sale: ["updateWhitelist", "updateWhitelistBatch", "setMerkleRoot", "setRoundMerkleRoot", "revokeVouchers"],
+  },
+  PAUSER: {
+    token: ["pause", "unpause"],
+    sale: ["pause", "unpause"],
+  },
+  SALE_ADMIN: {
+    sale: [
+      "updateSaleConfig",
+      "setClaimEnabled",
+      "addRound",
+      "updateRound",
+      "setPaymentToken",
+      "removePaymentToken",
+      "setVoucherSigner",
+      "setSoftCap",
+      "setVestingSchedule",
+      "finalizeRaise",
+      "finalizeSale",
+    ],
+  },
+  RECOVERY: {
+    token: ["recoverERC20", "recoverETH"],
+    sale: ["emergencyWithdraw", "emergencyWithdrawETH"],
+    manager: ["sweep"],
+  },
+};
+
+// Deployments the role targets refer to
+const ROLE_TARGETS = { token: "WhitelistToken", sale: "WhitelistSale", manager: ACCESS_MANAGER_DEPLOYMENT };
+
+const ROLE_NAMES = Object.fromEntries(Object.entries(ROLES).map(([name, id]) => [id, name]));
+
+/**
+ * Resolves a role given by name ("MINTER", "whitelist-manager") or id
+ * @returns {{ name: string, id: number }}
+ */
+function parseRole(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text) && ROLE_NAMES[Number(text)] !== undefined) {
+    return { name: ROLE_NAMES[Number(text)], id: Number(text) };
+  }
+  const name = text.toUpperCase().replace(/-/g, "_");
+  if (ROLES[name] === undefined) {
+    throw new Error(`Unknown role "${value}"; use one of ${Object.keys(ROLES).join(", ")}`);
+  }
+  return { name, id: ROLES[name] };
+}
+
+/**
+ * Name for a role id: ours, else its on-chain label, else the bare id
+ */
+function roleName(id, labels = {}) {
+  return ROLE_NAMES[id] || labels[id] || `role ${id}`;
+}
+
+/**
+ * WhitelistAccessManager at `address`, or null when the address is an EOA or another contract
+ */
+async function getAccessManager(hre, address, runner) {
+  if ((await hre.ethers.provider.getCode(address)) === "0x") {
+    return null;
+  }
+  const manager = await hre.ethers.getContractAt("WhitelistAccessManager", address, runner);
+  try {
+    await manager.expiration();
+    return manager;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Replays the manager's events into role members, labels and function assignments,
+ * then confirms every member with hasRole
+ * @param {Contract} manager WhitelistAccessManager
+ * @param {{ fromBlock?: number, toBlock?: number, batchSize?: number }} [options]
+ * @returns {Promise<{ labels: Object<number, string>, functions: Array<{ target: string, selector: string, role: number }>,
+ *   members: Array<{ role: number, account: string, executionDelay: number, since: number, active: boolean }> }>}
+ */
+async function readRoles(manager, { fromBlock = 0, toBlock, batchSize = 2000 } = {}) {
+  const provider = manager.runner.provider;
+  const address = await manager.getAddress();
+  const lastBlock = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+  const members = new Map();
+  const labels = {};
+  const functions = new Map();
+
+  for (let from = fromBlock; from <= lastBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, lastBlock);
+    const logs = await provider.getLogs({ address, fromBlock: from, toBlock: to });
+    for (const log of logs) {
+      const event = manager.interface.parseLog(log);
+      if (!event) {
+        continue;
+      }
+      const role = event.args.roleId === undefined ? undefined : Number(event.args.roleId);
+      if (event.name === "RoleGranted") {
+        members.set(`${role}:${event.args.account}`, { role, account: event.args.account, since: Number(event.args.since) });
+      } else if (event.name === "RoleRevoked") {
+        members.delete(`${role}:${event.args.account}`);
+      } else if (event.name === "RoleLabel") {
+        labels[role] = event.args.label;
+      } else if (event.name === "TargetFunctionRoleUpdated") {
+        const { target, selector } = event.args;
+        functions.set(`${target}:${selector}`, { target, selector, role });
+      }
+    }
+  }
+
+  const { timestamp } = await provider.getBlock(lastBlock);
+  const confirmed = [];
+  for (const member of members.values()) {
+    const [isMember, executionDelay] = await manager.hasRole(member.role, member.account);
+    // A grant with a grant delay shows up in events before it takes effect
+    const pending = !isMember && member.since > timestamp;
+    if (isMember || pending) {
+      confirmed.push({ ...member, executionDelay: Number(executionDelay), active: isMember });
+    }
+  }
+
+  return {
+    labels,
+    members: confirmed.sort((a, b) => a.role - b.role),
+    functions: [...functions.values()].filter((entry) => entry.role !== ROLES.ADMIN),
+  };
+}
+
+/**
+ * Selectors ROLE_FUNCTIONS assigns, grouped per target address and role
+ * @param {Object<string, Interface>} interfaces Interface per target key
+ * @param {Object<string, string>} addresses Address per target key
+ * @returns {Array<{ role: string, target: string, address: string, functions: string[], selectors: string[] }>}
+ */
+function getFunctionAssignments(interfaces, addresses) {
+  return Object.entries(ROLE_FUNCTIONS).flatMap(([role, targets]) =>
+    Object.entries(targets).map(([target, functions]) => ({
+      role,
+      target,
+      address: addresses[target],
+      functions,
+      selectors: functions.map((name) => interfaces[target].getFunction(name).selector),
+    }))
+  );
+}
+
+/**
+ * Manager calls still needed to reach the configured roles: labels, function roles and
+ * members, then the ADMIN_ROLE handoff from `deployer` to `admin`. Finished steps are skipped,
+ * so re-running a deployment only sends what changed.
+ * @param {Contract} manager WhitelistAccessManager
+ * @param {{ interfaces: Object, addresses: Object, members: Object<string, string[]>, admin: string,
+ *   deployer: string, fromBlock?: number }} options
+ * @returns {Promise<Array<{ method: string, args: Array, description: string }>>}
+ */
+async function planRoleSetup(manager, { interfaces, addresses, members, admin, deployer, fromBlock = 0 }) {
+  const current = await readRoles(manager, { fromBlock });
+  const steps = [];
+
+  for (const [name, id] of Object.entries(ROLES)) {
+    if (id !== ROLES.ADMIN && current.labels[id] !== name) {
+      steps.push({ method: "labelRole", args: [id, name], description: `labelRole(${id}, ${name})` });
+    }
+  }
+
+  for (const assignment of getFunctionAssignments(interfaces, addresses)) {
+    const id = ROLES[assignment.role];
+    const missing = [];
+    for (const [i, selector] of assignment.selectors.entries()) {
+      if (Number(await manager.getTargetFunctionRole(assignment.address, selector)) !== id) {
+        missing.push(i);
+      }
+    }
+    if (missing.length > 0) {
+      steps.push({
+        method: "setTargetFunctionRole",
+        args: [assignment.address, missing.map((i) => assignment.selectors[i]), id],
+        description: `${assignment.role} may call ${ROLE_TARGETS[assignment.target]}.${missing
+          .map((i) => assignment.functions[i])
+          .join(", ")}`,
+      });
+    }
+  }
+
+  for (const [name, accounts] of Object.entries(members || {})) {
+    for (const account of accounts) {
+      const [isMember] = await manager.hasRole(ROLES[name], account);
+      if (!isMember) {
+        steps.push({ method: "grantRole", args: [ROLES[name], account, 0], description: `Granted ${name} to ${account}` });
+      }
+    }
+  }
+
+  // Last, so the deployer keeps ADMIN_ROLE for the steps above
+  if (admin !== deployer) {
+    const [isAdmin] = await manager.hasRole(ROLES.ADMIN, admin);
+    if (!isAdmin) {
+      steps.push({ method: "grantRole", args: [ROLES.ADMIN, admin, 0], description: `Granted ADMIN to ${admin}` });
+    }
+    steps.push({ method: "renounceRole", args: [ROLES.ADMIN, deployer], description: `Deployer ${deployer} renounced ADMIN` });
+  }
+
+  return steps;
+}
+
+/**
+ * Wraps `contract` so calling (or estimating) one of `methods` sends it through
+ * manager.execute instead; everything else passes through unchanged
+ */
+function throughManager(contract, manager, methods) {
+  const wrap = (method) => {
+    const data = (...args) => contract.interface.encodeFunctionData(method, args);
+    const send = (...args) => manager.execute(contract.target, data(...args));
+    send.estimateGas = (...args) => manager.execute.estimateGas(contract.target, data(...args));
+    return send;
+  };
+
+  return new Proxy(contract, {
+    get(target, property) {
+      if (methods.includes(property)) {
+        return wrap(property);
+      }
+      const value = target[property];
+      // Contract helpers (queryFilter, getAddress, ...) look up their state through `this`
+      return typeof value === "function" && property in Object.getPrototypeOf(target) ? value.bind(target) : value;
+    },
+  });
+}
+
+/**
+ * How `signer` may call owner-only `methods` on `contract`: directly when it is the owner,
+ * or through the AccessManager that owns the contract when the signer holds roles allowing
+ * every method without an execution delay
+ * @returns {Promise<{ contract: Contract, via: "owner"|"manager" }|null>} The contract to call, or null
+ */
+async function resolveManagedCaller(hre, contract, signer, methods) {
+  const owner = await contract.owner();
+  if (owner === signer.address) {
+    return { contract, via: "owner" };
+  }
+
+  const manager = await getAccessManager(hre, owner, signer);
+  if (!manager) {
+    return null;
+  }
+  for (const method of methods) {
+    const [immediate] = await manager.canCall(signer.address, contract.target, contract.interface.getFunction(method).selector);
+    if (!immediate) {
+      return null;
+    }
+  }
+  return { contract: throughManager(contract, manager, methods), via: "manager" };
+}
+
+module.exports = {
+  ACCESS_MANAGER_DEPLOYMENT,
+  ROLES,
+  ROLE_FUNCTIONS,
+  ROLE_TARGETS,
+  parseRole,
+  roleName,
+  getAccessManager,
+  readRoles,
+  getFunctionAssignments,
+  planRoleSetup,
+  throughManager,
+  resolveManagedCaller,
+};
@@ -0,0 +1,148 @@
+const fs = require("fs");
+const path = require("path");
+const { sumClaimed } = require("./preflight");
+const { RAISE_STATES, readPaymentTokens } = require("./state");
+const { toJson } = require("./output");
+
+// ============================================
+// SALE SETTLEMENT
+// Close-out of an ended WhitelistSale: whether finalizeSale can run yet,
+// and the settlement report built from its SaleFinalized event, the
+// purchase and claim events and the per-currency totals
+// ============================================
+
+// Blocks per TokenPurchase / SaleFinalized query
+const SETTLEMENT_SCAN_BATCH = 2000;
+
+// Why finalizeSale would revert for each raise state that still holds payments
+const UNSETTLED_RAISE_REASONS = {
+  succeeded: "Soft cap met but the raise is not finalized; run finalizeRaise() first",
+  failed: "Soft cap missed; buyers refund instead and the sale cannot be finalized",
+};
+
+/**
+ * Reasons finalizeSale would revert now, empty when it can run
+ * @param {Contract} sale WhitelistSale contract
+ * @returns {Promise<string[]>}
+ */
+async function checkFinalization(sale) {
+  const provider = sale.runner.provider;
+  const [finalized, config, raiseState, block] = await Promise.all([
+    sale.saleFinalized(),
+    sale.saleConfig(),
+    sale.raiseState(),
+    provider.getBlock("latest"),
+  ]);
+
+  if (finalized) {
+    return ["WhitelistSale is already finalized"];
+  }
+  // The next block is mined at least one second later
+  if (BigInt(block.timestamp) + 1n <= config.endTime) {
+    return [`The sale has not ended; it ends at ${new Date(Number(config.endTime) * 1000).toISOString()}`];
+  }
+  const reason = UNSETTLED_RAISE_REASONS[RAISE_STATES[Number(raiseState)]];
+  return reason ? [reason] : [];
+}
+
+/**
+ * Number of distinct addresses with a TokenPurchase between two blocks
+ */
+async function countBuyers(sale, fromBlock, toBlock) {
+  const buyers = new Set();
+  for (let from = fromBlock; from <= toBlock; from += SETTLEMENT_SCAN_BATCH) {
+    const to = Math.min(from + SETTLEMENT_SCAN_BATCH - 1, toBlock);
+    const events = await sale.queryFilter(sale.filters.TokenPurchase(), from, to);
+    events.forEach((event) => buyers.add(event.args.buyer));
+  }
+  return buyers.size;
+}
+
+/**
+ * The sale's SaleFinalized event, or null before finalizeSale
+ */
+async function findFinalization(sale, fromBlock, toBlock) {
+  for (let from = fromBlock; from <= toBlock; from += SETTLEMENT_SCAN_BATCH) {
+    const to = Math.min(from + SETTLEMENT_SCAN_BATCH - 1, toBlock);
+    const [event] = await sale.queryFilter(sale.filters.SaleFinalized(), from, to);
+    if (event) {
+      return event;
+    }
+  }
+  return null;
+}
+
+/**
+ * Settlement report for a finalized sale. Sale totals and the unsold amount come from the
+ * SaleFinalized event; claims keep coming in afterwards, so claimed vs unclaimed is as of
+ * the latest block.
+ * @param {Contract} sale WhitelistSale contract
+ * @param {{ fromBlock?: number }} [options] Sale deployment block, where the event scans start
+ */
+async function buildSettlementReport(sale, { fromBlock = 0 } = {}) {
+  const provider = sale.runner.provider;
+  const blockNumber = await provider.getBlockNumber();
+  const finalization = await findFinalization(sale, fromBlock, blockNumber);
+  if (!finalization) {
+    throw new Error(`No SaleFinalized event for ${sale.target}; finalizeSale has not run`);
+  }
+
+  const { totalSold, totalEthRaised, unsoldAmount, unsoldBurned } = finalization.args;
+  const [{ timestamp }, { chainId }, tokenAddress, treasury, buyers, claimed, paymentTokens] = await Promise.all([
+    provider.getBlock(finalization.blockNumber),
+    provider.getNetwork(),
+    sale.token(),
+    sale.treasury(),
+    countBuyers(sale, fromBlock, finalization.blockNumber),
+    sumClaimed(sale, fromBlock, blockNumber),
+    readPaymentTokens(sale),
+  ]);
+
+  return {
+    chainId: Number(chainId),
+    sale: await sale.getAddress(),
+    token: tokenAddress,
+    finalizedAt: {
+      blockNumber: finalization.blockNumber,
+      timestamp,
+      transactionHash: finalization.transactionHash,
+    },
+    totalSold,
+    totalEthRaised,
+    raisedByCurrency: Object.fromEntries(
+      paymentTokens.map((payment) => [
+        payment.address,
+        { symbol: payment.symbol, decimals: payment.decimals, raised: payment.raised },
+      ])
+    ),
+    buyers,
+    claims: {
+      atBlock: blockNumber,
+      claimed,
+      unclaimed: totalSold - claimed,
+    },
+    unsold: {
+      amount: unsoldAmount,
+      burned: unsoldBurned,
+      recipient: unsoldBurned ? null : treasury,
+    },
+  };
+}
+
+/**
+ * Writes a settlement report as JSON (bigints as decimal strings)
+ */
+function writeSettlementReport(file, report) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, toJson(report) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+module.exports = {
+  checkFinalization,
+  countBuyers,
+  findFinalization,
+  buildSettlementReport,
+  writeSettlementReport,
+};
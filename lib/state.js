@@ -0,0 +1,266 @@
+// ============================================
+// ON-CHAIN STATE READERS
+// Plain objects (bigints left as-is) shared by tasks
+// ============================================
+
+const { Contract } = require("ethers");
+const { VESTING_MODES } = require("./config");
+
+const ERC20_METADATA_ABI = ["function symbol() view returns (string)", "function decimals() view returns (uint8)"];
+
+// WhitelistSale.RaiseState, in enum order
+const RAISE_STATES = ["none", "escrow", "succeeded", "failed", "finalized"];
+
+/**
+ * Reads the public state of a WhitelistToken
+ * @param {Contract} token WhitelistToken contract
+ */
+async function readTokenState(token) {
+  const [
+    name,
+    symbol,
+    decimals,
+    totalSupply,
+    maxSupply,
+    remainingMintableSupply,
+    owner,
+    paused,
+    transferRestricted,
+  ] = await Promise.all([
+    token.name(),
+    token.symbol(),
+    token.decimals(),
+    token.totalSupply(),
+    token.MAX_SUPPLY(),
+    token.remainingMintableSupply(),
+    token.owner(),
+    token.paused(),
+    token.transferRestricted(),
+  ]);
+
+  return {
+    address: await token.getAddress(),
+    name,
+    symbol,
+    decimals: Number(decimals),
+    totalSupply,
+    maxSupply,
+    remainingMintableSupply,
+    owner,
+    paused,
+    transferRestricted,
+  };
+}
+
+/**
+ * Derives the sale phase from its config and the current block time
+ */
+function getSalePhase(config, totalSold, now) {
+  if (now < config.startTime) {
+    return "pending";
+  }
+  if (totalSold >= config.maxSupply) {
+    return "sold out";
+  }
+  if (now > config.endTime) {
+    return "ended";
+  }
+  return "active";
+}
+
+/**
+ * Reads every round of a WhitelistSale with its totals and phase
+ * @param {Contract} sale WhitelistSale contract
+ * @param {bigint} now Block timestamp the phase is derived from
+ */
+async function readRounds(sale, now) {
+  const count = Number(await sale.roundCount());
+  const rounds = [];
+
+  for (let id = 0; id < count; id++) {
+    const [round, sold, ethRaised] = await Promise.all([
+      sale.rounds(id),
+      sale.roundSold(id),
+      sale.roundEthRaised(id),
+    ]);
+
+    rounds.push({
+      id,
+      name: round.name,
+      tokenPrice: round.tokenPrice,
+      supply: round.supply,
+      minPurchase: round.minPurchase,
+      maxPurchase: round.maxPurchase,
+      startTime: round.startTime,
+      endTime: round.endTime,
+      merkleRoot: round.merkleRoot,
+      open: round.open,
+      sold,
+      ethRaised,
+      remaining: round.supply - sold,
+      phase: getSalePhase({ startTime: round.startTime, endTime: round.endTime, maxSupply: round.supply }, sold, now),
+    });
+  }
+
+  return rounds;
+}
+
+/**
+ * Reads every ERC20 payment token a WhitelistSale has been configured with,
+ * including removed ones so their raised totals stay visible
+ * @param {Contract} sale WhitelistSale contract
+ */
+async function readPaymentTokens(sale) {
+  const provider = sale.runner.provider;
+  const count = Number(await sale.paymentTokenCount());
+  const paymentTokens = [];
+
+  for (let i = 0; i < count; i++) {
+    const address = await sale.paymentTokenList(i);
+    const metadata = new Contract(address, ERC20_METADATA_ABI, provider);
+    const [payment, raised, symbol, decimals] = await Promise.all([
+      sale.paymentTokens(address),
+      sale.raisedByCurrency(address),
+      metadata.symbol(),
+      metadata.decimals(),
+    ]);
+
+    paymentTokens.push({
+      address,
+      symbol,
+      decimals: Number(decimals),
+      tokenPrice: payment.tokenPrice,
+      accepted: payment.accepted,
+      raised,
+    });
+  }
+
+  return paymentTokens;
+}
+
+/**
+ * Reads the public state of a WhitelistSale
+ * @param {Contract} sale WhitelistSale contract
+ */
+async function readSaleState(sale) {
+  const address = await sale.getAddress();
+  const provider = sale.runner.provider;
+
+  const [
+    tokenAddress,
+    treasury,
+    owner,
+    config,
+    paused,
+    isSaleActive,
+    remainingTokens,
+    totalSold,
+    totalEthRaised,
+    merkleRoot,
+    claimEnabled,
+    claimStartTime,
+    vesting,
+    currentRound,
+    softCap,
+    raiseState,
+    saleFinalized,
+    voucherSigner,
+    ethBalance,
+    block,
+  ] = await Promise.all([
+    sale.token(),
+    sale.treasury(),
+    sale.owner(),
+    sale.saleConfig(),
+    sale.paused(),
+    sale.isSaleActive(),
+    sale.remainingTokens(),
+    sale.totalSold(),
+    sale.totalEthRaised(),
+    sale.merkleRoot(),
+    sale.claimEnabled(),
+    sale.claimStartTime(),
+    sale.vestingSchedule(),
+    sale.currentRound(),
+    sale.softCap(),
+    sale.raiseState(),
+    sale.saleFinalized(),
+    sale.voucherSigner(),
+    provider.getBalance(address),
+    provider.getBlock("latest"),
+  ]);
+
+  const saleConfig = {
+    tokenPrice: config.tokenPrice,
+    minPurchase: config.minPurchase,
+    maxPurchase: config.maxPurchase,
+    maxSupply: config.maxSupply,
+    startTime: config.startTime,
+    endTime: config.endTime,
+    whitelistRequired: config.whitelistRequired,
+  };
+
+  return {
+    address,
+    token: tokenAddress,
+    treasury,
+    owner,
+    saleConfig,
+    phase: getSalePhase(saleConfig, totalSold, BigInt(block.timestamp)),
+    paused,
+    isSaleActive,
+    remainingTokens,
+    totalSold,
+    totalEthRaised,
+    merkleRoot,
+    claimEnabled,
+    claimStartTime,
+    rounds: await readRounds(sale, BigInt(block.timestamp)),
+    currentRound: currentRound.found ? Number(currentRound.roundId) : null,
+    paymentTokens: await readPaymentTokens(sale),
+    softCap,
+    raiseState: RAISE_STATES[Number(raiseState)],
+    saleFinalized,
+    voucherSigner,
+    vestingSchedule: {
+      mode: VESTING_MODES[Number(vesting.mode)],
+      tgeUnlockBps: vesting.tgeUnlockBps,
+      cliff: vesting.cliff,
+      duration: vesting.duration,
+    },
+    ethBalance,
+    blockTimestamp: block.timestamp,
+  };
+}
+
+/**
+ * Reads a buyer's purchase record from a WhitelistSale
+ */
+async function readPurchase(sale, account) {
+  const [purchase, totalPurchased, vesting] = await Promise.all([
+    sale.getPurchaseInfo(account),
+    sale.totalPurchased(account),
+    sale.getVestingInfo(account),
+  ]);
+
+  return {
+    amount: purchase.amount,
+    ethSpent: purchase.ethSpent,
+    timestamp: purchase.timestamp,
+    claimed: purchase.claimed,
+    claimedAmount: vesting.claimed,
+    claimable: vesting.claimable,
+    locked: vesting.locked,
+    totalPurchased,
+  };
+}
+
+module.exports = {
+  RAISE_STATES,
+  readTokenState,
+  getSalePhase,
+  readRounds,
+  readPaymentTokens,
+  readSaleState,
+  readPurchase,
+};
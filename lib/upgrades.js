@@ -0,0 +1,357 @@
+// ============================================
+// UUPS PROXY DEPLOYMENTS
+// WhitelistTokenUpgradeable / WhitelistSaleUpgradeable behind hardhat-deploy's
+// ERC1967Proxy, under the same deployment names as the plain contracts.
+// Upgrades compare solc storage layouts first and refuse incompatible ones.
+// ============================================
+
+// Implementation deployed for each proxy unless another contract is named
+const UPGRADEABLE_CONTRACTS = {
+  WhitelistToken: "WhitelistTokenUpgradeable",
+  WhitelistSale: "WhitelistSaleUpgradeable",
+};
+
+// Reinitializers an upgrade runs on proxies initialized below their version, per proxy
+const UPGRADE_REINITIALIZERS = {
+  // Proxies from before ERC20Permit have an empty EIP-712 domain
+  WhitelistToken: [{ version: 2, methodName: "initializePermit" }],
+};
+
+// ERC-7201 slot of OpenZeppelin's Initializable storage; its low 64 bits are the initialized version
+const INITIALIZABLE_SLOT = "0xf0c57e16840df040f15088dc2f81fe391c3923bec73e23a9662efc9c229c6a00";
+
+// ERC-1967 implementation slot
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// Implementation deployed ahead of an upgrade its owner (a timelock or an AccessManager) sends later
+const pendingImplementationName = (name) => `${name}_PendingImplementation`;
+
+/**
+ * Version a proxy was last initialized to (initializer is 1, reinitializer(n) is n)
+ */
+async function getInitializedVersion(hre, address) {
+  const value = await hre.ethers.provider.getStorage(address, INITIALIZABLE_SLOT);
+  return Number(BigInt(value) & 0xffffffffffffffffn);
+}
+
+/**
+ * Implementation a proxy currently delegates to
+ */
+async function getProxyImplementation(hre, address) {
+  const value = await hre.ethers.provider.getStorage(address, IMPLEMENTATION_SLOT);
+  return hre.ethers.getAddress(`0x${value.slice(-40)}`);
+}
+
+/**
+ * Reinitializer the upgrade of proxy `name` to `contractName` must run, if any
+ * @returns {Promise<{ methodName: string, args: Array }|undefined>}
+ */
+async function getPendingReinitializer(hre, name, address, contractName) {
+  const { abi } = await hre.deployments.getArtifact(contractName);
+  const version = await getInitializedVersion(hre, address);
+  const pending = (UPGRADE_REINITIALIZERS[name] || []).find(
+    (step) => version < step.version && abi.some((entry) => entry.type === "function" && entry.name === step.methodName)
+  );
+  return pending ? { methodName: pending.methodName, args: [] } : undefined;
+}
+
+/**
+ * Storage layout of a compiled contract (solc storageLayout output)
+ */
+async function getStorageLayout(hre, contractName) {
+  const artifact = await hre.deployments.getExtendedArtifact(contractName);
+  if (!artifact.storageLayout) {
+    throw new Error(`No storage layout in the ${contractName} artifact; recompile with storageLayout output`);
+  }
+  return artifact.storageLayout;
+}
+
+/**
+ * Storage layout recorded with a proxy's current implementation
+ */
+async function getDeployedStorageLayout(hre, name) {
+  const implementation = await hre.deployments.getOrNull(`${name}_Implementation`);
+  if (!implementation) {
+    throw new Error(`${name} is not deployed behind a proxy on ${hre.network.name}`);
+  }
+  if (!implementation.storageLayout) {
+    throw new Error(`No storage layout recorded for ${name}_Implementation; cannot check the upgrade`);
+  }
+  return implementation.storageLayout;
+}
+
+/**
+ * Readable type name without AST ids, e.g. "mapping(address => struct WhitelistSaleBase.Purchase)"
+ */
+function describeType(types, typeId) {
+  const type = types[typeId];
+  if (type.encoding === "mapping") {
+    return `mapping(${describeType(types, type.key)} => ${describeType(types, type.value)})`;
+  }
+  if (type.encoding === "dynamic_array") {
+    return `${describeType(types, type.base)}[]`;
+  }
+  return type.label;
+}
+
+/**
+ * Whether a variable of type `nextId` can read what was stored as `previousId`.
+ * Structs only reached through a mapping or dynamic array may gain members at the end.
+ */
+function isCompatibleType(previous, previousId, next, nextId, canGrow = false) {
+  const a = previous.types[previousId];
+  const b = next.types[nextId];
+
+  if (a.encoding !== b.encoding) {
+    return false;
+  }
+  if (a.encoding === "mapping") {
+    return (
+      describeType(previous.types, a.key) === describeType(next.types, b.key) &&
+      isCompatibleType(previous, a.value, next, b.value, true)
+    );
+  }
+  if (a.encoding === "dynamic_array") {
+    return isCompatibleType(previous, a.base, next, b.base, true);
+  }
+  if (a.members) {
+    if (!b.members || a.label !== b.label) {
+      return false;
+    }
+    if (!canGrow && (a.members.length !== b.members.length || a.numberOfBytes !== b.numberOfBytes)) {
+      return false;
+    }
+    return a.members.every((member, i) => {
+      const other = b.members[i];
+      return (
+        other !== undefined &&
+        member.label === other.label &&
+        member.slot === other.slot &&
+        member.offset === other.offset &&
+        isCompatibleType(previous, member.type, next, other.type)
+      );
+    });
+  }
+  return a.label === b.label && a.numberOfBytes === b.numberOfBytes;
+}
+
+/**
+ * Compares two storage layouts. Variables may only be appended: every existing one
+ * must keep its name, slot, offset and (compatible) type.
+ * @returns {string[]} Incompatibilities (empty when the upgrade is safe)
+ */
+function compareStorageLayouts(previous, next) {
+  const errors = [];
+
+  previous.storage.forEach((variable, i) => {
+    const position = `slot ${variable.slot}${variable.offset ? ` offset ${variable.offset}` : ""}`;
+    const replacement = next.storage[i];
+    const previousType = describeType(previous.types, variable.type);
+
+    if (!replacement) {
+      errors.push(`"${variable.label}" (${previousType}) at ${position} was removed`);
+      return;
+    }
+    if (replacement.label !== variable.label) {
+      errors.push(`"${variable.label}" at ${position} was replaced by "${replacement.label}"`);
+      return;
+    }
+    if (replacement.slot !== variable.slot || replacement.offset !== variable.offset) {
+      errors.push(
+        `"${variable.label}" moved from ${position} to slot ${replacement.slot}` +
+          `${replacement.offset ? ` offset ${replacement.offset}` : ""}`
+      );
+      return;
+    }
+    if (!isCompatibleType(previous, variable.type, next, replacement.type)) {
+      errors.push(
+        `"${variable.label}" changed type from ${previousType} to ${describeType(next.types, replacement.type)}`
+      );
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Checks that `contractName` can replace the current implementation of proxy `name`
+ * @returns {Promise<{ errors: string[], added: string[] }>} Incompatibilities and appended variables
+ */
+async function checkUpgrade(hre, name, contractName) {
+  const previous = await getDeployedStorageLayout(hre, name);
+  const next = await getStorageLayout(hre, contractName);
+
+  return {
+    errors: compareStorageLayouts(previous, next),
+    added: next.storage.slice(previous.storage.length).map((variable) => variable.label),
+  };
+}
+
+/**
+ * Checks that proxy `name` at `address` can move to `contractName` and returns the call to run
+ * on the new implementation: `call`, or the reinitializer an older proxy still needs
+ * @returns {Promise<{ methodName: string, args: Array }|undefined>}
+ */
+async function resolveUpgradeCall(hre, name, address, contractName, call) {
+  const { errors } = await checkUpgrade(hre, name, contractName);
+  if (errors.length > 0) {
+    throw new Error(
+      `Refusing to upgrade ${name} to ${contractName}: incompatible storage layout\n  - ${errors.join("\n  - ")}`
+    );
+  }
+
+  const pending = await getPendingReinitializer(hre, name, address, contractName);
+  if (pending && call) {
+    throw new Error(
+      `${name} still needs ${pending.methodName}(); upgrade without a call first so it runs, then call ${call.methodName}`
+    );
+  }
+  return call || pending;
+}
+
+/**
+ * Saves the storage layout with an implementation deployment; hardhat-deploy only records it
+ * when it writes deployments to disk
+ */
+async function recordStorageLayout(hre, deploymentName, contractName) {
+  const implementation = await hre.deployments.get(deploymentName);
+  if (!implementation.storageLayout) {
+    await hre.deployments.save(deploymentName, {
+      ...implementation,
+      storageLayout: await getStorageLayout(hre, contractName),
+    });
+  }
+}
+
+/**
+ * Deploys `name` behind a UUPS proxy, or upgrades the existing proxy after checking storage layouts
+ * @param {HardhatRuntimeEnvironment} hre
+ * @param {string} name Deployment name, e.g. "WhitelistSale"
+ * @param {{ from: string, contract?: string, initArgs?: Array, call?: { methodName: string, args: Array },
+ *   log?: boolean, waitConfirmations?: number }} options
+ *   initArgs are passed to initialize() on first deployment; call runs on the new implementation when upgrading.
+ *   Without call, an upgrade runs the reinitializer an older proxy still needs (UPGRADE_REINITIALIZERS).
+ * @returns {Promise<{ deployment: Object, created: boolean, upgraded: boolean }>}
+ */
+async function deployProxy(hre, name, options) {
+  const { deployments } = hre;
+  const contract = options.contract || UPGRADEABLE_CONTRACTS[name];
+  const existing = await deployments.getOrNull(name);
+
+  if (existing && !existing.implementation) {
+    throw new Error(`${name} is already deployed without a proxy at ${existing.address}; it cannot be upgraded`);
+  }
+  const onUpgrade = existing ? await resolveUpgradeCall(hre, name, existing.address, contract, options.call) : undefined;
+
+  const deployment = await deployments.deploy(name, {
+    from: options.from,
+    contract,
+    log: options.log,
+    waitConfirmations: options.waitConfirmations,
+    proxy: {
+      proxyContract: "UUPS",
+      execute: {
+        init: { methodName: "initialize", args: options.initArgs || [] },
+        onUpgrade,
+      },
+      // OpenZeppelin v5 UUPS implementations only expose upgradeToAndCall
+      upgradeFunction: {
+        methodName: "upgradeToAndCall",
+        upgradeArgs: ["{implementation}", "{data}"],
+      },
+    },
+  });
+
+  await recordStorageLayout(hre, `${name}_Implementation`, contract);
+
+  return {
+    deployment,
+    created: !existing,
+    upgraded: Boolean(existing) && existing.implementation !== deployment.implementation,
+  };
+}
+
+/**
+ * Deploys the new implementation for an upgrade the proxy's owner sends later, for example
+ * through a timelock, after the same checks as deployProxy. It is recorded as
+ * `<name>_PendingImplementation` until recordPreparedUpgrade sees the proxy running it.
+ * @param {{ from: string, contract?: string, call?: { methodName: string, args: Array },
+ *   log?: boolean, waitConfirmations?: number }} options
+ * @returns {Promise<{ implementation: string, data: string|null, unchanged: boolean }>} The new
+ *   implementation and the data argument of upgradeToAndCall (null when the proxy already runs
+ *   this bytecode)
+ */
+async function prepareUpgrade(hre, name, options) {
+  const { deployments } = hre;
+  const contract = options.contract || UPGRADEABLE_CONTRACTS[name];
+  const existing = await deployments.get(name);
+  if (!existing.implementation) {
+    throw new Error(`${name} is deployed without a proxy at ${existing.address}; it cannot be upgraded`);
+  }
+  const onUpgrade = await resolveUpgradeCall(hre, name, existing.address, contract, options.call);
+
+  const current = await deployments.get(`${name}_Implementation`);
+  const { deployedBytecode } = await deployments.getArtifact(contract);
+  if (current.deployedBytecode === deployedBytecode) {
+    return { implementation: current.address, data: null, unchanged: true };
+  }
+
+  const pendingName = pendingImplementationName(name);
+  const implementation = await deployments.deploy(pendingName, {
+    from: options.from,
+    contract,
+    log: options.log,
+    waitConfirmations: options.waitConfirmations,
+  });
+  await recordStorageLayout(hre, pendingName, contract);
+
+  const iface = new hre.ethers.Interface(implementation.abi);
+  return {
+    implementation: implementation.address,
+    data: onUpgrade ? iface.encodeFunctionData(onUpgrade.methodName, onUpgrade.args) : "0x",
+    unchanged: false,
+  };
+}
+
+/**
+ * Records an upgrade prepared with prepareUpgrade once its owner has sent it: when the proxy now
+ * runs the pending implementation, that becomes `<name>_Implementation` and the proxy's ABI
+ * @returns {Promise<string|null>} The newly recorded implementation, or null when nothing changed
+ */
+async function recordPreparedUpgrade(hre, name) {
+  const { deployments } = hre;
+  const pending = await deployments.getOrNull(pendingImplementationName(name));
+  const existing = await deployments.getOrNull(name);
+  if (!pending || !existing || existing.implementation === pending.address) {
+    return null;
+  }
+  if ((await getProxyImplementation(hre, existing.address)) !== pending.address) {
+    return null;
+  }
+
+  // The proxy's ABI is its implementation's plus the proxy contract's own entries
+  const previous = await deployments.get(`${name}_Implementation`);
+  const key = (entry) => JSON.stringify(entry);
+  const implementationEntries = new Set([...previous.abi, ...pending.abi].map(key));
+  const proxyEntries = existing.abi.filter((entry) => !implementationEntries.has(key(entry)));
+
+  await deployments.save(`${name}_Implementation`, pending);
+  await deployments.save(name, { ...existing, implementation: pending.address, abi: [...pending.abi, ...proxyEntries] });
+  return pending.address;
+}
+
+module.exports = {
+  UPGRADEABLE_CONTRACTS,
+  UPGRADE_REINITIALIZERS,
+  getInitializedVersion,
+  getPendingReinitializer,
+  getProxyImplementation,
+  getStorageLayout,
+  getDeployedStorageLayout,
+  describeType,
+  compareStorageLayouts,
+  checkUpgrade,
+  deployProxy,
+  prepareUpgrade,
+  recordPreparedUpgrade,
+};
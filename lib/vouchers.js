@@ -0,0 +1,132 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { normalizeAddress } = require("./allowlist");
+
+// ============================================
+// EIP-712 PURCHASE VOUCHERS
+// Must match WhitelistSale.VOUCHER_TYPEHASH and its domainSeparator() ("WhitelistSale", version "1").
+// Only needs ethers, so a KYC backend can issue vouchers without Hardhat.
+// ============================================
+
+const VOUCHER_DOMAIN_NAME = "WhitelistSale";
+const VOUCHER_DOMAIN_VERSION = "1";
+
+const VOUCHER_TYPES = {
+  PurchaseVoucher: [
+    { name: "buyer", type: "address" },
+    { name: "maxAmount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * EIP-712 domain of a WhitelistSale deployment
+ * @param {bigint|number} chainId
+ * @param {string} sale WhitelistSale address
+ */
+function getVoucherDomain(chainId, sale) {
+  return {
+    name: VOUCHER_DOMAIN_NAME,
+    version: VOUCHER_DOMAIN_VERSION,
+    chainId: BigInt(chainId),
+    verifyingContract: ethers.getAddress(sale),
+  };
+}
+
+/**
+ * Normalizes voucher fields (checksummed buyer, bigint amounts)
+ * @param {{ buyer: string, maxAmount: bigint|string, nonce?: bigint|string, deadline: bigint|number|string }} voucher
+ */
+function createVoucher({ buyer, maxAmount, nonce = 0n, deadline }) {
+  return {
+    buyer: normalizeAddress(buyer),
+    maxAmount: BigInt(maxAmount),
+    nonce: BigInt(nonce),
+    deadline: BigInt(deadline),
+  };
+}
+
+/**
+ * Signs a voucher with a local key or any ethers signer
+ * @param {Signer} signer Must be WhitelistSale.voucherSigner
+ * @returns {Promise<{ voucher: Object, signature: string }>}
+ */
+async function signVoucher(signer, domain, voucher) {
+  const normalized = createVoucher(voucher);
+  const signature = await signer.signTypedData(domain, VOUCHER_TYPES, normalized);
+  return { voucher: normalized, signature };
+}
+
+/**
+ * Address that signed a voucher
+ */
+function recoverVoucherSigner(domain, voucher, signature) {
+  return ethers.verifyTypedData(domain, VOUCHER_TYPES, createVoucher(voucher), signature);
+}
+
+/**
+ * Writes signed vouchers keyed by buyer, in the shape the contract call expects
+ * @param {string} file Output path
+ * @param {{ domain: Object, signer: string, vouchers: Array<{ voucher: Object, signature: string }> }} data
+ */
+function writeVoucherFile(file, { domain, signer, vouchers }) {
+  const data = {
+    sale: domain.verifyingContract,
+    chainId: Number(domain.chainId),
+    signer,
+    count: vouchers.length,
+    generatedAt: new Date().toISOString(),
+    vouchers: Object.fromEntries(
+      vouchers.map(({ voucher, signature }) => [
+        voucher.buyer,
+        {
+          maxAmount: voucher.maxAmount.toString(),
+          nonce: voucher.nonce.toString(),
+          deadline: voucher.deadline.toString(),
+          signature,
+        },
+      ])
+    ),
+  };
+
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + "\n");
+  return data;
+}
+
+/**
+ * Reads a voucher file written by writeVoucherFile
+ */
+function readVoucherFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!data.sale || !data.vouchers) {
+    throw new Error(`Not a voucher file: ${file}`);
+  }
+  return data;
+}
+
+/**
+ * Looks up a buyer's voucher in a loaded voucher file
+ * @returns {{ voucher: Object, signature: string }|undefined}
+ */
+function getVoucher(voucherData, address) {
+  const buyer = normalizeAddress(address);
+  const entry = voucherData.vouchers[buyer];
+  if (!entry) {
+    return undefined;
+  }
+  return { voucher: createVoucher({ buyer, ...entry }), signature: entry.signature };
+}
+
+module.exports = {
+  VOUCHER_TYPES,
+  getVoucherDomain,
+  createVoucher,
+  signVoucher,
+  recoverVoucherSigner,
+  writeVoucherFile,
+  readVoucherFile,
+  getVoucher,
+};
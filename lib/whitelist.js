@@ -0,0 +1,105 @@
+// ============================================
+// WHITELIST STATE AND SYNC PLANNING
+// Shared by WhitelistToken and WhitelistSale, which both expose
+// whitelist(address), updateWhitelistBatch and WhitelistUpdated
+// ============================================
+
+// Mirrors the "too many accounts in batch" limit in both contracts
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Reconstructs the whitelisted set from WhitelistUpdated events, then confirms
+ * each address against the whitelist mapping
+ * @param {Contract} contract WhitelistToken or WhitelistSale
+ * @param {{ fromBlock?: number, toBlock?: number, batchSize?: number }} [options]
+ * @returns {Promise<string[]>}
+ */
+async function readWhitelist(contract, { fromBlock = 0, toBlock, batchSize = 2000 } = {}) {
+  const provider = contract.runner.provider;
+  const lastBlock = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+  const status = new Map();
+
+  for (let from = fromBlock; from <= lastBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, lastBlock);
+    const events = await contract.queryFilter(contract.filters.WhitelistUpdated(), from, to);
+    for (const event of events) {
+      status.set(event.args.account, event.args.whitelisted);
+    }
+  }
+
+  const whitelisted = [];
+  for (const [account, flagged] of status) {
+    if (flagged && (await contract.whitelist(account))) {
+      whitelisted.push(account);
+    }
+  }
+  return whitelisted;
+}
+
+/**
+ * Computes the additions and removals that turn `current` into `desired`
+ * @param {string[]} current Currently whitelisted addresses
+ * @param {string[]} desired Target allowlist
+ * @param {string[]} [keep] Addresses that must never be removed
+ */
+function diffWhitelist(current, desired, keep = []) {
+  const currentSet = new Set(current);
+  const desiredSet = new Set(desired);
+  const keepSet = new Set(keep);
+
+  return {
+    additions: desired.filter((address) => !currentSet.has(address)),
+    removals: current.filter((address) => !desiredSet.has(address) && !keepSet.has(address)),
+  };
+}
+
+/**
+ * Picks how many accounts fit in one updateWhitelistBatch call under `maxGas`
+ * @param {Contract} contract Contract connected to the owner
+ * @param {string[]} accounts Accounts to update
+ * @param {boolean} whitelisted Flag being written
+ * @param {bigint} maxGas Gas budget per transaction
+ */
+async function estimateChunkSize(contract, accounts, whitelisted, maxGas) {
+  let size = Math.min(accounts.length, MAX_BATCH_SIZE);
+
+  while (size > 1) {
+    const gas = await contract.updateWhitelistBatch.estimateGas(accounts.slice(0, size), whitelisted);
+    if (gas <= maxGas) {
+      break;
+    }
+    // Scale down proportionally, always making progress
+    size = Math.min(size - 1, Math.floor((size * Number(maxGas)) / Number(gas)));
+  }
+
+  return Math.max(size, 1);
+}
+
+/**
+ * Splits an array into chunks of `size`
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Addresses the sale would accept but WhitelistToken would block once
+ * transferRestricted is on (neither side of their transfers is whitelisted)
+ */
+function findTokenDrift(saleWhitelisted, tokenWhitelisted) {
+  const tokenSet = new Set(tokenWhitelisted);
+  return saleWhitelisted.filter((address) => !tokenSet.has(address));
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  readWhitelist,
+  diffWhitelist,
+  estimateChunkSize,
+  chunk,
+  findTokenDrift,
+};
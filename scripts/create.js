@@ -48,7 +48,7 @@ async function main() {
     console.log(`Your Balance: ${ethers.formatEther(await token.balanceOf(deployer.address))} ${TOKEN_CONFIG.symbol}`);
 
     console.log(`\n💾 Save this address: ${tokenAddress}`);
-    console.log(`\n📝 To check this token later, edit scripts/check.js and put: "${tokenAddress}"`);
+    console.log(`\n📝 To check this token later: npx hardhat token:info --token ${tokenAddress}`);
 }
 
 main()
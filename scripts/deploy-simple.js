@@ -1,24 +1,37 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+    loadDeployConfig,
+    getTokenArgs,
+    getSaleArgs,
+    getRoundArgs,
+    getVestingArgs,
+    resolvePaymentTokens,
+    resolveTrustedForwarder,
+    formatDeployPlan,
+} = require("../lib/config");
+const { FORWARDER_DEPLOYMENT, FORWARDER_NAME } = require("../lib/forwarder");
+const { runPreflight, formatPreflightCheck } = require("../lib/preflight");
 
 // ============================================
 // SIMPLE CONTRACT DEPLOYMENT
-// Edit the config below, then run this script
+// Configuration lives in config/networks/<network>.json
+// Set DRY_RUN=true to print the constructor arguments only
 // ============================================
 
-const DEPLOYMENT_CONFIG = {
-    // Token Configuration
-    tokenName: "WhitelistToken",
-    tokenSymbol: "WLT",
-
-    // Sale Configuration
-    tokenPrice: "0.001",        // ETH per token
-    minPurchase: "10",          // minimum tokens
-    maxPurchase: "10000",       // maximum tokens
-    maxSupply: "100000000",     // tokens for sale
-    saleDurationDays: 30,       // how many days sale runs
-};
+const DRY_RUN = process.env.DRY_RUN === "true";
 
 async function main() {
+    // Validate token and sale config before sending any transaction; this script always deploys a new sale
+    const config = await loadDeployConfig(hre, undefined, { newSale: true });
+
+    if (DRY_RUN) {
+        console.log("🔎 Dry run: nothing will be deployed\n");
+        // This script always deploys the plain contracts, even when the config asks for proxies
+        formatDeployPlan({ ...config, upgradeable: false }).forEach((line) => console.log(line));
+        return;
+    }
+
     console.log("🚀 Deploying Contracts...\n");
 
     const [deployer] = await ethers.getSigners();
@@ -28,11 +41,7 @@ async function main() {
     // 1. Deploy WhitelistToken
     console.log("📝 Deploying WhitelistToken...");
     const WhitelistToken = await ethers.getContractFactory("WhitelistToken");
-    const token = await WhitelistToken.deploy(
-        DEPLOYMENT_CONFIG.tokenName,
-        DEPLOYMENT_CONFIG.tokenSymbol,
-        deployer.address // initial owner
-    );
+    const token = await WhitelistToken.deploy(...getTokenArgs(config));
     await token.waitForDeployment();
     const tokenAddress = await token.getAddress();
     console.log("✅ WhitelistToken deployed to:", tokenAddress);
@@ -41,47 +50,130 @@ async function main() {
     console.log("💰 Deploying WhitelistSale...");
     const WhitelistSale = await ethers.getContractFactory("WhitelistSale");
 
-    const startTime = Math.floor(Date.now() / 1000) + 300; // Start in 5 minutes
-    const endTime = startTime + (DEPLOYMENT_CONFIG.saleDurationDays * 24 * 3600);
-
-    const sale = await WhitelistSale.deploy(
-        tokenAddress,                                    // token address
-        deployer.address,                               // treasury address
-        ethers.parseEther(DEPLOYMENT_CONFIG.tokenPrice), // token price
-        ethers.parseEther(DEPLOYMENT_CONFIG.minPurchase), // min purchase
-        ethers.parseEther(DEPLOYMENT_CONFIG.maxPurchase), // max purchase
-        ethers.parseEther(DEPLOYMENT_CONFIG.maxSupply),   // max supply
-        startTime,                                       // start time
-        endTime,                                         // end time
-        deployer.address                                 // initial owner
-    );
+    const { startTime, endTime } = config.sale;
+
+    const sale = await WhitelistSale.deploy(...getSaleArgs(config, tokenAddress));
     await sale.waitForDeployment();
     const saleAddress = await sale.getAddress();
     console.log("✅ WhitelistSale deployed to:", saleAddress);
 
-    // 3. Setup: Mint tokens to sale contract
-    console.log("🏭 Minting tokens to sale contract...");
-    const mintTx = await token.mint(saleAddress, ethers.parseEther(DEPLOYMENT_CONFIG.maxSupply));
-    await mintTx.wait();
-    console.log("✅ Tokens minted to sale contract");
+    // Local networks get a mock stablecoin for the paymentTokens entry that names it
+    const deployed = {};
+    const { chainId } = await ethers.provider.getNetwork();
+    if (chainId === 31337n && (config.sale.paymentTokens || []).some((p) => p.token === "MockStablecoin")) {
+        console.log("🪙 Deploying MockStablecoin...");
+        const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+        const stablecoin = await MockStablecoin.deploy("Mock USD", "mUSD", 6);
+        await stablecoin.waitForDeployment();
+        deployed.MockStablecoin = await stablecoin.getAddress();
+        console.log("✅ MockStablecoin deployed to:", deployed.MockStablecoin);
+    }
+    const paymentTokens = await resolvePaymentTokens(hre, config, deployed);
+
+    // A config naming our forwarder gets one deployed; an address is trusted as is
+    if (config.sale.trustedForwarder === FORWARDER_DEPLOYMENT) {
+        console.log("📨 Deploying ERC2771Forwarder...");
+        const Forwarder = await ethers.getContractFactory("ERC2771Forwarder");
+        const forwarder = await Forwarder.deploy(FORWARDER_NAME);
+        await forwarder.waitForDeployment();
+        deployed[FORWARDER_DEPLOYMENT] = await forwarder.getAddress();
+        console.log("✅ ERC2771Forwarder deployed to:", deployed[FORWARDER_DEPLOYMENT]);
+    }
+    const trustedForwarder = await resolveTrustedForwarder(hre, config, deployed);
+
+    // 3. Setup: Mint tokens to sale contract (needs the deployer to own both contracts)
+    const roundArgs = getRoundArgs(config);
+    const vestingArgs = getVestingArgs(config);
+    if (config.token.owner !== deployer.address || config.sale.owner !== deployer.address) {
+        console.log("⚠️  Deployer does not own the contracts; skipping mint, round, soft cap, vesting, payment token, forwarder and claim setup");
+    } else {
+        console.log("🏭 Minting tokens to sale contract...");
+        const mintTx = await token.mint(saleAddress, config.sale.maxSupply);
+        await mintTx.wait();
+        console.log("✅ Tokens minted to sale contract");
+
+        for (const round of roundArgs) {
+            console.log(`🗓️  Adding round "${round.name}"...`);
+            const roundTx = await sale.addRound(round);
+            await roundTx.wait();
+        }
+        if (roundArgs.length > 0) {
+            console.log(`✅ ${roundArgs.length} rounds added`);
+        }
+
+        // The soft cap decides where payments go, so it must be set before the sale starts
+        if (config.sale.softCap > 0n) {
+            console.log("🛡️  Setting soft cap...");
+            const softCapTx = await sale.setSoftCap(config.sale.softCap);
+            await softCapTx.wait();
+            console.log(`✅ Soft cap set to ${ethers.formatEther(config.sale.softCap)} ETH`);
+        }
+
+        // Vesting must be set before claiming starts
+        if (vestingArgs) {
+            console.log("⏳ Setting vesting schedule...");
+            const vestingTx = await sale.setVestingSchedule(...vestingArgs);
+            await vestingTx.wait();
+            console.log(`✅ ${config.sale.vesting.mode} vesting schedule set`);
+        }
+
+        for (const payment of paymentTokens) {
+            console.log(`💵 Accepting ${payment.symbol} payments...`);
+            const paymentTx = await sale.setPaymentToken(payment.address, payment.tokenPrice);
+            await paymentTx.wait();
+        }
+        if (paymentTokens.length > 0) {
+            console.log(`✅ ${paymentTokens.length} payment tokens accepted`);
+        }
+
+        if (trustedForwarder) {
+            console.log("📨 Trusting the forwarder for meta-transactions...");
+            const forwarderTx = await sale.setTrustedForwarder(trustedForwarder);
+            await forwarderTx.wait();
+            console.log(`✅ Trusted forwarder set to ${trustedForwarder}`);
+        }
+
+        // 4. Enable claiming once the sale has ended
+        console.log("🔓 Enabling token claiming...");
+        const claimTx = await sale.setClaimEnabled(true, endTime);
+        await claimTx.wait();
+        console.log("✅ Token claiming enabled");
+    }
 
-    // 4. Enable claiming
-    console.log("🔓 Enabling token claiming...");
-    const claimTx = await sale.setClaimEnabled(true, startTime);
-    await claimTx.wait();
-    console.log("✅ Token claiming enabled");
+    // With "preflight": true, a deployment that fails the sale:preflight checks fails the script
+    if (config.preflight) {
+        console.log("\n🛫 Running preflight checks...");
+        const receipt = await sale.deploymentTransaction().wait();
+        const report = await runPreflight({
+            token,
+            sale,
+            expected: { treasury: config.sale.treasury, tokenOwner: config.token.owner, saleOwner: config.sale.owner },
+            fromBlock: receipt.blockNumber,
+        });
+        report.checks.forEach((check) => console.log(formatPreflightCheck(check)));
+        if (!report.passed) {
+            throw new Error("Preflight failed; run `npx hardhat sale:preflight` once the deployment is fixed");
+        }
+    }
 
     // 5. Summary
     console.log("\n📊 DEPLOYMENT COMPLETE");
     console.log("═".repeat(50));
     console.log(`Token Contract: ${tokenAddress}`);
     console.log(`Sale Contract: ${saleAddress}`);
-    console.log(`Token Name: ${DEPLOYMENT_CONFIG.tokenName}`);
-    console.log(`Token Symbol: ${DEPLOYMENT_CONFIG.tokenSymbol}`);
-    console.log(`Token Price: ${DEPLOYMENT_CONFIG.tokenPrice} ETH`);
-    console.log(`Sale Duration: ${DEPLOYMENT_CONFIG.saleDurationDays} days`);
+    console.log(`Token Name: ${config.token.name}`);
+    console.log(`Token Symbol: ${config.token.symbol}`);
+    console.log(`Token Price: ${ethers.formatEther(config.sale.tokenPrice)} ETH`);
+    console.log(`Treasury: ${config.sale.treasury}`);
     console.log(`Start Time: ${new Date(startTime * 1000).toISOString()}`);
     console.log(`End Time: ${new Date(endTime * 1000).toISOString()}`);
+    console.log(`Rounds: ${roundArgs.map((round) => round.name).join(", ") || "none"}`);
+    console.log(`Soft Cap: ${config.sale.softCap > 0n ? `${ethers.formatEther(config.sale.softCap)} ETH` : "none"}`);
+    console.log(`Vesting: ${config.sale.vesting.mode}`);
+    console.log(`Trusted Forwarder: ${trustedForwarder || "none"}`);
+    paymentTokens.forEach((payment) => {
+        console.log(`Price in ${payment.symbol}: ${ethers.formatUnits(payment.tokenPrice, payment.decimals)} (${payment.address})`);
+    });
     console.log("═".repeat(50));
 
     console.log(`\n💾 Save these addresses:`);
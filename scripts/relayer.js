@@ -0,0 +1,48 @@
+const hre = require("hardhat");
+const { ethers, deployments } = hre;
+const { FORWARDER_DEPLOYMENT, createRelayServer } = require("../lib/forwarder");
+
+// ============================================
+// LOCAL META-TRANSACTION RELAYER
+// Submits buyers' signed claimTokens requests through the Forwarder
+// deployment and pays their gas. For trying gasless claims on a local node:
+//   npx hardhat run scripts/relayer.js --network localhost
+//   npx hardhat sale:claim --relayer http://127.0.0.1:8546 --network localhost
+// Set RELAYER_PORT to change the port (8546 by default)
+// ============================================
+
+const PORT = Number(process.env.RELAYER_PORT || 8546);
+
+async function main() {
+    const forwarderDeployment = await deployments.getOrNull(FORWARDER_DEPLOYMENT);
+    if (!forwarderDeployment) {
+        throw new Error(`No ${FORWARDER_DEPLOYMENT} deployment on ${hre.network.name}; set sale.trustedForwarder to "${FORWARDER_DEPLOYMENT}" and deploy`);
+    }
+    const sale = await ethers.getContractAt("WhitelistSale", (await deployments.get("WhitelistSale")).address);
+    if (!(await sale.isTrustedForwarder(forwarderDeployment.address))) {
+        throw new Error(`WhitelistSale does not trust ${forwarderDeployment.address}; its owner must call setTrustedForwarder`);
+    }
+
+    const [relayer] = await ethers.getSigners();
+    const forwarder = await ethers.getContractAt("ERC2771Forwarder", forwarderDeployment.address, relayer);
+    const allowed = { [sale.target]: [sale.interface.getFunction("claimTokens").selector] };
+
+    const server = createRelayServer(forwarder, allowed, {
+        onRelay: (request, result) => {
+            const from = request ? request.from : "unparsable request";
+            console.log(result.error ? `❌ ${from}: ${result.error}` : `✅ Relayed claimTokens for ${from} (tx: ${result.hash})`);
+        },
+    });
+    await new Promise((resolve) => server.listen(PORT, "127.0.0.1", resolve));
+
+    console.log("📨 Relayer listening on", `http://127.0.0.1:${PORT}`);
+    console.log("Forwarder:", forwarder.target);
+    console.log("Sale:", sale.target);
+    console.log("Relayer account:", relayer.address, `(${ethers.formatEther(await ethers.provider.getBalance(relayer.address))} ETH)`);
+    console.log("Press Ctrl+C to stop\n");
+}
+
+main().catch((error) => {
+    console.error("❌ Error:", error);
+    process.exit(1);
+});
@@ -0,0 +1,193 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { resolveDuration } = require("../lib/config");
+const { resolveSender } = require("../lib/deployments");
+const { formatDuration, formatTimestamp, printJson, printSection } = require("../lib/output");
+const {
+  buildAdminBatch,
+  canSendAdminBatch,
+  writeAdminBatchFiles,
+  readAdminBatch,
+  getOperationState,
+} = require("../lib/admin");
+
+const LOCAL_CHAIN_ID = 31337;
+
+/**
+ * Reads a batch and checks it was built for the current chain
+ */
+async function loadBatch(hre, file) {
+  const batch = readAdminBatch(file);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (batch.chainId !== chainId.toString()) {
+    throw new Error(`${file} was built for chain ${batch.chainId}, not ${hre.network.name} (${chainId})`);
+  }
+  return batch;
+}
+
+/**
+ * Sends a prepared { to, value, data } transaction and waits for it
+ */
+async function sendPrepared(signer, tx) {
+  const sent = await signer.sendTransaction({ to: tx.to, value: tx.value, data: tx.data });
+  await sent.wait();
+  return sent;
+}
+
+task("admin:build", "Encodes admin intents into calls, timelock schedule/execute transactions and Safe batches")
+  .addParam("intents", "JSON file with an array of intents, e.g. [{\"action\": \"pause-sale\"}]")
+  .addOptionalParam("output", "Batch file to write; Safe Transaction Builder files are written next to it", "admin-batch.json")
+  .addOptionalParam("salt", "Timelock salt: 32-byte hex or any text (random by default)")
+  .addOptionalParam("predecessor", "Timelock operation id that must be executed first")
+  .addOptionalParam("delay", "Timelock delay, seconds or <n><s|m|h|d> (defaults to the minimum delay)")
+  .addOptionalParam("safe", "Safe address recorded in the Safe batches")
+  .addOptionalParam("name", "Name shown in the Safe Transaction Builder", "Admin batch")
+  .addOptionalParam("token", "WhitelistToken address (defaults to the deployment)")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment)")
+  .addFlag("json", "Print the batch as JSON")
+  .setAction(async (args, hre) => {
+    const intents = JSON.parse(fs.readFileSync(args.intents, "utf8"));
+    const batch = await buildAdminBatch(hre, {
+      intents,
+      overrides: { token: args.token, sale: args.sale },
+      salt: args.salt,
+      predecessor: args.predecessor,
+      delay: args.delay === undefined ? undefined : resolveDuration(/^\d+$/.test(args.delay) ? Number(args.delay) : args.delay),
+    });
+
+    const files = writeAdminBatchFiles(args.output, batch, { name: args.name, safe: args.safe });
+
+    if (args.json) {
+      printJson({ ...batch, files });
+      return { batch, files };
+    }
+
+    printSection("🛠️  ADMIN BATCH");
+    console.log(`Network: ${batch.network} (chain ${batch.chainId})`);
+    if (batch.manager) {
+      console.log(`Owner: ${batch.owner} (AccessManager${batch.timelock ? ` administered by TimelockController ${batch.timelock.address}` : ""})`);
+    } else {
+      console.log(`Owner: ${batch.owner}${batch.timelock ? " (TimelockController)" : ""}`);
+    }
+    batch.calls.forEach((call, i) => console.log(`${i + 1}. ${call.description}`));
+
+    if (batch.timelock) {
+      printSection("⏳ TIMELOCK");
+      console.log(`Operation: ${batch.timelock.operationId}`);
+      console.log(`Delay: ${formatDuration(batch.timelock.delay)} (minimum ${formatDuration(batch.timelock.minDelay)})`);
+      console.log(`Salt: ${batch.timelock.salt}`);
+      console.log(`Predecessor: ${batch.timelock.predecessor}`);
+    }
+
+    printSection("📄 FILES");
+    console.log(`Batch: ${files.batch}`);
+    if (batch.timelock) {
+      console.log(`Safe schedule batch: ${files.schedule}`);
+      console.log(`Safe execute batch: ${files.execute}`);
+      console.log("\nA proposer schedules the batch; once the delay has passed an executor executes it");
+    } else {
+      console.log(`Safe batch: ${files.calls}`);
+      console.log(
+        batch.manager
+          ? `\nAn account whose roles allow every call sends them through the AccessManager ${batch.owner}`
+          : `\nThe owner ${batch.owner} sends these calls directly`
+      );
+    }
+
+    return { batch, files };
+  });
+
+task("admin:schedule", "Schedules an admin batch on the TimelockController that owns the contracts")
+  .addOptionalParam("batch", "Batch file written by admin:build", "admin-batch.json")
+  .addOptionalParam("from", "Proposer address (defaults to the first configured account with the role)")
+  .setAction(async (args, hre) => {
+    const batch = await loadBatch(hre, args.batch);
+    if (!batch.timelock) {
+      throw new Error(
+        batch.manager
+          ? `No timelock administering the AccessManager ${batch.owner} may make these calls; use admin:execute`
+          : `The contracts are owned by ${batch.owner}, not a timelock; use admin:execute`
+      );
+    }
+
+    const { state } = await getOperationState(hre, batch);
+    if (state !== "unset") {
+      throw new Error(`Operation ${batch.timelock.operationId} is already scheduled (${state})`);
+    }
+
+    const timelock = await hre.ethers.getContractAt("TimelockController", batch.timelock.address);
+    const role = await timelock.PROPOSER_ROLE();
+    const signer = await resolveSender(hre, {
+      from: args.from,
+      allowed: (address) => timelock.hasRole(role, address),
+      description: `a proposer on ${batch.timelock.address}`,
+    });
+
+    const tx = await sendPrepared(signer, batch.timelock.schedule);
+    const { readyAt } = await getOperationState(hre, batch);
+    console.log(`✅ Scheduled ${batch.timelock.operationId} (tx: ${tx.hash})`);
+    console.log(`Executable from ${formatTimestamp(readyAt)}`);
+
+    return { operationId: batch.timelock.operationId, readyAt, hash: tx.hash };
+  });
+
+task("admin:execute", "Executes a scheduled admin batch, or sends its calls from the owner (or a role member on its AccessManager) when there is no timelock")
+  .addOptionalParam("batch", "Batch file written by admin:build", "admin-batch.json")
+  .addOptionalParam("from", "Executor, owner or role member address (defaults to the first configured account allowed)")
+  .addFlag("advanceTime", "On the local network, move time forward to the end of the delay")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const batch = await loadBatch(hre, args.batch);
+
+    if (!batch.timelock) {
+      // The owner may be impersonated locally; role members on a manager are picked from the accounts
+      const signer = await resolveSender(hre, {
+        from: args.from || (batch.manager ? undefined : batch.owner),
+        allowed: (address) => canSendAdminBatch(hre, batch, address),
+        description: batch.manager
+          ? `allowed to make every call through the AccessManager ${batch.owner}`
+          : `the owner ${batch.owner}`,
+      });
+      const hashes = [];
+      for (const [i, call] of batch.calls.entries()) {
+        const tx = await sendPrepared(signer, batch.transactions[i]);
+        hashes.push(tx.hash);
+        console.log(`✅ ${call.description} (tx: ${tx.hash})`);
+      }
+      return { hashes };
+    }
+
+    const { operationId } = batch.timelock;
+    const { state: currentState, readyAt } = await getOperationState(hre, batch);
+    if (currentState === "unset") {
+      throw new Error(`Operation ${operationId} is not scheduled; run admin:schedule first`);
+    }
+    if (currentState === "done") {
+      throw new Error(`Operation ${operationId} was already executed`);
+    }
+    if (currentState === "waiting") {
+      if (!args.advanceTime || hre.network.config.chainId !== LOCAL_CHAIN_ID) {
+        throw new Error(`Operation ${operationId} is not ready until ${formatTimestamp(readyAt)}`);
+      }
+      await hre.network.provider.send("evm_setNextBlockTimestamp", [Number(readyAt)]);
+      await hre.network.provider.send("evm_mine", []);
+      console.log(`⏩ Advanced time to ${formatTimestamp(readyAt)}`);
+    }
+
+    const timelock = await ethers.getContractAt("TimelockController", batch.timelock.address);
+    const role = await timelock.EXECUTOR_ROLE();
+    // Granting the role to the zero address lets anyone execute
+    const openRole = await timelock.hasRole(role, ethers.ZeroAddress);
+    const signer = await resolveSender(hre, {
+      from: args.from,
+      allowed: async (address) => openRole || timelock.hasRole(role, address),
+      description: `an executor on ${batch.timelock.address}`,
+    });
+
+    const tx = await sendPrepared(signer, batch.timelock.execute);
+    const { state } = await getOperationState(hre, batch);
+    console.log(`✅ Executed ${operationId} (tx: ${tx.hash})`);
+    batch.calls.forEach((call, i) => console.log(`${i + 1}. ${call.description}`));
+
+    return { operationId, state, hash: tx.hash };
+  });
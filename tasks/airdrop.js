@@ -0,0 +1,199 @@
+const { task, types } = require("hardhat/config");
+const { resolveTokenAddress } = require("../lib/deployments");
+const { estimateChunkSize, chunk } = require("../lib/whitelist");
+const { printSection } = require("../lib/output");
+const { resolveManagedCaller } = require("../lib/roles");
+const {
+  DISTRIBUTION_MODES,
+  loadDistribution,
+  distributionCall,
+  planDistributionBatches,
+  reconcileDistribution,
+  writeReconciliation,
+} = require("../lib/airdrop");
+const {
+  hashPlanInputs,
+  createJournal,
+  loadJournal,
+  saveJournal,
+  isJournalComplete,
+  runJournal,
+} = require("../lib/journal");
+
+task("token:airdrop", "Distributes WhitelistToken to an address,amount CSV by minting or transferring")
+  .addParam("file", "Distribution CSV (address,amount in whole tokens)")
+  .addOptionalParam("mode", "mint (owner only) or transfer (from the sender's balance)", "transfer")
+  .addOptionalParam("token", "WhitelistToken address (defaults to the deployment)")
+  .addOptionalParam("journal", "Progress journal (defaults to journal/airdrop-<network>.json)")
+  .addOptionalParam("report", "Reconciliation report (defaults to the journal path with .report.json)")
+  .addOptionalParam("maxGas", "Gas budget per batch transaction", 3_000_000, types.int)
+  .addFlag("single", "Send one mint/transfer per transaction, for tokens without mintBatch/transferBatch")
+  .addFlag("dryRun", "Validate the list and print the plan without sending transactions")
+  .addFlag("reset", "Discard a journal for a different distribution, or repeat a finished one")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    if (!DISTRIBUTION_MODES.includes(args.mode)) {
+      throw new Error(`Invalid --mode ${args.mode}; use ${DISTRIBUTION_MODES.join(" or ")}`);
+    }
+
+    const journalPath = args.journal || `journal/airdrop-${hre.network.name}.json`;
+    const reportPath = args.report || journalPath.replace(/\.json$/, "") + ".report.json";
+    const tokenAddress = await resolveTokenAddress(hre, args.token);
+    const [signer] = await ethers.getSigners();
+    const token = await ethers.getContractAt("WhitelistToken", tokenAddress, signer);
+    const symbol = await token.symbol();
+    const format = (amount) => `${ethers.formatEther(amount)} ${symbol}`;
+
+    // The owner calls directly; a MINTER / WHITELIST_MANAGER goes through the AccessManager that owns the token
+    const managed = async (methods) => {
+      const caller = await resolveManagedCaller(hre, token, signer, methods);
+      return caller ? caller.contract : null;
+    };
+    const minter = args.mode === "mint" ? await managed(["mint", "mintBatch"]) : null;
+    const whitelister = await managed(["updateWhitelistBatch"]);
+    // Without the role the calls go to the token as-is and revert there
+    const distributor = args.mode === "mint" ? minter || token : token;
+
+    const { entries, total } = loadDistribution(args.file);
+    const { chainId } = await ethers.provider.getNetwork();
+    const planId = hashPlanInputs({
+      chainId: Number(chainId),
+      token: tokenAddress,
+      mode: args.mode,
+      sender: signer.address,
+      entries: entries.map((entry) => [entry.address, entry.amount.toString()]),
+    });
+
+    let journal = loadJournal(journalPath);
+    if (journal && journal.planId !== planId && !isJournalComplete(journal) && !args.reset) {
+      throw new Error(
+        `${journalPath} holds an unfinished airdrop for a different distribution; finish it or pass --reset`
+      );
+    }
+
+    const resuming = journal && journal.planId === planId && !args.reset;
+    if (resuming && isJournalComplete(journal)) {
+      // Sending again would pay everyone twice
+      console.log(`✅ ${journalPath} already completed this distribution; pass --reset to send it again`);
+    } else if (resuming) {
+      const done = journal.batches.filter((batch) => batch.status === "confirmed").length;
+      console.log(`↩️  Resuming ${journalPath}: ${done}/${journal.batches.length} batches confirmed`);
+    } else {
+      const [paused, restricted] = await Promise.all([token.paused(), token.transferRestricted()]);
+      const problems = [];
+
+      if (paused) {
+        problems.push("WhitelistToken is paused");
+      }
+      if (args.mode === "mint") {
+        const remaining = await token.remainingMintableSupply();
+        if (!minter) {
+          problems.push(`${signer.address} is neither the owner of WhitelistToken nor a MINTER and cannot mint`);
+        }
+        if (total > remaining) {
+          problems.push(`The distribution needs ${format(total)} but only ${format(remaining)} can still be minted`);
+        }
+      } else {
+        const balance = await token.balanceOf(signer.address);
+        if (total > balance) {
+          problems.push(`The distribution needs ${format(total)} but ${signer.address} holds ${format(balance)}`);
+        }
+      }
+
+      // With restrictions on, recipients can only move what they receive once whitelisted
+      const unlisted = [];
+      if (restricted) {
+        for (const entry of entries) {
+          if (!(await token.whitelist(entry.address))) {
+            unlisted.push(entry.address);
+          }
+        }
+        if (unlisted.length > 0 && !whitelister) {
+          problems.push(
+            `transferRestricted is on and ${unlisted.length} recipients are not whitelisted; only the owner or a WHITELIST_MANAGER can whitelist them`
+          );
+        }
+      }
+
+      printSection("🪂 AIRDROP PLAN");
+      console.log(`Token: ${tokenAddress}`);
+      console.log(`Mode: ${args.mode}`);
+      console.log(`Sender: ${signer.address}`);
+      console.log(`Recipients: ${entries.length}`);
+      console.log(`Total: ${format(total)}`);
+      console.log(`Transfer Restricted: ${restricted}`);
+
+      if (problems.length > 0) {
+        console.log("\n❌ The airdrop cannot be sent:");
+        problems.forEach((problem) => console.log(`   - ${problem}`));
+        throw new Error(`Airdrop failed validation: ${problems.join("; ")}`);
+      }
+
+      const maxGas = BigInt(args.maxGas);
+      const whitelistBatches = [];
+      if (unlisted.length > 0) {
+        const size = await estimateChunkSize(whitelister, unlisted, true, maxGas);
+        chunk(unlisted, size).forEach((accounts) => whitelistBatches.push({ action: "whitelist", accounts }));
+      }
+      const batches = [
+        ...whitelistBatches,
+        ...(await planDistributionBatches(distributor, args.mode, entries, { maxGas, single: args.single })),
+      ];
+      console.log(`Whitelist batches: ${whitelistBatches.length} (${unlisted.length} recipients)`);
+      console.log(`Distribution batches: ${batches.length - whitelistBatches.length}`);
+
+      if (args.dryRun) {
+        batches.forEach((batch) => {
+          const count = batch.action === "whitelist" ? batch.accounts.length : batch.recipients.length;
+          console.log(`  ${batch.action} ${count} accounts`);
+        });
+        return { batches };
+      }
+
+      journal = createJournal(planId, batches);
+      saveJournal(journalPath, journal);
+    }
+
+    await runJournal({
+      journal,
+      file: journalPath,
+      provider: ethers.provider,
+      send: async (batch) => {
+        if (batch.action === "whitelist") {
+          return (whitelister || token).updateWhitelistBatch(batch.accounts, true);
+        }
+        return distributionCall(distributor, batch.action, batch.recipients, batch.amounts.map(BigInt), args.single);
+      },
+      onBatch: (batch) => {
+        const detail = batch.action === "whitelist"
+          ? `whitelisted ${batch.accounts.length} recipients`
+          : `${batch.action === "mint" ? "minted" : "transferred"} to ${batch.recipients.length} recipients`;
+        console.log(`  ✅ Batch ${batch.index + 1}/${journal.batches.length}: ${detail} (tx: ${batch.txHash})`);
+      },
+    });
+
+    const report = await reconcileDistribution({
+      provider: ethers.provider,
+      token,
+      journal,
+      entries,
+      mode: args.mode,
+      sender: signer.address,
+    });
+    writeReconciliation(reportPath, report);
+
+    printSection("🧾 RECONCILIATION");
+    console.log(`Planned: ${format(report.planned)} to ${entries.length} recipients`);
+    console.log(`Delivered: ${format(report.delivered)} in ${report.transactions.length} transactions`);
+    const off = report.recipients.filter((recipient) => recipient.status !== "ok");
+    off.forEach((recipient) => {
+      console.log(`⚠️  ${recipient.address}: expected ${format(recipient.expected)}, delivered ${format(recipient.delivered)}`);
+    });
+    console.log(`Report: ${reportPath}`);
+
+    if (!report.complete) {
+      throw new Error(`Airdrop reconciliation found ${off.length} recipients with the wrong amount (see ${reportPath})`);
+    }
+    console.log(`✅ Airdrop complete (journal: ${journalPath})`);
+    return report;
+  });
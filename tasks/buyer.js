@@ -0,0 +1,142 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { resolveAddress, resolveTokenAddress, resolveSender } = require("../lib/deployments");
+const { checkPurchase, checkClaim } = require("../lib/buyer");
+const { getForwarderDomain, buildForwardRequest, signForwardRequest, submitToRelayer } = require("../lib/forwarder");
+const { readProofFile } = require("../lib/merkle");
+const { formatTimestamp, printSection } = require("../lib/output");
+
+/**
+ * Signs a claimTokens request for the sale's trusted forwarder and has the relayer submit it,
+ * so the buyer pays no gas
+ */
+async function claimThroughRelayer(hre, sale, signer, url) {
+  const { ethers } = hre;
+  const forwarderAddress = await sale.trustedForwarder();
+  if (forwarderAddress === ethers.ZeroAddress) {
+    throw new Error(`${sale.target} trusts no forwarder; claim without --relayer`);
+  }
+  // Impersonated accounts cannot sign
+  if (!(await ethers.getSigners()).some((candidate) => candidate.address === signer.address)) {
+    throw new Error(`--relayer needs the key of ${signer.address} to sign the request`);
+  }
+
+  const forwarder = await ethers.getContractAt("ERC2771Forwarder", forwarderAddress);
+  const request = await buildForwardRequest(forwarder, {
+    from: signer.address,
+    to: sale.target,
+    data: sale.interface.encodeFunctionData("claimTokens"),
+  });
+  const signed = await signForwardRequest(signer, await getForwarderDomain(forwarder), request);
+  return submitToRelayer(url, signed);
+}
+
+/**
+ * Prints each reason and fails with all of them
+ */
+function refuse(action, reasons) {
+  console.log(`\n❌ ${action} would revert:`);
+  reasons.forEach((reason) => console.log(`   - ${reason}`));
+  throw new Error(`${action} would revert: ${reasons.join("; ")}`);
+}
+
+task("sale:buy", "Buys tokens with ETH after checking the sale's purchase rules")
+  .addParam("amount", "Tokens to buy, in whole tokens (e.g. 100 or 12.5)")
+  .addOptionalParam("from", "Buyer address (defaults to the first account); impersonated on a local node without a key")
+  .addOptionalParam("proofs", "Proof file written by merkle:build, used when the buyer is not whitelisted", "merkle-proofs.json")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment)")
+  .addFlag("dryRun", "Run the checks and print the cost without buying")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const saleAddress = await resolveAddress(hre, "WhitelistSale", args.sale);
+    const sale = await ethers.getContractAt("WhitelistSale", saleAddress);
+    const signer = await resolveSender(hre, { from: args.from, allowed: async () => true, description: "a buyer" });
+    const tokenAmount = ethers.parseEther(args.amount);
+    const proofData = fs.existsSync(args.proofs) ? readProofFile(args.proofs) : undefined;
+
+    const check = await checkPurchase(sale, signer.address, tokenAmount, proofData);
+    const balance = await ethers.provider.getBalance(signer.address);
+    if (check.ok && balance < check.cost) {
+      check.reasons.push(
+        `${signer.address} has ${ethers.formatEther(balance)} ETH but the purchase costs ${ethers.formatEther(check.cost)} ETH plus gas`
+      );
+    }
+
+    printSection("🛒 PURCHASE");
+    console.log(`Sale: ${saleAddress}`);
+    console.log(`Buyer: ${signer.address}`);
+    console.log(`Amount: ${args.amount} tokens`);
+    console.log(`Price: ${ethers.formatEther(check.tokenPrice)} ETH per token${check.round ? ` (round "${check.round.name}")` : ""}`);
+    console.log(`Cost: ${ethers.formatEther(check.cost)} ETH`);
+    if (check.proof.length > 0) {
+      console.log(`Merkle proof: ${check.proof.length} nodes from ${args.proofs}`);
+    }
+
+    if (check.reasons.length > 0) {
+      refuse("purchaseTokens", check.reasons);
+    }
+    if (args.dryRun) {
+      console.log("\n✅ The purchase would succeed (dry run, nothing sent)");
+      return check;
+    }
+
+    // Exactly the cost, so nothing is refunded
+    const tx = await sale.connect(signer).purchaseTokens(tokenAmount, check.proof, { value: check.cost });
+    await tx.wait();
+    console.log(`\n✅ Bought ${args.amount} tokens for ${ethers.formatEther(check.cost)} ETH (tx: ${tx.hash})`);
+
+    return { ...check, hash: tx.hash };
+  });
+
+task("sale:claim", "Shows a buyer's claim status and claims vested tokens")
+  .addOptionalParam("from", "Buyer address (defaults to the first account); impersonated on a local node without a key")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment)")
+  .addOptionalParam("token", "WhitelistToken address (defaults to the deployment)")
+  .addOptionalParam("relayer", "Relayer URL (scripts/relayer.js); signs a meta-transaction instead of paying gas")
+  .addFlag("dryRun", "Only report the claim status")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const saleAddress = await resolveAddress(hre, "WhitelistSale", args.sale);
+    const tokenAddress = await resolveTokenAddress(hre, args.token, saleAddress);
+    const sale = await ethers.getContractAt("WhitelistSale", saleAddress);
+    const token = await ethers.getContractAt("WhitelistToken", tokenAddress);
+    const signer = await resolveSender(hre, { from: args.from, allowed: async () => true, description: "a buyer" });
+
+    const status = await checkClaim(sale, token, signer.address);
+    const symbol = await token.symbol();
+
+    printSection("🎁 CLAIM STATUS");
+    console.log(`Sale: ${saleAddress}`);
+    console.log(`Buyer: ${signer.address}`);
+    console.log(`Purchased: ${ethers.formatEther(status.purchased)} ${symbol} for ${ethers.formatEther(status.ethSpent)} ETH`);
+    console.log(`Claimed: ${ethers.formatEther(status.claimed)} ${symbol}${status.fullyClaimed ? " (fully claimed)" : ""}`);
+    console.log(`Claimable: ${ethers.formatEther(status.claimable)} ${symbol}`);
+    console.log(`Locked: ${ethers.formatEther(status.locked)} ${symbol}`);
+    console.log(`Claim Enabled: ${status.claimEnabled}`);
+    console.log(`Claim Start Time: ${formatTimestamp(status.claimStartTime)}`);
+
+    if (args.dryRun) {
+      if (status.reasons.length > 0) {
+        console.log("\n⚠️  claimTokens would revert:");
+        status.reasons.forEach((reason) => console.log(`   - ${reason}`));
+      }
+      return status;
+    }
+    if (status.reasons.length > 0) {
+      refuse("claimTokens", status.reasons);
+    }
+
+    const before = await token.balanceOf(signer.address);
+    let hash;
+    if (args.relayer) {
+      ({ hash } = await claimThroughRelayer(hre, sale, signer, args.relayer));
+    } else {
+      const tx = await sale.connect(signer).claimTokens();
+      await tx.wait();
+      hash = tx.hash;
+    }
+    const received = (await token.balanceOf(signer.address)) - before;
+    console.log(`\n✅ Claimed ${ethers.formatEther(received)} ${symbol}${args.relayer ? " via the relayer" : ""} (tx: ${hash})`);
+
+    return { ...status, received, hash };
+  });
@@ -0,0 +1,27 @@
+const { task } = require("hardhat/config");
+const { loadDeployConfig, formatDeployPlan } = require("../lib/config");
+
+// Extends hardhat-deploy's deploy task with a config review mode
+task("deploy")
+  .addFlag("dryRun", "Validate config/networks/<network>.json and print constructor arguments without deploying")
+  .setAction(async (args, hre, runSuper) => {
+    if (!args.dryRun) {
+      return runSuper(args);
+    }
+
+    const tokenDeployment = await hre.deployments.getOrNull("WhitelistToken");
+    let mintableSupply;
+    if (tokenDeployment) {
+      const token = await hre.ethers.getContractAt("WhitelistToken", tokenDeployment.address);
+      mintableSupply = await token.remainingMintableSupply();
+    }
+
+    const config = await loadDeployConfig(hre, mintableSupply);
+    const plan = formatDeployPlan(config, tokenDeployment && tokenDeployment.address);
+
+    console.log("🔎 Dry run: nothing will be deployed\n");
+    plan.forEach((line) => console.log(line));
+    console.log("\n✅ Deployment config is valid");
+
+    return config;
+  });
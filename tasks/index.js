@@ -0,0 +1,16 @@
+require("./admin");
+require("./airdrop");
+require("./buyer");
+require("./deploy");
+require("./ledger");
+require("./manifest");
+require("./merkle");
+require("./monitor");
+require("./preflight");
+require("./roles");
+require("./token");
+require("./sale");
+require("./settlement");
+require("./upgrade");
+require("./voucher");
+require("./whitelist");
@@ -0,0 +1,172 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { resolveAddress } = require("../lib/deployments");
+const {
+  loadLedger,
+  syncLedger,
+  summarizeBuyers,
+  summarizeRounds,
+  summarizeCurrencies,
+  summarizeTotals,
+  reconcileLedger,
+  buyersToCsv,
+} = require("../lib/ledger");
+const { toJson, printJson, printSection } = require("../lib/output");
+
+/**
+ * Default ledger location for the current network
+ */
+function defaultLedgerPath(hre) {
+  return `ledger/${hre.network.name}.json`;
+}
+
+/**
+ * Loads an existing ledger for the resolved sale
+ */
+async function openLedger(hre, { ledger: file, sale: saleOverride }) {
+  const ledgerPath = file || defaultLedgerPath(hre);
+  if (!fs.existsSync(ledgerPath)) {
+    throw new Error(`No ledger at ${ledgerPath}; run sale:index first`);
+  }
+
+  const saleAddress = await resolveAddress(hre, "WhitelistSale", saleOverride);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const ledger = loadLedger(ledgerPath, { chainId: Number(chainId), sale: saleAddress });
+
+  return { ledger, ledgerPath, saleAddress };
+}
+
+task("sale:index", "Indexes WhitelistSale and WhitelistToken events into a local ledger")
+  .addOptionalParam("ledger", "Ledger file (defaults to ledger/<network>.json)")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment)")
+  .addOptionalParam("fromBlock", "First block for a new ledger (defaults to the sale deployment block)", undefined, types.int)
+  .addOptionalParam("batchSize", "Blocks per log query", 2000, types.int)
+  .addOptionalParam("confirmations", "Only index blocks with this many confirmations", 0, types.int)
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const ledgerPath = args.ledger || defaultLedgerPath(hre);
+    const saleAddress = await resolveAddress(hre, "WhitelistSale", args.sale);
+    const sale = await ethers.getContractAt("WhitelistSale", saleAddress);
+    const tokenAddress = await sale.token();
+    const token = await ethers.getContractAt("WhitelistToken", tokenAddress);
+
+    let startBlock = args.fromBlock;
+    if (startBlock === undefined) {
+      const deployment = await hre.deployments.getOrNull("WhitelistSale");
+      const isDeployment = deployment && deployment.address === saleAddress;
+      startBlock = isDeployment && deployment.receipt ? deployment.receipt.blockNumber : 0;
+    }
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const ledger = loadLedger(ledgerPath, {
+      chainId: Number(chainId),
+      sale: saleAddress,
+      token: tokenAddress,
+      startBlock,
+    });
+
+    const latestBlock = await ethers.provider.getBlockNumber();
+    if (ledger.lastBlock > latestBlock) {
+      throw new Error(
+        `Ledger cursor (block ${ledger.lastBlock}) is ahead of the chain (block ${latestBlock}); was the node reset?`
+      );
+    }
+
+    const toBlock = latestBlock - args.confirmations;
+    console.log(`Indexing ${saleAddress} from block ${ledger.lastBlock + 1} to ${toBlock}...`);
+
+    const added = await syncLedger({
+      sale,
+      token,
+      ledger,
+      file: ledgerPath,
+      toBlock,
+      batchSize: args.batchSize,
+      onBatch: (from, to, count) => console.log(`  blocks ${from}-${to}: ${count} events`),
+    });
+
+    console.log(`✅ ${added} new events (${ledger.events.length} total), cursor at block ${ledger.lastBlock}`);
+    console.log(`Ledger: ${ledgerPath}`);
+
+    return ledger;
+  });
+
+task("sale:reconcile", "Reconciles ledger totals against purchases, totalSold and totalEthRaised")
+  .addOptionalParam("ledger", "Ledger file (defaults to ledger/<network>.json)")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment)")
+  .addFlag("json", "Print machine-readable JSON")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const { ledger, saleAddress } = await openLedger(hre, args);
+    const sale = await ethers.getContractAt("WhitelistSale", saleAddress);
+
+    const totals = summarizeTotals(summarizeBuyers(ledger));
+    const rounds = summarizeRounds(ledger);
+    const currencies = summarizeCurrencies(ledger);
+    const mismatches = await reconcileLedger(sale, ledger);
+    const report = { sale: saleAddress, block: ledger.lastBlock, totals, rounds, currencies, mismatches };
+
+    if (args.json) {
+      printJson(report);
+    } else {
+      printSection("🧾 SALE RECONCILIATION");
+      console.log(`Sale: ${saleAddress}`);
+      console.log(`At Block: ${ledger.lastBlock}`);
+      console.log(`Buyers: ${totals.buyers}`);
+      console.log(`Total Sold: ${ethers.formatEther(totals.totalSold)}`);
+      console.log(`Total ETH Raised: ${ethers.formatEther(totals.totalEthRaised)} ETH`);
+      console.log(`Total Claimed: ${ethers.formatEther(totals.totalClaimed)}`);
+
+      for (const [roundId, round] of Object.entries(rounds)) {
+        const label = round.name ? `#${roundId} ${round.name}` : `#${roundId}`;
+        console.log(
+          `Round ${label}: ${ethers.formatEther(round.sold)} sold, ${ethers.formatEther(round.ethRaised)} ETH, ${round.buyers} buyers`
+        );
+      }
+
+      for (const [paymentToken, currency] of Object.entries(currencies)) {
+        console.log(`Raised in ${paymentToken}: ${currency.raised} (smallest unit), ${currency.purchases} purchases`);
+      }
+
+      for (const { scope, field, ledger: expected, chain } of mismatches) {
+        console.log(`❌ ${scope} ${field}: ledger ${expected}, chain ${chain}`);
+      }
+    }
+
+    if (mismatches.length > 0) {
+      throw new Error(`${mismatches.length} reconciliation mismatches`);
+    }
+    if (!args.json) {
+      console.log("✅ Ledger matches on-chain state");
+    }
+
+    return report;
+  });
+
+task("sale:export", "Exports per-buyer purchase totals from the ledger")
+  .addOptionalParam("ledger", "Ledger file (defaults to ledger/<network>.json)")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment)")
+  .addOptionalParam("output", "File to write (prints to stdout if omitted)")
+  .addOptionalParam("format", "csv or json", "csv")
+  .setAction(async (args, hre) => {
+    const { ledger } = await openLedger(hre, args);
+    const buyers = summarizeBuyers(ledger);
+
+    let content;
+    if (args.format === "csv") {
+      content = buyersToCsv(buyers);
+    } else if (args.format === "json") {
+      content = toJson(buyers) + "\n";
+    } else {
+      throw new Error(`Unsupported export format: ${args.format}`);
+    }
+
+    if (args.output) {
+      fs.writeFileSync(args.output, content);
+      console.log(`✅ Exported ${Object.keys(buyers).length} buyers to ${args.output}`);
+    } else {
+      process.stdout.write(content);
+    }
+
+    return buyers;
+  });
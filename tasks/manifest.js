@@ -0,0 +1,59 @@
+const { task } = require("hardhat/config");
+const { printJson, printSection } = require("../lib/output");
+const {
+  buildManifest,
+  writeManifest,
+  readManifests,
+  writeCombinedManifest,
+  writeManifestPackage,
+} = require("../lib/manifest");
+const { version: projectVersion } = require("../package.json");
+
+task("manifest:export", "Writes the frontend deployment manifest for this network's chain id")
+  .addOptionalParam("output", "Directory of per-chain manifests, written as <chainId>.json", "manifests")
+  .addFlag("combined", "Also write combined.json with every chain's manifest in the directory")
+  .addOptionalParam("package", "Directory to generate a typed JS/TS package in, from every chain's manifest")
+  .addOptionalParam("packageName", "npm name of the generated package", "whitelist-token-deployments")
+  .addOptionalParam("packageVersion", "Version of the generated package", projectVersion)
+  .addFlag("json", "Print the manifest as JSON")
+  .setAction(async (args, hre) => {
+    const manifest = await buildManifest(hre);
+    const files = { manifest: writeManifest(args.output, manifest) };
+
+    // Other chains come from their own earlier exports into the same directory
+    const manifests = readManifests(args.output);
+    if (args.combined) {
+      files.combined = writeCombinedManifest(args.output, manifests);
+    }
+    if (args.package) {
+      files.package = writeManifestPackage(args.package, manifests, {
+        name: args.packageName,
+        version: args.packageVersion,
+      });
+    }
+
+    if (args.json) {
+      printJson(manifest);
+      return { manifest, files };
+    }
+
+    printSection("🧭 DEPLOYMENT MANIFEST");
+    console.log(`Network: ${manifest.network} (chain ${manifest.chainId})`);
+    console.log(`Manifest version: ${manifest.version}`);
+    for (const [name, contract] of Object.entries(manifest.contracts)) {
+      console.log(`${name}: ${contract.address} (block ${contract.deployBlock}, ${contract.abi.length} ABI entries)`);
+    }
+    console.log(`Token: ${manifest.token.name} (${manifest.token.symbol}), ${manifest.token.decimals} decimals`);
+    console.log(`Merkle root: ${manifest.sale.merkleRoot}`);
+
+    printSection("📄 FILES");
+    console.log(`Manifest: ${files.manifest}`);
+    if (files.combined) {
+      console.log(`Combined: ${files.combined} (chains ${manifests.map((entry) => entry.chainId).join(", ")})`);
+    }
+    if (files.package) {
+      console.log(`Package: ${args.package} (${args.packageName}@${args.packageVersion})`);
+    }
+
+    return { manifest, files };
+  });
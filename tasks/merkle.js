@@ -0,0 +1,118 @@
+const { task, types } = require("hardhat/config");
+const { loadAllowlist } = require("../lib/allowlist");
+const { resolveAddress } = require("../lib/deployments");
+const { resolveManagedCaller } = require("../lib/roles");
+const {
+  buildAllowlistTree,
+  writeProofFile,
+  readProofFile,
+  verifyProof,
+} = require("../lib/merkle");
+
+/**
+ * Reads the sale-wide root, or a round's root when `round` is given
+ */
+async function readRoot(sale, round) {
+  return round === undefined ? sale.merkleRoot() : (await sale.rounds(round)).merkleRoot;
+}
+
+/**
+ * Picks up to `count` addresses spread evenly across the list
+ */
+function pickSamples(addresses, count) {
+  if (count >= addresses.length) {
+    return addresses;
+  }
+
+  const step = addresses.length / count;
+  return Array.from({ length: count }, (_, i) => addresses[Math.floor(i * step)]);
+}
+
+task("merkle:build", "Builds a Merkle allowlist and writes the root and per-address proofs")
+  .addParam("input", "Allowlist file (.csv or .json)")
+  .addOptionalParam("output", "Proof file to write", "merkle-proofs.json")
+  .setAction(async ({ input, output }) => {
+    const { addresses, duplicates } = loadAllowlist(input);
+
+    if (duplicates.length > 0) {
+      console.log(`⚠️  Removed ${duplicates.length} duplicate entries`);
+    }
+
+    const tree = buildAllowlistTree(addresses);
+    writeProofFile(output, tree);
+
+    console.log(`Addresses: ${addresses.length}`);
+    console.log(`Merkle Root: ${tree.root}`);
+    console.log(`✅ Proofs written to ${output}`);
+
+    return tree;
+  });
+
+task("merkle:verify", "Checks the on-chain root and sample proofs against WhitelistSale")
+  .addOptionalParam("proofs", "Proof file written by merkle:build", "merkle-proofs.json")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment)")
+  .addOptionalParam("samples", "Number of proofs to check on-chain", 5, types.int)
+  .addOptionalParam("round", "Round whose root to check (defaults to the sale-wide root)", undefined, types.int)
+  .setAction(async ({ proofs, sale, samples, round }, hre) => {
+    const proofData = readProofFile(proofs);
+    const saleAddress = await resolveAddress(hre, "WhitelistSale", sale);
+    const saleContract = await hre.ethers.getContractAt("WhitelistSale", saleAddress);
+
+    const onChainRoot = await readRoot(saleContract, round);
+    if (onChainRoot !== proofData.root) {
+      throw new Error(`On-chain root ${onChainRoot} does not match proof file root ${proofData.root}`);
+    }
+
+    const failures = [];
+    for (const address of pickSamples(Object.keys(proofData.proofs), samples)) {
+      const proof = proofData.proofs[address];
+      const offChain = verifyProof(proofData.root, address, proof);
+      const onChain = round === undefined
+        ? await saleContract.isWhitelisted(address, proof)
+        : await saleContract.isEligibleForRound(round, address, proof);
+
+      console.log(`${address}: ${onChain && offChain ? "✅" : "❌"}`);
+      if (!onChain || !offChain) {
+        failures.push(address);
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new Error(`${failures.length} sample proofs failed verification`);
+    }
+
+    const scope = round === undefined ? "" : ` (round ${round})`;
+    console.log(`✅ Root ${proofData.root} verified on ${saleAddress}${scope}`);
+  });
+
+task("merkle:publish", "Publishes the Merkle root (sale-wide or per round) and verifies sample proofs")
+  .addOptionalParam("proofs", "Proof file written by merkle:build", "merkle-proofs.json")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment)")
+  .addOptionalParam("samples", "Number of proofs to check on-chain", 5, types.int)
+  .addOptionalParam("round", "Round to publish the root for (defaults to the sale-wide root)", undefined, types.int)
+  .setAction(async ({ proofs, sale, samples, round }, hre) => {
+    const proofData = readProofFile(proofs);
+    const saleAddress = await resolveAddress(hre, "WhitelistSale", sale);
+    const [signer] = await hre.ethers.getSigners();
+    const saleContract = await hre.ethers.getContractAt("WhitelistSale", saleAddress, signer);
+
+    if ((await readRoot(saleContract, round)) === proofData.root) {
+      console.log("Merkle root already published");
+    } else {
+      // The owner calls directly; a WHITELIST_MANAGER goes through the AccessManager that owns the sale
+      const method = round === undefined ? "setMerkleRoot" : "setRoundMerkleRoot";
+      const caller = await resolveManagedCaller(hre, saleContract, signer, [method]);
+      if (!caller) {
+        throw new Error(`${signer.address} is not the owner of WhitelistSale and holds no role that may set its Merkle root`);
+      }
+
+      console.log(`Publishing root ${proofData.root} to ${saleAddress}...`);
+      const tx = round === undefined
+        ? await caller.contract.setMerkleRoot(proofData.root)
+        : await caller.contract.setRoundMerkleRoot(round, proofData.root);
+      await tx.wait();
+      console.log(`✅ Root published (tx: ${tx.hash})`);
+    }
+
+    await hre.run("merkle:verify", { proofs, sale: saleAddress, samples, round });
+  });
@@ -0,0 +1,132 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { resolveDuration } = require("../lib/config");
+const { resolveAddress, resolveTokenAddress } = require("../lib/deployments");
+const { formatDuration, printSection } = require("../lib/output");
+const {
+  DEFAULT_RULES,
+  parseRules,
+  loadMonitorRules,
+  loadMonitorState,
+  createMonitor,
+  stdoutSink,
+  fileSink,
+  webhookSink,
+} = require("../lib/monitor");
+
+/**
+ * Default state file, e.g. monitor/sepolia.json
+ */
+function defaultStatePath(hre) {
+  return path.join("monitor", `${hre.network.name}.json`);
+}
+
+/**
+ * One-line summary of the polled views
+ */
+function formatStatus(ethers, status) {
+  return [
+    `block ${status.blockNumber}`,
+    status.isSaleActive ? "active" : "inactive",
+    `${ethers.formatEther(status.totalSold)} sold`,
+    `${ethers.formatEther(status.remainingTokens)} remaining`,
+    `${ethers.formatEther(status.totalEthRaised)} ETH raised`,
+    `balance ${ethers.formatEther(status.balance)}`,
+    ...(status.salePaused ? ["sale paused"] : []),
+    ...(status.tokenPaused ? ["token paused"] : []),
+  ].join(", ");
+}
+
+task("sale:monitor", "Watches sale and token events and views, sending alerts when rules match")
+  .addOptionalParam("rules", "JSON rules file: { \"rules\": [{ \"type\": \"percent-sold\", \"thresholds\": [50, 100] }, ...] }")
+  .addOptionalParam("interval", "Seconds between polls, or <n><s|m|h|d>", "15s")
+  .addOptionalParam("confirmations", "Blocks to stay behind the chain head", 0, types.int)
+  .addOptionalParam("fromBlock", "First block to scan when there is no state yet (defaults to new blocks only)", undefined, types.int)
+  .addOptionalParam("state", "State file holding the block cursor and fired alerts (defaults to monitor/<network>.json)")
+  .addOptionalParam("alertFile", "Append alerts to this file as JSON lines")
+  .addOptionalParam("webhook", "POST alerts as JSON to this URL")
+  .addFlag("quiet", "Do not print alerts to stdout")
+  .addFlag("once", "Run a single poll and exit")
+  .addOptionalParam("token", "WhitelistToken address (defaults to the deployment)")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment)")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const saleAddress = await resolveAddress(hre, "WhitelistSale", args.sale);
+    const tokenAddress = await resolveTokenAddress(hre, args.token, saleAddress);
+    const sale = await ethers.getContractAt("WhitelistSale", saleAddress);
+    const token = await ethers.getContractAt("WhitelistToken", tokenAddress);
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const rules = args.rules ? loadMonitorRules(args.rules) : parseRules(DEFAULT_RULES);
+    const interval = resolveDuration(/^\d+$/.test(args.interval) ? Number(args.interval) : args.interval);
+    if (interval === 0) {
+      throw new Error("--interval must be greater than 0");
+    }
+
+    const sinks = [
+      ...(args.quiet ? [] : [stdoutSink()]),
+      ...(args.alertFile ? [fileSink(args.alertFile)] : []),
+      ...(args.webhook ? [webhookSink(args.webhook)] : []),
+    ];
+    const file = args.state || defaultStatePath(hre);
+    const state = loadMonitorState(file, { chainId: Number(chainId), sale: saleAddress, token: tokenAddress });
+
+    const deployment = await hre.deployments.getOrNull("WhitelistSale");
+    const isDeployment = deployment && deployment.address === saleAddress;
+    const deployBlock = isDeployment && deployment.receipt ? deployment.receipt.blockNumber : 0;
+
+    const monitor = createMonitor({
+      sale,
+      token,
+      rules,
+      state,
+      file,
+      sinks,
+      deployBlock,
+      fromBlock: args.fromBlock,
+      confirmations: args.confirmations,
+      onSinkError: (error, sink) => console.log(`⚠️  Could not send alert to ${sink.name}: ${error.message}`),
+    });
+
+    printSection("📡 SALE MONITOR");
+    console.log(`Sale: ${saleAddress}`);
+    console.log(`Token: ${tokenAddress}`);
+    console.log(`Rules: ${rules.map((rule) => rule.type).join(", ")}`);
+    console.log(`Alerts: ${sinks.map((sink) => sink.name).join(", ") || "none"}`);
+    console.log(`State: ${file}${state.lastBlock === null ? "" : ` (resuming after block ${state.lastBlock})`}`);
+
+    if (args.once) {
+      const result = await monitor.tick();
+      if (result.status) {
+        console.log(`\n${formatStatus(ethers, result.status)}`);
+      }
+      return result;
+    }
+
+    console.log(`Polling every ${formatDuration(interval)}; press Ctrl+C to stop\n`);
+    const stop = () => monitor.stop();
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+    let reported = false;
+    try {
+      await monitor.run({
+        interval,
+        onTick: (result) => {
+          // Print the views once, then again after recovering from an error
+          if (result.status && !reported) {
+            console.log(formatStatus(ethers, result.status));
+            reported = true;
+          }
+        },
+        onError: (error, failures, retryIn) => {
+          reported = false;
+          console.log(`⚠️  Poll failed (${failures} in a row): ${error.message}; retrying in ${formatDuration(retryIn)}`);
+        },
+      });
+    } finally {
+      process.removeListener("SIGINT", stop);
+      process.removeListener("SIGTERM", stop);
+    }
+    console.log(`\n👋 Stopped after block ${monitor.state.lastBlock}`);
+    return monitor.state;
+  });
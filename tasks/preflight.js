@@ -0,0 +1,60 @@
+const { task, types } = require("hardhat/config");
+const { resolveAddress, resolveTokenAddress } = require("../lib/deployments");
+const { printJson, printSection } = require("../lib/output");
+const { runPreflight, getConfiguredExpectations, formatPreflightCheck } = require("../lib/preflight");
+
+task("sale:preflight", "Checks token and sale invariants: funding, claim start, transfer restrictions, treasury and owners")
+  .addOptionalParam("token", "WhitelistToken address (defaults to the deployment)")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment)")
+  .addOptionalParam("treasury", "Expected treasury (defaults to the network config)")
+  .addOptionalParam("owner", "Expected owner of both contracts (defaults to the network config or its timelock)")
+  .addOptionalParam("fromBlock", "First block to sum claims from (defaults to the sale deployment block)", undefined, types.int)
+  .addFlag("json", "Print the report as JSON")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const saleAddress = await resolveAddress(hre, "WhitelistSale", args.sale);
+    const tokenAddress = await resolveTokenAddress(hre, args.token, saleAddress);
+    const sale = await ethers.getContractAt("WhitelistSale", saleAddress);
+    const token = await ethers.getContractAt("WhitelistToken", tokenAddress);
+
+    // The network config says what the deployment should look like; flags override it
+    let configured = {};
+    try {
+      configured = await getConfiguredExpectations(hre);
+    } catch (error) {
+      if (!args.json) {
+        console.log(`⚠️  ${error.message}`);
+      }
+    }
+    const expected = {
+      treasury: args.treasury ? ethers.getAddress(args.treasury) : configured.treasury,
+      tokenOwner: args.owner ? ethers.getAddress(args.owner) : configured.tokenOwner,
+      saleOwner: args.owner ? ethers.getAddress(args.owner) : configured.saleOwner,
+    };
+
+    let fromBlock = args.fromBlock;
+    if (fromBlock === undefined) {
+      const deployment = await hre.deployments.getOrNull("WhitelistSale");
+      const isDeployment = deployment && deployment.address === saleAddress;
+      fromBlock = isDeployment && deployment.receipt ? deployment.receipt.blockNumber : 0;
+    }
+
+    const report = await runPreflight({ token, sale, expected, fromBlock });
+    const failed = report.checks.filter((check) => check.status === "fail");
+
+    if (args.json) {
+      printJson({ token: tokenAddress, sale: saleAddress, ...report });
+    } else {
+      printSection("🛫 PREFLIGHT");
+      console.log(`Token: ${tokenAddress}`);
+      console.log(`Sale: ${saleAddress}\n`);
+      report.checks.forEach((check) => console.log(formatPreflightCheck(check)));
+      const warnings = report.checks.filter((check) => check.status === "warn").length;
+      console.log(`\n${report.passed ? "✅ Preflight passed" : "❌ Preflight failed"} (${failed.length} failed, ${warnings} warnings)`);
+    }
+
+    if (!report.passed) {
+      throw new Error(`Preflight failed: ${failed.map((check) => check.name).join(", ")}`);
+    }
+    return report;
+  });
@@ -0,0 +1,164 @@
+const { task } = require("hardhat/config");
+const { resolveDuration } = require("../lib/config");
+const { resolveAddress, resolveSender } = require("../lib/deployments");
+const { formatDuration, formatTimestamp, printJson, printSection } = require("../lib/output");
+const {
+  ACCESS_MANAGER_DEPLOYMENT,
+  ROLES,
+  ROLE_TARGETS,
+  parseRole,
+  roleName,
+  getAccessManager,
+  readRoles,
+} = require("../lib/roles");
+
+/**
+ * The WhitelistAccessManager for --manager or the deployment
+ */
+async function openManager(hre, override) {
+  const address = await resolveAddress(hre, ACCESS_MANAGER_DEPLOYMENT, override);
+  const manager = await getAccessManager(hre, address);
+  if (!manager) {
+    throw new Error(`${address} is not an AccessManager`);
+  }
+  return manager;
+}
+
+/**
+ * Block to replay role events from: the manager's deployment block when known
+ */
+async function managerBlock(hre, address) {
+  const deployment = await hre.deployments.getOrNull(ACCESS_MANAGER_DEPLOYMENT);
+  return deployment && deployment.address === address && deployment.receipt ? deployment.receipt.blockNumber : 0;
+}
+
+/**
+ * Signer allowed to grant or revoke `role` right away (an admin of the role without execution delay)
+ */
+async function resolveRoleAdmin(hre, manager, role, from) {
+  const adminRole = await manager.getRoleAdmin(role.id);
+  const signer = await resolveSender(hre, {
+    from,
+    allowed: async (address) => {
+      const [isMember, delay] = await manager.hasRole(adminRole, address);
+      return isMember && delay === 0n;
+    },
+    description: `an admin of ${role.name} on ${manager.target} (${roleName(Number(adminRole))} without execution delay)`,
+  });
+  return manager.connect(signer);
+}
+
+task("roles:grant", "Grants a role on the AccessManager that owns WhitelistToken and WhitelistSale")
+  .addParam("role", `Role: ${Object.keys(ROLES).join(", ")} (or its id)`)
+  .addParam("account", "Account to grant the role to")
+  .addOptionalParam("delay", "Execution delay for the member's calls, seconds or <n><s|m|h|d> (none by default)")
+  .addOptionalParam("manager", "AccessManager address (defaults to the deployment)")
+  .addOptionalParam("from", "Admin address (defaults to the first configured account allowed)")
+  .setAction(async (args, hre) => {
+    const role = parseRole(args.role);
+    const account = hre.ethers.getAddress(args.account);
+    const delay = resolveDuration(/^\d+$/.test(args.delay || "") ? Number(args.delay) : args.delay);
+    const manager = await openManager(hre, args.manager);
+
+    const [isMember, currentDelay] = await manager.hasRole(role.id, account);
+    if (isMember && Number(currentDelay) === delay) {
+      console.log(`✅ ${account} already holds ${role.name}`);
+      return { role: role.name, account, hash: null };
+    }
+
+    const admin = await resolveRoleAdmin(hre, manager, role, args.from);
+    const tx = await admin.grantRole(role.id, account, delay);
+    await tx.wait();
+
+    const suffix = delay > 0 ? ` with a ${formatDuration(delay)} execution delay` : "";
+    console.log(`✅ Granted ${role.name} to ${account}${suffix} (tx: ${tx.hash})`);
+    return { role: role.name, account, hash: tx.hash };
+  });
+
+task("roles:revoke", "Revokes a role on the AccessManager that owns WhitelistToken and WhitelistSale")
+  .addParam("role", `Role: ${Object.keys(ROLES).join(", ")} (or its id)`)
+  .addParam("account", "Account to revoke the role from")
+  .addOptionalParam("manager", "AccessManager address (defaults to the deployment)")
+  .addOptionalParam("from", "Admin address (defaults to the first configured account allowed)")
+  .setAction(async (args, hre) => {
+    const role = parseRole(args.role);
+    const account = hre.ethers.getAddress(args.account);
+    const manager = await openManager(hre, args.manager);
+    const { members } = await readRoles(manager, { fromBlock: await managerBlock(hre, manager.target) });
+
+    if (!members.some((member) => member.role === role.id && member.account === account)) {
+      console.log(`✅ ${account} does not hold ${role.name}`);
+      return { role: role.name, account, hash: null };
+    }
+    // Nobody could grant roles or reassign functions again
+    if (role.id === ROLES.ADMIN && !members.some((member) => member.role === ROLES.ADMIN && member.account !== account && member.active)) {
+      throw new Error(`${account} is the only ADMIN; grant ADMIN to another account first`);
+    }
+
+    const admin = await resolveRoleAdmin(hre, manager, role, args.from);
+    const tx = await admin.revokeRole(role.id, account);
+    await tx.wait();
+
+    console.log(`✅ Revoked ${role.name} from ${account} (tx: ${tx.hash})`);
+    return { role: role.name, account, hash: tx.hash };
+  });
+
+task("roles:list", "Lists role members and the functions each role may call, rebuilt from AccessManager events")
+  .addOptionalParam("manager", "AccessManager address (defaults to the deployment)")
+  .addFlag("json", "Print machine-readable JSON")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const manager = await openManager(hre, args.manager);
+    const address = await manager.getAddress();
+    const { labels, members, functions } = await readRoles(manager, { fromBlock: await managerBlock(hre, address) });
+
+    // Names selectors on the contracts the roles apply to
+    const targets = { [address]: { name: ROLE_TARGETS.manager, interface: manager.interface } };
+    for (const key of ["token", "sale"]) {
+      const deployment = await hre.deployments.getOrNull(ROLE_TARGETS[key]);
+      if (deployment) {
+        targets[deployment.address] = { name: ROLE_TARGETS[key], interface: new ethers.Interface(deployment.abi) };
+      }
+    }
+    const describe = ({ target, selector }) => {
+      const known = targets[target];
+      const fragment = known && known.interface.getFunction(selector);
+      return fragment ? `${known.name}.${fragment.name}` : `${target}:${selector}`;
+    };
+
+    const ids = [...new Set([...Object.values(ROLES), ...members.map((m) => m.role), ...functions.map((f) => f.role)])];
+    const roles = ids.sort((a, b) => a - b).map((id) => ({
+      id,
+      name: roleName(id, labels),
+      members: members.filter((member) => member.role === id),
+      functions: functions.filter((entry) => entry.role === id).map(describe),
+    }));
+
+    if (args.json) {
+      printJson({ manager: address, roles });
+      return roles;
+    }
+
+    printSection("🔐 ROLES");
+    console.log(`AccessManager: ${address}`);
+    for (const role of roles) {
+      console.log(`\n${role.name} (${role.id})`);
+      if (role.id === ROLES.ADMIN) {
+        console.log("  Functions: role admin, and every owner-only function not assigned to a role");
+      } else {
+        console.log(`  Functions: ${role.functions.length > 0 ? role.functions.join(", ") : "none"}`);
+      }
+      if (role.members.length === 0) {
+        console.log("  Members: none");
+      }
+      role.members.forEach((member) => {
+        const notes = [
+          member.executionDelay > 0 && `execution delay ${formatDuration(member.executionDelay)}`,
+          !member.active && `active from ${formatTimestamp(member.since)}`,
+        ].filter(Boolean);
+        console.log(`  - ${member.account}${notes.length > 0 ? ` (${notes.join(", ")})` : ""}`);
+      });
+    }
+
+    return roles;
+  });
@@ -0,0 +1,141 @@
+const { task } = require("hardhat/config");
+const { getDeployedContract, resolveAccount } = require("../lib/deployments");
+const { readSaleState, readPurchase } = require("../lib/state");
+const { printJson, printSection, formatTimestamp, formatDuration } = require("../lib/output");
+
+// What each WhitelistSale.RaiseState means for buyers and the owner
+const RAISE_STATE_HINTS = {
+  escrow: "Payments are held by the contract until the sale ends",
+  succeeded: "Soft cap met; the owner must call finalizeRaise() to release funds and open claims",
+  failed: "Soft cap missed; buyers can call refund() to get their payments back",
+  finalized: "Funds released to the treasury; claims are open",
+};
+
+task("sale:info", "Shows WhitelistSale configuration and progress")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment)")
+  .addOptionalParam("account", "Account to report on (defaults to the first signer)")
+  .addFlag("json", "Print machine-readable JSON")
+  .setAction(async ({ sale: saleAddress, account, json }, hre) => {
+    const { ethers } = hre;
+    const sale = await getDeployedContract(hre, "WhitelistSale", saleAddress);
+    const info = await readSaleState(sale);
+
+    const token = await ethers.getContractAt("WhitelistToken", info.token);
+    const symbol = await token.symbol();
+    info.tokenSymbol = symbol;
+    info.tokenBalance = await token.balanceOf(info.address);
+
+    const accountAddress = await resolveAccount(hre, account);
+    if (accountAddress) {
+      info.account = {
+        address: accountAddress,
+        whitelisted: await sale.whitelist(accountAddress),
+        ...(await readPurchase(sale, accountAddress)),
+        roundPurchased: await Promise.all(
+          info.rounds.map((round) => sale.roundPurchased(round.id, accountAddress))
+        ),
+        paidByCurrency: await Promise.all(
+          info.paymentTokens.map((payment) => sale.paidByCurrency(accountAddress, payment.address))
+        ),
+      };
+    }
+
+    if (json) {
+      printJson(info);
+      return info;
+    }
+
+    const { saleConfig } = info;
+    printSection("💰 SALE INFORMATION");
+    console.log(`Address: ${info.address}`);
+    console.log(`Token: ${info.token} (${symbol})`);
+    console.log(`Treasury: ${info.treasury}`);
+    console.log(`Owner: ${info.owner}`);
+    console.log(`Token Price: ${ethers.formatEther(saleConfig.tokenPrice)} ETH`);
+    console.log(`Min Purchase: ${ethers.formatEther(saleConfig.minPurchase)} ${symbol}`);
+    console.log(`Max Purchase: ${ethers.formatEther(saleConfig.maxPurchase)} ${symbol}`);
+    console.log(`Max Supply: ${ethers.formatEther(saleConfig.maxSupply)} ${symbol}`);
+    console.log(`Start Time: ${formatTimestamp(saleConfig.startTime)}`);
+    console.log(`End Time: ${formatTimestamp(saleConfig.endTime)}`);
+    console.log(`Whitelist Required: ${saleConfig.whitelistRequired}`);
+    console.log(`Merkle Root: ${info.merkleRoot}`);
+    console.log(`Voucher Signer: ${info.voucherSigner === ethers.ZeroAddress ? "disabled" : info.voucherSigner}`);
+
+    printSection("📈 SALE PROGRESS");
+    console.log(`Phase: ${info.phase}`);
+    console.log(`Is Active: ${info.isSaleActive}`);
+    console.log(`Is Paused: ${info.paused}`);
+    console.log(`Total Sold: ${ethers.formatEther(info.totalSold)} ${symbol}`);
+    console.log(`Remaining: ${ethers.formatEther(info.remainingTokens)} ${symbol}`);
+    console.log(`Total ETH Raised: ${ethers.formatEther(info.totalEthRaised)} ETH`);
+    console.log(`Sale Token Balance: ${ethers.formatEther(info.tokenBalance)} ${symbol}`);
+    console.log(`Claim Enabled: ${info.claimEnabled}`);
+    console.log(`Claim Start Time: ${formatTimestamp(info.claimStartTime)}`);
+    console.log(`Finalized: ${info.saleFinalized}`);
+
+    if (info.rounds.length > 0) {
+      printSection("🗓️  ROUNDS");
+      info.rounds.forEach((round) => {
+        const current = round.id === info.currentRound ? " ← current" : "";
+        console.log(`#${round.id} ${round.name} (${round.phase})${current}`);
+        console.log(`   Window: ${formatTimestamp(round.startTime)} - ${formatTimestamp(round.endTime)}`);
+        console.log(`   Price: ${ethers.formatEther(round.tokenPrice)} ETH`);
+        console.log(`   Min / Max per Wallet: ${ethers.formatEther(round.minPurchase)} / ${ethers.formatEther(round.maxPurchase)} ${symbol}`);
+        console.log(`   Access: ${round.open ? "open" : `whitelist (Merkle root ${round.merkleRoot})`}`);
+        console.log(`   Sold: ${ethers.formatEther(round.sold)} / ${ethers.formatEther(round.supply)} ${symbol}`);
+        console.log(`   ETH Raised: ${ethers.formatEther(round.ethRaised)} ETH`);
+      });
+    }
+
+    if (info.softCap > 0n) {
+      printSection("🛡️  SOFT CAP");
+      const progress = Number((info.totalEthRaised * 10_000n) / info.softCap) / 100;
+      console.log(`Soft Cap: ${ethers.formatEther(info.softCap)} ETH`);
+      console.log(`Raised: ${ethers.formatEther(info.totalEthRaised)} ETH (${progress}%)`);
+      console.log(`State: ${info.raiseState}`);
+      console.log(`   ${RAISE_STATE_HINTS[info.raiseState]}`);
+    }
+
+    if (info.paymentTokens.length > 0) {
+      printSection("💵 PAYMENT TOKENS");
+      info.paymentTokens.forEach((payment) => {
+        const status = payment.accepted ? "accepted" : "removed";
+        console.log(`${payment.symbol} (${status}): ${payment.address}`);
+        console.log(`   Price: ${ethers.formatUnits(payment.tokenPrice, payment.decimals)} ${payment.symbol}`);
+        console.log(`   Raised: ${ethers.formatUnits(payment.raised, payment.decimals)} ${payment.symbol}`);
+      });
+    }
+
+    const vesting = info.vestingSchedule;
+    printSection("⏳ VESTING");
+    console.log(`Mode: ${vesting.mode}`);
+    if (vesting.mode !== "none") {
+      const end = info.claimStartTime > 0n ? info.claimStartTime + vesting.cliff + vesting.duration : 0n;
+      console.log(`TGE Unlock: ${Number(vesting.tgeUnlockBps) / 100}%`);
+      console.log(`Cliff: ${formatDuration(vesting.cliff)}`);
+      console.log(`Duration: ${formatDuration(vesting.duration)}`);
+      console.log(`Fully Vested At: ${formatTimestamp(end)}`);
+    }
+
+    if (info.account) {
+      printSection("👤 ACCOUNT");
+      console.log(`Address: ${info.account.address}`);
+      console.log(`Is Whitelisted: ${info.account.whitelisted}`);
+      console.log(`Purchased Amount: ${ethers.formatEther(info.account.amount)} ${symbol}`);
+      console.log(`ETH Spent: ${ethers.formatEther(info.account.ethSpent)} ETH`);
+      info.paymentTokens.forEach((payment, i) => {
+        console.log(`${payment.symbol} Spent: ${ethers.formatUnits(info.account.paidByCurrency[i], payment.decimals)} ${payment.symbol}`);
+      });
+      info.rounds.forEach((round) => {
+        console.log(`Bought in ${round.name}: ${ethers.formatEther(info.account.roundPurchased[round.id])} ${symbol}`);
+      });
+      console.log(`Claimed: ${ethers.formatEther(info.account.claimedAmount)} ${symbol}`);
+      console.log(`Claimable: ${ethers.formatEther(info.account.claimable)} ${symbol}`);
+      console.log(`Locked: ${ethers.formatEther(info.account.locked)} ${symbol}`);
+      if (info.raiseState === "failed" && info.account.amount > 0n) {
+        console.log(`Refundable: ${ethers.formatEther(info.account.ethSpent)} ETH (call refund())`);
+      }
+    }
+
+    return info;
+  });
@@ -0,0 +1,101 @@
+const { task, types } = require("hardhat/config");
+const { resolveAddress, resolveSender } = require("../lib/deployments");
+const { sumClaimed } = require("../lib/preflight");
+const { resolveManagedCaller } = require("../lib/roles");
+const { checkFinalization, buildSettlementReport, writeSettlementReport } = require("../lib/settlement");
+const { formatTimestamp, printSection } = require("../lib/output");
+
+task("sale:finalize", "Finalizes an ended sale, sends unsold tokens to the treasury or burns them, and writes a settlement report")
+  .addOptionalParam("from", "Owner or SALE_ADMIN address (defaults to the first account); impersonated on a local node without a key")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment)")
+  .addOptionalParam("report", "Settlement report (defaults to settlement/<network>.json)")
+  .addOptionalParam("fromBlock", "First block to scan purchases and claims from (defaults to the sale deployment block)", undefined, types.int)
+  .addFlag("burn", "Burn the unsold tokens instead of sending them to the treasury")
+  .addFlag("dryRun", "Run the checks and print the plan without finalizing")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const saleAddress = await resolveAddress(hre, "WhitelistSale", args.sale);
+    const reportPath = args.report || `settlement/${hre.network.name}.json`;
+    const signer = await resolveSender(hre, { from: args.from, allowed: async () => true, description: "a sale admin" });
+    const sale = await ethers.getContractAt("WhitelistSale", saleAddress, signer);
+    const token = await ethers.getContractAt("WhitelistToken", await sale.token());
+    const symbol = await token.symbol();
+    const format = (amount) => `${ethers.formatEther(amount)} ${symbol}`;
+
+    let fromBlock = args.fromBlock;
+    if (fromBlock === undefined) {
+      const deployment = await hre.deployments.getOrNull("WhitelistSale");
+      const isDeployment = deployment && deployment.address === saleAddress;
+      fromBlock = isDeployment && deployment.receipt ? deployment.receipt.blockNumber : 0;
+    }
+
+    if (await sale.saleFinalized()) {
+      // Finalizing is one-off; only the report is (re)written
+      console.log(`✅ ${saleAddress} is already finalized; writing its settlement report`);
+    } else {
+      const [config, totalSold, balance, treasury, paused, claimed] = await Promise.all([
+        sale.saleConfig(),
+        sale.totalSold(),
+        token.balanceOf(saleAddress),
+        sale.treasury(),
+        token.paused(),
+        sumClaimed(sale, fromBlock, await ethers.provider.getBlockNumber()),
+      ]);
+      // finalizeSale keeps what buyers are still owed and moves the rest of its balance
+      const owed = totalSold - claimed;
+      const unsold = balance > owed ? balance - owed : 0n;
+      const reasons = await checkFinalization(sale);
+
+      // The owner calls directly; a SALE_ADMIN goes through the AccessManager that owns the sale
+      const caller = await resolveManagedCaller(hre, sale, signer, ["finalizeSale"]);
+      if (!caller) {
+        reasons.push(`${signer.address} is not the owner of WhitelistSale and holds no role that may finalize it`);
+      }
+      if (balance < owed) {
+        reasons.push(`WhitelistSale holds ${format(balance)} but buyers are still owed ${format(owed)}`);
+      }
+      if (paused) {
+        reasons.push("WhitelistToken is paused, so unsold tokens cannot be moved");
+      }
+
+      printSection("🏁 SALE FINALIZATION");
+      console.log(`Sale: ${saleAddress}`);
+      console.log(`Caller: ${signer.address}${caller && caller.via === "manager" ? " (through the AccessManager)" : ""}`);
+      console.log(`Ended: ${formatTimestamp(config.endTime)}`);
+      console.log(`Total Sold: ${format(totalSold)} of ${format(config.maxSupply)}`);
+      console.log(`Balance: ${format(balance)} (${format(owed)} still owed to buyers)`);
+      console.log(`Unsold: ${format(unsold)} → ${args.burn ? "burned" : `treasury ${treasury}`}`);
+
+      if (reasons.length > 0) {
+        console.log("\n❌ finalizeSale would revert:");
+        reasons.forEach((reason) => console.log(`   - ${reason}`));
+        throw new Error(`finalizeSale would revert: ${reasons.join("; ")}`);
+      }
+      if (args.dryRun) {
+        console.log("\n✅ The sale can be finalized (dry run, nothing sent)");
+        return { unsold, burn: args.burn };
+      }
+
+      const tx = await caller.contract.finalizeSale(args.burn);
+      await tx.wait();
+      console.log(`\n✅ Finalized the sale (tx: ${tx.hash})`);
+    }
+
+    const report = await buildSettlementReport(sale, { fromBlock });
+    writeSettlementReport(reportPath, report);
+
+    printSection("🧾 SETTLEMENT REPORT");
+    console.log(`Finalized At: ${formatTimestamp(report.finalizedAt.timestamp)} (block ${report.finalizedAt.blockNumber})`);
+    console.log(`Total Sold: ${format(report.totalSold)}`);
+    console.log(`Total ETH Raised: ${ethers.formatEther(report.totalEthRaised)} ETH`);
+    for (const { symbol: currency, decimals, raised } of Object.values(report.raisedByCurrency)) {
+      console.log(`Raised in ${currency}: ${ethers.formatUnits(raised, decimals)} ${currency}`);
+    }
+    console.log(`Buyers: ${report.buyers}`);
+    console.log(`Claimed: ${format(report.claims.claimed)}`);
+    console.log(`Unclaimed: ${format(report.claims.unclaimed)}`);
+    console.log(`Unsold: ${format(report.unsold.amount)} (${report.unsold.burned ? "burned" : `sent to ${report.unsold.recipient}`})`);
+    console.log(`Report: ${reportPath}`);
+
+    return report;
+  });
@@ -0,0 +1,52 @@
+const { task } = require("hardhat/config");
+const { getDeployedContract, resolveAccount } = require("../lib/deployments");
+const { readTokenState } = require("../lib/state");
+const { printJson, printSection } = require("../lib/output");
+
+task("token:info", "Shows WhitelistToken information")
+  .addOptionalParam("token", "WhitelistToken address (defaults to the deployment)")
+  .addOptionalParam("account", "Account to report on (defaults to the first signer)")
+  .addFlag("json", "Print machine-readable JSON")
+  .setAction(async ({ token: tokenAddress, account, json }, hre) => {
+    const { ethers } = hre;
+    const token = await getDeployedContract(hre, "WhitelistToken", tokenAddress);
+    const info = await readTokenState(token);
+
+    const accountAddress = await resolveAccount(hre, account);
+    if (accountAddress) {
+      info.account = {
+        address: accountAddress,
+        ethBalance: await ethers.provider.getBalance(accountAddress),
+        tokenBalance: await token.balanceOf(accountAddress),
+        whitelisted: await token.whitelist(accountAddress),
+      };
+    }
+
+    if (json) {
+      printJson(info);
+      return info;
+    }
+
+    const { symbol } = info;
+    printSection("📊 TOKEN INFORMATION");
+    console.log(`Address: ${info.address}`);
+    console.log(`Name: ${info.name}`);
+    console.log(`Symbol: ${symbol}`);
+    console.log(`Decimals: ${info.decimals}`);
+    console.log(`Total Supply: ${ethers.formatEther(info.totalSupply)} ${symbol}`);
+    console.log(`Max Supply: ${ethers.formatEther(info.maxSupply)} ${symbol}`);
+    console.log(`Remaining Mintable: ${ethers.formatEther(info.remainingMintableSupply)} ${symbol}`);
+    console.log(`Owner: ${info.owner}`);
+    console.log(`Is Paused: ${info.paused}`);
+    console.log(`Transfer Restricted: ${info.transferRestricted}`);
+
+    if (info.account) {
+      printSection("👤 ACCOUNT");
+      console.log(`Address: ${info.account.address}`);
+      console.log(`ETH Balance: ${ethers.formatEther(info.account.ethBalance)} ETH`);
+      console.log(`Token Balance: ${ethers.formatEther(info.account.tokenBalance)} ${symbol}`);
+      console.log(`Is Whitelisted: ${info.account.whitelisted}`);
+    }
+
+    return info;
+  });
@@ -0,0 +1,149 @@
+const { task } = require("hardhat/config");
+const { buildAdminBatch, getTimelock, writeAdminBatchFiles } = require("../lib/admin");
+const { formatDuration, printSection } = require("../lib/output");
+const { getAccessManager, resolveManagedCaller } = require("../lib/roles");
+const {
+  UPGRADEABLE_CONTRACTS,
+  checkUpgrade,
+  deployProxy,
+  getPendingReinitializer,
+  prepareUpgrade,
+  recordPreparedUpgrade,
+} = require("../lib/upgrades");
+
+const TARGETS = { token: "WhitelistToken", sale: "WhitelistSale" };
+
+/**
+ * Upgrades a proxy owned by a timelock or an AccessManager. A configured account whose roles on
+ * the manager allow upgradeToAndCall (ADMIN by default) sends it through the manager; otherwise
+ * the call is written as an admin batch for admin:schedule / admin:execute
+ */
+async function upgradeThroughOwner(hre, args, { name, owner, contract, call, signers, waitConfirmations, errors, added }) {
+  const manager = await getAccessManager(hre, owner);
+  if (!manager && !(await getTimelock(hre, owner))) {
+    throw new Error(
+      `Upgrades must be sent by the owner ${owner}, which is neither a configured account, a TimelockController nor an AccessManager`
+    );
+  }
+
+  const prepared = await prepareUpgrade(hre, name, { from: signers[0].address, contract, call, waitConfirmations });
+  if (prepared.unchanged) {
+    console.log(`\nImplementation unchanged; ${name} already runs this ${contract} bytecode`);
+    return { name, contract, errors, added, upgraded: false, implementation: prepared.implementation };
+  }
+
+  if (manager) {
+    const { address } = await hre.deployments.get(name);
+    for (const signer of signers) {
+      const proxy = await hre.ethers.getContractAt(contract, address, signer);
+      const caller = await resolveManagedCaller(hre, proxy, signer, ["upgradeToAndCall"]);
+      if (caller) {
+        const tx = await caller.contract.upgradeToAndCall(prepared.implementation, prepared.data);
+        await tx.wait();
+        await recordPreparedUpgrade(hre, name);
+        console.log(`\n✅ ${name} upgraded to ${contract} at ${prepared.implementation} through the AccessManager ${owner} (tx: ${tx.hash})`);
+        return { name, contract, errors, added, upgraded: true, implementation: prepared.implementation };
+      }
+    }
+  }
+
+  const batch = await buildAdminBatch(hre, {
+    intents: [{ target: args.target, method: "upgradeToAndCall", args: [prepared.implementation, prepared.data] }],
+    salt: args.salt,
+  });
+  const files = writeAdminBatchFiles(args.output, batch, { name: `Upgrade ${name} to ${contract}` });
+
+  printSection(batch.timelock ? "⏳ TIMELOCK" : "🛠️  ADMIN BATCH");
+  if (batch.manager) {
+    console.log(`Owner: ${batch.owner} (AccessManager${batch.timelock ? ` administered by TimelockController ${batch.timelock.address}` : ""})`);
+  } else {
+    console.log(`Owner: ${batch.owner} (TimelockController)`);
+  }
+  console.log(`New Implementation Address: ${prepared.implementation}`);
+  if (batch.timelock) {
+    console.log(`Operation: ${batch.timelock.operationId}`);
+    console.log(`Delay: ${formatDuration(batch.timelock.delay)}`);
+    console.log(`Batch: ${files.batch} (Safe batches: ${files.schedule}, ${files.execute})`);
+    console.log(`\nSchedule it with admin:schedule --batch ${files.batch} and, after the delay, run admin:execute --batch ${files.batch}`);
+  } else {
+    console.log(`Batch: ${files.batch} (Safe batch: ${files.calls})`);
+    console.log(`\nNo configured account may upgrade through the AccessManager; an ADMIN member sends it with admin:execute --batch ${files.batch}`);
+  }
+  console.log("Then run proxy:upgrade again to record the new implementation");
+
+  return { name, contract, errors, added, upgraded: false, implementation: prepared.implementation, batch, files };
+}
+
+task("proxy:upgrade", "Upgrades the token or sale proxy after checking storage layout compatibility")
+  .addParam("target", "Proxy to upgrade: token or sale")
+  .addOptionalParam("contract", "New implementation (defaults to WhitelistTokenUpgradeable / WhitelistSaleUpgradeable)")
+  .addOptionalParam("call", "Function to call on the new implementation during the upgrade, e.g. a reinitializer")
+  .addOptionalParam("callArgs", "JSON array of arguments for --call", "[]")
+  .addOptionalParam("output", "Admin batch to write when a timelock (or an AccessManager no configured account may upgrade through) owns the proxy", "upgrade-batch.json")
+  .addOptionalParam("salt", "Timelock salt: 32-byte hex or any text (random by default)")
+  .addFlag("dryRun", "Only compare storage layouts")
+  .setAction(async (args, hre) => {
+    const name = TARGETS[args.target];
+    if (!name) {
+      throw new Error(`Invalid --target ${args.target}; use token or sale`);
+    }
+    const contract = args.contract || UPGRADEABLE_CONTRACTS[name];
+
+    // An upgrade prepared as an admin batch is only recorded once its owner has run it
+    const recorded = await recordPreparedUpgrade(hre, name);
+    if (recorded) {
+      console.log(`✅ Recorded the upgrade of ${name} to ${recorded} sent by its owner`);
+    }
+
+    const { errors, added } = await checkUpgrade(hre, name, contract);
+    const proxy = await hre.deployments.get(name);
+
+    printSection("🔁 UPGRADE");
+    console.log(`Proxy: ${name} at ${proxy.address}`);
+    console.log(`Current Implementation: ${proxy.implementation}`);
+    console.log(`New Implementation: ${contract}`);
+
+    printSection("🗄️  STORAGE LAYOUT");
+    if (errors.length > 0) {
+      errors.forEach((error) => console.log(`❌ ${error}`));
+      throw new Error(`Incompatible storage layout; refusing to upgrade ${name} to ${contract}`);
+    }
+    console.log("✅ Existing variables keep their slots and types");
+    console.log(`Appended: ${added.join(", ") || "none"}`);
+
+    const pending = await getPendingReinitializer(hre, name, proxy.address, contract);
+    if (pending) {
+      console.log(`Reinitializer: ${pending.methodName}() (the proxy predates it)`);
+    }
+
+    if (args.dryRun) {
+      console.log("\n🔎 Dry run: nothing was upgraded");
+      return { name, contract, errors, added, upgraded: false };
+    }
+
+    // _authorizeUpgrade only lets the owner through
+    const instance = await hre.ethers.getContractAt(contract, proxy.address);
+    const owner = await instance.owner();
+    const signers = await hre.ethers.getSigners();
+    const call = args.call ? { methodName: args.call, args: JSON.parse(args.callArgs) } : undefined;
+    const waitConfirmations = hre.network.config.chainId === 31337 ? 1 : 5;
+
+    if (!signers.some((signer) => signer.address === owner)) {
+      return upgradeThroughOwner(hre, args, { name, owner, contract, call, signers, waitConfirmations, errors, added });
+    }
+
+    const { deployment, upgraded } = await deployProxy(hre, name, {
+      from: owner,
+      contract,
+      call,
+      waitConfirmations,
+    });
+
+    if (upgraded) {
+      console.log(`\n✅ ${name} upgraded to ${contract} at ${deployment.implementation}`);
+    } else {
+      console.log(`\nImplementation unchanged; ${name} already runs this ${contract} bytecode`);
+    }
+
+    return { name, contract, errors, added, upgraded, implementation: deployment.implementation };
+  });
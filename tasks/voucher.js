@@ -0,0 +1,154 @@
+const { task, types } = require("hardhat/config");
+const { collectAddresses } = require("../lib/allowlist");
+const { resolveTime } = require("../lib/config");
+const { resolveAddress } = require("../lib/deployments");
+const { formatTimestamp } = require("../lib/output");
+const { resolveManagedCaller } = require("../lib/roles");
+const {
+  getVoucherDomain,
+  signVoucher,
+  recoverVoucherSigner,
+  writeVoucherFile,
+  readVoucherFile,
+  getVoucher,
+} = require("../lib/vouchers");
+
+/**
+ * Wallet for the voucher signer key: --key, else VOUCHER_SIGNER_KEY
+ */
+function loadSignerKey(hre, key) {
+  const privateKey = key || process.env.VOUCHER_SIGNER_KEY;
+  if (!privateKey) {
+    throw new Error("No signer key; pass --key or set VOUCHER_SIGNER_KEY");
+  }
+  return new hre.ethers.Wallet(privateKey);
+}
+
+task("voucher:sign", "Issues EIP-712 purchase vouchers for WhitelistSale from a local signer key")
+  .addOptionalParam("addresses", "Comma-separated buyer addresses")
+  .addOptionalParam("file", "Allowlist file (.csv or .json) with buyer addresses")
+  .addParam("maxAmount", "Cap on each buyer's total purchased tokens, in whole tokens")
+  .addParam("deadline", "Last redeemable time: ISO date, unix seconds or +<n><s|m|h|d> from the latest block")
+  .addOptionalParam("nonce", "Voucher nonce (defaults to each buyer's on-chain voucherNonces)", undefined, types.int)
+  .addOptionalParam("key", "Signer private key (defaults to VOUCHER_SIGNER_KEY)")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment)")
+  .addOptionalParam("output", "Voucher file to write", "vouchers.json")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const buyers = collectAddresses(args);
+    if (buyers.length === 0) {
+      throw new Error("No buyers to issue vouchers for; pass --addresses or --file");
+    }
+
+    const wallet = loadSignerKey(hre, args.key);
+    const saleAddress = await resolveAddress(hre, "WhitelistSale", args.sale);
+    const sale = await ethers.getContractAt("WhitelistSale", saleAddress);
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = getVoucherDomain(chainId, saleAddress);
+
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const deadline = resolveTime(/^\d+$/.test(args.deadline) ? Number(args.deadline) : args.deadline, timestamp, true);
+    if (deadline <= timestamp) {
+      throw new Error(`Deadline ${formatTimestamp(deadline)} is already in the past`);
+    }
+
+    const onChainSigner = await sale.voucherSigner();
+    if (onChainSigner !== wallet.address) {
+      console.log(`⚠️  ${wallet.address} is not the sale's voucher signer (${onChainSigner}); vouchers will not redeem until setVoucherSigner is called`);
+    }
+
+    const maxAmount = ethers.parseEther(args.maxAmount);
+    const vouchers = [];
+    for (const buyer of buyers) {
+      const nonce = args.nonce === undefined ? await sale.voucherNonces(buyer) : args.nonce;
+      vouchers.push(await signVoucher(wallet, domain, { buyer, maxAmount, nonce, deadline }));
+    }
+
+    const data = writeVoucherFile(args.output, { domain, signer: wallet.address, vouchers });
+
+    console.log(`Signer: ${wallet.address}`);
+    console.log(`Vouchers: ${vouchers.length} (max ${args.maxAmount} tokens each)`);
+    console.log(`Deadline: ${formatTimestamp(deadline)}`);
+    console.log(`✅ Vouchers written to ${args.output}`);
+
+    return data;
+  });
+
+task("voucher:verify", "Checks signed vouchers off-chain and against WhitelistSale.isVoucherValid")
+  .addOptionalParam("vouchers", "Voucher file written by voucher:sign", "vouchers.json")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the file's sale)")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const voucherData = readVoucherFile(args.vouchers);
+    const saleAddress = ethers.getAddress(args.sale || voucherData.sale);
+    const sale = await ethers.getContractAt("WhitelistSale", saleAddress);
+    const domain = getVoucherDomain(voucherData.chainId, saleAddress);
+    const onChainSigner = await sale.voucherSigner();
+
+    const failures = [];
+    for (const buyer of Object.keys(voucherData.vouchers)) {
+      const { voucher, signature } = getVoucher(voucherData, buyer);
+      const signedByOnChainSigner = recoverVoucherSigner(domain, voucher, signature) === onChainSigner;
+      const valid = await sale.isVoucherValid(voucher, signature);
+
+      console.log(`${buyer}: ${valid && signedByOnChainSigner ? "✅" : "❌"}`);
+      if (!valid || !signedByOnChainSigner) {
+        failures.push(buyer);
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new Error(
+        `${failures.length} vouchers are not redeemable (wrong signer or chain, expired, or revoked)`
+      );
+    }
+    console.log(`✅ ${Object.keys(voucherData.vouchers).length} vouchers valid on ${saleAddress}`);
+  });
+
+task("voucher:set-signer", "Sets the address whose vouchers WhitelistSale accepts")
+  .addOptionalParam("signer", "Signer address (defaults to the address of --key / VOUCHER_SIGNER_KEY)")
+  .addOptionalParam("key", "Signer private key to derive the address from")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment)")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const signer = args.signer ? ethers.getAddress(args.signer) : loadSignerKey(hre, args.key).address;
+    const saleAddress = await resolveAddress(hre, "WhitelistSale", args.sale);
+    const [sender] = await ethers.getSigners();
+    const sale = await ethers.getContractAt("WhitelistSale", saleAddress, sender);
+
+    if ((await sale.voucherSigner()) === signer) {
+      console.log(`Voucher signer already set to ${signer}`);
+      return;
+    }
+
+    // The owner calls directly; a SALE_ADMIN goes through the AccessManager that owns the sale
+    const caller = await resolveManagedCaller(hre, sale, sender, ["setVoucherSigner"]);
+    if (!caller) {
+      throw new Error(`${sender.address} is not the owner of WhitelistSale and holds no role that may set its voucher signer`);
+    }
+
+    const tx = await caller.contract.setVoucherSigner(signer);
+    await tx.wait();
+    console.log(`✅ Voucher signer set to ${signer} (tx: ${tx.hash})`);
+  });
+
+task("voucher:revoke", "Invalidates every voucher issued to a buyer so far")
+  .addParam("buyer", "Buyer address")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment)")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const buyer = ethers.getAddress(args.buyer);
+    const saleAddress = await resolveAddress(hre, "WhitelistSale", args.sale);
+    const [sender] = await ethers.getSigners();
+    const sale = await ethers.getContractAt("WhitelistSale", saleAddress, sender);
+
+    // The owner calls directly; a WHITELIST_MANAGER goes through the AccessManager that owns the sale
+    const caller = await resolveManagedCaller(hre, sale, sender, ["revokeVouchers"]);
+    if (!caller) {
+      throw new Error(`${sender.address} is not the owner of WhitelistSale and holds no role that may revoke vouchers`);
+    }
+
+    const tx = await caller.contract.revokeVouchers(buyer);
+    await tx.wait();
+    console.log(`✅ Vouchers for ${buyer} revoked; new nonce ${await sale.voucherNonces(buyer)} (tx: ${tx.hash})`);
+  });
@@ -0,0 +1,278 @@
+const { task, types } = require("hardhat/config");
+const { resolveAddress, resolveOptionalAddress, resolveTokenAddress } = require("../lib/deployments");
+const { collectAddresses, loadAllowlist } = require("../lib/allowlist");
+const { readProofFile, getProof } = require("../lib/merkle");
+const { printJson, printSection } = require("../lib/output");
+const { resolveManagedCaller } = require("../lib/roles");
+const {
+  readWhitelist,
+  diffWhitelist,
+  estimateChunkSize,
+  chunk,
+  findTokenDrift,
+} = require("../lib/whitelist");
+const {
+  hashPlanInputs,
+  createJournal,
+  loadJournal,
+  saveJournal,
+  isJournalComplete,
+  runJournal,
+} = require("../lib/journal");
+
+task("whitelist:check", "Shows whitelist status of addresses on WhitelistToken and WhitelistSale")
+  .addOptionalParam("addresses", "Comma-separated addresses to check")
+  .addOptionalParam("file", "Allowlist file (.csv or .json) with addresses to check")
+  .addOptionalParam("token", "WhitelistToken address (defaults to the deployment)")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment, if any)")
+  .addOptionalParam("proofs", "Merkle proof file to check against the sale")
+  .addFlag("json", "Print machine-readable JSON")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const addresses = collectAddresses(args);
+    if (addresses.length === 0) {
+      throw new Error("No addresses to check; pass --addresses or --file");
+    }
+
+    const saleAddress = await resolveOptionalAddress(hre, "WhitelistSale", args.sale);
+    const tokenAddress = await resolveTokenAddress(hre, args.token, saleAddress);
+    const token = await ethers.getContractAt("WhitelistToken", tokenAddress);
+    const sale = saleAddress ? await ethers.getContractAt("WhitelistSale", saleAddress) : undefined;
+    const proofData = args.proofs ? readProofFile(args.proofs) : undefined;
+
+    const results = [];
+    for (const address of addresses) {
+      const result = {
+        address,
+        token: await token.whitelist(address),
+        tokenBalance: await token.balanceOf(address),
+      };
+
+      if (sale) {
+        result.sale = await sale.whitelist(address);
+        if (proofData) {
+          const proof = getProof(proofData, address);
+          result.merkle = proof ? await sale.isWhitelisted(address, proof) : false;
+        }
+      }
+
+      results.push(result);
+    }
+
+    const report = {
+      token: tokenAddress,
+      sale: saleAddress || null,
+      transferRestricted: await token.transferRestricted(),
+      results,
+    };
+
+    if (args.json) {
+      printJson(report);
+      return report;
+    }
+
+    const mark = (value) => (value ? "✅ YES" : "❌ NO");
+
+    printSection("📊 TOKEN INFO");
+    console.log(`Address: ${tokenAddress}`);
+    console.log(`Sale: ${saleAddress || "not deployed"}`);
+    console.log(`Transfer Restricted: ${report.transferRestricted}`);
+
+    printSection("👥 WHITELIST STATUS");
+    results.forEach((result, i) => {
+      console.log(`${i + 1}. ${result.address}`);
+      console.log(`   Token Whitelisted: ${mark(result.token)}`);
+      if (result.sale !== undefined) {
+        console.log(`   Sale Whitelisted: ${mark(result.sale)}`);
+      }
+      if (result.merkle !== undefined) {
+        console.log(`   Merkle Proof Valid: ${mark(result.merkle)}`);
+      }
+      console.log(`   Token Balance: ${ethers.formatEther(result.tokenBalance)}`);
+      console.log("");
+    });
+
+    return report;
+  });
+
+/**
+ * First block worth scanning for a contract's events
+ */
+async function deploymentBlock(hre, name, address) {
+  const deployment = await hre.deployments.getOrNull(name);
+  if (deployment && deployment.address === address && deployment.receipt) {
+    return deployment.receipt.blockNumber;
+  }
+  return 0;
+}
+
+/**
+ * Builds the batches for one contract: additions first, then removals
+ */
+async function planContractBatches(contract, name, diff, maxGas) {
+  const address = await contract.getAddress();
+  const batches = [];
+
+  for (const [accounts, whitelisted] of [[diff.additions, true], [diff.removals, false]]) {
+    if (accounts.length === 0) {
+      continue;
+    }
+    const size = await estimateChunkSize(contract, accounts, whitelisted, maxGas);
+    for (const part of chunk(accounts, size)) {
+      batches.push({ contract: name, address, whitelisted, accounts: part });
+    }
+  }
+
+  return batches;
+}
+
+task("whitelist:sync", "Syncs WhitelistToken and WhitelistSale whitelists to a desired allowlist")
+  .addParam("file", "Desired allowlist (.csv or .json)")
+  .addOptionalParam("target", "Contracts to sync: both, token or sale", "both")
+  .addOptionalParam("token", "WhitelistToken address (defaults to the deployment)")
+  .addOptionalParam("sale", "WhitelistSale address (defaults to the deployment, if any)")
+  .addOptionalParam("journal", "Progress journal (defaults to journal/whitelist-sync-<network>.json)")
+  .addOptionalParam("maxGas", "Gas budget per batch transaction", 3_000_000, types.int)
+  .addFlag("addOnly", "Only add addresses, never remove")
+  .addFlag("dryRun", "Print the plan without sending transactions")
+  .addFlag("reset", "Discard an unfinished journal for a different allowlist")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    if (!["both", "token", "sale"].includes(args.target)) {
+      throw new Error(`Invalid --target ${args.target}; use both, token or sale`);
+    }
+
+    const syncToken = args.target !== "sale";
+    const syncSale = args.target !== "token";
+    const journalPath = args.journal || `journal/whitelist-sync-${hre.network.name}.json`;
+
+    const saleAddress = syncSale
+      ? await resolveAddress(hre, "WhitelistSale", args.sale)
+      : await resolveOptionalAddress(hre, "WhitelistSale", args.sale);
+    const tokenAddress = await resolveTokenAddress(hre, args.token, saleAddress);
+
+    const [signer] = await ethers.getSigners();
+    let token = await ethers.getContractAt("WhitelistToken", tokenAddress, signer);
+    let sale = saleAddress ? await ethers.getContractAt("WhitelistSale", saleAddress, signer) : undefined;
+
+    // The owner calls directly; a WHITELIST_MANAGER goes through the AccessManager that owns the contract
+    const callerFor = async (contract, name) => {
+      const caller = await resolveManagedCaller(hre, contract, signer, ["updateWhitelistBatch"]);
+      if (!caller) {
+        throw new Error(`${signer.address} is not the owner of ${name} and holds no role that may update its whitelist`);
+      }
+      return caller.contract;
+    };
+    if (syncToken) {
+      token = await callerFor(token, "WhitelistToken");
+    }
+    if (syncSale) {
+      sale = await callerFor(sale, "WhitelistSale");
+    }
+
+    const { addresses: desired } = loadAllowlist(args.file);
+    const { chainId } = await ethers.provider.getNetwork();
+    const planId = hashPlanInputs({
+      chainId: Number(chainId),
+      token: syncToken ? tokenAddress : null,
+      sale: syncSale ? saleAddress : null,
+      addOnly: args.addOnly,
+      desired: [...desired].sort(),
+    });
+
+    let journal = loadJournal(journalPath);
+    if (journal && !isJournalComplete(journal) && journal.planId !== planId && !args.reset) {
+      throw new Error(
+        `${journalPath} holds an unfinished sync for a different allowlist; finish it or pass --reset`
+      );
+    }
+
+    if (journal && journal.planId === planId && !isJournalComplete(journal)) {
+      const done = journal.batches.filter((batch) => batch.status === "confirmed").length;
+      console.log(`↩️  Resuming ${journalPath}: ${done}/${journal.batches.length} batches confirmed`);
+    } else {
+      const maxGas = BigInt(args.maxGas);
+      const tokenCurrent = await readWhitelist(token, {
+        fromBlock: await deploymentBlock(hre, "WhitelistToken", tokenAddress),
+      });
+      const saleCurrent = sale
+        ? await readWhitelist(sale, { fromBlock: await deploymentBlock(hre, "WhitelistSale", saleAddress) })
+        : [];
+
+      // Constructor-granted entries the sync must keep
+      const tokenKeep = [await token.owner(), ...(saleAddress ? [saleAddress] : [])];
+      const saleKeep = sale ? [await sale.treasury()] : [];
+      const pick = (diff) => (args.addOnly ? { ...diff, removals: [] } : diff);
+
+      const tokenDiff = pick(diffWhitelist(tokenCurrent, desired, tokenKeep));
+      const saleDiff = pick(diffWhitelist(saleCurrent, desired, saleKeep));
+
+      const batches = [
+        ...(syncToken ? await planContractBatches(token, "WhitelistToken", tokenDiff, maxGas) : []),
+        ...(syncSale ? await planContractBatches(sale, "WhitelistSale", saleDiff, maxGas) : []),
+      ];
+
+      const apply = (current, diff, enabled) =>
+        enabled
+          ? [...current.filter((a) => !diff.removals.includes(a)), ...diff.additions]
+          : current;
+      const tokenFinal = apply(tokenCurrent, tokenDiff, syncToken);
+      const saleFinal = apply(saleCurrent, saleDiff, syncSale);
+
+      printSection("🔄 WHITELIST SYNC PLAN");
+      console.log(`Desired addresses: ${desired.length}`);
+      if (syncToken) {
+        console.log(`WhitelistToken: +${tokenDiff.additions.length} / -${tokenDiff.removals.length}`);
+      }
+      if (syncSale) {
+        console.log(`WhitelistSale: +${saleDiff.additions.length} / -${saleDiff.removals.length}`);
+      }
+      console.log(`Batches: ${batches.length}`);
+
+      if (sale) {
+        const transferRestricted = await token.transferRestricted();
+        const when = transferRestricted ? "now that" : "once";
+        const drift = findTokenDrift(saleFinal, tokenFinal);
+        if (!tokenFinal.includes(saleAddress)) {
+          console.log(`⚠️  Sale contract is not whitelisted on the token: claimTokens reverts for non-whitelisted buyers ${when} transferRestricted is on`);
+        }
+        if (drift.length > 0) {
+          console.log(`⚠️  ${drift.length} addresses the sale accepts will be blocked by WhitelistToken ${when} transferRestricted is on:`);
+          drift.forEach((address) => console.log(`   ${address}`));
+        }
+      }
+
+      if (args.dryRun) {
+        batches.forEach((batch) => {
+          const action = batch.whitelisted ? "add" : "remove";
+          console.log(`  ${batch.contract} ${action} ${batch.accounts.length} accounts`);
+        });
+        return { batches };
+      }
+
+      if (batches.length === 0) {
+        console.log("✅ Whitelists already in sync");
+        return { batches };
+      }
+
+      journal = createJournal(planId, batches);
+      saveJournal(journalPath, journal);
+    }
+
+    await runJournal({
+      journal,
+      file: journalPath,
+      provider: ethers.provider,
+      send: async (batch) => {
+        const contract = batch.contract === "WhitelistToken" ? token : sale;
+        return contract.updateWhitelistBatch(batch.accounts, batch.whitelisted);
+      },
+      onBatch: (batch) => {
+        const action = batch.whitelisted ? "added" : "removed";
+        console.log(`  ✅ ${batch.contract}: ${action} ${batch.accounts.length} accounts (tx: ${batch.txHash})`);
+      },
+    });
+
+    console.log(`✅ Sync complete (journal: ${journalPath})`);
+    return journal;
+  });
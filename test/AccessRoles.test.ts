@@ -0,0 +1,203 @@
+import { expect } from "chai";
+import hre, { deployments, ethers } from "hardhat";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { runQuiet } from "./helpers";
+
+const { transferOwnership } = require("../lib/admin");
+const { ACCESS_MANAGER_DEPLOYMENT, ROLES, planRoleSetup } = require("../lib/roles");
+
+describe("Access Roles", function () {
+  const rolesFixture = deployments.createFixture(async () => {
+    await deployments.fixture(["sale"]);
+    const signers = await ethers.getSigners();
+    const [deployer, admin] = signers;
+    const [minter, pauser, recovery, other] = signers.slice(5, 9);
+
+    const token = await ethers.getContractAt("WhitelistToken", (await deployments.get("WhitelistToken")).address);
+    const sale = await ethers.getContractAt("WhitelistSale", (await deployments.get("WhitelistSale")).address);
+    const { address } = await deployments.deploy(ACCESS_MANAGER_DEPLOYMENT, {
+      contract: "WhitelistAccessManager",
+      from: deployer.address,
+      args: [deployer.address],
+    });
+    const manager = await ethers.getContractAt("WhitelistAccessManager", address);
+    await transferOwnership(hre, address, { from: deployer.address });
+
+    // What deploy/006_roles.js does for a config with these members
+    const setup = {
+      interfaces: { token: token.interface, sale: sale.interface, manager: manager.interface },
+      addresses: { token: token.target, sale: sale.target, manager: address },
+      members: { MINTER: [minter.address], PAUSER: [pauser.address], RECOVERY: [recovery.address] },
+      admin: deployer.address,
+      deployer: deployer.address,
+    };
+    for (const step of await planRoleSetup(manager, setup)) {
+      await manager[step.method](...step.args);
+    }
+
+    return { token, sale, manager, setup, deployer, admin, minter, pauser, recovery, other };
+  });
+
+  let workDir: string;
+  beforeEach(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "roles-"));
+  });
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe("Setup", function () {
+    it("Should hand both contracts to the manager and assign each function to its role", async function () {
+      const { token, sale, manager, setup } = await rolesFixture();
+
+      expect(await token.owner()).to.equal(manager.target);
+      expect(await sale.owner()).to.equal(manager.target);
+      expect(await manager.getTargetFunctionRole(token.target, token.interface.getFunction("mintBatch")!.selector))
+        .to.equal(ROLES.MINTER);
+      expect(await manager.getTargetFunctionRole(sale.target, sale.interface.getFunction("finalizeRaise")!.selector))
+        .to.equal(ROLES.SALE_ADMIN);
+      expect(await manager.getTargetFunctionRole(manager.target, manager.interface.getFunction("sweep")!.selector))
+        .to.equal(ROLES.RECOVERY);
+      // Upgrades and ownership stay with ADMIN
+      expect(await manager.getTargetFunctionRole(sale.target, sale.interface.getFunction("transferOwnership")!.selector))
+        .to.equal(ROLES.ADMIN);
+
+      expect(await planRoleSetup(manager, setup)).to.deep.equal([]);
+    });
+
+    it("Should move ADMIN from the deployer to the configured admin", async function () {
+      const { manager, setup, deployer, admin } = await rolesFixture();
+
+      const steps = await planRoleSetup(manager, { ...setup, admin: admin.address });
+      expect(steps.map((step: { method: string }) => step.method)).to.deep.equal(["grantRole", "renounceRole"]);
+      for (const step of steps) {
+        await manager[step.method](...step.args);
+      }
+
+      expect((await manager.hasRole(ROLES.ADMIN, admin.address))[0]).to.equal(true);
+      expect((await manager.hasRole(ROLES.ADMIN, deployer.address))[0]).to.equal(false);
+    });
+  });
+
+  describe("Calls", function () {
+    it("Should let each role call only its own functions", async function () {
+      const { token, sale, manager, minter, pauser, other } = await rolesFixture();
+      const mint = token.interface.encodeFunctionData("mint", [other.address, ethers.parseEther("5")]);
+
+      await manager.connect(minter).execute(token.target, mint);
+      expect(await token.balanceOf(other.address)).to.equal(ethers.parseEther("5"));
+
+      await expect(manager.connect(pauser).execute(token.target, mint))
+        .to.be.revertedWithCustomError(manager, "AccessManagerUnauthorizedCall");
+      await expect(token.connect(minter).mint(other.address, 1n))
+        .to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
+
+      await manager.connect(pauser).execute(sale.target, sale.interface.encodeFunctionData("pause"));
+      expect(await sale.paused()).to.equal(true);
+    });
+
+    it("Should recover funds into the manager and sweep them out", async function () {
+      const { sale, manager, minter, recovery, other } = await rolesFixture();
+      await hre.network.provider.send("hardhat_setBalance", [sale.target, ethers.toQuantity(ethers.parseEther("2"))]);
+
+      await manager.connect(recovery).execute(sale.target, sale.interface.encodeFunctionData("emergencyWithdrawETH"));
+      expect(await ethers.provider.getBalance(manager.target)).to.equal(ethers.parseEther("2"));
+
+      await expect(manager.connect(minter).sweep(ethers.ZeroAddress, other.address, ethers.parseEther("2")))
+        .to.be.revertedWithCustomError(manager, "AccessManagerUnauthorizedAccount");
+      await expect(manager.connect(recovery).sweep(ethers.ZeroAddress, other.address, ethers.parseEther("2")))
+        .to.changeEtherBalances([manager, other], [ethers.parseEther("-2"), ethers.parseEther("2")]);
+    });
+  });
+
+  describe("Tasks", function () {
+    it("Should grant, list and revoke roles", async function () {
+      const { manager, pauser, other } = await rolesFixture();
+
+      await runQuiet("roles:grant", { role: "whitelist-manager", account: other.address, delay: "1h" });
+      const { output } = await runQuiet("roles:list", {});
+      expect(output).to.include(`${other.address} (execution delay 1h)`);
+      expect(output).to.include("WhitelistSale.setMerkleRoot");
+
+      const { result: roles } = await runQuiet("roles:list", { json: true });
+      const members = (name: string) =>
+        roles.find((role: { name: string }) => role.name === name).members.map((member: { account: string }) => member.account);
+      expect(members("WHITELIST_MANAGER")).to.deep.equal([other.address]);
+      expect(members("PAUSER")).to.deep.equal([pauser.address]);
+
+      await runQuiet("roles:revoke", { role: "PAUSER", account: pauser.address });
+      const { result: after } = await runQuiet("roles:list", { json: true });
+      expect(after.find((role: { name: string }) => role.name === "PAUSER").members).to.deep.equal([]);
+      expect((await manager.hasRole(ROLES.PAUSER, pauser.address))[0]).to.equal(false);
+    });
+
+    it("Should refuse to revoke the only admin", async function () {
+      const { deployer } = await rolesFixture();
+
+      await expect(runQuiet("roles:revoke", { role: "ADMIN", account: deployer.address }))
+        .to.be.rejectedWith(`${deployer.address} is the only ADMIN; grant ADMIN to another account first`);
+    });
+
+    it("Should sync whitelists and mint an airdrop as a role member", async function () {
+      const { token, sale, deployer, other } = await rolesFixture();
+      const allowlist = path.join(workDir, "allowlist.csv");
+      fs.writeFileSync(allowlist, `address\n${other.address}\n`);
+      const sync = { file: allowlist, journal: path.join(workDir, "sync.json"), addOnly: true };
+
+      // The deployer only holds ADMIN, which no longer covers updateWhitelistBatch
+      await expect(runQuiet("whitelist:sync", sync)).to.be.rejectedWith("holds no role that may update its whitelist");
+
+      await runQuiet("roles:grant", { role: "WHITELIST_MANAGER", account: deployer.address });
+      await runQuiet("roles:grant", { role: "MINTER", account: deployer.address });
+      await runQuiet("whitelist:sync", sync);
+      expect(await token.whitelist(other.address)).to.equal(true);
+      expect(await sale.whitelist(other.address)).to.equal(true);
+
+      const distribution = path.join(workDir, "airdrop.csv");
+      fs.writeFileSync(distribution, `address,amount\n${other.address},7\n`);
+      const { result } = await runQuiet("token:airdrop", {
+        file: distribution,
+        mode: "mint",
+        journal: path.join(workDir, "airdrop.json"),
+      });
+      expect(result.complete).to.equal(true);
+      expect(await token.balanceOf(other.address)).to.equal(ethers.parseEther("7"));
+    });
+
+    it("Should publish a Merkle root as a whitelist manager", async function () {
+      const { sale, deployer, other } = await rolesFixture();
+      const allowlist = path.join(workDir, "allowlist.csv");
+      const proofs = path.join(workDir, "proofs.json");
+      fs.writeFileSync(allowlist, `address\n${other.address}\n${deployer.address}\n`);
+      const { result: tree } = await runQuiet("merkle:build", { input: allowlist, output: proofs });
+
+      await expect(runQuiet("merkle:publish", { proofs, samples: 1 }))
+        .to.be.rejectedWith("holds no role that may set its Merkle root");
+
+      await runQuiet("roles:grant", { role: "WHITELIST_MANAGER", account: deployer.address });
+      const { output } = await runQuiet("merkle:publish", { proofs, samples: 1 });
+      expect(output).to.include("Root published");
+      expect(await sale.merkleRoot()).to.equal(tree.root);
+    });
+
+    it("Should rotate the voucher signer and revoke vouchers as role members", async function () {
+      const { sale, deployer, other } = await rolesFixture();
+      const signer = ethers.Wallet.createRandom();
+
+      await expect(runQuiet("voucher:set-signer", { key: signer.privateKey }))
+        .to.be.rejectedWith("holds no role that may set its voucher signer");
+      await expect(runQuiet("voucher:revoke", { buyer: other.address }))
+        .to.be.rejectedWith("holds no role that may revoke vouchers");
+
+      await runQuiet("roles:grant", { role: "SALE_ADMIN", account: deployer.address });
+      await runQuiet("voucher:set-signer", { key: signer.privateKey });
+      expect(await sale.voucherSigner()).to.equal(signer.address);
+
+      await runQuiet("roles:grant", { role: "WHITELIST_MANAGER", account: deployer.address });
+      await runQuiet("voucher:revoke", { buyer: other.address });
+      expect(await sale.voucherNonces(other.address)).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,392 @@
+import { expect } from "chai";
+import hre, { deployments, ethers } from "hardhat";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { runQuiet } from "./helpers";
+
+const { buildAdminCalls, readAdminBatch, transferOwnership } = require("../lib/admin");
+const { ACCESS_MANAGER_DEPLOYMENT, planRoleSetup } = require("../lib/roles");
+
+describe("Admin Batches", function () {
+  const MIN_DELAY = 3600;
+  const ROOT = ethers.id("allowlist v2");
+
+  async function deployedContracts() {
+    const token = await ethers.getContractAt("WhitelistToken", (await deployments.get("WhitelistToken")).address);
+    const sale = await ethers.getContractAt("WhitelistSale", (await deployments.get("WhitelistSale")).address);
+    return { token, sale };
+  }
+
+  const directFixture = deployments.createFixture(async () => {
+    await deployments.fixture(["sale"]);
+    const signers = await ethers.getSigners();
+    return { ...(await deployedContracts()), deployer: signers[0], recipient: signers[7], other: signers[8] };
+  });
+
+  const timelockFixture = deployments.createFixture(async () => {
+    await deployments.fixture(["sale"]);
+    const signers = await ethers.getSigners();
+    const [deployer, proposer, executor, recipient, other] = [signers[0], signers[5], signers[6], signers[7], signers[8]];
+
+    const { address } = await deployments.deploy("Timelock", {
+      contract: "TimelockController",
+      from: deployer.address,
+      args: [MIN_DELAY, [proposer.address], [executor.address], ethers.ZeroAddress],
+    });
+    const handoff = await transferOwnership(hre, address, { from: deployer.address });
+    const timelock = await ethers.getContractAt("TimelockController", address);
+
+    return { ...(await deployedContracts()), timelock, handoff, deployer, proposer, executor, recipient, other };
+  });
+
+  // The token and sale owned by an AccessManager, administered by `admin` (deployer or a timelock)
+  async function deployManager(admin?: string) {
+    const signers = await ethers.getSigners();
+    const [deployer, operator, recipient, other] = [signers[0], signers[5], signers[7], signers[8]];
+    const { token, sale } = await deployedContracts();
+
+    const { address } = await deployments.deploy(ACCESS_MANAGER_DEPLOYMENT, {
+      contract: "WhitelistAccessManager",
+      from: deployer.address,
+      args: [deployer.address],
+    });
+    const manager = await ethers.getContractAt("WhitelistAccessManager", address);
+    await transferOwnership(hre, address, { from: deployer.address });
+    const steps = await planRoleSetup(manager, {
+      interfaces: { token: token.interface, sale: sale.interface, manager: manager.interface },
+      addresses: { token: token.target, sale: sale.target, manager: address },
+      members: { PAUSER: [operator.address], WHITELIST_MANAGER: [operator.address] },
+      admin: admin || deployer.address,
+      deployer: deployer.address,
+    });
+    for (const step of steps) {
+      await manager[step.method](...step.args);
+    }
+
+    return { token, sale, manager, deployer, operator, recipient, other };
+  }
+
+  const managerFixture = deployments.createFixture(async () => {
+    await deployments.fixture(["sale"]);
+    return deployManager();
+  });
+
+  const managerTimelockFixture = deployments.createFixture(async () => {
+    await deployments.fixture(["sale"]);
+    const [deployer] = await ethers.getSigners();
+    const { address } = await deployments.deploy("Timelock", {
+      contract: "TimelockController",
+      from: deployer.address,
+      args: [MIN_DELAY, [deployer.address], [deployer.address], ethers.ZeroAddress],
+    });
+    const contracts = await deployManager(address);
+    return { ...contracts, timelock: await ethers.getContractAt("TimelockController", address) };
+  });
+
+  let dir: string;
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "admin-"));
+  });
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeIntents(intents: unknown[]) {
+    const file = path.join(dir, "intents.json");
+    fs.writeFileSync(file, JSON.stringify(intents));
+    return file;
+  }
+
+  function readJson(file: string) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  function releaseIntents(recipient: string) {
+    return [
+      { action: "pause-sale" },
+      { action: "set-merkle-root", root: ROOT },
+      { action: "mint", to: recipient, amount: "1000" },
+      { action: "whitelist", target: "token", accounts: [recipient] },
+    ];
+  }
+
+  describe("Ownership handoff", function () {
+    it("Should hand the token and sale to the timelock once", async function () {
+      const { token, sale, timelock, handoff, deployer } = await timelockFixture();
+
+      expect(handoff.map((entry: { transferred: boolean }) => entry.transferred)).to.deep.equal([true, true]);
+      expect(await token.owner()).to.equal(timelock.target);
+      expect(await sale.owner()).to.equal(timelock.target);
+      await expect(sale.pause()).to.be.revertedWithCustomError(sale, "OwnableUnauthorizedAccount");
+
+      const again = await transferOwnership(hre, timelock.target, { from: deployer.address });
+      expect(again.map((entry: { transferred: boolean }) => entry.transferred)).to.deep.equal([false, false]);
+    });
+  });
+
+  describe("Building", function () {
+    it("Should encode intents into calls and a timelock operation", async function () {
+      const { token, sale, timelock, recipient } = await timelockFixture();
+      const output = path.join(dir, "release.json");
+
+      const { result } = await runQuiet("admin:build", {
+        intents: writeIntents(releaseIntents(recipient.address)),
+        output,
+        salt: "release-1",
+      });
+      const { batch } = result;
+
+      expect(batch.owner).to.equal(timelock.target);
+      expect(batch.calls.map((call: { to: string }) => call.to)).to.deep.equal([sale.target, sale.target, token.target, token.target]);
+      expect(batch.calls[0].data).to.equal(sale.interface.encodeFunctionData("pause"));
+      expect(batch.calls[1].data).to.equal(sale.interface.encodeFunctionData("setMerkleRoot", [ROOT]));
+      expect(batch.calls[2].description).to.equal(`WhitelistToken.mint(${recipient.address}, ${ethers.parseEther("1000")})`);
+      expect(batch.calls[3].data).to.equal(
+        token.interface.encodeFunctionData("updateWhitelistBatch", [[recipient.address], true])
+      );
+
+      const targets = batch.calls.map((call: { to: string }) => call.to);
+      const values = batch.calls.map(() => 0);
+      const payloads = batch.calls.map((call: { data: string }) => call.data);
+      const salt = ethers.id("release-1");
+      expect(batch.timelock.salt).to.equal(salt);
+      expect(batch.timelock.delay).to.equal(BigInt(MIN_DELAY));
+      expect(batch.timelock.operationId).to.equal(
+        await timelock.hashOperationBatch(targets, values, payloads, ethers.ZeroHash, salt)
+      );
+
+      const schedule = timelock.interface.decodeFunctionData("scheduleBatch", batch.timelock.schedule.data);
+      expect(schedule.payloads).to.deep.equal(payloads);
+      expect(schedule.delay).to.equal(BigInt(MIN_DELAY));
+
+      // The written batch reads back with the same transactions
+      const saved = readAdminBatch(output);
+      expect(saved.timelock.execute.data).to.equal(batch.timelock.execute.data);
+      expect(saved.calls[2].value).to.equal(0n);
+    });
+
+    it("Should export Safe Transaction Builder batches", async function () {
+      const { timelock, recipient } = await timelockFixture();
+      const safe = ethers.Wallet.createRandom().address;
+      const output = path.join(dir, "release.json");
+
+      const { result } = await runQuiet("admin:build", {
+        intents: writeIntents(releaseIntents(recipient.address)),
+        output,
+        safe,
+        name: "Release 1",
+      });
+
+      expect(result.files.schedule).to.equal(path.join(dir, "release.schedule.safe.json"));
+      const scheduleBatch = readJson(result.files.schedule);
+      expect(scheduleBatch.version).to.equal("1.0");
+      expect(scheduleBatch.chainId).to.equal("31337");
+      expect(scheduleBatch.meta.name).to.equal("Release 1: schedule");
+      expect(scheduleBatch.meta.createdFromSafeAddress).to.equal(safe);
+      expect(scheduleBatch.transactions).to.deep.equal([
+        {
+          to: timelock.target,
+          value: "0",
+          data: result.batch.timelock.schedule.data,
+          contractMethod: null,
+          contractInputsValues: null,
+        },
+      ]);
+      expect(readJson(result.files.execute).transactions[0].data).to.equal(result.batch.timelock.execute.data);
+    });
+
+    it("Should refuse a delay below the timelock minimum", async function () {
+      const { recipient } = await timelockFixture();
+
+      await expect(
+        runQuiet("admin:build", { intents: writeIntents(releaseIntents(recipient.address)), output: path.join(dir, "b.json"), delay: "30m" })
+      ).to.be.rejectedWith("Delay 1800s is below the timelock's minimum delay of 3600s");
+    });
+
+    it("Should keep unset sale config fields", async function () {
+      const { sale } = await directFixture();
+      const current = await sale.saleConfig();
+
+      const [call] = await buildAdminCalls(hre, [{ action: "update-sale-config", maxPurchase: "20000" }]);
+
+      expect(call.args).to.deep.equal([
+        current.tokenPrice,
+        current.minPurchase,
+        ethers.parseEther("20000"),
+        current.maxSupply,
+        current.startTime,
+        current.endTime,
+        current.whitelistRequired,
+      ]);
+    });
+
+    it("Should report invalid intents by position", async function () {
+      const { token, other } = await directFixture();
+
+      await expect(buildAdminCalls(hre, [{ action: "pause-sale" }, { action: "burn-everything" }]))
+        .to.be.rejectedWith("intents[1] (burn-everything): unknown action");
+      await expect(buildAdminCalls(hre, [{ action: "mint", to: other.address, amount: "-5" }]))
+        .to.be.rejectedWith("intents[0] (mint): amount must be a positive decimal amount");
+      await expect(buildAdminCalls(hre, [{ action: "set-transfer-restrictions", restricted: "false" }]))
+        .to.be.rejectedWith("restricted must be true or false");
+      await expect(buildAdminCalls(hre, [{ target: "sale", method: "selfDestruct" }]))
+        .to.be.rejectedWith("intents[0] (raw call): WhitelistSale has no function selfDestruct");
+
+      // Raw calls cover functions without an intent
+      const [call] = await buildAdminCalls(hre, [{ target: "token", method: "recoverETH", args: [other.address] }]);
+      expect(call.data).to.equal(token.interface.encodeFunctionData("recoverETH", [other.address]));
+    });
+
+    it("Should wrap each call in execute on the AccessManager that owns the contracts", async function () {
+      const { sale, manager } = await managerFixture();
+      const output = path.join(dir, "managed.json");
+
+      const { result, output: log } = await runQuiet("admin:build", {
+        intents: writeIntents([{ action: "pause-sale" }, { action: "set-merkle-root", root: ROOT }]),
+        output,
+      });
+      const { batch } = result;
+
+      expect(batch.owner).to.equal(manager.target);
+      expect(batch.manager).to.equal(manager.target);
+      expect(batch.timelock).to.equal(null);
+      expect(batch.calls[1].data).to.equal(sale.interface.encodeFunctionData("setMerkleRoot", [ROOT]));
+      expect(batch.transactions.map((tx: { to: string }) => tx.to)).to.deep.equal([manager.target, manager.target]);
+      const execute = manager.interface.decodeFunctionData("execute", batch.transactions[1].data);
+      expect([execute.target, execute.data]).to.deep.equal([sale.target, batch.calls[1].data]);
+      expect(readJson(result.files.calls).transactions[0].data).to.equal(batch.transactions[0].data);
+      expect(log).to.include(`Owner: ${manager.target} (AccessManager)`);
+    });
+
+    it("Should refuse batches across contracts with different owners", async function () {
+      const { token, other } = await directFixture();
+      await token.transferOwnership(other.address);
+
+      await expect(
+        runQuiet("admin:build", {
+          intents: writeIntents([{ action: "pause-sale" }, { action: "pause-token" }]),
+          output: path.join(dir, "b.json"),
+        })
+      ).to.be.rejectedWith("The batch targets contracts with different owners");
+    });
+  });
+
+  describe("Running", function () {
+    it("Should schedule and execute a batch through the timelock", async function () {
+      const { token, sale, timelock, recipient, proposer, executor } = await timelockFixture();
+      const output = path.join(dir, "release.json");
+      await runQuiet("admin:build", { intents: writeIntents(releaseIntents(recipient.address)), output });
+
+      const { result: scheduled } = await runQuiet("admin:schedule", { batch: output });
+      expect(await timelock.isOperationPending(scheduled.operationId)).to.equal(true);
+      const scheduleTx = await ethers.provider.getTransaction(scheduled.hash);
+      expect(scheduleTx!.from).to.equal(proposer.address);
+
+      await expect(runQuiet("admin:schedule", { batch: output })).to.be.rejectedWith("is already scheduled (waiting)");
+      await expect(runQuiet("admin:execute", { batch: output })).to.be.rejectedWith("is not ready until");
+
+      const { result: executed, output: log } = await runQuiet("admin:execute", { batch: output, advanceTime: true });
+      expect(executed.state).to.equal("done");
+      expect(log).to.include("Advanced time to");
+      expect((await ethers.provider.getTransaction(executed.hash))!.from).to.equal(executor.address);
+
+      expect(await sale.paused()).to.equal(true);
+      expect(await sale.merkleRoot()).to.equal(ROOT);
+      expect(await token.balanceOf(recipient.address)).to.equal(ethers.parseEther("1000"));
+      expect(await token.whitelist(recipient.address)).to.equal(true);
+
+      await expect(runQuiet("admin:execute", { batch: output })).to.be.rejectedWith("was already executed");
+    });
+
+    it("Should only schedule from a proposer", async function () {
+      const { recipient, other } = await timelockFixture();
+      const output = path.join(dir, "release.json");
+      await runQuiet("admin:build", { intents: writeIntents(releaseIntents(recipient.address)), output });
+
+      await expect(runQuiet("admin:schedule", { batch: output, from: other.address }))
+        .to.be.rejectedWith(`${other.address} is not a proposer`);
+    });
+
+    it("Should send calls straight from an owner without a timelock", async function () {
+      const { token, deployer } = await directFixture();
+      const output = path.join(dir, "direct.json");
+
+      const { result } = await runQuiet("admin:build", {
+        intents: writeIntents([{ action: "pause-token" }, { action: "set-transfer-restrictions", restricted: false }]),
+        output,
+      });
+      expect(result.batch.owner).to.equal(deployer.address);
+      expect(result.batch.timelock).to.equal(null);
+      expect(readJson(result.files.calls).transactions.map((tx: { to: string }) => tx.to)).to.deep.equal([
+        token.target,
+        token.target,
+      ]);
+
+      await expect(runQuiet("admin:schedule", { batch: output })).to.be.rejectedWith("not a timelock; use admin:execute");
+      const { result: sent } = await runQuiet("admin:execute", { batch: output });
+      expect(sent.hashes).to.have.length(2);
+      expect(await token.paused()).to.equal(true);
+      expect(await token.transferRestricted()).to.equal(false);
+    });
+
+    it("Should send calls through the AccessManager from a role member", async function () {
+      const { sale, manager, operator, other } = await managerFixture();
+      const output = path.join(dir, "managed.json");
+      await runQuiet("admin:build", {
+        intents: writeIntents([{ action: "pause-sale" }, { action: "set-merkle-root", root: ROOT }]),
+        output,
+      });
+
+      await expect(runQuiet("admin:schedule", { batch: output })).to.be.rejectedWith("use admin:execute");
+      await expect(runQuiet("admin:execute", { batch: output, from: other.address }))
+        .to.be.rejectedWith(`${other.address} is not allowed to make every call through the AccessManager ${manager.target}`);
+
+      const { result } = await runQuiet("admin:execute", { batch: output });
+      expect((await ethers.provider.getTransaction(result.hashes[0]))!.from).to.equal(operator.address);
+      expect(await sale.paused()).to.equal(true);
+      expect(await sale.merkleRoot()).to.equal(ROOT);
+    });
+
+    it("Should schedule and execute through a timelock that administers the AccessManager", async function () {
+      const { sale, manager, timelock, operator, other } = await managerTimelockFixture();
+      const output = path.join(dir, "handoff.json");
+
+      const { result } = await runQuiet("admin:build", {
+        intents: writeIntents([{ action: "transfer-ownership", target: "sale", to: other.address }]),
+        output,
+      });
+      expect(result.batch.timelock.address).to.equal(timelock.target);
+      const schedule = timelock.interface.decodeFunctionData("scheduleBatch", result.batch.timelock.schedule.data);
+      expect(schedule.targets).to.deep.equal([manager.target]);
+
+      await runQuiet("admin:schedule", { batch: output });
+      await runQuiet("admin:execute", { batch: output, advanceTime: true });
+      expect(await sale.owner()).to.equal(other.address);
+
+      // Pausing is PAUSER's, which the timelock does not hold, so role members send it
+      const { result: paused } = await runQuiet("admin:build", {
+        intents: writeIntents([{ action: "pause-token" }]),
+        output: path.join(dir, "pause.json"),
+      });
+      expect(paused.batch.timelock).to.equal(null);
+      const { result: sent } = await runQuiet("admin:execute", { batch: path.join(dir, "pause.json") });
+      expect((await ethers.provider.getTransaction(sent.hashes[0]))!.from).to.equal(operator.address);
+    });
+
+    it("Should impersonate an owner without a local key", async function () {
+      const { token, sale } = await directFixture();
+      // e.g. a Safe on a forked network
+      const safe = ethers.Wallet.createRandom().address;
+      await token.transferOwnership(safe);
+      await sale.transferOwnership(safe);
+      const output = path.join(dir, "safe.json");
+
+      await runQuiet("admin:build", { intents: writeIntents([{ action: "pause-sale" }, { action: "pause-token" }]), output });
+      await runQuiet("admin:execute", { batch: output });
+
+      expect(await sale.paused()).to.equal(true);
+      expect(await token.paused()).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { deployTokenAndSale, runQuiet } from "./helpers";
+
+const { buildAllowlistTree, writeProofFile } = require("../lib/merkle");
+
+describe("Buyer Tasks", function () {
+  const tokenPrice = ethers.parseEther("0.001");
+
+  async function deploySaleFixture() {
+    const [, , listed, proven, stranger] = await ethers.getSigners();
+    const { token, sale, owner, treasury, startTime, endTime } = await deployTokenAndSale({
+      tokenPrice,
+      maxPurchase: ethers.parseEther("1000"),
+    });
+    await sale.updateWhitelist(listed.address, true);
+
+    const tree = buildAllowlistTree([proven.address, owner.address]);
+    await sale.setMerkleRoot(tree.root);
+    await sale.setClaimEnabled(true, endTime);
+
+    return { token, sale, owner, treasury, listed, proven, stranger, tree, startTime, endTime };
+  }
+
+  let dir: string;
+  let proofs: string;
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "buyer-"));
+    proofs = path.join(dir, "proofs.json");
+  });
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("sale:buy", function () {
+    it("Should pay the exact cost of a whitelisted purchase", async function () {
+      const { sale, treasury, listed, startTime } = await loadFixture(deploySaleFixture);
+      await time.increaseTo(startTime);
+      const treasuryBefore = await ethers.provider.getBalance(treasury.address);
+
+      const { result, output } = await runQuiet("sale:buy", {
+        amount: "250",
+        from: listed.address,
+        sale: await sale.getAddress(),
+        proofs,
+      });
+
+      expect(result.cost).to.equal(ethers.parseEther("0.25"));
+      expect(output).to.contain("Cost: 0.25 ETH");
+      expect(await sale.totalPurchased(listed.address)).to.equal(ethers.parseEther("250"));
+      expect((await sale.getPurchaseInfo(listed.address)).ethSpent).to.equal(ethers.parseEther("0.25"));
+      expect((await ethers.provider.getBalance(treasury.address)) - treasuryBefore).to.equal(ethers.parseEther("0.25"));
+    });
+
+    it("Should look up the buyer's proof when they are not whitelisted", async function () {
+      const { sale, proven, tree, startTime } = await loadFixture(deploySaleFixture);
+      await time.increaseTo(startTime);
+      writeProofFile(proofs, tree);
+
+      const { result, output } = await runQuiet("sale:buy", {
+        amount: "100",
+        from: proven.address,
+        sale: await sale.getAddress(),
+        proofs,
+      });
+
+      expect(result.proof).to.deep.equal(tree.proofs[proven.address]);
+      expect(output).to.contain(`Merkle proof: ${tree.proofs[proven.address].length} nodes`);
+      expect(await sale.totalPurchased(proven.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should explain why a purchase would revert", async function () {
+      const { sale, listed, stranger, proven, startTime, endTime } = await loadFixture(deploySaleFixture);
+      const saleAddress = await sale.getAddress();
+
+      await expect(runQuiet("sale:buy", { amount: "100", from: listed.address, sale: saleAddress, proofs })).to.be
+        .rejectedWith("The sale starts at");
+
+      await time.increaseTo(startTime);
+      await expect(runQuiet("sale:buy", { amount: "5", from: listed.address, sale: saleAddress, proofs })).to.be
+        .rejectedWith("The minimum purchase is 10.0 tokens");
+
+      await sale.connect(listed).purchaseTokens(ethers.parseEther("900"), [], { value: ethers.parseEther("0.9") });
+      await expect(runQuiet("sale:buy", { amount: "200", from: listed.address, sale: saleAddress, proofs })).to.be
+        .rejectedWith(`${listed.address} has bought 900.0 tokens; the limit per wallet is 1000.0 tokens`);
+
+      await expect(runQuiet("sale:buy", { amount: "100", from: stranger.address, sale: saleAddress, proofs })).to.be
+        .rejectedWith(`${stranger.address} is not whitelisted: no proof file was given`);
+
+      // A proof file for a different root
+      writeProofFile(proofs, buildAllowlistTree([stranger.address, proven.address]));
+      await expect(runQuiet("sale:buy", { amount: "100", from: stranger.address, sale: saleAddress, proofs })).to.be
+        .rejectedWith("is not the on-chain root");
+
+      await time.increaseTo(endTime + 1);
+      await expect(runQuiet("sale:buy", { amount: "10", from: listed.address, sale: saleAddress, proofs })).to.be
+        .rejectedWith("The sale ended at");
+    });
+
+    it("Should use the current round's price and limits", async function () {
+      const { sale, listed, startTime, endTime } = await loadFixture(deploySaleFixture);
+      await sale.addRound({
+        name: "seed",
+        tokenPrice: ethers.parseEther("0.0005"),
+        supply: ethers.parseEther("100"),
+        minPurchase: ethers.parseEther("20"),
+        maxPurchase: ethers.parseEther("80"),
+        startTime,
+        endTime,
+        merkleRoot: ethers.ZeroHash,
+        open: true,
+      });
+      await time.increaseTo(startTime);
+      const saleAddress = await sale.getAddress();
+
+      await expect(runQuiet("sale:buy", { amount: "90", from: listed.address, sale: saleAddress, proofs })).to.be
+        .rejectedWith('Round "seed" allows 80.0 tokens per wallet');
+
+      const { result } = await runQuiet("sale:buy", { amount: "40", from: listed.address, sale: saleAddress, proofs });
+      expect(result.cost).to.equal(ethers.parseEther("0.02"));
+      expect(result.round.name).to.equal("seed");
+    });
+
+    it("Should only check with --dry-run", async function () {
+      const { sale, listed, startTime } = await loadFixture(deploySaleFixture);
+      await time.increaseTo(startTime);
+
+      const { output } = await runQuiet("sale:buy", {
+        amount: "100",
+        from: listed.address,
+        sale: await sale.getAddress(),
+        proofs,
+        dryRun: true,
+      });
+
+      expect(output).to.contain("The purchase would succeed");
+      expect(await sale.totalPurchased(listed.address)).to.equal(0n);
+    });
+
+    it("Should impersonate a buyer without a local key", async function () {
+      const { sale, startTime } = await loadFixture(deploySaleFixture);
+      const buyer = ethers.Wallet.createRandom().address;
+      await sale.updateWhitelist(buyer, true);
+      await time.increaseTo(startTime);
+
+      await runQuiet("sale:buy", { amount: "100", from: buyer, sale: await sale.getAddress(), proofs });
+
+      expect(await sale.totalPurchased(buyer)).to.equal(ethers.parseEther("100"));
+    });
+  });
+
+  describe("sale:claim", function () {
+    it("Should report the status and claim once claims open", async function () {
+      const { token, sale, listed, startTime, endTime } = await loadFixture(deploySaleFixture);
+      await time.increaseTo(startTime);
+      await sale.connect(listed).purchaseTokens(ethers.parseEther("300"), [], { value: ethers.parseEther("0.3") });
+      const args = { from: listed.address, sale: await sale.getAddress(), token: await token.getAddress() };
+
+      const { result, output } = await runQuiet("sale:claim", { ...args, dryRun: true });
+      expect(result.purchased).to.equal(ethers.parseEther("300"));
+      expect(output).to.contain("Purchased: 300.0 WLT for 0.3 ETH");
+      expect(output).to.contain("Claiming starts at");
+      await expect(runQuiet("sale:claim", args)).to.be.rejectedWith("claimTokens would revert: Claiming starts at");
+
+      await time.increaseTo(endTime);
+      const { result: claimed } = await runQuiet("sale:claim", args);
+      expect(claimed.received).to.equal(ethers.parseEther("300"));
+      expect(await token.balanceOf(listed.address)).to.equal(ethers.parseEther("300"));
+
+      await expect(runQuiet("sale:claim", args)).to.be.rejectedWith(`${listed.address} has already claimed all 300.0 tokens`);
+    });
+
+    it("Should refuse when restricted transfers would block the claim", async function () {
+      const { token, sale, listed, startTime, endTime } = await loadFixture(deploySaleFixture);
+      await time.increaseTo(startTime);
+      await sale.connect(listed).purchaseTokens(ethers.parseEther("100"), [], { value: ethers.parseEther("0.1") });
+      await token.setTransferRestrictions(true);
+      await time.increaseTo(endTime);
+
+      await expect(
+        runQuiet("sale:claim", { from: listed.address, sale: await sale.getAddress(), token: await token.getAddress() })
+      ).to.be.rejectedWith("Token transfers are restricted");
+    });
+  });
+});
@@ -0,0 +1,346 @@
+import { expect } from "chai";
+import hre, { ethers } from "hardhat";
+
+const {
+  TOKEN_MAX_SUPPLY,
+  resolveTime,
+  resolveDuration,
+  resolveDeployConfig,
+  validateDeployConfig,
+  loadDeployConfig,
+  getSaleArgs,
+  getRoundArgs,
+  getVestingArgs,
+  getTimelockArgs,
+  resolvePaymentTokens,
+  resolveTrustedForwarder,
+} = require("../lib/config");
+
+describe("Deploy Config", function () {
+  const now = 1_800_000_000;
+
+  function validConfig() {
+    const [owner, treasury] = [
+      "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
+      "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+    ];
+    return {
+      network: "test",
+      now,
+      errors: [],
+      token: { name: "WhitelistToken", symbol: "WLT", owner },
+      sale: {
+        treasury,
+        owner,
+        tokenPrice: ethers.parseEther("0.001"),
+        minPurchase: ethers.parseEther("10"),
+        maxPurchase: ethers.parseEther("10000"),
+        maxSupply: ethers.parseEther("100000000"),
+        startTime: now + 3600,
+        endTime: now + 7200,
+      },
+    };
+  }
+
+  describe("Time values", function () {
+    it("Should parse ISO dates and unix seconds", function () {
+      expect(resolveTime("2026-11-02T14:00:00Z", now, false)).to.equal(1793628000);
+      expect(resolveTime(1793628000, now, false)).to.equal(1793628000);
+    });
+
+    it("Should only allow relative times on local networks", function () {
+      expect(resolveTime("+1h", now, true)).to.equal(now + 3600);
+      expect(() => resolveTime("+1h", now, false))
+        .to.throw('relative time "+1h" is only allowed on local networks');
+    });
+  });
+
+  describe("Durations", function () {
+    it("Should parse seconds and unit suffixes", function () {
+      expect(resolveDuration(undefined)).to.equal(0);
+      expect(resolveDuration(3600)).to.equal(3600);
+      expect(resolveDuration("90d")).to.equal(90 * 86400);
+      expect(() => resolveDuration("3 months")).to.throw('invalid duration "3 months"');
+    });
+  });
+
+  describe("Validation", function () {
+    it("Should accept a valid config", function () {
+      expect(validateDeployConfig(validConfig())).to.deep.equal([]);
+    });
+
+    it("Should enforce the WhitelistSale constructor rules", function () {
+      const config = validConfig();
+      config.sale.maxPurchase = ethers.parseEther("1");
+      config.sale.startTime = now - 1;
+      config.sale.endTime = now - 2;
+      config.sale.tokenPrice = 0n;
+
+      expect(validateDeployConfig(config)).to.have.members([
+        "sale.tokenPrice must be greater than 0",
+        "sale.maxPurchase must be >= sale.minPurchase",
+        "sale.startTime 2027-01-15T07:59:59.000Z must be in the future",
+        "sale.endTime must be after sale.startTime",
+      ]);
+    });
+
+    it("Should only check the start time before the sale is deployed", function () {
+      const config = validConfig();
+      config.sale.startTime = now - 3600;
+
+      expect(validateDeployConfig(config)).to.deep.equal([
+        "sale.startTime 2027-01-15T07:00:00.000Z must be in the future",
+      ]);
+      // Re-running the deploy scripts against a live sale, e.g. to upgrade it or hand it to a timelock
+      expect(validateDeployConfig({ ...config, saleDeployed: true })).to.deep.equal([]);
+    });
+
+    it("Should require treasury and owners", function () {
+      const config = validConfig();
+      config.token.owner = undefined;
+      config.sale.treasury = undefined;
+
+      expect(validateDeployConfig(config)).to.have.members([
+        "token.owner must be set",
+        "sale.treasury must be set",
+      ]);
+    });
+
+    it("Should check sale supply against the mintable token supply", function () {
+      const config = validConfig();
+      config.sale.maxSupply = TOKEN_MAX_SUPPLY + 1n;
+      expect(validateDeployConfig(config)).to.have.length(1);
+
+      const fits = validConfig();
+      expect(validateDeployConfig(fits, ethers.parseEther("1000"))[0])
+        .to.match(/exceeds mintable token supply 1000.0/);
+    });
+  });
+
+  describe("Rounds", function () {
+    function round(overrides: Record<string, unknown> = {}) {
+      return {
+        name: "seed",
+        tokenPrice: ethers.parseEther("0.0005"),
+        supply: ethers.parseEther("1000000"),
+        minPurchase: ethers.parseEther("100"),
+        maxPurchase: ethers.parseEther("50000"),
+        startTime: now + 3600,
+        endTime: now + 5400,
+        merkleRoot: ethers.ZeroHash,
+        open: false,
+        ...overrides,
+      };
+    }
+
+    it("Should produce addRound arguments", function () {
+      const config = validConfig();
+      (config.sale as any).rounds = [round(), round({ name: "public", startTime: now + 5401, endTime: now + 7200, open: true })];
+
+      expect(validateDeployConfig(config)).to.deep.equal([]);
+      expect(getRoundArgs(config).map((r: { name: string }) => r.name)).to.deep.equal(["seed", "public"]);
+    });
+
+    it("Should enforce the addRound rules", function () {
+      const config = validConfig();
+      (config.sale as any).rounds = [
+        round({ minPurchase: ethers.parseEther("100000") }),
+        round({ startTime: now + 5000, endTime: now + 9000, supply: ethers.parseEther("100000000") }),
+        round({ startTime: now + 6000, endTime: now + 7000, open: true, merkleRoot: ethers.id("root") }),
+      ];
+
+      expect(validateDeployConfig(config)).to.have.members([
+        "sale.rounds[0].maxPurchase must be >= sale.rounds[0].minPurchase",
+        "sale.rounds[1] must fall within sale.startTime and sale.endTime",
+        "sale.rounds[1] overlaps sale.rounds[0]",
+        "sale.rounds[2] overlaps sale.rounds[1]",
+        "sale.rounds[2] is open and cannot have a Merkle root",
+        "sale.rounds supply 102000000.0 exceeds sale.maxSupply 100000000.0",
+      ]);
+    });
+    it("Should require rounds of a new sale to start in the future", function () {
+      const config = validConfig();
+      config.sale.startTime = now - 3600;
+      (config.sale as any).rounds = [
+        round({ startTime: now - 3600, endTime: now - 1 }),
+        round({ startTime: now, endTime: now + 5400 }),
+      ];
+
+      expect(validateDeployConfig(config)).to.deep.equal([
+        "sale.startTime 2027-01-15T07:00:00.000Z must be in the future",
+        "sale.rounds[0].startTime 2027-01-15T07:00:00.000Z must be in the future",
+        "sale.rounds[1].startTime 2027-01-15T08:00:00.000Z must be in the future",
+      ]);
+      // addRound only runs when the sale is created, so rounds of a deployed sale are already on-chain
+      expect(validateDeployConfig({ ...config, saleDeployed: true })).to.deep.equal([]);
+    });
+  });
+
+  describe("Vesting", function () {
+    const DAY = 86400;
+
+    it("Should treat a missing vesting block as no vesting", function () {
+      expect(getVestingArgs(validConfig())).to.equal(null);
+    });
+
+    it("Should produce setVestingSchedule arguments", function () {
+      const config = validConfig();
+      config.sale.vesting = { mode: "monthly", tgeUnlockBps: 1000, cliff: 30 * DAY, duration: 180 * DAY };
+
+      expect(validateDeployConfig(config)).to.deep.equal([]);
+      expect(getVestingArgs(config)).to.deep.equal([2, 1000, 30 * DAY, 180 * DAY]);
+    });
+
+    it("Should enforce the setVestingSchedule rules", function () {
+      const config = validConfig();
+      config.sale.vesting = { mode: "monthly", tgeUnlockBps: 10_001, cliff: 0, duration: 45 * DAY };
+      expect(validateDeployConfig(config)).to.have.members([
+        "sale.vesting.tgeUnlockPercent must be at most 100",
+        "sale.vesting.duration must be a multiple of 30d for monthly vesting",
+      ]);
+
+      config.sale.vesting = { mode: "none", tgeUnlockBps: 0, cliff: 30 * DAY, duration: 0 };
+      expect(validateDeployConfig(config)).to.deep.equal([
+        "sale.vesting.tgeUnlockPercent, cliff and duration require a vesting mode",
+      ]);
+
+      config.sale.vesting = { mode: "cliff", tgeUnlockBps: 0, cliff: 0, duration: 0 };
+      expect(validateDeployConfig(config)).to.deep.equal([
+        "sale.vesting.mode must be one of none, linear, monthly",
+      ]);
+    });
+  });
+
+  describe("Soft cap", function () {
+    it("Should accept a soft cap the sale can reach in ETH", function () {
+      const config = validConfig();
+      (config.sale as any).softCap = ethers.parseEther("100000");
+
+      expect(validateDeployConfig(config)).to.deep.equal([]);
+    });
+
+    it("Should reject a soft cap above the most the sale can raise", function () {
+      const config = validConfig();
+      (config.sale as any).softCap = ethers.parseEther("100001");
+
+      expect(validateDeployConfig(config)).to.deep.equal([
+        "sale.softCap 100001.0 ETH exceeds the most the sale can raise in ETH (100000.0 ETH)",
+      ]);
+    });
+  });
+
+  describe("Payment tokens", function () {
+    it("Should require a token and a positive price", function () {
+      const config = validConfig();
+      (config.sale as any).paymentTokens = [
+        { token: "MockStablecoin", price: "0.01" },
+        { token: undefined, price: "0" },
+        { token: "0x5FbDB2315678afecb367f032d93F642f64180aa3", price: "1e-2" },
+      ];
+
+      expect(validateDeployConfig(config)).to.deep.equal([
+        "sale.paymentTokens[1].token must be set",
+        "sale.paymentTokens[1].price must be a positive decimal",
+        "sale.paymentTokens[2].price must be a positive decimal",
+      ]);
+    });
+
+    it("Should resolve prices in the payment token's decimals", async function () {
+      const MockStablecoinFactory = await ethers.getContractFactory("MockStablecoin");
+      const usdc = await MockStablecoinFactory.deploy("USD Coin", "USDC", 6);
+      const config = validConfig();
+      (config.sale as any).paymentTokens = [{ token: "USDC", price: "0.015" }];
+
+      const [payment] = await resolvePaymentTokens(hre, config, { USDC: usdc.target });
+
+      expect(payment).to.deep.equal({ address: usdc.target, symbol: "USDC", decimals: 6, tokenPrice: 15000n });
+    });
+  });
+
+  describe("Timelock", function () {
+    it("Should produce TimelockController arguments", function () {
+      const config = validConfig();
+      const proposer = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+      (config as any).timelock = { minDelay: 172800, proposers: [proposer], executors: [ethers.ZeroAddress] };
+
+      expect(validateDeployConfig(config)).to.deep.equal([]);
+      expect(getTimelockArgs(config)).to.deep.equal([172800, [proposer], [ethers.ZeroAddress], ethers.ZeroAddress]);
+      expect(getTimelockArgs(validConfig())).to.equal(null);
+    });
+
+    it("Should require a delay, proposers and executors", function () {
+      const config = validConfig();
+      (config as any).timelock = { minDelay: 0, proposers: [], executors: [] };
+
+      expect(validateDeployConfig(config)).to.deep.equal([
+        "timelock.minDelay must be greater than 0",
+        "timelock.proposers must list at least one account",
+        'timelock.executors must list at least one account (or "anyone")',
+      ]);
+    });
+  });
+
+  describe("Roles", function () {
+    it("Should accept known roles and reject unknown ones", function () {
+      const config = validConfig();
+      const member = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+      (config as any).roles = { admin: undefined, members: { MINTER: [member], PAUSER: [member] } };
+      expect(validateDeployConfig(config)).to.deep.equal([]);
+
+      (config as any).roles.members = { MINTERS: [member], ADMIN: [member] };
+      expect(validateDeployConfig(config)).to.deep.equal([
+        "roles.members.MINTERS is not a role; use MINTER, WHITELIST_MANAGER, PAUSER, SALE_ADMIN, RECOVERY (and roles.admin for ADMIN)",
+        "roles.members.ADMIN is not a role; use MINTER, WHITELIST_MANAGER, PAUSER, SALE_ADMIN, RECOVERY (and roles.admin for ADMIN)",
+      ]);
+    });
+  });
+
+  describe("Trusted forwarder", function () {
+    it("Should reject the zero address", function () {
+      const config = validConfig();
+      (config.sale as any).trustedForwarder = ethers.ZeroAddress;
+      expect(validateDeployConfig(config)).to.deep.equal([
+        "sale.trustedForwarder must not be the zero address; leave it out to disable meta-transactions",
+      ]);
+    });
+
+    it("Should resolve addresses and deployment names", async function () {
+      const config = validConfig();
+      expect(await resolveTrustedForwarder(hre, config)).to.equal(null);
+
+      const forwarder = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+      (config.sale as any).trustedForwarder = forwarder.toLowerCase();
+      expect(await resolveTrustedForwarder(hre, config)).to.equal(forwarder);
+
+      (config.sale as any).trustedForwarder = "Forwarder";
+      expect(await resolveTrustedForwarder(hre, config, { Forwarder: forwarder })).to.equal(forwarder);
+      (config.sale as any).trustedForwarder = "MissingForwarder";
+      await expect(resolveTrustedForwarder(hre, config)).to.be.rejectedWith(
+        'Trusted forwarder "MissingForwarder" is neither an address nor a deployment'
+      );
+    });
+  });
+
+  describe("Network config", function () {
+    it("Should resolve named accounts for the hardhat network", async function () {
+      const { deployer, treasury } = await hre.getNamedAccounts();
+      const config = await loadDeployConfig(hre);
+
+      expect(config.token.owner).to.equal(deployer);
+      expect(config.sale.treasury).to.equal(treasury);
+      expect(config.sale.endTime).to.be.greaterThan(config.sale.startTime);
+    });
+
+    it("Should produce arguments the WhitelistSale constructor accepts", async function () {
+      const config = await resolveDeployConfig(hre);
+      const WhitelistSaleFactory = await ethers.getContractFactory("WhitelistSale");
+      const sale = await WhitelistSaleFactory.deploy(
+        ...getSaleArgs(config, "0x5FbDB2315678afecb367f032d93F642f64180aa3")
+      );
+
+      const saleConfig = await sale.saleConfig();
+      expect(saleConfig.startTime).to.equal(config.sale.startTime);
+      expect(saleConfig.maxSupply).to.equal(config.sale.maxSupply);
+    });
+  });
+});
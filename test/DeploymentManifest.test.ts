@@ -0,0 +1,149 @@
+import { expect } from "chai";
+import { deployments, ethers } from "hardhat";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import ts from "typescript";
+import { runQuiet } from "./helpers";
+
+const { MANIFEST_VERSION, readManifests } = require("../lib/manifest");
+
+describe("Deployment Manifest", function () {
+  const ROOT = ethers.id("allowlist");
+
+  const deployedFixture = deployments.createFixture(async () => {
+    await deployments.fixture(["sale"]);
+    const sale = await ethers.getContractAt("WhitelistSale", (await deployments.get("WhitelistSale")).address);
+    await sale.setMerkleRoot(ROOT);
+    return { sale };
+  });
+
+  let dir: string;
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+  });
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function readJson(file: string) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  // A second chain's manifest, as if exported from another network
+  function writeOtherChain(output: string) {
+    const manifest = readJson(path.join(output, "31337.json"));
+    fs.writeFileSync(
+      path.join(output, "11155111.json"),
+      JSON.stringify({ ...manifest, chainId: 11155111, network: "sepolia" })
+    );
+  }
+
+  it("Should write the chain's manifest from the deployments", async function () {
+    const { sale } = await deployedFixture();
+    const output = path.join(dir, "manifests");
+
+    const { result: { files } } = await runQuiet("manifest:export", { output });
+    const manifest = readJson(path.join(output, "31337.json"));
+    const saleDeployment = await deployments.get("WhitelistSale");
+    const config = await sale.saleConfig();
+
+    expect(files.manifest).to.equal(path.join(output, "31337.json"));
+    expect(manifest.version).to.equal(MANIFEST_VERSION);
+    expect(manifest.chainId).to.equal(31337);
+    expect(manifest.network).to.equal("hardhat");
+    expect(manifest.contracts.WhitelistSale.address).to.equal(saleDeployment.address);
+    expect(manifest.contracts.WhitelistSale.deployBlock).to.equal(saleDeployment.receipt!.blockNumber);
+    expect(manifest.contracts.WhitelistToken.address).to.equal((await deployments.get("WhitelistToken")).address);
+    expect(manifest.token).to.deep.equal({
+      name: "WhitelistToken",
+      symbol: "WLT",
+      decimals: 18,
+      maxSupply: ethers.parseEther("1000000000").toString(),
+    });
+    expect(manifest.sale.saleConfig.tokenPrice).to.equal(config.tokenPrice.toString());
+    expect(manifest.sale.saleConfig.endTime).to.equal(Number(config.endTime));
+    expect(manifest.sale.merkleRoot).to.equal(ROOT);
+  });
+
+  it("Should keep only the ABI entries a frontend needs", async function () {
+    await deployedFixture();
+
+    const { result: { manifest } } = await runQuiet("manifest:export", { output: dir });
+    const names = (abi: { type: string; name: string }[], type: string) =>
+      abi.filter((entry) => entry.type === type).map((entry) => entry.name);
+    const saleFunctions = names(manifest.contracts.WhitelistSale.abi, "function");
+
+    expect(saleFunctions).to.include.members(["purchaseTokens", "claimTokens", "saleConfig", "getVestingInfo"]);
+    expect(saleFunctions).to.not.include.members(["setMerkleRoot", "emergencyWithdraw", "transferOwnership"]);
+    expect(names(manifest.contracts.WhitelistSale.abi, "event")).to.include("TokenPurchase");
+    expect(names(manifest.contracts.WhitelistToken.abi, "function")).to.include.members(["MAX_SUPPLY", "balanceOf"]);
+    expect(names(manifest.contracts.WhitelistToken.abi, "function")).to.not.include("mint");
+
+    // Every entry still encodes
+    new ethers.Interface(manifest.contracts.WhitelistSale.abi);
+  });
+
+  it("Should combine every chain exported into the directory", async function () {
+    await deployedFixture();
+    await runQuiet("manifest:export", { output: dir });
+    writeOtherChain(dir);
+
+    const { result: { files } } = await runQuiet("manifest:export", { output: dir, combined: true });
+    const combined = readJson(files.combined);
+
+    expect(files.combined).to.equal(path.join(dir, "combined.json"));
+    expect(combined.version).to.equal(MANIFEST_VERSION);
+    expect(Object.keys(combined.chains)).to.deep.equal(["31337", "11155111"]);
+    expect(combined.chains["11155111"].network).to.equal("sepolia");
+  });
+
+  it("Should refuse manifests written with another version", async function () {
+    fs.writeFileSync(path.join(dir, "1.json"), JSON.stringify({ version: MANIFEST_VERSION + 1, chainId: 1 }));
+
+    expect(() => readManifests(dir)).to.throw(`has manifest version ${MANIFEST_VERSION + 1}`);
+  });
+
+  it("Should generate a typed package", async function () {
+    await deployedFixture();
+    const output = path.join(dir, "manifests");
+    const packageDir = path.join(dir, "package");
+    await runQuiet("manifest:export", { output });
+    writeOtherChain(output);
+
+    await runQuiet("manifest:export", {
+      output,
+      package: packageDir,
+      packageName: "@example/deployments",
+      packageVersion: "2.1.0",
+    });
+
+    const packageJson = readJson(path.join(packageDir, "package.json"));
+    expect(packageJson.name).to.equal("@example/deployments");
+    expect(packageJson.version).to.equal("2.1.0");
+    expect(packageJson.types).to.equal("index.d.ts");
+
+    const generated = require(path.join(packageDir, "index.js"));
+    expect(generated.chainIds).to.deep.equal([31337, 11155111]);
+    expect(generated.getManifest(31337).contracts.WhitelistSale.address).to.equal(
+      (await deployments.get("WhitelistSale")).address
+    );
+    expect(() => generated.getManifest(1)).to.throw("No deployment manifest for chain 1");
+
+    // The declarations type-check and keep addresses as literals
+    const consumer = path.join(dir, "consumer.ts");
+    fs.writeFileSync(
+      consumer,
+      [
+        'import { getManifest, ChainId } from "./package";',
+        "const chain: ChainId = 11155111;",
+        `const address: "${generated.manifests["31337"].contracts.WhitelistSale.address}" = getManifest(31337).contracts.WhitelistSale.address;`,
+        'const root: string = getManifest(chain).sale.merkleRoot;',
+        "export { address, root };",
+      ].join("\n")
+    );
+    const program = ts.createProgram([consumer], { strict: true, noEmit: true, types: [] });
+    const diagnostics = ts.getPreEmitDiagnostics(program).map((d) => ts.flattenDiagnosticMessageText(d.messageText, "\n"));
+    expect(diagnostics).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,65 @@
+import { expect } from "chai";
+import hre, { ethers, deployments } from "hardhat";
+import { runJson } from "./helpers";
+
+describe("Info Tasks", function () {
+  beforeEach(async function () {
+    await deployments.fixture(["sale"]);
+  });
+
+  it("token:info should resolve the token from deployments", async function () {
+    const { address } = await deployments.get("WhitelistToken");
+    const [deployer] = await ethers.getSigners();
+
+    const info = await runJson("token:info");
+
+    expect(info.address).to.equal(address);
+    expect(info.symbol).to.equal("WLT");
+    expect(info.maxSupply).to.equal(ethers.parseEther("1000000000").toString());
+    expect(info.account.address).to.equal(deployer.address);
+    expect(info.account.whitelisted).to.equal(true);
+  });
+
+  it("sale:info should read saleConfig and progress", async function () {
+    const { address } = await deployments.get("WhitelistSale");
+    const token = await deployments.get("WhitelistToken");
+
+    const info = await runJson("sale:info");
+
+    expect(info.address).to.equal(address);
+    expect(info.token).to.equal(token.address);
+    expect(info.saleConfig.tokenPrice).to.equal(ethers.parseEther("0.001").toString());
+    expect(info.phase).to.equal("pending");
+    expect(info.totalSold).to.equal("0");
+    expect(info.tokenBalance).to.equal(info.saleConfig.maxSupply);
+  });
+
+  it("whitelist:check should report token and sale status", async function () {
+    const { treasury } = await hre.getNamedAccounts();
+    const [, outsider] = await ethers.getSigners();
+
+    const report = await runJson("whitelist:check", {
+      addresses: `${treasury},${outsider.address}`,
+    });
+
+    expect(report.results).to.have.length(2);
+    expect(report.results[0]).to.include({ address: treasury, sale: true, token: false });
+    expect(report.results[1]).to.include({ address: outsider.address, sale: false, token: false });
+  });
+
+  it("whitelist:check should require addresses", async function () {
+    await expect(hre.run("whitelist:check", {}))
+      .to.be.rejectedWith("No addresses to check; pass --addresses or --file");
+  });
+
+  it("token:info should honor an address override", async function () {
+    const [deployer] = await ethers.getSigners();
+    const WhitelistTokenFactory = await ethers.getContractFactory("WhitelistToken");
+    const other = await WhitelistTokenFactory.deploy("OtherToken", "OTH", deployer.address);
+
+    const info = await runJson("token:info", { token: other.target });
+
+    expect(info.address).to.equal(other.target);
+    expect(info.symbol).to.equal("OTH");
+  });
+});
@@ -0,0 +1,107 @@
+import { expect } from "chai";
+import hre, { ethers } from "hardhat";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { deployTokenAndSale } from "./helpers";
+
+const { parseAllowlist } = require("../lib/allowlist");
+const { buildAllowlistTree, verifyProof, readProofFile } = require("../lib/merkle");
+
+describe("Merkle Allowlist", function () {
+  async function deploySaleFixture() {
+    const [, , buyer1, buyer2, buyer3, outsider] = await ethers.getSigners();
+    const { token, sale, owner } = await deployTokenAndSale({ funding: 0n });
+
+    const buyers = [buyer1.address, buyer2.address, buyer3.address];
+    return { token, sale, owner, buyers, outsider };
+  }
+
+  describe("Parsing", function () {
+    it("Should normalize and de-duplicate CSV addresses", function () {
+      const csv = [
+        "address,note",
+        "0x70997970c51812dc3a010c7d01b50e0d17dc79c8,first",
+        "",
+        "# comment",
+        "0x70997970C51812dc3A010C7d01b50e0d17dc79C8,again",
+        "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+      ].join("\n");
+
+      const { addresses, duplicates } = parseAllowlist(csv, "csv");
+
+      expect(addresses).to.deep.equal([
+        "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+        "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+      ]);
+      expect(duplicates).to.deep.equal(["0x70997970C51812dc3A010C7d01b50e0d17dc79C8"]);
+    });
+
+    it("Should accept JSON arrays of strings or objects", function () {
+      const json = JSON.stringify({
+        addresses: [
+          { address: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8" },
+          "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+        ],
+      });
+
+      const { addresses } = parseAllowlist(json, "json");
+      expect(addresses).to.have.length(2);
+    });
+
+    it("Should reject invalid addresses with their location", function () {
+      const csv = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8\nnot-an-address";
+
+      expect(() => parseAllowlist(csv, "csv")).to.throw("Invalid address: not-an-address (line 2)");
+    });
+
+    it("Should reject bad checksums", function () {
+      const csv = "0x70997970C51812DC3A010C7d01b50e0d17dc79C8";
+
+      expect(() => parseAllowlist(csv, "csv")).to.throw("Invalid address");
+    });
+  });
+
+  describe("Tree", function () {
+    it("Should not build a tree from a single address", function () {
+      expect(() => buildAllowlistTree(["0x70997970C51812dc3A010C7d01b50e0d17dc79C8"]))
+        .to.throw("Merkle allowlist needs at least 2 addresses");
+    });
+
+    it("Should produce proofs accepted by WhitelistSale", async function () {
+      const { sale, buyers, outsider } = await loadFixture(deploySaleFixture);
+      const { root, proofs } = buildAllowlistTree(buyers);
+
+      await expect(sale.setMerkleRoot(root))
+        .to.emit(sale, "MerkleRootUpdated")
+        .withArgs(root);
+
+      for (const buyer of buyers) {
+        expect(verifyProof(root, buyer, proofs[buyer])).to.equal(true);
+        expect(await sale.isWhitelisted(buyer, proofs[buyer])).to.equal(true);
+      }
+
+      expect(await sale.isWhitelisted(outsider.address, proofs[buyers[0]])).to.equal(false);
+    });
+  });
+
+  describe("Tasks", function () {
+    it("Should build, publish and verify a proof file", async function () {
+      const { sale, buyers } = await loadFixture(deploySaleFixture);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "merkle-"));
+      const input = path.join(dir, "allowlist.csv");
+      const output = path.join(dir, "proofs.json");
+      fs.writeFileSync(input, buyers.join("\n"));
+
+      await hre.run("merkle:build", { input, output });
+      const proofData = readProofFile(output);
+      expect(Object.keys(proofData.proofs)).to.have.members(buyers);
+
+      await hre.run("merkle:publish", { proofs: output, sale: sale.target, samples: 2 });
+      expect(await sale.merkleRoot()).to.equal(proofData.root);
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
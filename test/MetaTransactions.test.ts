@@ -0,0 +1,155 @@
+import { expect } from "chai";
+import { deployments, ethers } from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { anyValue } from "@nomicfoundation/hardhat-chai-matchers/withArgs";
+import { AddressInfo } from "net";
+import { deployTokenAndSale, runQuiet } from "./helpers";
+
+const {
+  FORWARDER_DEPLOYMENT,
+  FORWARDER_NAME,
+  getForwarderDomain,
+  buildForwardRequest,
+  signForwardRequest,
+  checkForwardRequest,
+  createRelayServer,
+} = require("../lib/forwarder");
+
+describe("Meta-transactions", function () {
+  async function deployForwarderFixture() {
+    const [, , buyer, relayer, stranger] = await ethers.getSigners();
+    const { token, sale, owner, treasury, startTime, endTime } = await deployTokenAndSale({
+      maxPurchase: ethers.parseEther("1000"),
+    });
+    const forwarder = await (await ethers.getContractFactory("ERC2771Forwarder")).deploy(FORWARDER_NAME);
+    await sale.updateWhitelist(buyer.address, true);
+    await sale.setClaimEnabled(true, endTime);
+    await sale.setTrustedForwarder(forwarder.target);
+    await time.increaseTo(startTime);
+
+    const domain = await getForwarderDomain(forwarder);
+    // Signs `method` on the sale as `signer`, ready for forwarder.execute
+    const signCall = async (signer: any, method: string, args: unknown[] = [], value = 0n) => {
+      const data = sale.interface.encodeFunctionData(method, args);
+      const request = await buildForwardRequest(forwarder, { from: signer.address, to: sale.target, data, value, gas: 300000n });
+      return signForwardRequest(signer, domain, request);
+    };
+
+    return { token, sale, forwarder, owner, treasury, buyer, relayer, stranger, endTime, signCall };
+  }
+
+  describe("Trusted forwarder", function () {
+    it("Should let only the owner set the forwarder, and only before the sale starts", async function () {
+      const { sale, forwarder, stranger } = await loadFixture(deployForwarderFixture);
+
+      expect(await sale.isTrustedForwarder(forwarder.target)).to.equal(true);
+      expect(await sale.isTrustedForwarder(ethers.ZeroAddress)).to.equal(false);
+      await expect(sale.connect(stranger).setTrustedForwarder(stranger.address))
+        .to.be.revertedWithCustomError(sale, "OwnableUnauthorizedAccount");
+      // The sale has started: a forwarder can no longer be swapped in, only removed
+      await expect(sale.setTrustedForwarder(stranger.address)).to.be.revertedWith("WhitelistSale: sale already started");
+
+      await expect(sale.setTrustedForwarder(ethers.ZeroAddress))
+        .to.emit(sale, "TrustedForwarderUpdated")
+        .withArgs(ethers.ZeroAddress);
+      expect(await sale.isTrustedForwarder(forwarder.target)).to.equal(false);
+    });
+
+    it("Should record a relayed purchase against the signer", async function () {
+      const { sale, forwarder, buyer, relayer, signCall } = await loadFixture(deployForwarderFixture);
+      const request = await signCall(buyer, "purchaseTokens", [ethers.parseEther("100"), []], ethers.parseEther("0.1"));
+
+      await expect(forwarder.connect(relayer).execute(request, { value: request.value }))
+        .to.emit(sale, "TokenPurchase")
+        .withArgs(buyer.address, ethers.parseEther("100"), ethers.parseEther("0.1"), anyValue);
+
+      expect(await sale.totalPurchased(buyer.address)).to.equal(ethers.parseEther("100"));
+      expect((await sale.getPurchaseInfo(buyer.address)).ethSpent).to.equal(ethers.parseEther("0.1"));
+      expect(await sale.totalPurchased(relayer.address)).to.equal(0n);
+      expect(await sale.totalPurchased(forwarder.target)).to.equal(0n);
+    });
+
+    it("Should apply the whitelist to the signer, not the relayer", async function () {
+      const { sale, forwarder, relayer, stranger, signCall } = await loadFixture(deployForwarderFixture);
+      await sale.updateWhitelist(relayer.address, true);
+      const request = await signCall(stranger, "purchaseTokens", [ethers.parseEther("100"), []], ethers.parseEther("0.1"));
+
+      await expect(forwarder.connect(relayer).execute(request, { value: request.value }))
+        .to.be.revertedWithCustomError(forwarder, "FailedCall");
+    });
+
+    it("Should ignore appended senders from anyone but the trusted forwarder", async function () {
+      const { sale, buyer, stranger } = await loadFixture(deployForwarderFixture);
+      const data = sale.interface.encodeFunctionData("purchaseTokens", [ethers.parseEther("100"), []]);
+
+      // A whitelisted address appended by an untrusted caller does not make it the buyer
+      await expect(stranger.sendTransaction({ to: sale.target, data: ethers.concat([data, buyer.address]), value: ethers.parseEther("0.1") }))
+        .to.be.revertedWith("WhitelistSale: address not whitelisted");
+    });
+  });
+
+  describe("Relayer", function () {
+    async function startRelayer(forwarder: any, sale: any, relayer: any) {
+      const allowed = { [sale.target]: [sale.interface.getFunction("claimTokens").selector] };
+      const server = createRelayServer(forwarder.connect(relayer), allowed);
+      await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+      return { server, url: `http://127.0.0.1:${(server.address() as AddressInfo).port}` };
+    }
+
+    it("Should claim through the relayer without the buyer paying gas", async function () {
+      const { token, sale, forwarder, buyer, relayer, endTime } = await loadFixture(deployForwarderFixture);
+      await sale.connect(buyer).purchaseTokens(ethers.parseEther("300"), [], { value: ethers.parseEther("0.3") });
+      await time.increaseTo(endTime);
+      const { server, url } = await startRelayer(forwarder, sale, relayer);
+
+      try {
+        const balanceBefore = await ethers.provider.getBalance(buyer.address);
+        const { result, output } = await runQuiet("sale:claim", {
+          from: buyer.address,
+          sale: await sale.getAddress(),
+          token: await token.getAddress(),
+          relayer: url,
+        });
+
+        expect(result.received).to.equal(ethers.parseEther("300"));
+        expect(output).to.contain("Claimed 300.0 WLT via the relayer");
+        expect(await token.balanceOf(buyer.address)).to.equal(ethers.parseEther("300"));
+        expect(await sale.claimedAmount(buyer.address)).to.equal(ethers.parseEther("300"));
+        expect(await ethers.provider.getBalance(buyer.address)).to.equal(balanceBefore);
+        expect((await ethers.provider.getTransaction(result.hash))!.from).to.equal(relayer.address);
+      } finally {
+        server.close();
+      }
+    });
+
+    it("Should refuse calls it does not relay and calls that would revert", async function () {
+      const { sale, forwarder, buyer, relayer, stranger, signCall } = await loadFixture(deployForwarderFixture);
+      const allowed = { [sale.target]: [sale.interface.getFunction("claimTokens").selector] };
+      const relaying = forwarder.connect(relayer);
+
+      const refund = await signCall(buyer, "refund");
+      expect(await checkForwardRequest(relaying, refund, allowed)).to.deep.equal([
+        `${sale.interface.getFunction("refund")!.selector} on ${sale.target} is not relayed`,
+      ]);
+
+      const claim = await signCall(stranger, "claimTokens");
+      const [reason] = await checkForwardRequest(relaying, claim, allowed);
+      expect(reason).to.contain("Call would revert");
+
+      const forged = { ...(await signCall(buyer, "claimTokens")), from: stranger.address };
+      expect(await checkForwardRequest(relaying, forged, allowed)).to.deep.equal([
+        "Invalid signature, nonce or deadline, or the target does not trust the forwarder",
+      ]);
+    });
+  });
+
+  describe("Deployment", function () {
+    it("Should deploy the forwarder and trust it when the config names it", async function () {
+      await deployments.fixture(["sale"]);
+      const forwarder = await deployments.get(FORWARDER_DEPLOYMENT);
+      const sale = await ethers.getContractAt("WhitelistSale", (await deployments.get("WhitelistSale")).address);
+
+      expect(await sale.trustedForwarder()).to.equal(forwarder.address);
+    });
+  });
+});
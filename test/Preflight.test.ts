@@ -0,0 +1,112 @@
+import { expect } from "chai";
+import { deployments, ethers } from "hardhat";
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import { runJson, runQuiet } from "./helpers";
+
+const { runPreflight } = require("../lib/preflight");
+
+describe("Preflight", function () {
+  const deployedFixture = deployments.createFixture(async () => {
+    await deployments.fixture(["sale"]);
+    const token = await ethers.getContractAt("WhitelistToken", (await deployments.get("WhitelistToken")).address);
+    const sale = await ethers.getContractAt("WhitelistSale", (await deployments.get("WhitelistSale")).address);
+    const signers = await ethers.getSigners();
+    return { token, sale, deployer: signers[0], treasury: signers[2], buyer1: signers[5], buyer2: signers[6] };
+  });
+
+  function check(report: { checks: { name: string }[] }, name: string) {
+    return report.checks.find((entry) => entry.name === name) as { status: string; message: string };
+  }
+
+  it("Should pass a fresh local deployment", async function () {
+    await deployedFixture();
+
+    const { result, output } = await runQuiet("sale:preflight");
+
+    expect(result.passed).to.equal(true);
+    expect(check(result, "Sale token").status).to.equal("pass");
+    expect(check(result, "Token balance").status).to.equal("pass");
+    expect(check(result, "Claim start").status).to.equal("pass");
+    expect(check(result, "Treasury").status).to.equal("pass");
+    expect(check(result, "Token owner").status).to.equal("pass");
+    expect(check(result, "Sale owner").status).to.equal("pass");
+    // Transfers are unrestricted, so an unlisted sale is only a warning
+    expect(check(result, "Claim transfers").status).to.equal("warn");
+    expect(output).to.contain("✅ Preflight passed (0 failed, 1 warnings)");
+  });
+
+  it("Should count sold but unclaimed tokens as owed", async function () {
+    const { token, sale, buyer1, buyer2 } = await deployedFixture();
+    await sale.updateWhitelistBatch([buyer1.address, buyer2.address], true);
+    await time.increaseTo((await sale.saleConfig()).startTime);
+    await sale.connect(buyer1).purchaseTokens(ethers.parseEther("100"), [], { value: ethers.parseEther("0.1") });
+    await sale.connect(buyer2).purchaseTokens(ethers.parseEther("200"), [], { value: ethers.parseEther("0.2") });
+    await time.increaseTo((await sale.claimStartTime()) + 1n);
+    await sale.connect(buyer1).claimTokens();
+
+    const { result } = await runQuiet("sale:preflight");
+    expect(result.passed).to.equal(true);
+    expect(check(result, "Token balance").message).to.contain("99999700.0 unsold + 200.0 sold but unclaimed");
+
+    // Unsold tokens can be withdrawn, which leaves the remaining supply unbacked
+    await sale.emergencyWithdraw(await token.getAddress(), ethers.parseEther("1000"));
+    const report = await runPreflight({ token, sale });
+    expect(report.passed).to.equal(false);
+    expect(check(report, "Token balance").status).to.equal("fail");
+    expect(check(report, "Token balance").message).to.contain("short 1000.0");
+  });
+
+  it("Should fail claims that open before the sale ends", async function () {
+    const { sale } = await deployedFixture();
+    const { startTime } = await sale.saleConfig();
+    await sale.setClaimEnabled(true, startTime);
+
+    await expect(runQuiet("sale:preflight")).to.be.rejectedWith("Preflight failed: Claim start");
+
+    await sale.setClaimEnabled(false, 0);
+    const { result } = await runQuiet("sale:preflight");
+    expect(check(result, "Claim start").status).to.equal("warn");
+  });
+
+  it("Should fail restricted transfers when the sale is not whitelisted", async function () {
+    const { token, sale } = await deployedFixture();
+    await token.setTransferRestrictions(true);
+
+    await expect(runQuiet("sale:preflight")).to.be.rejectedWith("Preflight failed: Claim transfers");
+
+    await token.updateWhitelist(await sale.getAddress(), true);
+    const { result } = await runQuiet("sale:preflight");
+    expect(result.passed).to.equal(true);
+    expect(check(result, "Claim transfers").status).to.equal("pass");
+  });
+
+  it("Should compare treasury and owners with overrides", async function () {
+    const { deployer, buyer1 } = await deployedFixture();
+
+    await expect(runQuiet("sale:preflight", { treasury: buyer1.address, owner: buyer1.address })).to.be.rejectedWith(
+      "Preflight failed: Treasury, Token owner, Sale owner"
+    );
+
+    const { result } = await runQuiet("sale:preflight", { owner: deployer.address });
+    expect(result.passed).to.equal(true);
+  });
+
+  it("Should print the report as JSON", async function () {
+    const { token, sale } = await deployedFixture();
+
+    const report = await runJson("sale:preflight");
+
+    expect(report.token).to.equal(await token.getAddress());
+    expect(report.sale).to.equal(await sale.getAddress());
+    expect(report.passed).to.equal(true);
+    expect(report.checks.map((entry: { name: string }) => entry.name)).to.deep.equal([
+      "Sale token",
+      "Token balance",
+      "Claim start",
+      "Claim transfers",
+      "Treasury",
+      "Token owner",
+      "Sale owner",
+    ]);
+  });
+});
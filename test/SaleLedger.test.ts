@@ -0,0 +1,113 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { deployTokenAndSale, runQuiet } from "./helpers";
+
+const { summarizeBuyers, saveLedger } = require("../lib/ledger");
+
+describe("Sale Ledger", function () {
+  async function deploySaleWithPurchasesFixture() {
+    const [, , buyer1, buyer2] = await ethers.getSigners();
+    const { token, sale, startTime } = await deployTokenAndSale();
+    await sale.updateWhitelistBatch([buyer1.address, buyer2.address], true);
+    await time.increaseTo(startTime);
+
+    await sale.connect(buyer1).purchaseTokens(ethers.parseEther("100"), [], {
+      value: ethers.parseEther("0.1"),
+    });
+    await sale.connect(buyer1).purchaseTokens(ethers.parseEther("50"), [], {
+      value: ethers.parseEther("0.05"),
+    });
+    await sale.connect(buyer2).purchaseTokens(ethers.parseEther("200"), [], {
+      value: ethers.parseEther("0.2"),
+    });
+
+    await sale.setClaimEnabled(true, startTime);
+    await sale.connect(buyer2).claimTokens();
+
+    return { token, sale, buyer1, buyer2 };
+  }
+
+  let ledgerPath: string;
+
+  beforeEach(function () {
+    ledgerPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "ledger-")), "ledger.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(path.dirname(ledgerPath), { recursive: true, force: true });
+  });
+
+  it("Should index sale and token events with per-buyer totals", async function () {
+    const { sale, buyer1, buyer2 } = await loadFixture(deploySaleWithPurchasesFixture);
+
+    const { result: ledger } = await runQuiet("sale:index", { ledger: ledgerPath, sale: sale.target, fromBlock: 0 });
+    const events = ledger.events.map((e: { event: string }) => e.event);
+
+    expect(events.filter((name: string) => name === "TokenPurchase")).to.have.length(3);
+    expect(events).to.include.members(["TokensClaimed", "WhitelistUpdated", "Mint", "Transfer"]);
+
+    const buyers = summarizeBuyers(ledger);
+    expect(buyers[buyer1.address].amount).to.equal(ethers.parseEther("150"));
+    expect(buyers[buyer1.address].ethSpent).to.equal(ethers.parseEther("0.15"));
+    expect(buyers[buyer1.address].purchases).to.equal(2);
+    expect(buyers[buyer2.address].claimed).to.equal(ethers.parseEther("200"));
+  });
+
+  it("Should resume from the block cursor", async function () {
+    const { sale, buyer1 } = await loadFixture(deploySaleWithPurchasesFixture);
+
+    const { result: first } = await runQuiet("sale:index", { ledger: ledgerPath, sale: sale.target, fromBlock: 0 });
+    const count = first.events.length;
+
+    await sale.connect(buyer1).purchaseTokens(ethers.parseEther("10"), [], {
+      value: ethers.parseEther("0.01"),
+    });
+
+    const { result: second } = await runQuiet("sale:index", { ledger: ledgerPath, sale: sale.target });
+    expect(second.events).to.have.length(count + 1);
+    expect(second.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("Should reconcile against on-chain totals", async function () {
+    const { sale } = await loadFixture(deploySaleWithPurchasesFixture);
+    await runQuiet("sale:index", { ledger: ledgerPath, sale: sale.target, fromBlock: 0 });
+
+    const { result: report } = await runQuiet("sale:reconcile", { ledger: ledgerPath, sale: sale.target });
+
+    expect(report.mismatches).to.deep.equal([]);
+    expect(report.totals.totalSold).to.equal(ethers.parseEther("350"));
+    expect(report.totals.totalEthRaised).to.equal(await sale.totalEthRaised());
+  });
+
+  it("Should flag mismatches", async function () {
+    const { sale, buyer1 } = await loadFixture(deploySaleWithPurchasesFixture);
+    const { result: ledger } = await runQuiet("sale:index", { ledger: ledgerPath, sale: sale.target, fromBlock: 0 });
+
+    // Drop one of buyer1's purchases from the snapshot
+    const index = ledger.events.findIndex(
+      (e: { event: string; args: { buyer: string } }) =>
+        e.event === "TokenPurchase" && e.args.buyer === buyer1.address
+    );
+    ledger.events.splice(index, 1);
+    saveLedger(ledgerPath, ledger);
+
+    await expect(runQuiet("sale:reconcile", { ledger: ledgerPath, sale: sale.target }))
+      .to.be.rejectedWith("5 reconciliation mismatches");
+  });
+
+  it("Should export buyers as CSV", async function () {
+    const { sale, buyer1 } = await loadFixture(deploySaleWithPurchasesFixture);
+    await runQuiet("sale:index", { ledger: ledgerPath, sale: sale.target, fromBlock: 0 });
+
+    const output = path.join(path.dirname(ledgerPath), "buyers.csv");
+    await runQuiet("sale:export", { ledger: ledgerPath, sale: sale.target, output, format: "csv" });
+
+    const lines = fs.readFileSync(output, "utf8").trim().split("\n");
+    expect(lines).to.have.length(3);
+    expect(lines[1]).to.match(new RegExp(`^${buyer1.address},150000000000000000000,150000000000000000,2,`));
+  });
+});
@@ -0,0 +1,236 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { deployTokenAndSale, runQuiet } from "./helpers";
+
+const { parseRules, loadMonitorState, createMonitor } = require("../lib/monitor");
+
+describe("Sale Monitor", function () {
+  const tokenPrice = ethers.parseEther("0.001");
+  const tokens = (amount: string) => ethers.parseEther(amount);
+
+  // A small sale so thresholds are reachable; only 300 of the 1000 tokens are minted to it
+  async function deploySmallSaleFixture() {
+    const [, , buyer1, buyer2] = await ethers.getSigners();
+    const { token, sale, owner, startTime } = await deployTokenAndSale({
+      tokenPrice,
+      minPurchase: tokens("10"),
+      maxPurchase: tokens("600"),
+      maxSupply: tokens("1000"),
+      funding: tokens("300"),
+    });
+    const deployBlock = (await sale.deploymentTransaction()!.wait())!.blockNumber;
+
+    await sale.updateWhitelistBatch([buyer1.address, buyer2.address], true);
+    await sale.setClaimEnabled(true, startTime);
+
+    return { token, sale, owner, buyer1, buyer2, startTime, deployBlock };
+  }
+
+  async function buy(sale: any, buyer: any, amount: string) {
+    await sale.connect(buyer).purchaseTokens(tokens(amount), [], { value: (tokens(amount) * tokenPrice) / tokens("1") });
+  }
+
+  let dir: string;
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "monitor-"));
+  });
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function newMonitor(fixture: any, rules: unknown[], options: Record<string, unknown> = {}) {
+    const alerts: any[] = [];
+    const file = path.join(dir, "state.json");
+    const state = loadMonitorState(file, {
+      chainId: 31337,
+      sale: await fixture.sale.getAddress(),
+      token: await fixture.token.getAddress(),
+    });
+    const monitor = createMonitor({
+      sale: fixture.sale,
+      token: fixture.token,
+      rules: parseRules(rules),
+      state,
+      file,
+      sinks: [{ name: "memory", send: async (alert: unknown) => alerts.push(alert) }],
+      deployBlock: fixture.deployBlock,
+      ...options,
+    });
+    return { monitor, alerts, file };
+  }
+
+  it("Should validate rules", function () {
+    expect(() => parseRules([{ type: "gas-price" }])).to.throw('rules[0]: unknown rule type "gas-price"');
+    expect(() => parseRules([{ type: "pause" }, { type: "large-purchase" }])).to.throw(
+      "rules[1] (large-purchase): set minTokens and/or minEth"
+    );
+    expect(() => parseRules([{ type: "percent-sold", thresholds: [50, 150] }])).to.throw(
+      'rules[0] (percent-sold): invalid threshold "150"'
+    );
+    expect(() => parseRules([{ type: "pause", severity: "loud" }])).to.throw("severity must be one of");
+    expect(parseRules([{ type: "large-purchase", minEth: "0.5" }])[0].minEth).to.equal(ethers.parseEther("0.5"));
+  });
+
+  it("Should alert on large purchases, pauses and emergency withdrawals", async function () {
+    const fixture = await loadFixture(deploySmallSaleFixture);
+    const { token, sale, buyer1, buyer2, startTime } = fixture;
+    const { monitor, alerts } = await newMonitor(fixture, [
+      { type: "large-purchase", minTokens: "100" },
+      { type: "pause" },
+      { type: "emergency-withdraw" },
+    ]);
+    await monitor.tick();
+
+    await time.increaseTo(startTime);
+    await buy(sale, buyer1, "50");
+    await buy(sale, buyer2, "150");
+    await sale.pause();
+    await sale.unpause();
+    await sale.emergencyWithdraw(await token.getAddress(), tokens("10"));
+    const { alerts: fired } = await monitor.tick();
+
+    expect(fired.map((alert: any) => alert.rule)).to.deep.equal(["large-purchase", "pause", "pause", "emergency-withdraw"]);
+    expect(fired[0].message).to.equal(`${buyer2.address} bought 150.0 tokens for 0.15 ETH`);
+    expect(fired[0].severity).to.equal("warning");
+    expect(fired[1].message).to.contain("WhitelistSale paused by");
+    expect(fired[2].severity).to.equal("info");
+    expect(fired[3].severity).to.equal("critical");
+    expect(alerts).to.have.length(4);
+
+    // Nothing new, nothing sent
+    expect((await monitor.tick()).alerts).to.deep.equal([]);
+    expect(alerts).to.have.length(4);
+  });
+
+  it("Should alert once per percent sold threshold", async function () {
+    const fixture = await loadFixture(deploySmallSaleFixture);
+    const { sale, buyer1, buyer2, startTime } = fixture;
+    const { monitor, alerts } = await newMonitor(fixture, [{ type: "percent-sold", thresholds: [25, 50, 90] }]);
+
+    await time.increaseTo(startTime);
+    await buy(sale, buyer1, "600");
+    await monitor.tick();
+    await buy(sale, buyer2, "10");
+    await monitor.tick();
+    await buy(sale, buyer2, "300");
+    await monitor.tick();
+
+    expect(alerts.map((alert) => alert.message)).to.deep.equal([
+      "50% sold: 600.0 of 1000.0 tokens",
+      "90% sold: 910.0 of 1000.0 tokens",
+    ]);
+    expect(monitor.state.firedThresholds).to.deep.equal([25, 50, 90]);
+  });
+
+  it("Should alert when the balance falls below outstanding claims and when it recovers", async function () {
+    const fixture = await loadFixture(deploySmallSaleFixture);
+    const { token, sale, buyer1, buyer2, startTime } = fixture;
+    await time.increaseTo(startTime);
+    await buy(sale, buyer1, "200");
+    await sale.connect(buyer1).claimTokens();
+    // Claims made before the monitor starts are summed from events
+    const { monitor, alerts } = await newMonitor(fixture, [{ type: "claims-underfunded" }]);
+    await monitor.tick();
+    expect(alerts).to.deep.equal([]);
+
+    await buy(sale, buyer2, "200");
+    await monitor.tick();
+    expect(alerts).to.have.length(1);
+    expect(alerts[0].severity).to.equal("critical");
+    expect(alerts[0].message).to.equal("Sale holds 100.0 tokens but owes buyers 200.0 unclaimed");
+
+    await monitor.tick();
+    await token.mint(await sale.getAddress(), tokens("100"));
+    await monitor.tick();
+    expect(alerts).to.have.length(2);
+    expect(alerts[1].message).to.equal("Sale balance 200.0 covers 200.0 unclaimed again");
+  });
+
+  it("Should retry after provider errors without firing twice", async function () {
+    const fixture = await loadFixture(deploySmallSaleFixture);
+    const { sale, buyer1, startTime } = fixture;
+    let failures = 2;
+    // Stands in for a provider whose connection drops mid-poll
+    const flaky = {
+      getBlockNumber: () => ethers.provider.getBlockNumber(),
+      getLogs: (filter: unknown) => {
+        if (failures > 0) {
+          failures -= 1;
+          return Promise.reject(new Error("socket hang up"));
+        }
+        return ethers.provider.getLogs(filter as any);
+      },
+    };
+    const { monitor, alerts, file } = await newMonitor(fixture, [{ type: "large-purchase", minTokens: "100" }], {
+      provider: flaky,
+      fromBlock: fixture.deployBlock,
+    });
+
+    await time.increaseTo(startTime);
+    await buy(sale, buyer1, "200");
+    const errors: string[] = [];
+    await monitor.run({
+      interval: 0.01,
+      onError: (error: Error) => errors.push(error.message),
+      onTick: () => monitor.stop(),
+    });
+
+    expect(errors).to.deep.equal(["socket hang up", "socket hang up"]);
+    expect(alerts).to.have.length(1);
+
+    // A restarted monitor resumes from the saved cursor
+    const { monitor: restarted, alerts: resent } = await newMonitor(fixture, [{ type: "large-purchase", minTokens: "100" }]);
+    expect(restarted.state.lastBlock).to.equal(JSON.parse(fs.readFileSync(file, "utf8")).lastBlock);
+    await restarted.tick();
+    expect(resent).to.deep.equal([]);
+  });
+
+  it("Should post alerts to a webhook and a file from the task", async function () {
+    const fixture = await loadFixture(deploySmallSaleFixture);
+    const { token, sale, buyer1, startTime } = fixture;
+    await time.increaseTo(startTime);
+    await buy(sale, buyer1, "500");
+
+    const received: any[] = [];
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ method: req.method, type: req.headers["content-type"], alert: JSON.parse(body) });
+        res.writeHead(204).end();
+      });
+    });
+    await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address() as { port: number };
+    const rules = path.join(dir, "rules.json");
+    fs.writeFileSync(rules, JSON.stringify({ rules: [{ type: "percent-sold", thresholds: [50] }] }));
+    const alertFile = path.join(dir, "alerts.jsonl");
+
+    try {
+      await runQuiet("sale:monitor", {
+        once: true,
+        rules,
+        alertFile,
+        webhook: `http://127.0.0.1:${port}/alerts`,
+        state: path.join(dir, "task-state.json"),
+        sale: await sale.getAddress(),
+        token: await token.getAddress(),
+      });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    expect(received).to.have.length(1);
+    expect(received[0].method).to.equal("POST");
+    expect(received[0].type).to.equal("application/json");
+    expect(received[0].alert.id).to.equal("percent-sold:50");
+    expect(received[0].alert.message).to.equal("50% sold: 500.0 of 1000.0 tokens");
+    const written = fs.readFileSync(alertFile, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    expect(written).to.deep.equal([received[0].alert]);
+  });
+});
@@ -0,0 +1,342 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { anyValue } from "@nomicfoundation/hardhat-chai-matchers/withArgs";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { deployTokenAndSale, runQuiet } from "./helpers";
+
+describe("Sale Payments", function () {
+  // 0.01 USD per token against the 0.001 ETH sale price
+  const USDC_PRICE = ethers.parseUnits("0.01", 6);
+  const DAI_PRICE = ethers.parseUnits("0.01", 18);
+
+  async function deploySaleWithStablecoinsFixture() {
+    const [, , buyer, other] = await ethers.getSigners();
+    const { token, sale, owner, treasury, startTime, endTime } = await deployTokenAndSale();
+    await sale.updateWhitelistBatch([buyer.address, other.address], true);
+
+    const MockStablecoinFactory = await ethers.getContractFactory("MockStablecoin");
+    const usdc = await MockStablecoinFactory.deploy("USD Coin", "USDC", 6);
+    const dai = await MockStablecoinFactory.deploy("Dai Stablecoin", "DAI", 18);
+    await usdc.mint(buyer.address, ethers.parseUnits("1000", 6));
+    await dai.mint(buyer.address, ethers.parseUnits("1000", 18));
+
+    return { token, sale, usdc, dai, owner, treasury, buyer, other, startTime, endTime };
+  }
+
+  async function acceptingFixture() {
+    const fixture = await deploySaleWithStablecoinsFixture();
+    await fixture.sale.setPaymentToken(fixture.usdc.target, USDC_PRICE);
+    await fixture.sale.setPaymentToken(fixture.dai.target, DAI_PRICE);
+    await time.increaseTo(fixture.startTime);
+    return fixture;
+  }
+
+  async function signPermit(stablecoin: any, owner: any, spender: string, value: bigint, deadline: number) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const signature = await owner.signTypedData(
+      {
+        name: await stablecoin.name(),
+        version: "1",
+        chainId,
+        verifyingContract: await stablecoin.getAddress(),
+      },
+      {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      },
+      { owner: owner.address, spender, value, nonce: await stablecoin.nonces(owner.address), deadline }
+    );
+    return ethers.Signature.from(signature);
+  }
+
+  describe("Payment token management", function () {
+    it("Should accept a payment token and emit an event", async function () {
+      const { sale, usdc } = await loadFixture(deploySaleWithStablecoinsFixture);
+
+      await expect(sale.setPaymentToken(usdc.target, USDC_PRICE))
+        .to.emit(sale, "PaymentTokenUpdated")
+        .withArgs(usdc.target, true, USDC_PRICE);
+
+      const payment = await sale.paymentTokens(usdc.target);
+      expect(payment.accepted).to.equal(true);
+      expect(payment.tokenPrice).to.equal(USDC_PRICE);
+      expect(await sale.paymentTokenCount()).to.equal(1);
+    });
+
+    it("Should list a token once across price updates and removals", async function () {
+      const { sale, usdc } = await loadFixture(deploySaleWithStablecoinsFixture);
+
+      await sale.setPaymentToken(usdc.target, USDC_PRICE);
+      await sale.setPaymentToken(usdc.target, USDC_PRICE * 2n);
+      await expect(sale.removePaymentToken(usdc.target))
+        .to.emit(sale, "PaymentTokenUpdated")
+        .withArgs(usdc.target, false, USDC_PRICE * 2n);
+      await sale.setPaymentToken(usdc.target, USDC_PRICE);
+
+      expect(await sale.paymentTokenCount()).to.equal(1);
+      expect(await sale.paymentTokenList(0)).to.equal(usdc.target);
+    });
+
+    it("Should validate payment tokens", async function () {
+      const { sale, token, usdc } = await loadFixture(deploySaleWithStablecoinsFixture);
+
+      await expect(sale.setPaymentToken(ethers.ZeroAddress, USDC_PRICE))
+        .to.be.revertedWith("WhitelistSale: payment token cannot be zero address");
+      await expect(sale.setPaymentToken(token.target, USDC_PRICE))
+        .to.be.revertedWith("WhitelistSale: cannot pay with the sale token");
+      await expect(sale.setPaymentToken(usdc.target, 0))
+        .to.be.revertedWith("WhitelistSale: token price must be greater than 0");
+      await expect(sale.removePaymentToken(usdc.target))
+        .to.be.revertedWith("WhitelistSale: payment token not accepted");
+    });
+
+    it("Should only allow the owner to manage payment tokens", async function () {
+      const { sale, usdc, buyer } = await loadFixture(deploySaleWithStablecoinsFixture);
+
+      await expect(sale.connect(buyer).setPaymentToken(usdc.target, USDC_PRICE))
+        .to.be.revertedWithCustomError(sale, "OwnableUnauthorizedAccount");
+      await expect(sale.connect(buyer).removePaymentToken(usdc.target))
+        .to.be.revertedWithCustomError(sale, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Purchasing with ERC20", function () {
+    it("Should pay the treasury and record the purchase per currency", async function () {
+      const { sale, usdc, treasury, buyer } = await loadFixture(acceptingFixture);
+      const amount = ethers.parseEther("1000");
+      const cost = ethers.parseUnits("10", 6);
+
+      expect(await sale.quotePayment(usdc.target, amount)).to.equal(cost);
+      await usdc.connect(buyer).approve(sale.target, cost);
+
+      await expect(sale.connect(buyer).purchaseWithToken(usdc.target, amount, cost, []))
+        .to.emit(sale, "TokenPaymentReceived")
+        .withArgs(buyer.address, usdc.target, amount, cost)
+        .and.to.emit(sale, "TokenPurchase")
+        .withArgs(buyer.address, amount, 0, anyValue);
+
+      expect(await usdc.balanceOf(treasury.address)).to.equal(cost);
+      expect(await usdc.balanceOf(sale.target)).to.equal(0);
+      expect(await sale.raisedByCurrency(usdc.target)).to.equal(cost);
+      expect(await sale.paidByCurrency(buyer.address, usdc.target)).to.equal(cost);
+      expect(await sale.totalSold()).to.equal(amount);
+      expect(await sale.totalEthRaised()).to.equal(0);
+      expect(await sale.totalPurchased(buyer.address)).to.equal(amount);
+    });
+
+    it("Should price by each token's decimals", async function () {
+      const { sale, usdc, dai, buyer } = await loadFixture(acceptingFixture);
+      const amount = ethers.parseEther("500");
+
+      await usdc.connect(buyer).approve(sale.target, ethers.MaxUint256);
+      await dai.connect(buyer).approve(sale.target, ethers.MaxUint256);
+      await sale.connect(buyer).purchaseWithToken(usdc.target, amount, ethers.MaxUint256, []);
+      await sale.connect(buyer).purchaseWithToken(dai.target, amount, ethers.MaxUint256, []);
+
+      expect(await sale.raisedByCurrency(usdc.target)).to.equal(ethers.parseUnits("5", 6));
+      expect(await sale.raisedByCurrency(dai.target)).to.equal(ethers.parseUnits("5", 18));
+      expect(await sale.totalPurchased(buyer.address)).to.equal(amount * 2n);
+    });
+
+    it("Should share purchase limits with ETH purchases", async function () {
+      const { sale, usdc, buyer } = await loadFixture(acceptingFixture);
+      await sale.connect(buyer).purchaseTokens(ethers.parseEther("9000"), [], { value: ethers.parseEther("9") });
+      await usdc.connect(buyer).approve(sale.target, ethers.MaxUint256);
+
+      await expect(sale.connect(buyer).purchaseWithToken(usdc.target, ethers.parseEther("2000"), ethers.MaxUint256, []))
+        .to.be.revertedWith("WhitelistSale: exceeds individual purchase limit");
+    });
+
+    it("Should enforce the maximum payment", async function () {
+      const { sale, usdc, buyer } = await loadFixture(acceptingFixture);
+      const amount = ethers.parseEther("1000");
+      await usdc.connect(buyer).approve(sale.target, ethers.MaxUint256);
+
+      await expect(sale.connect(buyer).purchaseWithToken(usdc.target, amount, ethers.parseUnits("9.99", 6), []))
+        .to.be.revertedWith("WhitelistSale: payment exceeds maximum");
+    });
+
+    it("Should reject tokens that are not accepted", async function () {
+      const { sale, usdc, buyer } = await loadFixture(acceptingFixture);
+      await sale.removePaymentToken(usdc.target);
+      await usdc.connect(buyer).approve(sale.target, ethers.MaxUint256);
+
+      await expect(sale.connect(buyer).purchaseWithToken(usdc.target, ethers.parseEther("100"), ethers.MaxUint256, []))
+        .to.be.revertedWith("WhitelistSale: payment token not accepted");
+    });
+
+    it("Should apply the whitelist and sale window", async function () {
+      const { sale, usdc, owner, endTime } = await loadFixture(acceptingFixture);
+      await usdc.mint(owner.address, ethers.parseUnits("100", 6));
+      await usdc.approve(sale.target, ethers.MaxUint256);
+
+      await sale.updateWhitelist(owner.address, false);
+      await expect(sale.purchaseWithToken(usdc.target, ethers.parseEther("100"), ethers.MaxUint256, []))
+        .to.be.revertedWith("WhitelistSale: address not whitelisted");
+
+      await sale.updateWhitelist(owner.address, true);
+      await time.increaseTo(endTime + 1);
+      await expect(sale.purchaseWithToken(usdc.target, ethers.parseEther("100"), ethers.MaxUint256, []))
+        .to.be.revertedWith("WhitelistSale: sale is not active");
+    });
+
+    it("Should scale stablecoin prices with the round price", async function () {
+      const { sale, usdc, buyer, startTime, endTime } = await loadFixture(deploySaleWithStablecoinsFixture);
+      await sale.setPaymentToken(usdc.target, USDC_PRICE);
+      await sale.addRound({
+        name: "discount",
+        tokenPrice: ethers.parseEther("0.0005"),
+        supply: ethers.parseEther("100000"),
+        minPurchase: ethers.parseEther("10"),
+        maxPurchase: ethers.parseEther("10000"),
+        startTime,
+        endTime,
+        merkleRoot: ethers.ZeroHash,
+        open: true,
+      });
+      await time.increaseTo(startTime);
+      await usdc.connect(buyer).approve(sale.target, ethers.MaxUint256);
+
+      const amount = ethers.parseEther("1000");
+      await expect(sale.connect(buyer).purchaseWithToken(usdc.target, amount, ethers.MaxUint256, []))
+        .to.emit(sale, "RoundPurchase")
+        .withArgs(0, buyer.address, amount, 0);
+
+      expect(await sale.paidByCurrency(buyer.address, usdc.target)).to.equal(ethers.parseUnits("5", 6));
+      expect(await sale.roundSold(0)).to.equal(amount);
+    });
+
+    it("Should release ERC20-funded purchases through claimTokens", async function () {
+      const { token, sale, usdc, buyer, endTime } = await loadFixture(acceptingFixture);
+      const amount = ethers.parseEther("1000");
+      await usdc.connect(buyer).approve(sale.target, ethers.MaxUint256);
+      await sale.connect(buyer).purchaseWithToken(usdc.target, amount, ethers.MaxUint256, []);
+
+      await sale.setClaimEnabled(true, endTime);
+      await time.increaseTo(endTime);
+      await sale.connect(buyer).claimTokens();
+
+      expect(await token.balanceOf(buyer.address)).to.equal(amount);
+    });
+  });
+
+  describe("Purchasing with permit", function () {
+    it("Should purchase without a prior approval", async function () {
+      const { sale, usdc, treasury, buyer } = await loadFixture(acceptingFixture);
+      const amount = ethers.parseEther("1000");
+      const maxPayment = ethers.parseUnits("10", 6);
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(usdc, buyer, await sale.getAddress(), maxPayment, deadline);
+
+      await sale.connect(buyer).purchaseWithPermit(usdc.target, amount, maxPayment, [], deadline, v, r, s);
+
+      expect(await usdc.balanceOf(treasury.address)).to.equal(maxPayment);
+      expect(await sale.totalPurchased(buyer.address)).to.equal(amount);
+    });
+
+    it("Should still purchase when the permit was already used", async function () {
+      const { sale, usdc, buyer, other } = await loadFixture(acceptingFixture);
+      const maxPayment = ethers.parseUnits("10", 6);
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(usdc, buyer, await sale.getAddress(), maxPayment, deadline);
+
+      // Someone submits the permit first
+      await usdc.connect(other).permit(buyer.address, sale.target, maxPayment, deadline, v, r, s);
+
+      await expect(sale.connect(buyer).purchaseWithPermit(
+        usdc.target, ethers.parseEther("1000"), maxPayment, [], deadline, v, r, s
+      )).to.emit(sale, "TokenPaymentReceived");
+    });
+
+    it("Should fail when the permit is invalid and there is no allowance", async function () {
+      const { sale, usdc, buyer, other } = await loadFixture(acceptingFixture);
+      const maxPayment = ethers.parseUnits("10", 6);
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(usdc, other, await sale.getAddress(), maxPayment, deadline);
+
+      await expect(sale.connect(buyer).purchaseWithPermit(
+        usdc.target, ethers.parseEther("1000"), maxPayment, [], deadline, v, r, s
+      )).to.be.revertedWithCustomError(usdc, "ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("Tasks", function () {
+    let workDir: string;
+
+    beforeEach(function () {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), "payments-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    async function buyWithStablecoins() {
+      const fixture = await acceptingFixture();
+      const { sale, usdc, dai, buyer } = fixture;
+      await usdc.connect(buyer).approve(sale.target, ethers.MaxUint256);
+      await dai.connect(buyer).approve(sale.target, ethers.MaxUint256);
+      await sale.connect(buyer).purchaseWithToken(usdc.target, ethers.parseEther("1000"), ethers.MaxUint256, []);
+      await sale.connect(buyer).purchaseWithToken(dai.target, ethers.parseEther("200"), ethers.MaxUint256, []);
+      await sale.connect(buyer).purchaseTokens(ethers.parseEther("100"), [], { value: ethers.parseEther("0.1") });
+      await sale.removePaymentToken(dai.target);
+      return fixture;
+    }
+
+    it("sale:info should report payment tokens and the account's spend", async function () {
+      const { sale, usdc, dai, buyer } = await loadFixture(buyWithStablecoins);
+
+      const { output } = await runQuiet("sale:info", { sale: sale.target, account: buyer.address, json: true });
+      const info = JSON.parse(output);
+
+      expect(info.paymentTokens).to.deep.equal([
+        {
+          address: usdc.target,
+          symbol: "USDC",
+          decimals: 6,
+          tokenPrice: USDC_PRICE.toString(),
+          accepted: true,
+          raised: ethers.parseUnits("10", 6).toString(),
+        },
+        {
+          address: dai.target,
+          symbol: "DAI",
+          decimals: 18,
+          tokenPrice: DAI_PRICE.toString(),
+          accepted: false,
+          raised: ethers.parseUnits("2", 18).toString(),
+        },
+      ]);
+      expect(info.account.paidByCurrency).to.deep.equal([
+        ethers.parseUnits("10", 6).toString(),
+        ethers.parseUnits("2", 18).toString(),
+      ]);
+      expect(info.totalEthRaised).to.equal(ethers.parseEther("0.1").toString());
+    });
+
+    it("sale:reconcile should match raised totals per currency", async function () {
+      const { sale, usdc, dai } = await loadFixture(buyWithStablecoins);
+
+      const ledger = path.join(workDir, "ledger.json");
+      await runQuiet("sale:index", { ledger, sale: sale.target, fromBlock: 0 });
+      const { result } = await runQuiet("sale:reconcile", { ledger, sale: sale.target });
+
+      expect(result.mismatches).to.deep.equal([]);
+      expect(result.currencies[usdc.target as string]).to.deep.equal({
+        raised: ethers.parseUnits("10", 6),
+        tokensSold: ethers.parseEther("1000"),
+        purchases: 1,
+      });
+      expect(result.currencies[dai.target as string].raised).to.equal(ethers.parseUnits("2", 18));
+      expect(result.totals.totalSold).to.equal(ethers.parseEther("1300"));
+    });
+  });
+});
@@ -0,0 +1,252 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { DAY, deployTokenAndSale, runQuiet } from "./helpers";
+
+const { buildAllowlistTree, writeProofFile } = require("../lib/merkle");
+
+describe("Sale Rounds", function () {
+  async function deploySaleWithRoundsFixture() {
+    const [, , seedBuyer, seedBuyer2, publicBuyer] = await ethers.getSigners();
+    const { token, sale, owner, treasury, startTime, endTime } = await deployTokenAndSale();
+
+    const tree = buildAllowlistTree([seedBuyer.address, seedBuyer2.address]);
+
+    const seed = {
+      name: "seed",
+      tokenPrice: ethers.parseEther("0.0005"),
+      supply: ethers.parseEther("100000"),
+      minPurchase: ethers.parseEther("100"),
+      maxPurchase: ethers.parseEther("60000"),
+      startTime,
+      endTime: startTime + 7 * DAY - 1,
+      merkleRoot: tree.root,
+      open: false,
+    };
+    const publicRound = {
+      name: "public",
+      tokenPrice: ethers.parseEther("0.001"),
+      supply: ethers.parseEther("500000"),
+      minPurchase: ethers.parseEther("10"),
+      maxPurchase: ethers.parseEther("10000"),
+      startTime: startTime + 7 * DAY,
+      endTime,
+      merkleRoot: ethers.ZeroHash,
+      open: true,
+    };
+
+    await sale.addRound(seed);
+    await sale.addRound(publicRound);
+
+    return { token, sale, owner, treasury, seedBuyer, seedBuyer2, publicBuyer, tree, seed, publicRound, startTime, endTime };
+  }
+
+  describe("Configuration", function () {
+    it("Should store rounds and emit RoundAdded", async function () {
+      const { sale, seed } = await loadFixture(deploySaleWithRoundsFixture);
+
+      expect(await sale.roundCount()).to.equal(2);
+      expect((await sale.rounds(0)).name).to.equal("seed");
+      expect(await sale.totalRoundSupply()).to.equal(ethers.parseEther("600000"));
+
+      const late = { ...seed, name: "late", supply: ethers.parseEther("1"), startTime: seed.startTime + 100, endTime: seed.startTime + 200 };
+      await expect(sale.addRound(late)).to.be.revertedWith("WhitelistSale: round overlaps another round");
+    });
+
+    it("Should enforce the sale window and max supply", async function () {
+      const { sale, publicRound, endTime } = await loadFixture(deploySaleWithRoundsFixture);
+
+      await expect(sale.addRound({ ...publicRound, startTime: endTime + 1, endTime: endTime + 100 }))
+        .to.be.revertedWith("WhitelistSale: round outside sale window");
+
+      // Free up the public window, then ask for more than maxSupply allows
+      await sale.updateRound(1, { ...publicRound, endTime: publicRound.startTime + DAY });
+      await expect(sale.addRound({
+        ...publicRound,
+        supply: ethers.parseEther("900001"),
+        startTime: publicRound.startTime + 2 * DAY,
+      })).to.be.revertedWith("WhitelistSale: round supply exceeds max supply");
+    });
+
+    it("Should reject an open round with a Merkle root", async function () {
+      const { sale, publicRound, tree } = await loadFixture(deploySaleWithRoundsFixture);
+
+      await expect(sale.updateRound(1, { ...publicRound, merkleRoot: tree.root }))
+        .to.be.revertedWith("WhitelistSale: open round cannot have a Merkle root");
+    });
+
+    it("Should only update rounds that have not started", async function () {
+      const { sale, seed, publicRound, startTime } = await loadFixture(deploySaleWithRoundsFixture);
+
+      await expect(sale.updateRound(1, { ...publicRound, tokenPrice: ethers.parseEther("0.002") }))
+        .to.emit(sale, "RoundUpdated")
+        .withArgs(1);
+
+      await time.increaseTo(startTime);
+      await expect(sale.updateRound(0, seed)).to.be.revertedWith("WhitelistSale: round already started");
+    });
+
+    it("Should restrict round management to the owner", async function () {
+      const { sale, seedBuyer, publicRound } = await loadFixture(deploySaleWithRoundsFixture);
+
+      await expect(sale.connect(seedBuyer).updateRound(1, publicRound))
+        .to.be.revertedWithCustomError(sale, "OwnableUnauthorizedAccount");
+      await expect(sale.connect(seedBuyer).setRoundMerkleRoot(0, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(sale, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Purchases", function () {
+    it("Should price and record purchases by the current round", async function () {
+      const { sale, seedBuyer, tree, startTime } = await loadFixture(deploySaleWithRoundsFixture);
+      await time.increaseTo(startTime);
+
+      const amount = ethers.parseEther("1000");
+      await expect(sale.connect(seedBuyer).purchaseTokens(amount, tree.proofs[seedBuyer.address], {
+        value: ethers.parseEther("0.5"),
+      }))
+        .to.emit(sale, "RoundPurchase")
+        .withArgs(0, seedBuyer.address, amount, ethers.parseEther("0.5"))
+        .and.to.emit(sale, "TokenPurchase");
+
+      expect(await sale.roundSold(0)).to.equal(amount);
+      expect(await sale.roundEthRaised(0)).to.equal(ethers.parseEther("0.5"));
+      expect(await sale.roundPurchased(0, seedBuyer.address)).to.equal(amount);
+      expect(await sale.totalSold()).to.equal(amount);
+    });
+
+    it("Should check eligibility against the round allowlist", async function () {
+      const { sale, publicBuyer, startTime } = await loadFixture(deploySaleWithRoundsFixture);
+      await time.increaseTo(startTime);
+
+      await expect(sale.connect(publicBuyer).purchaseTokens(ethers.parseEther("100"), [], {
+        value: ethers.parseEther("0.05"),
+      })).to.be.revertedWith("WhitelistSale: address not eligible for round");
+
+      // The whitelist mapping also grants access
+      await sale.updateWhitelist(publicBuyer.address, true);
+      await sale.connect(publicBuyer).purchaseTokens(ethers.parseEther("100"), [], {
+        value: ethers.parseEther("0.05"),
+      });
+    });
+
+    it("Should enforce round limits instead of the sale-wide ones", async function () {
+      const { sale, seedBuyer, tree, startTime } = await loadFixture(deploySaleWithRoundsFixture);
+      await time.increaseTo(startTime);
+      const proof = tree.proofs[seedBuyer.address];
+
+      await expect(sale.connect(seedBuyer).purchaseTokens(ethers.parseEther("99"), proof, {
+        value: ethers.parseEther("1"),
+      })).to.be.revertedWith("WhitelistSale: below round minimum purchase");
+
+      // Above the sale-wide maxPurchase of 10000, within the seed cap of 60000
+      await sale.connect(seedBuyer).purchaseTokens(ethers.parseEther("50000"), proof, {
+        value: ethers.parseEther("25"),
+      });
+      await expect(sale.connect(seedBuyer).purchaseTokens(ethers.parseEther("10001"), proof, {
+        value: ethers.parseEther("6"),
+      })).to.be.revertedWith("WhitelistSale: exceeds round purchase limit");
+    });
+
+    it("Should cap sales at the round supply", async function () {
+      const { sale, seedBuyer, seedBuyer2, tree, startTime } = await loadFixture(deploySaleWithRoundsFixture);
+      await time.increaseTo(startTime);
+
+      await sale.connect(seedBuyer).purchaseTokens(ethers.parseEther("60000"), tree.proofs[seedBuyer.address], {
+        value: ethers.parseEther("30"),
+      });
+      await expect(sale.connect(seedBuyer2).purchaseTokens(
+        ethers.parseEther("40001"),
+        tree.proofs[seedBuyer2.address],
+        { value: ethers.parseEther("21") }
+      )).to.be.revertedWith("WhitelistSale: exceeds round supply");
+    });
+
+    it("Should let anyone buy in an open round at its price", async function () {
+      const { sale, publicBuyer, publicRound } = await loadFixture(deploySaleWithRoundsFixture);
+      await time.increaseTo(publicRound.startTime);
+
+      expect(await sale.currentRound()).to.deep.equal([true, 1n]);
+      await sale.connect(publicBuyer).purchaseTokens(ethers.parseEther("100"), [], {
+        value: ethers.parseEther("0.1"),
+      });
+      expect(await sale.roundSold(1)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should be inactive between rounds", async function () {
+      const { sale, publicRound, publicBuyer } = await loadFixture(deploySaleWithRoundsFixture);
+      await sale.updateRound(1, { ...publicRound, startTime: publicRound.startTime + DAY });
+      await time.increaseTo(publicRound.startTime);
+
+      expect(await sale.isSaleActive()).to.equal(false);
+      await expect(sale.connect(publicBuyer).purchaseTokens(ethers.parseEther("100"), [], {
+        value: ethers.parseEther("0.1"),
+      })).to.be.revertedWith("WhitelistSale: sale is not active");
+    });
+  });
+
+  describe("Tasks", function () {
+    let workDir: string;
+
+    beforeEach(function () {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), "rounds-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it("sale:info should report progress round by round", async function () {
+      const { sale, seedBuyer, tree, startTime } = await loadFixture(deploySaleWithRoundsFixture);
+      await time.increaseTo(startTime);
+      await sale.connect(seedBuyer).purchaseTokens(ethers.parseEther("1000"), tree.proofs[seedBuyer.address], {
+        value: ethers.parseEther("0.5"),
+      });
+
+      const { output } = await runQuiet("sale:info", { sale: sale.target, account: seedBuyer.address, json: true });
+      const info = JSON.parse(output);
+
+      expect(info.currentRound).to.equal(0);
+      expect(info.rounds).to.have.length(2);
+      expect(info.rounds[0]).to.include({ name: "seed", phase: "active", sold: ethers.parseEther("1000").toString() });
+      expect(info.rounds[1]).to.include({ name: "public", phase: "pending", open: true });
+      expect(info.account.roundPurchased).to.deep.equal([ethers.parseEther("1000").toString(), "0"]);
+    });
+
+    it("sale:reconcile should match per-round totals", async function () {
+      const { sale, seedBuyer, publicBuyer, tree, startTime, publicRound } = await loadFixture(deploySaleWithRoundsFixture);
+      await time.increaseTo(startTime);
+      await sale.connect(seedBuyer).purchaseTokens(ethers.parseEther("1000"), tree.proofs[seedBuyer.address], {
+        value: ethers.parseEther("0.5"),
+      });
+      await time.increaseTo(publicRound.startTime);
+      await sale.connect(publicBuyer).purchaseTokens(ethers.parseEther("200"), [], {
+        value: ethers.parseEther("0.2"),
+      });
+
+      const ledger = path.join(workDir, "ledger.json");
+      await runQuiet("sale:index", { ledger, sale: sale.target, fromBlock: 0 });
+      const { result } = await runQuiet("sale:reconcile", { ledger, sale: sale.target });
+
+      expect(result.mismatches).to.deep.equal([]);
+      expect(result.rounds["0"]).to.deep.include({ name: "seed", sold: ethers.parseEther("1000"), buyers: 1 });
+      expect(result.rounds["1"]).to.deep.include({ name: "public", ethRaised: ethers.parseEther("0.2") });
+    });
+
+    it("merkle:publish --round should set the round root", async function () {
+      const { sale, publicBuyer, seedBuyer } = await loadFixture(deploySaleWithRoundsFixture);
+      const proofs = path.join(workDir, "proofs.json");
+      const tree = buildAllowlistTree([publicBuyer.address, seedBuyer.address]);
+      writeProofFile(proofs, tree);
+
+      await runQuiet("merkle:publish", { proofs, sale: sale.target, samples: 2, round: 0 });
+
+      expect((await sale.rounds(0)).merkleRoot).to.equal(tree.root);
+      expect(await sale.merkleRoot()).to.equal(ethers.ZeroHash);
+      expect(await sale.isEligibleForRound(0, publicBuyer.address, tree.proofs[publicBuyer.address])).to.equal(true);
+    });
+  });
+});
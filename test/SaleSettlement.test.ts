@@ -0,0 +1,258 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { DAY, deployTokenAndSale, runQuiet } from "./helpers";
+
+describe("Sale Settlement", function () {
+  // deployTokenAndSale's default maxSupply
+  const MAX_SUPPLY = ethers.parseEther("1000000");
+
+  async function deploySale(funding?: bigint) {
+    const [, , buyer, buyer2, other] = await ethers.getSigners();
+    const { token, sale, owner, treasury, startTime, endTime } = await deployTokenAndSale({ funding });
+    await sale.updateWhitelistBatch([buyer.address, buyer2.address], true);
+
+    const usdc = await (await ethers.getContractFactory("MockStablecoin")).deploy("USD Coin", "USDC", 6);
+    await usdc.mint(buyer2.address, ethers.parseUnits("1000", 6));
+    await usdc.connect(buyer2).approve(sale.target, ethers.MaxUint256);
+    await sale.setPaymentToken(usdc.target, ethers.parseUnits("0.01", 6));
+
+    return { token, sale, usdc, owner, treasury, buyer, buyer2, other, startTime, endTime };
+  }
+
+  async function deploySaleFixture() {
+    return deploySale();
+  }
+
+  // Funded for 10,000 tokens out of the 1,000,000 maxSupply
+  async function underfundedSaleFixture() {
+    return deploySale(ethers.parseEther("10000"));
+  }
+
+  // buyer: 2 purchases for 3 ETH, buyer2: 1 ETH + 10 USDC; 5,000 sold in total
+  async function endedSaleFixture() {
+    const fixture = await deploySaleFixture();
+    const { sale, usdc, buyer, buyer2, startTime, endTime } = fixture;
+    await time.increaseTo(startTime);
+    await sale.connect(buyer).purchaseTokens(ethers.parseEther("1000"), [], { value: ethers.parseEther("1") });
+    await sale.connect(buyer).purchaseTokens(ethers.parseEther("2000"), [], { value: ethers.parseEther("2") });
+    await sale.connect(buyer2).purchaseTokens(ethers.parseEther("1000"), [], { value: ethers.parseEther("1") });
+    await sale.connect(buyer2).purchaseWithToken(usdc.target, ethers.parseEther("1000"), ethers.MaxUint256, []);
+    await time.increaseTo(endTime + 1);
+    return fixture;
+  }
+
+  let dir: string;
+  let report: string;
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "settlement-"));
+    report = path.join(dir, "settlement.json");
+  });
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("finalizeSale", function () {
+    it("Should only run after the sale ends and only for the owner", async function () {
+      const { sale, other, startTime, endTime } = await loadFixture(deploySaleFixture);
+
+      await time.increaseTo(startTime);
+      await expect(sale.finalizeSale(false)).to.be.revertedWith("WhitelistSale: sale has not ended");
+      await time.increaseTo(endTime + 1);
+      await expect(sale.connect(other).finalizeSale(false))
+        .to.be.revertedWithCustomError(sale, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should send the unsold tokens to the treasury and open claims", async function () {
+      const { token, sale, treasury, buyer } = await loadFixture(endedSaleFixture);
+      const unsold = MAX_SUPPLY - ethers.parseEther("5000");
+
+      await expect(sale.finalizeSale(false))
+        .to.emit(sale, "SaleFinalized")
+        .withArgs(ethers.parseEther("5000"), ethers.parseEther("4"), unsold, false);
+
+      expect(await token.balanceOf(treasury.address)).to.equal(unsold);
+      expect(await token.balanceOf(sale.target)).to.equal(ethers.parseEther("5000"));
+      expect(await sale.saleFinalized()).to.equal(true);
+      expect(await sale.claimEnabled()).to.equal(true);
+      await sale.connect(buyer).claimTokens();
+      expect(await token.balanceOf(buyer.address)).to.equal(ethers.parseEther("3000"));
+    });
+
+    it("Should burn the unsold tokens when asked", async function () {
+      const { token, sale, treasury } = await loadFixture(endedSaleFixture);
+      const supply = await token.totalSupply();
+      const unsold = MAX_SUPPLY - ethers.parseEther("5000");
+
+      await expect(sale.finalizeSale(true))
+        .to.emit(sale, "SaleFinalized")
+        .withArgs(ethers.parseEther("5000"), ethers.parseEther("4"), unsold, true);
+
+      expect(await token.totalSupply()).to.equal(supply - unsold);
+      expect(await token.balanceOf(treasury.address)).to.equal(0n);
+    });
+
+    it("Should lock the configuration once finalized", async function () {
+      const { sale, startTime, endTime } = await loadFixture(endedSaleFixture);
+      await sale.finalizeSale(false);
+
+      await expect(sale.finalizeSale(false)).to.be.revertedWith("WhitelistSale: sale finalized");
+      await expect(
+        sale.updateSaleConfig(1n, 1n, 1n, MAX_SUPPLY, startTime, endTime + 30 * DAY, false)
+      ).to.be.revertedWith("WhitelistSale: sale finalized");
+      await expect(sale.setClaimEnabled(false, 0)).to.be.revertedWith("WhitelistSale: sale finalized");
+      await expect(sale.setVestingSchedule(1, 0, 0, 30 * DAY)).to.be.revertedWith("WhitelistSale: sale finalized");
+      await expect(sale.emergencyWithdraw(sale.token(), 1n)).to.be.revertedWith("WhitelistSale: cannot withdraw sold tokens");
+    });
+
+    it("Should finalize after an emergency withdrawal of unsold tokens", async function () {
+      const { token, sale, owner, treasury } = await loadFixture(endedSaleFixture);
+      const withdrawn = ethers.parseEther("100000");
+      await sale.emergencyWithdraw(token.target, withdrawn);
+      const unsold = MAX_SUPPLY - ethers.parseEther("5000") - withdrawn;
+
+      await expect(sale.finalizeSale(false))
+        .to.emit(sale, "SaleFinalized")
+        .withArgs(ethers.parseEther("5000"), ethers.parseEther("4"), unsold, false);
+
+      expect(await token.balanceOf(owner.address)).to.equal(withdrawn);
+      expect(await token.balanceOf(treasury.address)).to.equal(unsold);
+      expect(await token.balanceOf(sale.target)).to.equal(ethers.parseEther("5000"));
+    });
+
+    it("Should finalize an underfunded sale from its balance, keeping what buyers are owed", async function () {
+      const { token, sale, buyer, buyer2, startTime, endTime } = await loadFixture(underfundedSaleFixture);
+      await sale.setClaimEnabled(true, startTime);
+      await time.increaseTo(startTime);
+      await sale.connect(buyer).purchaseTokens(ethers.parseEther("3000"), [], { value: ethers.parseEther("3") });
+      await sale.connect(buyer2).purchaseTokens(ethers.parseEther("1000"), [], { value: ethers.parseEther("1") });
+      await sale.connect(buyer).claimTokens();
+      await time.increaseTo(endTime + 1);
+      // 10,000 funded - 3,000 claimed - 1,000 still owed to buyer2
+      const unsold = ethers.parseEther("6000");
+
+      await expect(sale.finalizeSale(true))
+        .to.emit(sale, "SaleFinalized")
+        .withArgs(ethers.parseEther("4000"), ethers.parseEther("4"), unsold, true);
+
+      expect(await token.balanceOf(sale.target)).to.equal(ethers.parseEther("1000"));
+      await sale.connect(buyer2).claimTokens();
+      expect(await token.balanceOf(buyer2.address)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should sweep tokens sent to the sale beyond its maxSupply", async function () {
+      const { token, sale, treasury } = await loadFixture(endedSaleFixture);
+      await token.mint(sale.target, ethers.parseEther("500"));
+      const unsold = MAX_SUPPLY - ethers.parseEther("5000") + ethers.parseEther("500");
+
+      await expect(sale.finalizeSale(false))
+        .to.emit(sale, "SaleFinalized")
+        .withArgs(ethers.parseEther("5000"), ethers.parseEther("4"), unsold, false);
+      expect(await token.balanceOf(treasury.address)).to.equal(unsold);
+    });
+
+    it("Should not let emergencyWithdraw take tokens owed to buyers", async function () {
+      const { token, sale, buyer, startTime } = await loadFixture(underfundedSaleFixture);
+      await time.increaseTo(startTime);
+      await sale.connect(buyer).purchaseTokens(ethers.parseEther("4000"), [], { value: ethers.parseEther("4") });
+
+      await expect(sale.emergencyWithdraw(token.target, ethers.parseEther("6001")))
+        .to.be.revertedWith("WhitelistSale: cannot withdraw sold tokens");
+      await expect(sale.emergencyWithdraw(token.target, ethers.parseEther("6000")))
+        .to.emit(sale, "EmergencyWithdraw");
+    });
+
+    it("Should wait for a soft-capped raise to be finalized", async function () {
+      const { sale, buyer, startTime, endTime } = await loadFixture(deploySaleFixture);
+      await sale.setSoftCap(ethers.parseEther("1"));
+      await time.increaseTo(startTime);
+      await sale.connect(buyer).purchaseTokens(ethers.parseEther("1000"), [], { value: ethers.parseEther("1") });
+      await time.increaseTo(endTime + 1);
+
+      await expect(sale.finalizeSale(false)).to.be.revertedWith("WhitelistSale: raise not finalized");
+      await sale.finalizeRaise();
+      await expect(sale.finalizeSale(false)).to.emit(sale, "SaleFinalized");
+    });
+  });
+
+  describe("sale:finalize", function () {
+    it("Should finalize and write the settlement report", async function () {
+      const { sale, usdc, treasury } = await loadFixture(endedSaleFixture);
+
+      const { result, output } = await runQuiet("sale:finalize", { sale: await sale.getAddress(), report });
+
+      expect(output).to.contain("✅ Finalized the sale");
+      expect(output).to.contain("Buyers: 2");
+      const written = JSON.parse(fs.readFileSync(report, "utf8"));
+      expect(written.totalSold).to.equal(ethers.parseEther("5000").toString());
+      expect(written.totalEthRaised).to.equal(ethers.parseEther("4").toString());
+      expect(written.raisedByCurrency[await usdc.getAddress()].raised).to.equal(ethers.parseUnits("10", 6).toString());
+      expect(written.buyers).to.equal(2);
+      expect(written.claims).to.deep.include({ claimed: "0", unclaimed: ethers.parseEther("5000").toString() });
+      expect(written.unsold).to.deep.equal({
+        amount: (MAX_SUPPLY - ethers.parseEther("5000")).toString(),
+        burned: false,
+        recipient: treasury.address,
+      });
+      expect(written.finalizedAt.transactionHash).to.equal(result.finalizedAt.transactionHash);
+    });
+
+    it("Should explain why the sale cannot be finalized yet", async function () {
+      const { sale, other, startTime } = await loadFixture(deploySaleFixture);
+      await time.increaseTo(startTime);
+
+      await expect(runQuiet("sale:finalize", { sale: await sale.getAddress(), from: other.address, report }))
+        .to.be.rejectedWith(/The sale has not ended.*is not the owner of WhitelistSale/);
+      expect(fs.existsSync(report)).to.equal(false);
+    });
+
+    it("Should report the unsold amount from the sale's balance", async function () {
+      const { sale, buyer, startTime, endTime } = await loadFixture(underfundedSaleFixture);
+      await time.increaseTo(startTime);
+      await sale.connect(buyer).purchaseTokens(ethers.parseEther("4000"), [], { value: ethers.parseEther("4") });
+      await time.increaseTo(endTime + 1);
+
+      const { output } = await runQuiet("sale:finalize", { sale: await sale.getAddress(), report, dryRun: true });
+      expect(output).to.contain("Unsold: 6000.0 WLT");
+    });
+
+    it("Should refuse when the sale holds less than buyers are owed", async function () {
+      const { sale, buyer, buyer2, startTime, endTime } = await loadFixture(underfundedSaleFixture);
+      await time.increaseTo(startTime);
+      // Purchases are only bounded by maxSupply, so they can outrun the balance
+      await sale.connect(buyer).purchaseTokens(ethers.parseEther("10000"), [], { value: ethers.parseEther("10") });
+      await sale.connect(buyer2).purchaseTokens(ethers.parseEther("1000"), [], { value: ethers.parseEther("1") });
+      await time.increaseTo(endTime + 1);
+
+      await expect(runQuiet("sale:finalize", { sale: await sale.getAddress(), report }))
+        .to.be.rejectedWith("WhitelistSale holds 10000.0 WLT but buyers are still owed 11000.0 WLT");
+    });
+
+    it("Should only check with --dry-run and rewrite the report of a finalized sale", async function () {
+      const { token, sale, buyer } = await loadFixture(endedSaleFixture);
+      const saleAddress = await sale.getAddress();
+
+      const { output: dryRun } = await runQuiet("sale:finalize", { sale: saleAddress, report, burn: true, dryRun: true });
+      expect(dryRun).to.contain("→ burned");
+      expect(await sale.saleFinalized()).to.equal(false);
+      expect(fs.existsSync(report)).to.equal(false);
+
+      await runQuiet("sale:finalize", { sale: saleAddress, report, burn: true });
+      expect(await token.balanceOf(saleAddress)).to.equal(ethers.parseEther("5000"));
+      await sale.connect(buyer).claimTokens();
+
+      const { output } = await runQuiet("sale:finalize", { sale: saleAddress, report });
+      expect(output).to.contain("is already finalized");
+      const written = JSON.parse(fs.readFileSync(report, "utf8"));
+      expect(written.unsold.burned).to.equal(true);
+      expect(written.unsold.recipient).to.equal(null);
+      expect(written.claims).to.deep.include({
+        claimed: ethers.parseEther("3000").toString(),
+        unclaimed: ethers.parseEther("2000").toString(),
+      });
+    });
+  });
+});
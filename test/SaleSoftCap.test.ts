@@ -0,0 +1,263 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { DAY, deployTokenAndSale, runQuiet } from "./helpers";
+
+const { RAISE_STATES } = require("../lib/state");
+
+describe("Sale Soft Cap", function () {
+  const SOFT_CAP = ethers.parseEther("5");
+  const ESCROW = RAISE_STATES.indexOf("escrow");
+  const SUCCEEDED = RAISE_STATES.indexOf("succeeded");
+  const FAILED = RAISE_STATES.indexOf("failed");
+  const FINALIZED = RAISE_STATES.indexOf("finalized");
+
+  async function deploySoftCapSaleFixture() {
+    const [, , buyer, buyer2, other] = await ethers.getSigners();
+    const { token, sale, owner, treasury, startTime, endTime } = await deployTokenAndSale();
+    await sale.updateWhitelistBatch([buyer.address, buyer2.address], true);
+
+    const MockStablecoinFactory = await ethers.getContractFactory("MockStablecoin");
+    const usdc = await MockStablecoinFactory.deploy("USD Coin", "USDC", 6);
+    await usdc.mint(buyer.address, ethers.parseUnits("1000", 6));
+    await usdc.connect(buyer).approve(sale.target, ethers.MaxUint256);
+    await sale.setPaymentToken(usdc.target, ethers.parseUnits("0.01", 6));
+
+    await sale.setSoftCap(SOFT_CAP);
+    await time.increaseTo(startTime);
+
+    return { token, sale, usdc, owner, treasury, buyer, buyer2, other, startTime, endTime };
+  }
+
+  // buyer: 4 ETH + 10 USDC, buyer2: 0.5 ETH, so a 5 ETH cap is missed
+  async function missedCapFixture() {
+    const fixture = await deploySoftCapSaleFixture();
+    const { sale, usdc, buyer, buyer2, endTime } = fixture;
+    await sale.connect(buyer).purchaseTokens(ethers.parseEther("4000"), [], { value: ethers.parseEther("4") });
+    await sale.connect(buyer).purchaseWithToken(usdc.target, ethers.parseEther("1000"), ethers.MaxUint256, []);
+    await sale.connect(buyer2).purchaseTokens(ethers.parseEther("500"), [], { value: ethers.parseEther("0.5") });
+    await time.increaseTo(endTime + 1);
+    return fixture;
+  }
+
+  // buyer: 4 ETH + 10 USDC, buyer2: 1 ETH, so a 5 ETH cap is met
+  async function metCapFixture() {
+    const fixture = await deploySoftCapSaleFixture();
+    const { sale, usdc, buyer, buyer2, endTime } = fixture;
+    await sale.connect(buyer).purchaseTokens(ethers.parseEther("4000"), [], { value: ethers.parseEther("4") });
+    await sale.connect(buyer).purchaseWithToken(usdc.target, ethers.parseEther("1000"), ethers.MaxUint256, []);
+    await sale.connect(buyer2).purchaseTokens(ethers.parseEther("1000"), [], { value: ethers.parseEther("1") });
+    await time.increaseTo(endTime + 1);
+    return fixture;
+  }
+
+  describe("Configuration", function () {
+    it("Should emit SoftCapUpdated and only allow changes before the sale starts", async function () {
+      const { sale } = await loadFixture(deploySoftCapSaleFixture);
+      const { sale: fresh } = await deployTokenAndSale({ funding: 0n });
+
+      expect(await fresh.raiseState()).to.equal(RAISE_STATES.indexOf("none"));
+      await expect(fresh.setSoftCap(SOFT_CAP)).to.emit(fresh, "SoftCapUpdated").withArgs(SOFT_CAP);
+      expect(await fresh.raiseState()).to.equal(ESCROW);
+
+      await expect(sale.setSoftCap(0)).to.be.revertedWith("WhitelistSale: sale already started");
+    });
+
+    it("Should only allow the owner to set the soft cap and finalize", async function () {
+      const { sale, buyer } = await loadFixture(deploySoftCapSaleFixture);
+
+      await expect(sale.connect(buyer).setSoftCap(0))
+        .to.be.revertedWithCustomError(sale, "OwnableUnauthorizedAccount");
+      await expect(sale.connect(buyer).finalizeRaise())
+        .to.be.revertedWithCustomError(sale, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Escrow", function () {
+    it("Should hold ETH and ERC20 payments in the contract", async function () {
+      const { sale, usdc, treasury, buyer } = await loadFixture(deploySoftCapSaleFixture);
+
+      await expect(
+        sale.connect(buyer).purchaseTokens(ethers.parseEther("1000"), [], { value: ethers.parseEther("1") })
+      ).to.changeEtherBalances([sale, treasury], [ethers.parseEther("1"), 0]);
+      await sale.connect(buyer).purchaseWithToken(usdc.target, ethers.parseEther("1000"), ethers.MaxUint256, []);
+
+      expect(await usdc.balanceOf(sale.target)).to.equal(ethers.parseUnits("10", 6));
+      expect(await usdc.balanceOf(treasury.address)).to.equal(0);
+      expect(await sale.raiseState()).to.equal(ESCROW);
+    });
+
+    it("Should block claims until the raise is finalized", async function () {
+      const { sale, buyer } = await loadFixture(deploySoftCapSaleFixture);
+      await sale.connect(buyer).purchaseTokens(ethers.parseEther("1000"), [], { value: ethers.parseEther("1") });
+      await sale.setClaimEnabled(true, 0);
+
+      await expect(sale.connect(buyer).claimTokens()).to.be.revertedWith("WhitelistSale: raise not finalized");
+    });
+
+    it("Should not let the owner withdraw escrowed funds", async function () {
+      const { sale, usdc, buyer } = await loadFixture(deploySoftCapSaleFixture);
+      await sale.connect(buyer).purchaseTokens(ethers.parseEther("1000"), [], { value: ethers.parseEther("1") });
+      await sale.connect(buyer).purchaseWithToken(usdc.target, ethers.parseEther("1000"), ethers.MaxUint256, []);
+
+      await expect(sale.emergencyWithdrawETH()).to.be.revertedWith("WhitelistSale: no ETH to withdraw");
+      await expect(sale.emergencyWithdraw(usdc.target, 1))
+        .to.be.revertedWith("WhitelistSale: cannot withdraw escrowed funds");
+    });
+
+    it("Should not settle before the sale ends", async function () {
+      const { sale, buyer } = await loadFixture(deploySoftCapSaleFixture);
+      await sale.connect(buyer).purchaseTokens(ethers.parseEther("6000"), [], { value: ethers.parseEther("6") });
+
+      await expect(sale.finalizeRaise()).to.be.revertedWith("WhitelistSale: sale has not ended");
+      await expect(sale.connect(buyer).refund()).to.be.revertedWith("WhitelistSale: refunds not available");
+    });
+  });
+
+  describe("Soft cap met", function () {
+    it("Should release escrow to the treasury and open claims", async function () {
+      const { token, sale, usdc, treasury, buyer } = await loadFixture(metCapFixture);
+      expect(await sale.raiseState()).to.equal(SUCCEEDED);
+      await expect(sale.connect(buyer).refund()).to.be.revertedWith("WhitelistSale: refunds not available");
+
+      const finalize = sale.finalizeRaise();
+      await expect(finalize).to.emit(sale, "RaiseFinalized").withArgs(ethers.parseEther("5"));
+      await expect(finalize).to.changeEtherBalances([sale, treasury], [ethers.parseEther("-5"), ethers.parseEther("5")]);
+
+      expect(await usdc.balanceOf(treasury.address)).to.equal(ethers.parseUnits("10", 6));
+      expect(await sale.raiseState()).to.equal(FINALIZED);
+      expect(await sale.claimEnabled()).to.equal(true);
+      expect(await sale.claimStartTime()).to.equal(await time.latest());
+
+      await sale.connect(buyer).claimTokens();
+      expect(await token.balanceOf(buyer.address)).to.equal(ethers.parseEther("5000"));
+    });
+
+    it("Should keep a claim start the owner already scheduled", async function () {
+      const { sale, buyer, endTime } = await loadFixture(metCapFixture);
+      const claimStart = endTime + 7 * DAY;
+      await sale.setClaimEnabled(true, claimStart);
+
+      await sale.finalizeRaise();
+
+      expect(await sale.claimStartTime()).to.equal(claimStart);
+      await expect(sale.connect(buyer).claimTokens()).to.be.revertedWith("WhitelistSale: claiming not started");
+    });
+
+    it("Should finalize only once", async function () {
+      const { sale } = await loadFixture(metCapFixture);
+      await sale.finalizeRaise();
+
+      await expect(sale.finalizeRaise()).to.be.revertedWith("WhitelistSale: raise already finalized");
+    });
+
+    it("Should lock the sale window once it has ended", async function () {
+      const { sale, endTime } = await loadFixture(metCapFixture);
+      const config = await sale.saleConfig();
+
+      await expect(sale.updateSaleConfig(
+        config.tokenPrice, config.minPurchase, config.maxPurchase, config.maxSupply,
+        config.startTime, endTime + 30 * DAY, config.whitelistRequired
+      )).to.be.revertedWith("WhitelistSale: soft cap sale has ended");
+    });
+  });
+
+  describe("Soft cap missed", function () {
+    it("Should not finalize", async function () {
+      const { sale } = await loadFixture(missedCapFixture);
+
+      expect(await sale.raiseState()).to.equal(FAILED);
+      await expect(sale.finalizeRaise()).to.be.revertedWith("WhitelistSale: soft cap not reached");
+    });
+
+    it("Should refund ETH and ERC20 payments and cancel the allocation", async function () {
+      const { sale, usdc, buyer } = await loadFixture(missedCapFixture);
+
+      const refund = sale.connect(buyer).refund();
+      await expect(refund)
+        .to.emit(sale, "Refunded")
+        .withArgs(buyer.address, ethers.parseEther("5000"), ethers.parseEther("4"))
+        .and.to.emit(sale, "PaymentRefunded")
+        .withArgs(buyer.address, usdc.target, ethers.parseUnits("10", 6));
+      await expect(refund).to.changeEtherBalances([sale, buyer], [ethers.parseEther("-4"), ethers.parseEther("4")]);
+
+      expect(await usdc.balanceOf(buyer.address)).to.equal(ethers.parseUnits("1000", 6));
+      expect((await sale.purchases(buyer.address)).amount).to.equal(0);
+      expect(await sale.totalPurchased(buyer.address)).to.equal(0);
+      expect(await sale.paidByCurrency(buyer.address, usdc.target)).to.equal(0);
+      expect(await sale.totalSold()).to.equal(ethers.parseEther("500"));
+      expect(await sale.totalEthRaised()).to.equal(ethers.parseEther("0.5"));
+      expect(await sale.raisedByCurrency(usdc.target)).to.equal(0);
+      expect(await sale.raiseState()).to.equal(FAILED);
+    });
+
+    it("Should refund each buyer once", async function () {
+      const { sale, buyer, other } = await loadFixture(missedCapFixture);
+      await sale.connect(buyer).refund();
+
+      await expect(sale.connect(buyer).refund()).to.be.revertedWith("WhitelistSale: nothing to refund");
+      await expect(sale.connect(other).refund()).to.be.revertedWith("WhitelistSale: nothing to refund");
+    });
+
+    it("Should block claims", async function () {
+      const { sale, buyer2 } = await loadFixture(missedCapFixture);
+      await sale.setClaimEnabled(true, 0);
+
+      await expect(sale.connect(buyer2).claimTokens()).to.be.revertedWith("WhitelistSale: raise not finalized");
+    });
+  });
+
+  describe("Without a soft cap", function () {
+    it("Should neither refund nor finalize", async function () {
+      const { sale, buyer } = await loadFixture(deploySoftCapSaleFixture);
+      const { sale: plain, endTime } = await deployTokenAndSale({ funding: 0n });
+      await time.increaseTo(endTime + 1);
+
+      await expect(plain.connect(buyer).refund()).to.be.revertedWith("WhitelistSale: refunds not available");
+      await expect(plain.finalizeRaise()).to.be.revertedWith("WhitelistSale: no soft cap");
+      expect(await sale.softCap()).to.equal(SOFT_CAP);
+    });
+  });
+
+  describe("Tasks", function () {
+    let workDir: string;
+
+    beforeEach(function () {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), "soft-cap-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it("sale:info should show the raise state", async function () {
+      const { sale, buyer } = await loadFixture(missedCapFixture);
+
+      const { output: json } = await runQuiet("sale:info", { sale: sale.target, json: true });
+      const info = JSON.parse(json);
+      expect(info.softCap).to.equal(SOFT_CAP.toString());
+      expect(info.raiseState).to.equal("failed");
+
+      const { output } = await runQuiet("sale:info", { sale: sale.target, account: buyer.address });
+      expect(output).to.include("State: failed");
+      expect(output).to.include("buyers can call refund()");
+      expect(output).to.include("Refundable: 4.0 ETH");
+    });
+
+    it("sale:reconcile should match after refunds", async function () {
+      const { sale, usdc, buyer } = await loadFixture(missedCapFixture);
+      await sale.connect(buyer).refund();
+
+      const ledger = path.join(workDir, "ledger.json");
+      await runQuiet("sale:index", { ledger, sale: sale.target, fromBlock: 0 });
+      const { result } = await runQuiet("sale:reconcile", { ledger, sale: sale.target });
+
+      expect(result.mismatches).to.deep.equal([]);
+      expect(result.totals.buyers).to.equal(1);
+      expect(result.currencies[usdc.target as string].raised).to.equal(0n);
+    });
+  });
+});
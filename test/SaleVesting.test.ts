@@ -0,0 +1,232 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { DAY, deployTokenAndSale, runJson } from "./helpers";
+
+const { VESTING_MODES } = require("../lib/config");
+
+describe("Sale Vesting", function () {
+  const NONE = VESTING_MODES.indexOf("none");
+  const LINEAR = VESTING_MODES.indexOf("linear");
+  const MONTHLY = VESTING_MODES.indexOf("monthly");
+  const purchased = ethers.parseEther("1000");
+
+  async function deploySaleWithPurchaseFixture() {
+    const [, , buyer, other] = await ethers.getSigners();
+    const { token, sale, owner, startTime, endTime } = await deployTokenAndSale();
+    await sale.updateWhitelistBatch([buyer.address, other.address], true);
+    await time.increaseTo(startTime);
+    await sale.connect(buyer).purchaseTokens(purchased, [], { value: ethers.parseEther("1") });
+
+    return { token, sale, owner, buyer, other, claimStart: endTime };
+  }
+
+  async function claimAt(sale: any, buyer: any, timestamp: number) {
+    await time.setNextBlockTimestamp(timestamp);
+    await sale.connect(buyer).claimTokens();
+  }
+
+  describe("Schedule configuration", function () {
+    it("Should default to no vesting", async function () {
+      const { sale } = await loadFixture(deploySaleWithPurchaseFixture);
+      const schedule = await sale.vestingSchedule();
+
+      expect(schedule.mode).to.equal(NONE);
+      expect(schedule.duration).to.equal(0);
+    });
+
+    it("Should set a schedule and emit an event", async function () {
+      const { sale } = await loadFixture(deploySaleWithPurchaseFixture);
+
+      await expect(sale.setVestingSchedule(LINEAR, 1000, 30 * DAY, 90 * DAY))
+        .to.emit(sale, "VestingScheduleUpdated")
+        .withArgs(LINEAR, 1000, 30 * DAY, 90 * DAY);
+    });
+
+    it("Should validate schedule parameters", async function () {
+      const { sale } = await loadFixture(deploySaleWithPurchaseFixture);
+
+      await expect(sale.setVestingSchedule(LINEAR, 10_001, 0, 90 * DAY))
+        .to.be.revertedWith("WhitelistSale: TGE unlock exceeds 100%");
+      await expect(sale.setVestingSchedule(LINEAR, 1000, 0, 0))
+        .to.be.revertedWith("WhitelistSale: vesting duration must be greater than 0");
+      await expect(sale.setVestingSchedule(MONTHLY, 1000, 0, 45 * DAY))
+        .to.be.revertedWith("WhitelistSale: duration must be a multiple of the vesting step");
+      await expect(sale.setVestingSchedule(NONE, 1000, 0, 0))
+        .to.be.revertedWith("WhitelistSale: vesting parameters require a vesting mode");
+    });
+
+    it("Should only allow the owner to set the schedule", async function () {
+      const { sale, buyer } = await loadFixture(deploySaleWithPurchaseFixture);
+
+      await expect(sale.connect(buyer).setVestingSchedule(LINEAR, 0, 0, 90 * DAY))
+        .to.be.revertedWithCustomError(sale, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should lock the schedule once claiming starts", async function () {
+      const { sale, claimStart } = await loadFixture(deploySaleWithPurchaseFixture);
+      await sale.setClaimEnabled(true, claimStart);
+
+      await sale.setVestingSchedule(LINEAR, 0, 0, 90 * DAY);
+
+      await time.increaseTo(claimStart);
+      await expect(sale.setVestingSchedule(LINEAR, 0, 0, 30 * DAY))
+        .to.be.revertedWith("WhitelistSale: claiming already started");
+    });
+
+    it("Should keep the schedule locked when claiming is disabled again", async function () {
+      const { sale, buyer, claimStart } = await loadFixture(deploySaleWithPurchaseFixture);
+      await sale.setVestingSchedule(LINEAR, 1000, 0, 90 * DAY);
+      await sale.setClaimEnabled(true, claimStart);
+      await claimAt(sale, buyer, claimStart);
+
+      await sale.setClaimEnabled(false, 0);
+      await expect(sale.setVestingSchedule(NONE, 0, 0, 0))
+        .to.be.revertedWith("WhitelistSale: claiming already started");
+
+      // Moving the claim start back into the future does not reopen it after a claim
+      await sale.setClaimEnabled(true, (await time.latest()) + 30 * DAY);
+      await expect(sale.setVestingSchedule(NONE, 0, 0, 0))
+        .to.be.revertedWith("WhitelistSale: claiming already started");
+    });
+  });
+
+  describe("Without vesting", function () {
+    it("Should release everything at claim start", async function () {
+      const { token, sale, buyer, claimStart } = await loadFixture(deploySaleWithPurchaseFixture);
+      await sale.setClaimEnabled(true, claimStart);
+
+      await claimAt(sale, buyer, claimStart);
+
+      expect(await token.balanceOf(buyer.address)).to.equal(purchased);
+      expect((await sale.purchases(buyer.address)).claimed).to.equal(true);
+      await expect(sale.connect(buyer).claimTokens())
+        .to.be.revertedWith("WhitelistSale: tokens already claimed");
+    });
+
+    it("Should only release new purchases after a claim", async function () {
+      const { token, sale, buyer } = await loadFixture(deploySaleWithPurchaseFixture);
+      await sale.setClaimEnabled(true, 0);
+      await sale.connect(buyer).claimTokens();
+
+      const extra = ethers.parseEther("100");
+      await sale.connect(buyer).purchaseTokens(extra, [], { value: ethers.parseEther("0.1") });
+
+      await expect(sale.connect(buyer).claimTokens())
+        .to.emit(sale, "TokensClaimed")
+        .withArgs(buyer.address, extra);
+      expect(await token.balanceOf(buyer.address)).to.equal(purchased + extra);
+    });
+  });
+
+  describe("Linear vesting", function () {
+    async function linearFixture() {
+      const fixture = await deploySaleWithPurchaseFixture();
+      // 10% at TGE, 30 day cliff, then the remaining 90% over 90 days
+      await fixture.sale.setVestingSchedule(LINEAR, 1000, 30 * DAY, 90 * DAY);
+      await fixture.sale.setClaimEnabled(true, fixture.claimStart);
+      return fixture;
+    }
+
+    it("Should unlock the TGE share at claim start and nothing more during the cliff", async function () {
+      const { token, sale, buyer, claimStart } = await loadFixture(linearFixture);
+
+      await claimAt(sale, buyer, claimStart);
+      expect(await token.balanceOf(buyer.address)).to.equal(ethers.parseEther("100"));
+
+      await time.setNextBlockTimestamp(claimStart + 29 * DAY);
+      await expect(sale.connect(buyer).claimTokens())
+        .to.be.revertedWith("WhitelistSale: no vested tokens to claim");
+    });
+
+    it("Should vest linearly after the cliff with partial claims", async function () {
+      const { token, sale, buyer, claimStart } = await loadFixture(linearFixture);
+
+      await claimAt(sale, buyer, claimStart + 30 * DAY + 45 * DAY);
+      // 100 at TGE + half of the remaining 900
+      expect(await token.balanceOf(buyer.address)).to.equal(ethers.parseEther("550"));
+      expect(await sale.claimedAmount(buyer.address)).to.equal(ethers.parseEther("550"));
+      expect((await sale.purchases(buyer.address)).claimed).to.equal(false);
+
+      await time.setNextBlockTimestamp(claimStart + 30 * DAY + 60 * DAY);
+      await expect(sale.connect(buyer).claimTokens())
+        .to.emit(sale, "TokensClaimed")
+        .withArgs(buyer.address, ethers.parseEther("150"));
+
+      await claimAt(sale, buyer, claimStart + 365 * DAY);
+      expect(await token.balanceOf(buyer.address)).to.equal(purchased);
+      expect((await sale.purchases(buyer.address)).claimed).to.equal(true);
+    });
+
+    it("Should report claimable and locked amounts", async function () {
+      const { sale, buyer, claimStart } = await loadFixture(linearFixture);
+
+      let info = await sale.getVestingInfo(buyer.address);
+      expect(info.total).to.equal(purchased);
+      expect(info.claimable).to.equal(0);
+      expect(info.locked).to.equal(purchased);
+
+      await claimAt(sale, buyer, claimStart + 30 * DAY + 30 * DAY);
+      await time.increaseTo(claimStart + 30 * DAY + 60 * DAY);
+
+      info = await sale.getVestingInfo(buyer.address);
+      expect(info.claimed).to.equal(ethers.parseEther("400"));
+      expect(info.claimable).to.equal(ethers.parseEther("300"));
+      expect(info.locked).to.equal(ethers.parseEther("300"));
+    });
+    it("Should start vesting when claims are enabled without a start time", async function () {
+      const { token, sale, buyer } = await loadFixture(deploySaleWithPurchaseFixture);
+      // 10% at TGE, 90 day cliff, then the remaining 90% over 360 days
+      await sale.setVestingSchedule(LINEAR, 1000, 90 * DAY, 360 * DAY);
+
+      await sale.setClaimEnabled(true, 0);
+      expect(await sale.claimStartTime()).to.equal(await time.latest());
+
+      await sale.connect(buyer).claimTokens();
+      expect(await token.balanceOf(buyer.address)).to.equal(ethers.parseEther("100"));
+      const info = await sale.getVestingInfo(buyer.address);
+      expect(info.claimable).to.equal(0);
+      expect(info.locked).to.equal(ethers.parseEther("900"));
+    });
+  });
+
+  describe("Monthly vesting", function () {
+    it("Should unlock in whole 30 day steps", async function () {
+      const { token, sale, buyer, claimStart } = await loadFixture(deploySaleWithPurchaseFixture);
+      await sale.setVestingSchedule(MONTHLY, 1000, 30 * DAY, 90 * DAY);
+      await sale.setClaimEnabled(true, claimStart);
+
+      // 45 days after the cliff: one of three steps
+      await claimAt(sale, buyer, claimStart + 30 * DAY + 45 * DAY);
+      expect(await token.balanceOf(buyer.address)).to.equal(ethers.parseEther("400"));
+
+      await time.setNextBlockTimestamp(claimStart + 30 * DAY + 59 * DAY);
+      await expect(sale.connect(buyer).claimTokens())
+        .to.be.revertedWith("WhitelistSale: no vested tokens to claim");
+
+      await claimAt(sale, buyer, claimStart + 30 * DAY + 60 * DAY);
+      expect(await token.balanceOf(buyer.address)).to.equal(ethers.parseEther("700"));
+    });
+  });
+
+  describe("sale:info", function () {
+    it("Should report the schedule and the account's vesting progress", async function () {
+      const { sale, buyer, claimStart } = await loadFixture(deploySaleWithPurchaseFixture);
+      await sale.setVestingSchedule(LINEAR, 2500, 0, 100 * DAY);
+      await sale.setClaimEnabled(true, claimStart);
+      await time.increaseTo(claimStart + 10 * DAY);
+
+      const info = await runJson("sale:info", { sale: sale.target, account: buyer.address });
+
+      expect(info.vestingSchedule).to.deep.equal({
+        mode: "linear",
+        tgeUnlockBps: "2500",
+        cliff: "0",
+        duration: String(100 * DAY),
+      });
+      // 250 at TGE + 10% of the remaining 750
+      expect(info.account.claimable).to.equal(ethers.parseEther("325").toString());
+      expect(info.account.locked).to.equal(ethers.parseEther("675").toString());
+    });
+  });
+});
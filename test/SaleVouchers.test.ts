@@ -0,0 +1,302 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { anyValue } from "@nomicfoundation/hardhat-chai-matchers/withArgs";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { DAY, deployTokenAndSale, runQuiet } from "./helpers";
+
+const {
+  VOUCHER_TYPES,
+  getVoucherDomain,
+  signVoucher,
+  recoverVoucherSigner,
+  readVoucherFile,
+  getVoucher,
+} = require("../lib/vouchers");
+
+describe("Sale Vouchers", function () {
+  const MAX_AMOUNT = ethers.parseEther("5000");
+
+  async function deployVoucherSaleFixture() {
+    const [, , buyer, buyer2, other] = await ethers.getSigners();
+    const voucherSigner = ethers.Wallet.createRandom();
+    const { token, sale, owner, treasury, startTime, endTime } = await deployTokenAndSale();
+    await sale.setVoucherSigner(voucherSigner.address);
+    await time.increaseTo(startTime);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = getVoucherDomain(chainId, sale.target as string);
+    const deadline = startTime + 7 * DAY;
+
+    return { token, sale, owner, treasury, buyer, buyer2, other, voucherSigner, domain, deadline, startTime, endTime };
+  }
+
+  describe("Configuration", function () {
+    it("Should set the signer and revoke nonces only from the owner", async function () {
+      const { sale, buyer, other } = await loadFixture(deployVoucherSaleFixture);
+
+      await expect(sale.setVoucherSigner(other.address))
+        .to.emit(sale, "VoucherSignerUpdated")
+        .withArgs(other.address);
+      expect(await sale.voucherSigner()).to.equal(other.address);
+
+      await expect(sale.revokeVouchers(buyer.address))
+        .to.emit(sale, "VouchersRevoked")
+        .withArgs(buyer.address, 1);
+      expect(await sale.voucherNonces(buyer.address)).to.equal(1);
+
+      await expect(sale.connect(other).setVoucherSigner(other.address))
+        .to.be.revertedWithCustomError(sale, "OwnableUnauthorizedAccount");
+      await expect(sale.connect(other).revokeVouchers(buyer.address))
+        .to.be.revertedWithCustomError(sale, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should hash vouchers like the off-chain library", async function () {
+      const { sale, buyer, voucherSigner, domain, deadline } = await loadFixture(deployVoucherSaleFixture);
+      const { voucher, signature } = await signVoucher(voucherSigner, domain, { buyer: buyer.address, maxAmount: MAX_AMOUNT, deadline });
+
+      expect(await sale.domainSeparator()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+      expect(await sale.hashVoucher(voucher)).to.equal(ethers.TypedDataEncoder.hash(domain, VOUCHER_TYPES, voucher));
+      expect(recoverVoucherSigner(domain, voucher, signature)).to.equal(voucherSigner.address);
+      expect(await sale.isVoucherValid(voucher, signature)).to.equal(true);
+    });
+  });
+
+  describe("Redemption", function () {
+    it("Should let a non-whitelisted buyer purchase with a voucher", async function () {
+      const { sale, buyer, voucherSigner, domain, deadline } = await loadFixture(deployVoucherSaleFixture);
+      const { voucher, signature } = await signVoucher(voucherSigner, domain, { buyer: buyer.address, maxAmount: MAX_AMOUNT, deadline });
+      const amount = ethers.parseEther("1000");
+
+      await expect(sale.connect(buyer).purchaseTokens(amount, [], { value: ethers.parseEther("1") }))
+        .to.be.revertedWith("WhitelistSale: address not whitelisted");
+
+      const tx = sale.connect(buyer).purchaseTokensWithVoucher(amount, voucher, signature, { value: ethers.parseEther("1") });
+      await expect(tx).to.emit(sale, "VoucherRedeemed").withArgs(buyer.address, 0, amount);
+      await expect(tx).to.emit(sale, "TokenPurchase").withArgs(buyer.address, amount, ethers.parseEther("1"), anyValue);
+      expect(await sale.totalPurchased(buyer.address)).to.equal(amount);
+    });
+
+    it("Should cap the buyer's cumulative purchases at maxAmount", async function () {
+      const { sale, buyer, voucherSigner, domain, deadline } = await loadFixture(deployVoucherSaleFixture);
+      const { voucher, signature } = await signVoucher(voucherSigner, domain, { buyer: buyer.address, maxAmount: MAX_AMOUNT, deadline });
+
+      await sale.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("3000"), voucher, signature, { value: ethers.parseEther("3") });
+      await sale.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("2000"), voucher, signature, { value: ethers.parseEther("2") });
+
+      await expect(
+        sale.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("10"), voucher, signature, { value: ethers.parseEther("0.01") })
+      ).to.be.revertedWith("WhitelistSale: exceeds voucher cap");
+    });
+
+    it("Should still apply the sale's own limits", async function () {
+      const { sale, buyer, voucherSigner, domain, deadline } = await loadFixture(deployVoucherSaleFixture);
+      const { voucher, signature } = await signVoucher(voucherSigner, domain, {
+        buyer: buyer.address,
+        maxAmount: ethers.parseEther("50000"),
+        deadline,
+      });
+
+      await expect(
+        sale.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("20000"), voucher, signature, { value: ethers.parseEther("20") })
+      ).to.be.revertedWith("WhitelistSale: exceeds maximum purchase");
+      await expect(
+        sale.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("1000"), voucher, signature, { value: ethers.parseEther("0.5") })
+      ).to.be.revertedWith("WhitelistSale: insufficient ETH sent");
+    });
+
+    it("Should reject vouchers when the signer is unset", async function () {
+      const { sale, buyer, voucherSigner, domain, deadline } = await loadFixture(deployVoucherSaleFixture);
+      const { voucher, signature } = await signVoucher(voucherSigner, domain, { buyer: buyer.address, maxAmount: MAX_AMOUNT, deadline });
+      await sale.setVoucherSigner(ethers.ZeroAddress);
+
+      expect(await sale.isVoucherValid(voucher, signature)).to.equal(false);
+      await expect(
+        sale.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("1000"), voucher, signature, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("WhitelistSale: vouchers disabled");
+    });
+
+    it("Should reject a voucher used by another buyer", async function () {
+      const { sale, buyer, buyer2, voucherSigner, domain, deadline } = await loadFixture(deployVoucherSaleFixture);
+      const { voucher, signature } = await signVoucher(voucherSigner, domain, { buyer: buyer.address, maxAmount: MAX_AMOUNT, deadline });
+
+      await expect(
+        sale.connect(buyer2).purchaseTokensWithVoucher(ethers.parseEther("1000"), voucher, signature, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("WhitelistSale: voucher is for another buyer");
+    });
+
+    it("Should reject an expired voucher", async function () {
+      const { sale, buyer, voucherSigner, domain, deadline } = await loadFixture(deployVoucherSaleFixture);
+      const { voucher, signature } = await signVoucher(voucherSigner, domain, { buyer: buyer.address, maxAmount: MAX_AMOUNT, deadline });
+      await time.increaseTo(deadline + 1);
+
+      expect(await sale.isVoucherValid(voucher, signature)).to.equal(false);
+      await expect(
+        sale.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("1000"), voucher, signature, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("WhitelistSale: voucher expired");
+    });
+
+    it("Should reject vouchers issued before a revocation", async function () {
+      const { sale, buyer, voucherSigner, domain, deadline } = await loadFixture(deployVoucherSaleFixture);
+      const { voucher, signature } = await signVoucher(voucherSigner, domain, { buyer: buyer.address, maxAmount: MAX_AMOUNT, deadline });
+      await sale.revokeVouchers(buyer.address);
+
+      expect(await sale.isVoucherValid(voucher, signature)).to.equal(false);
+      await expect(
+        sale.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("1000"), voucher, signature, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("WhitelistSale: voucher revoked");
+
+      const reissued = await signVoucher(voucherSigner, domain, { buyer: buyer.address, maxAmount: MAX_AMOUNT, nonce: 1, deadline });
+      await sale.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("1000"), reissued.voucher, reissued.signature, { value: ethers.parseEther("1") });
+    });
+
+    it("Should reject tampered vouchers and foreign signers", async function () {
+      const { sale, buyer, voucherSigner, domain, deadline } = await loadFixture(deployVoucherSaleFixture);
+      const { voucher, signature } = await signVoucher(voucherSigner, domain, { buyer: buyer.address, maxAmount: MAX_AMOUNT, deadline });
+      const inflated = { ...voucher, maxAmount: MAX_AMOUNT * 2n };
+      const forged = await signVoucher(ethers.Wallet.createRandom(), domain, voucher);
+
+      for (const [candidate, sig] of [[inflated, signature], [voucher, forged.signature]]) {
+        expect(await sale.isVoucherValid(candidate, sig)).to.equal(false);
+        await expect(
+          sale.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("1000"), candidate, sig, { value: ethers.parseEther("1") })
+        ).to.be.revertedWith("WhitelistSale: invalid voucher signature");
+      }
+    });
+
+    it("Should not replay a voucher on another sale or chain", async function () {
+      const { sale, buyer, voucherSigner, domain, deadline } = await loadFixture(deployVoucherSaleFixture);
+      const { sale: sibling, startTime: siblingStart } = await deployTokenAndSale();
+      await sibling.setVoucherSigner(voucherSigner.address);
+      await time.increaseTo(siblingStart);
+
+      const { voucher, signature } = await signVoucher(voucherSigner, domain, { buyer: buyer.address, maxAmount: MAX_AMOUNT, deadline });
+      await expect(
+        sibling.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("1000"), voucher, signature, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("WhitelistSale: invalid voucher signature");
+
+      const otherChain = await signVoucher(voucherSigner, { ...domain, chainId: 1n }, voucher);
+      expect(await sale.isVoucherValid(voucher, otherChain.signature)).to.equal(false);
+    });
+
+    it("Should stand in for the round allowlist but keep the round's window, price and limits", async function () {
+      const { sale, buyer, voucherSigner, domain, deadline, startTime } = await loadFixture(deployVoucherSaleFixture);
+      const presale = {
+        name: "presale",
+        tokenPrice: ethers.parseEther("0.0005"),
+        supply: ethers.parseEther("100000"),
+        minPurchase: ethers.parseEther("100"),
+        maxPurchase: ethers.parseEther("2000"),
+        startTime: startTime + DAY,
+        endTime: startTime + 7 * DAY,
+        merkleRoot: ethers.keccak256(ethers.toUtf8Bytes("someone else")),
+        open: false,
+      };
+      await sale.addRound(presale);
+      const { voucher, signature } = await signVoucher(voucherSigner, domain, { buyer: buyer.address, maxAmount: MAX_AMOUNT, deadline });
+
+      // Outside the round's window a voucher buys nothing
+      await expect(
+        sale.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("1000"), voucher, signature, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("WhitelistSale: sale is not active");
+
+      await time.increaseTo(presale.startTime);
+      await expect(sale.connect(buyer).purchaseTokens(ethers.parseEther("1000"), [], { value: ethers.parseEther("0.5") }))
+        .to.be.revertedWith("WhitelistSale: address not eligible for round");
+
+      await expect(
+        sale.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("50"), voucher, signature, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("WhitelistSale: below round minimum purchase");
+      // Charged at the round's price, not the sale's
+      await expect(
+        sale.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("1000"), voucher, signature, { value: ethers.parseEther("0.5") })
+      ).to.emit(sale, "TokenPurchase").withArgs(buyer.address, ethers.parseEther("1000"), ethers.parseEther("0.5"), anyValue);
+      expect(await sale.roundPurchased(0, buyer.address)).to.equal(ethers.parseEther("1000"));
+      await expect(
+        sale.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("1500"), voucher, signature, { value: ethers.parseEther("0.75") })
+      ).to.be.revertedWith("WhitelistSale: exceeds round purchase limit");
+    });
+  });
+
+  describe("Tasks", function () {
+    let workDir: string;
+
+    beforeEach(function () {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), "vouchers-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it("voucher:sign should write vouchers the sale accepts", async function () {
+      const { sale, buyer, buyer2, voucherSigner } = await loadFixture(deployVoucherSaleFixture);
+      const output = path.join(workDir, "vouchers.json");
+
+      await runQuiet("voucher:sign", {
+        addresses: `${buyer.address},${buyer2.address}`,
+        maxAmount: "5000",
+        deadline: "+7d",
+        key: voucherSigner.privateKey,
+        sale: sale.target,
+        output,
+      });
+
+      const data = readVoucherFile(output);
+      expect(data.signer).to.equal(voucherSigner.address);
+      expect(data.count).to.equal(2);
+
+      const { voucher, signature } = getVoucher(data, buyer.address.toLowerCase());
+      expect(voucher.maxAmount).to.equal(MAX_AMOUNT);
+      await sale.connect(buyer).purchaseTokensWithVoucher(ethers.parseEther("1000"), voucher, signature, { value: ethers.parseEther("1") });
+      expect(await sale.totalPurchased(buyer.address)).to.equal(ethers.parseEther("1000"));
+
+      const { output: verified } = await runQuiet("voucher:verify", { vouchers: output });
+      expect(verified).to.include("2 vouchers valid");
+    });
+
+    it("voucher:sign should warn when the key is not the sale's signer", async function () {
+      const { sale, buyer } = await loadFixture(deployVoucherSaleFixture);
+      const output = path.join(workDir, "vouchers.json");
+      const stranger = ethers.Wallet.createRandom();
+
+      const { output: log } = await runQuiet("voucher:sign", {
+        addresses: buyer.address,
+        maxAmount: "5000",
+        deadline: "+7d",
+        key: stranger.privateKey,
+        sale: sale.target,
+        output,
+      });
+      expect(log).to.include("is not the sale's voucher signer");
+
+      await expect(runQuiet("voucher:verify", { vouchers: output })).to.be.rejectedWith("1 vouchers are not redeemable");
+    });
+
+    it("voucher:revoke and voucher:set-signer should update the sale", async function () {
+      const { sale, buyer, voucherSigner } = await loadFixture(deployVoucherSaleFixture);
+      const output = path.join(workDir, "vouchers.json");
+      await runQuiet("voucher:sign", {
+        addresses: buyer.address,
+        maxAmount: "5000",
+        deadline: "+7d",
+        key: voucherSigner.privateKey,
+        sale: sale.target,
+        output,
+      });
+
+      await runQuiet("voucher:revoke", { buyer: buyer.address, sale: sale.target });
+      expect(await sale.voucherNonces(buyer.address)).to.equal(1);
+      await expect(runQuiet("voucher:verify", { vouchers: output })).to.be.rejectedWith("not redeemable");
+
+      const rotated = ethers.Wallet.createRandom();
+      await runQuiet("voucher:set-signer", { key: rotated.privateKey, sale: sale.target });
+      expect(await sale.voucherSigner()).to.equal(rotated.address);
+
+      const { output: info } = await runQuiet("sale:info", { sale: sale.target });
+      expect(info).to.include(`Voucher Signer: ${rotated.address}`);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { runQuiet } from "./helpers";
+
+const { parseDistribution } = require("../lib/airdrop");
+const { loadJournal, saveJournal } = require("../lib/journal");
+
+describe("Token Airdrop", function () {
+  async function deployTokenFixture() {
+    const [owner, holder, ...others] = await ethers.getSigners();
+    const recipients = others.slice(0, 8);
+
+    const token = await (await ethers.getContractFactory("WhitelistToken")).deploy("WhitelistToken", "WLT", owner.address);
+    await token.mint(owner.address, ethers.parseEther("1000"));
+
+    return { token, owner, holder, recipients };
+  }
+
+  let workDir: string;
+  let csvPath: string;
+  let journalPath: string;
+  let reportPath: string;
+
+  beforeEach(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "airdrop-"));
+    csvPath = path.join(workDir, "airdrop.csv");
+    journalPath = path.join(workDir, "journal.json");
+    reportPath = path.join(workDir, "journal.report.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  // Recipient i gets i + 1 tokens
+  function writeDistribution(addresses: string[]) {
+    const rows = addresses.map((address, i) => `${address},${i + 1}`);
+    fs.writeFileSync(csvPath, ["address,amount", ...rows].join("\n") + "\n");
+  }
+
+  // token:airdrop against this test's distribution file and journal
+  function runCapture(args: Record<string, unknown>) {
+    return runQuiet("token:airdrop", { file: csvPath, journal: journalPath, ...args });
+  }
+
+  it("Should report duplicates, bad checksums and bad amounts", function () {
+    const address = ethers.Wallet.createRandom().address;
+    const letter = address.slice(2).search(/[a-fA-F]/) + 2;
+    const flipped = address.slice(0, letter) +
+      (address[letter] === address[letter].toLowerCase() ? address[letter].toUpperCase() : address[letter].toLowerCase()) +
+      address.slice(letter + 1);
+    const other = ethers.Wallet.createRandom().address;
+
+    const { entries, errors, total } = parseDistribution(
+      [
+        "address,amount",
+        `${address},10`,
+        `${flipped},5`,
+        `${other.toLowerCase()},2.5`,
+        `${other},1`,
+        "0x1234,1",
+        `${ethers.Wallet.createRandom().address},0`,
+        `${ethers.Wallet.createRandom().address},ten`,
+      ].join("\n")
+    );
+
+    expect(errors).to.deep.equal([
+      `line 3: bad checksum for ${flipped} (expected ${address})`,
+      `line 5: duplicate of line 4 (${other})`,
+      'line 6: invalid address "0x1234"',
+      "line 7: amount must be greater than 0",
+      'line 8: invalid amount "ten"',
+    ]);
+    expect(entries.map((entry: { address: string }) => entry.address)).to.deep.equal([address, other]);
+    expect(total).to.equal(ethers.parseEther("12.5"));
+  });
+
+  it("Should mint in gas-sized batches and reconcile", async function () {
+    const { token, recipients } = await loadFixture(deployTokenFixture);
+    writeDistribution(recipients.map((signer) => signer.address));
+
+    const { result, output } = await runCapture({ mode: "mint", token: token.target, maxGas: 200_000 });
+
+    const journal = loadJournal(journalPath);
+    expect(journal.batches.length).to.be.greaterThan(1);
+    expect(journal.batches.every((batch: { status: string }) => batch.status === "confirmed")).to.equal(true);
+    for (const [i, signer] of recipients.entries()) {
+      expect(await token.balanceOf(signer.address)).to.equal(ethers.parseEther(String(i + 1)));
+    }
+
+    expect(result.complete).to.equal(true);
+    expect(result.delivered).to.equal(ethers.parseEther("36"));
+    expect(output).to.include("Delivered: 36.0 WLT");
+    const report = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+    expect(report.planned).to.equal(ethers.parseEther("36").toString());
+    expect(report.transactions).to.have.length(journal.batches.length);
+    expect(report.recipients.every((recipient: { status: string }) => recipient.status === "ok")).to.equal(true);
+  });
+
+  it("Should check totals against the sender balance and the mintable supply", async function () {
+    const { token, owner, holder, recipients } = await loadFixture(deployTokenFixture);
+    writeDistribution(recipients.map((signer) => signer.address));
+    await token.transfer(holder.address, ethers.parseEther("990"));
+
+    await expect(runCapture({ token: token.target })).to.be.rejectedWith(
+      `The distribution needs 36.0 WLT but ${owner.address} holds 10.0 WLT`
+    );
+
+    await token.mint(holder.address, (await token.remainingMintableSupply()) - ethers.parseEther("20"));
+    await expect(runCapture({ mode: "mint", token: token.target })).to.be.rejectedWith(
+      "The distribution needs 36.0 WLT but only 20.0 WLT can still be minted"
+    );
+    expect(fs.existsSync(journalPath)).to.equal(false);
+  });
+
+  it("Should whitelist recipients first when transfers are restricted", async function () {
+    const { token, recipients } = await loadFixture(deployTokenFixture);
+    await token.setTransferRestrictions(true);
+    await token.updateWhitelist(recipients[0].address, true);
+    writeDistribution(recipients.map((signer) => signer.address));
+
+    await runCapture({ token: token.target });
+
+    const journal = loadJournal(journalPath);
+    expect(journal.batches[0].action).to.equal("whitelist");
+    expect(journal.batches[0].accounts).to.deep.equal(recipients.slice(1).map((signer) => signer.address));
+    for (const signer of recipients) {
+      expect(await token.whitelist(signer.address)).to.equal(true);
+    }
+    expect(await token.balanceOf(recipients[7].address)).to.equal(ethers.parseEther("8"));
+  });
+
+  describe("Resume", function () {
+    it("Should not re-send a batch that was sent before a crash", async function () {
+      const { token, recipients } = await loadFixture(deployTokenFixture);
+      writeDistribution(recipients.map((signer) => signer.address));
+      await runCapture({ token: token.target, maxGas: 200_000 });
+
+      // Simulate a crash after the last transaction was sent but before it was recorded
+      const journal = loadJournal(journalPath);
+      const last = journal.batches[journal.batches.length - 1];
+      last.status = "sent";
+      delete journal.completedAt;
+      saveJournal(journalPath, journal);
+
+      const blockBefore = await ethers.provider.getBlockNumber();
+      const { result, output } = await runCapture({ token: token.target, maxGas: 200_000 });
+
+      expect(output).to.include("Resuming");
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+      expect(result.complete).to.equal(true);
+    });
+
+    it("Should send only the batches that never went out", async function () {
+      const { token, recipients } = await loadFixture(deployTokenFixture);
+      writeDistribution(recipients.map((signer) => signer.address));
+      await runCapture({ mode: "mint", token: token.target, maxGas: 200_000 });
+
+      // Undo the last batch and mark it as never sent
+      const journal = loadJournal(journalPath);
+      const last = journal.batches[journal.batches.length - 1];
+      for (const [i, address] of last.recipients.entries()) {
+        const signer = recipients.find((recipient) => recipient.address === address)!;
+        await token.connect(signer).burn(BigInt(last.amounts[i]));
+      }
+      last.status = "pending";
+      last.txHash = null;
+      delete journal.completedAt;
+      saveJournal(journalPath, journal);
+
+      const blockBefore = await ethers.provider.getBlockNumber();
+      const { result } = await runCapture({ mode: "mint", token: token.target, maxGas: 200_000 });
+
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore + 1);
+      expect(result.complete).to.equal(true);
+      for (const [i, signer] of recipients.entries()) {
+        expect(await token.balanceOf(signer.address)).to.equal(ethers.parseEther(String(i + 1)));
+      }
+    });
+
+    it("Should not repeat a finished distribution unless reset", async function () {
+      const { token, recipients } = await loadFixture(deployTokenFixture);
+      writeDistribution(recipients.slice(0, 2).map((signer) => signer.address));
+      await runCapture({ token: token.target });
+
+      const blockBefore = await ethers.provider.getBlockNumber();
+      const { output } = await runCapture({ token: token.target });
+      expect(output).to.include("already completed this distribution");
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+
+      await runCapture({ token: token.target, reset: true });
+      expect(await token.balanceOf(recipients[1].address)).to.equal(ethers.parseEther("4"));
+    });
+  });
+});
@@ -0,0 +1,331 @@
+import { expect } from "chai";
+import hre, { deployments, ethers } from "hardhat";
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { DAY, runQuiet } from "./helpers";
+
+const { deployProxy, getStorageLayout, compareStorageLayouts } = require("../lib/upgrades");
+
+describe("Upgradeable Deployment", function () {
+  const upgradeableFixture = deployments.createFixture(async () => {
+    // Fresh deployments: other suites may have left plain WhitelistToken / WhitelistSale behind
+    await deployments.fixture(["mocks"]);
+    const [owner, treasury, buyer, buyer2, other] = await ethers.getSigners();
+
+    const { deployment: tokenDeployment } = await deployProxy(hre, "WhitelistToken", {
+      from: owner.address,
+      initArgs: ["WhitelistToken", "WLT", owner.address],
+    });
+    const token = await ethers.getContractAt("WhitelistTokenUpgradeable", tokenDeployment.address);
+
+    const startTime = (await time.latest()) + 3600;
+    const { deployment: saleDeployment } = await deployProxy(hre, "WhitelistSale", {
+      from: owner.address,
+      initArgs: [
+        token.target,
+        treasury.address,
+        ethers.parseEther("0.001"),
+        ethers.parseEther("10"),
+        ethers.parseEther("10000"),
+        ethers.parseEther("1000000"),
+        startTime,
+        startTime + 30 * DAY,
+        owner.address,
+      ],
+    });
+    const sale = await ethers.getContractAt("WhitelistSaleUpgradeable", saleDeployment.address);
+
+    await token.mint(sale.target, ethers.parseEther("1000000"));
+    await token.updateWhitelistBatch([sale.target as string, buyer.address], true);
+    await sale.updateWhitelistBatch([buyer.address, buyer2.address], true);
+    await sale.setClaimEnabled(true, startTime);
+
+    return { token, sale, owner, treasury, buyer, buyer2, other, startTime };
+  });
+
+  // Purchases, a claim and a transfer, so every kind of state is populated before upgrading
+  async function liveSaleFixture() {
+    const fixture = await upgradeableFixture();
+    const { token, sale, buyer, buyer2, other, startTime } = fixture;
+    await time.increaseTo(startTime);
+    await sale.connect(buyer).purchaseTokens(ethers.parseEther("1000"), [], { value: ethers.parseEther("1") });
+    await sale.connect(buyer2).purchaseTokens(ethers.parseEther("500"), [], { value: ethers.parseEther("0.5") });
+    await sale.connect(buyer).claimTokens();
+    await token.connect(buyer).transfer(other.address, ethers.parseEther("100"));
+    return fixture;
+  }
+
+  describe("Deployment", function () {
+    it("Should deploy the token and sale behind initialized proxies", async function () {
+      const { token, sale, owner, treasury } = await upgradeableFixture();
+      const saleDeployment = await deployments.get("WhitelistSale");
+
+      expect(saleDeployment.implementation).to.not.equal(saleDeployment.address);
+      expect(await token.name()).to.equal("WhitelistToken");
+      expect(await token.owner()).to.equal(owner.address);
+      expect(await token.whitelist(owner.address)).to.equal(true);
+      expect(await token.version()).to.equal("1");
+      expect(await sale.token()).to.equal(token.target);
+      expect(await sale.treasury()).to.equal(treasury.address);
+      expect(await sale.whitelist(treasury.address)).to.equal(true);
+      expect(await sale.version()).to.equal("1");
+    });
+
+    it("Should not initialize twice or initialize the implementation", async function () {
+      const { token, sale, owner } = await upgradeableFixture();
+      const implementation = await ethers.getContractAt(
+        "WhitelistTokenUpgradeable",
+        (await deployments.get("WhitelistToken")).implementation as string
+      );
+
+      await expect(token.initialize("Other", "OTH", owner.address))
+        .to.be.revertedWithCustomError(token, "InvalidInitialization");
+      await expect(implementation.initialize("Other", "OTH", owner.address))
+        .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+      await expect(sale.initialize(token.target, owner.address, 1, 1, 1, 1, 0, 1, owner.address))
+        .to.be.revertedWithCustomError(sale, "InvalidInitialization");
+    });
+
+    it("Should refuse to put a proxy over a plain deployment", async function () {
+      await deployments.fixture(["sale"]);
+      const { deployer } = await hre.getNamedAccounts();
+
+      await expect(deployProxy(hre, "WhitelistSale", { from: deployer, initArgs: [] }))
+        .to.be.rejectedWith("WhitelistSale is already deployed without a proxy");
+    });
+
+    it("Should let the existing tasks read a proxied sale", async function () {
+      const { sale } = await upgradeableFixture();
+
+      const { output } = await runQuiet("sale:info", { json: true });
+      const info = JSON.parse(output);
+      expect(info.address).to.equal(sale.target);
+      expect(info.saleConfig.maxSupply).to.equal(ethers.parseEther("1000000").toString());
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Should keep whitelist, purchases and balances across an upgrade", async function () {
+      const { token, sale, buyer, buyer2, other } = await liveSaleFixture();
+      const before = {
+        purchase: await sale.purchases(buyer.address),
+        totalSold: await sale.totalSold(),
+        totalEthRaised: await sale.totalEthRaised(),
+        claimed: await sale.claimedAmount(buyer.address),
+        balances: await Promise.all([buyer, other, sale].map((account) => token.balanceOf(account))),
+        totalSupply: await token.totalSupply(),
+      };
+
+      for (const target of ["token", "sale"]) {
+        const contract = target === "token" ? "WhitelistTokenUpgradeableV2" : "WhitelistSaleUpgradeableV2";
+        const { result } = await runQuiet("proxy:upgrade", { target, contract, call: "initializeV2" });
+        expect(result.upgraded).to.equal(true);
+        expect(result.added).to.deep.equal(["upgradedAt"]);
+      }
+
+      const tokenV2 = await ethers.getContractAt("WhitelistTokenUpgradeableV2", token.target);
+      const saleV2 = await ethers.getContractAt("WhitelistSaleUpgradeableV2", sale.target);
+      expect(await tokenV2.version()).to.equal("2");
+      expect(await saleV2.version()).to.equal("2");
+      expect(await saleV2.upgradedAt()).to.be.greaterThan(0);
+
+      expect(await token.whitelist(buyer.address)).to.equal(true);
+      expect(await token.whitelist(sale.target)).to.equal(true);
+      expect(await sale.whitelist(buyer.address)).to.equal(true);
+      expect(await sale.whitelist(buyer2.address)).to.equal(true);
+      expect(await sale.purchases(buyer.address)).to.deep.equal(before.purchase);
+      expect(await sale.totalSold()).to.equal(before.totalSold);
+      expect(await sale.totalEthRaised()).to.equal(before.totalEthRaised);
+      expect(await sale.claimedAmount(buyer.address)).to.equal(before.claimed);
+      expect(await Promise.all([buyer, other, sale].map((account) => token.balanceOf(account)))).to.deep.equal(
+        before.balances
+      );
+      expect(await token.totalSupply()).to.equal(before.totalSupply);
+
+      // The upgraded sale keeps working on the same state
+      await sale.connect(buyer2).purchaseTokens(ethers.parseEther("500"), [], { value: ethers.parseEther("0.5") });
+      await sale.connect(buyer2).claimTokens();
+      expect(await token.balanceOf(buyer2.address)).to.equal(ethers.parseEther("1000"));
+      await expect(saleV2.initializeV2()).to.be.revertedWithCustomError(saleV2, "InvalidInitialization");
+    });
+
+    it("Should set the permit domain when upgrading a token proxy from before ERC20Permit", async function () {
+      const { token, owner, other } = await upgradeableFixture();
+      // What a proxy initialized by the pre-permit implementation looks like: version 1, empty EIP-712 name and version
+      const eip712Slot = BigInt("0xa16a46d94261c7517cc8ff89f61c0ce93598e3c849801011dee649a6a557d100");
+      for (const offset of [2n, 3n]) {
+        await hre.network.provider.send("hardhat_setStorageAt", [token.target, ethers.toQuantity(eip712Slot + offset), ethers.ZeroHash]);
+      }
+      await hre.network.provider.send("hardhat_setStorageAt", [
+        token.target,
+        "0xf0c57e16840df040f15088dc2f81fe391c3923bec73e23a9662efc9c229c6a00",
+        ethers.toBeHex(1, 32),
+      ]);
+      expect((await token.eip712Domain()).name).to.equal("");
+
+      const { output } = await runQuiet("proxy:upgrade", { target: "token", contract: "WhitelistTokenUpgradeableV2" });
+      expect(output).to.include("Reinitializer: initializePermit()");
+      const [, name, version] = await token.eip712Domain();
+      expect([name, version]).to.deep.equal(["WhitelistToken", "1"]);
+
+      const value = ethers.parseEther("10");
+      const deadline = (await time.latest()) + 3600;
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = { name: "WhitelistToken", version: "1", chainId, verifyingContract: token.target as string };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const message = { owner: owner.address, spender: other.address, value, nonce: 0n, deadline };
+      const { v, r, s } = ethers.Signature.from(await owner.signTypedData(domain, types, message));
+      await token.connect(other).permit(owner.address, other.address, value, deadline, v, r, s);
+      expect(await token.allowance(owner.address, other.address)).to.equal(value);
+      await expect(token.initializePermit()).to.be.revertedWithCustomError(token, "InvalidInitialization");
+    });
+
+    it("Should refuse an incompatible storage layout", async function () {
+      const { sale } = await liveSaleFixture();
+      const implementation = (await deployments.get("WhitelistSale")).implementation;
+
+      await expect(
+        runQuiet("proxy:upgrade", { target: "sale", contract: "WhitelistSaleUpgradeableBadLayout" })
+      ).to.be.rejectedWith("Incompatible storage layout; refusing to upgrade WhitelistSale");
+      await expect(
+        deployProxy(hre, "WhitelistSale", { from: (await ethers.getSigners())[0].address, contract: "WhitelistSaleUpgradeableBadLayout" })
+      ).to.be.rejectedWith('"token" at slot 0 was replaced by "shifted"');
+
+      expect((await deployments.get("WhitelistSale")).implementation).to.equal(implementation);
+      expect(await sale.version()).to.equal("1");
+    });
+
+    it("Should only compare layouts on a dry run", async function () {
+      const { sale } = await upgradeableFixture();
+
+      const { result, output } = await runQuiet("proxy:upgrade", {
+        target: "sale",
+        contract: "WhitelistSaleUpgradeableV2",
+        dryRun: true,
+      });
+      expect(result.upgraded).to.equal(false);
+      expect(output).to.include("Appended: upgradedAt");
+      expect(await sale.version()).to.equal("1");
+    });
+
+    it("Should prepare an upgrade for a timelock owner and record it once executed", async function () {
+      const { sale, owner } = await upgradeableFixture();
+      const { address } = await deployments.deploy("Timelock", {
+        contract: "TimelockController",
+        from: owner.address,
+        args: [3600, [owner.address], [owner.address], ethers.ZeroAddress],
+      });
+      await sale.transferOwnership(address);
+      const previous = (await deployments.get("WhitelistSale")).implementation;
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "upgrade-"));
+      const output = path.join(dir, "upgrade.json");
+
+      try {
+        const { result } = await runQuiet("proxy:upgrade", {
+          target: "sale",
+          contract: "WhitelistSaleUpgradeableV2",
+          call: "initializeV2",
+          output,
+        });
+        expect(result.upgraded).to.equal(false);
+        expect(result.batch.timelock.address).to.equal(address);
+        expect(result.batch.calls[0].method).to.equal("upgradeToAndCall(address,bytes)");
+        expect(await sale.version()).to.equal("1");
+
+        await runQuiet("admin:schedule", { batch: output });
+        await runQuiet("admin:execute", { batch: output, advanceTime: true });
+        expect(await sale.version()).to.equal("2");
+        // Only recorded once proxy:upgrade sees the proxy running it
+        expect((await deployments.get("WhitelistSale")).implementation).to.equal(previous);
+
+        const { output: rerun } = await runQuiet("proxy:upgrade", { target: "sale", contract: "WhitelistSaleUpgradeableV2" });
+        expect(rerun).to.include(`Recorded the upgrade of WhitelistSale to ${result.implementation}`);
+        expect(rerun).to.include("Implementation unchanged");
+        expect((await deployments.get("WhitelistSale")).implementation).to.equal(result.implementation);
+        const saleV2 = await ethers.getContractAt("WhitelistSaleUpgradeableV2", sale.target);
+        expect(await saleV2.upgradedAt()).to.be.greaterThan(0);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("Should upgrade through an AccessManager owner when a configured account is its ADMIN", async function () {
+      const { sale, owner } = await upgradeableFixture();
+      const { address } = await deployments.deploy("AccessManager", {
+        contract: "WhitelistAccessManager",
+        from: owner.address,
+        args: [owner.address],
+      });
+      await sale.transferOwnership(address);
+
+      const { result, output } = await runQuiet("proxy:upgrade", {
+        target: "sale",
+        contract: "WhitelistSaleUpgradeableV2",
+        call: "initializeV2",
+      });
+      expect(result.upgraded).to.equal(true);
+      expect(output).to.include(`through the AccessManager ${address}`);
+      expect(await sale.version()).to.equal("2");
+      expect(await sale.owner()).to.equal(address);
+      expect((await deployments.get("WhitelistSale")).implementation).to.equal(result.implementation);
+      const saleV2 = await ethers.getContractAt("WhitelistSaleUpgradeableV2", sale.target);
+      expect(await saleV2.upgradedAt()).to.be.greaterThan(0);
+    });
+
+    it("Should only let the owner upgrade, through the proxy, to a UUPS implementation", async function () {
+      const { token, sale, other } = await upgradeableFixture();
+      const implementation = (await deployments.get("WhitelistSale")).implementation as string;
+      const implementationContract = await ethers.getContractAt("WhitelistSaleUpgradeable", implementation);
+
+      await expect(sale.connect(other).upgradeToAndCall(implementation, "0x"))
+        .to.be.revertedWithCustomError(sale, "OwnableUnauthorizedAccount");
+      await expect(implementationContract.upgradeToAndCall(implementation, "0x"))
+        .to.be.revertedWith("UUPSProxiable: must be called through the proxy");
+      await expect(sale.upgradeToAndCall(token.target, "0x"))
+        .to.be.revertedWith("UUPSProxiable: new implementation is not UUPS");
+      expect(await implementationContract.proxiableUUID()).to.equal(
+        "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc"
+      );
+    });
+  });
+
+  describe("Storage layout comparison", function () {
+    it("Should accept appended variables and grown structs in mappings", async function () {
+      const current = await getStorageLayout(hre, "WhitelistSaleUpgradeable");
+      const next = await getStorageLayout(hre, "WhitelistSaleUpgradeableV2");
+      expect(compareStorageLayouts(current, next)).to.deep.equal([]);
+
+      const grown = structuredClone(current);
+      const purchaseType = Object.keys(grown.types).find((id) => id.startsWith("t_struct(Purchase)"));
+      const purchase = grown.types[purchaseType as string];
+      purchase.members.push({ ...purchase.members[0], label: "refunded", slot: "4" });
+      purchase.numberOfBytes = "160";
+      expect(compareStorageLayouts(current, grown)).to.deep.equal([]);
+    });
+
+    it("Should report removed, retyped and resized variables", async function () {
+      const current = await getStorageLayout(hre, "WhitelistSaleUpgradeable");
+      const next = structuredClone(current);
+      const last = next.storage.pop();
+      next.storage.find((variable: { label: string }) => variable.label === "totalSold").type = "t_bool";
+      const configType = next.storage.find((variable: { label: string }) => variable.label === "saleConfig").type;
+      next.types[configType].members.pop();
+
+      expect(compareStorageLayouts(current, next)).to.have.members([
+        `"${last.label}" (uint256) at slot ${last.slot} was removed`,
+        '"totalSold" changed type from uint256 to bool',
+        '"saleConfig" changed type from struct WhitelistSaleBase.SaleConfig to struct WhitelistSaleBase.SaleConfig',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { deployTokenAndSale, runQuiet } from "./helpers";
+
+const { diffWhitelist, findTokenDrift } = require("../lib/whitelist");
+const { loadJournal, saveJournal } = require("../lib/journal");
+
+describe("Whitelist Sync", function () {
+  async function deployTokenAndSaleFixture() {
+    const [, , stale, ...others] = await ethers.getSigners();
+    const desired = others.slice(0, 5).map((signer) => signer.address);
+    const { token, sale, owner, treasury } = await deployTokenAndSale({ funding: 0n });
+
+    await token.updateWhitelist(sale.target, true);
+    await token.updateWhitelist(stale.address, true);
+    await sale.updateWhitelist(stale.address, true);
+
+    return { token, sale, owner, treasury, stale, desired };
+  }
+
+  let workDir: string;
+  let journalPath: string;
+  let allowlistPath: string;
+
+  beforeEach(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "whitelist-sync-"));
+    journalPath = path.join(workDir, "journal.json");
+    allowlistPath = path.join(workDir, "allowlist.csv");
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  function writeAllowlist(addresses: string[]) {
+    fs.writeFileSync(allowlistPath, ["address", ...addresses].join("\n") + "\n");
+  }
+
+  function runCapture(args: Record<string, unknown>) {
+    return runQuiet("whitelist:sync", { file: allowlistPath, journal: journalPath, ...args });
+  }
+
+  describe("Planning", function () {
+    it("Should diff current and desired lists while keeping protected addresses", function () {
+      const [a, b, c, d] = ["0x1", "0x2", "0x3", "0x4"];
+      expect(diffWhitelist([a, b, c], [b, d], [c])).to.deep.equal({ additions: [d], removals: [a] });
+    });
+
+    it("Should report sale addresses missing from the token whitelist", function () {
+      expect(findTokenDrift(["0x1", "0x2"], ["0x2"])).to.deep.equal(["0x1"]);
+    });
+  });
+
+  describe("Sync", function () {
+    it("Should apply additions and removals to both contracts", async function () {
+      const { token, sale, owner, treasury, stale, desired } = await loadFixture(deployTokenAndSaleFixture);
+      writeAllowlist(desired);
+
+      await runCapture({ token: token.target, sale: sale.target });
+
+      for (const address of desired) {
+        expect(await token.whitelist(address)).to.equal(true);
+        expect(await sale.whitelist(address)).to.equal(true);
+      }
+      expect(await token.whitelist(stale.address)).to.equal(false);
+      expect(await sale.whitelist(stale.address)).to.equal(false);
+
+      // Constructor-granted entries survive
+      expect(await token.whitelist(owner.address)).to.equal(true);
+      expect(await token.whitelist(sale.target)).to.equal(true);
+      expect(await sale.whitelist(treasury.address)).to.equal(true);
+
+      const journal = loadJournal(journalPath);
+      expect(journal.completedAt).to.be.a("string");
+      expect(journal.batches.every((batch: { status: string }) => batch.status === "confirmed")).to.equal(true);
+    });
+
+    it("Should split batches to fit the gas budget", async function () {
+      const { token, sale, desired } = await loadFixture(deployTokenAndSaleFixture);
+      writeAllowlist(desired);
+
+      const { result } = await runCapture({ token: token.target, sale: sale.target, target: "token", maxGas: 100_000 });
+      const additions = result.batches.filter((batch: { whitelisted: boolean }) => batch.whitelisted);
+
+      expect(additions.length).to.be.greaterThan(1);
+      expect(additions.flatMap((batch: { accounts: string[] }) => batch.accounts)).to.have.members(desired);
+    });
+
+    it("Should not send transactions on a dry run", async function () {
+      const { token, sale, desired } = await loadFixture(deployTokenAndSaleFixture);
+      writeAllowlist(desired);
+      const blockBefore = await ethers.provider.getBlockNumber();
+
+      const { result } = await runCapture({ token: token.target, sale: sale.target, dryRun: true });
+
+      expect(result.batches).to.have.length(4);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+      expect(fs.existsSync(journalPath)).to.equal(false);
+    });
+
+    it("Should only add with --add-only", async function () {
+      const { token, sale, stale, desired } = await loadFixture(deployTokenAndSaleFixture);
+      writeAllowlist(desired);
+
+      await runCapture({ token: token.target, sale: sale.target, addOnly: true });
+
+      expect(await token.whitelist(stale.address)).to.equal(true);
+      expect(await sale.whitelist(stale.address)).to.equal(true);
+      expect(await sale.whitelist(desired[0])).to.equal(true);
+    });
+
+    it("Should be a no-op once in sync", async function () {
+      const { token, sale, desired } = await loadFixture(deployTokenAndSaleFixture);
+      writeAllowlist(desired);
+      await runCapture({ token: token.target, sale: sale.target });
+
+      const { output } = await runCapture({ token: token.target, sale: sale.target });
+      expect(output).to.include("already in sync");
+    });
+
+    it("Should reject a signer that does not own the contracts", async function () {
+      const { token, sale, desired } = await loadFixture(deployTokenAndSaleFixture);
+      writeAllowlist(desired);
+      await sale.transferOwnership(desired[0]);
+
+      await expect(runCapture({ token: token.target, sale: sale.target }))
+        .to.be.rejectedWith("is not the owner of WhitelistSale");
+    });
+  });
+
+  describe("Resume", function () {
+    it("Should not re-send batches that were already sent", async function () {
+      const { token, sale, desired } = await loadFixture(deployTokenAndSaleFixture);
+      writeAllowlist(desired);
+      await runCapture({ token: token.target, sale: sale.target });
+
+      // Simulate a crash after the last transaction was sent but before it was recorded
+      const journal = loadJournal(journalPath);
+      const last = journal.batches[journal.batches.length - 1];
+      last.status = "sent";
+      delete last.blockNumber;
+      delete journal.completedAt;
+      saveJournal(journalPath, journal);
+
+      const blockBefore = await ethers.provider.getBlockNumber();
+      const { output } = await runCapture({ token: token.target, sale: sale.target });
+
+      expect(output).to.include("Resuming");
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+      expect(loadJournal(journalPath).batches[last.index].status).to.equal("confirmed");
+    });
+
+    it("Should send pending batches on resume", async function () {
+      const { token, sale, desired } = await loadFixture(deployTokenAndSaleFixture);
+      writeAllowlist(desired);
+      await runCapture({ token: token.target, sale: sale.target });
+
+      // Undo the sale additions and mark that batch as never sent
+      const journal = loadJournal(journalPath);
+      const batch = journal.batches.find(
+        (b: { contract: string; whitelisted: boolean }) => b.contract === "WhitelistSale" && b.whitelisted
+      );
+      await sale.updateWhitelistBatch(batch.accounts, false);
+      batch.status = "pending";
+      batch.txHash = null;
+      delete journal.completedAt;
+      saveJournal(journalPath, journal);
+
+      await runCapture({ token: token.target, sale: sale.target });
+
+      for (const address of batch.accounts) {
+        expect(await sale.whitelist(address)).to.equal(true);
+      }
+    });
+
+    it("Should refuse an unfinished journal for a different allowlist unless reset", async function () {
+      const { token, sale, desired } = await loadFixture(deployTokenAndSaleFixture);
+      writeAllowlist(desired);
+      await runCapture({ token: token.target, sale: sale.target });
+
+      const journal = loadJournal(journalPath);
+      journal.batches[0].status = "pending";
+      saveJournal(journalPath, journal);
+
+      writeAllowlist(desired.slice(0, 2));
+      await expect(runCapture({ token: token.target, sale: sale.target }))
+        .to.be.rejectedWith("unfinished sync for a different allowlist");
+
+      await runCapture({ token: token.target, sale: sale.target, reset: true });
+      expect(await sale.whitelist(desired[4])).to.equal(false);
+    });
+  });
+
+  describe("Drift warnings", function () {
+    it("Should warn about sale buyers the token would block", async function () {
+      const { token, sale, desired } = await loadFixture(deployTokenAndSaleFixture);
+      writeAllowlist(desired);
+
+      const { output } = await runCapture({ token: token.target, sale: sale.target, target: "sale", dryRun: true });
+
+      expect(output).to.include("addresses the sale accepts will be blocked by WhitelistToken");
+      desired.forEach((address) => expect(output).to.include(address));
+    });
+
+    it("Should warn when the sale contract is not whitelisted on the token", async function () {
+      const { token, sale, desired } = await loadFixture(deployTokenAndSaleFixture);
+      await token.updateWhitelist(sale.target, false);
+      await token.setTransferRestrictions(true);
+      writeAllowlist(desired);
+
+      const { output } = await runCapture({ token: token.target, sale: sale.target, target: "sale", dryRun: true });
+
+      expect(output).to.include("Sale contract is not whitelisted on the token");
+      expect(output).to.include("now that transferRestricted is on");
+    });
+  });
+});
@@ -1,6 +1,6 @@
 import { expect } from "chai";
 import { ethers } from "hardhat";
-import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
 
 describe("WhitelistToken", function () {
   async function deployTokenFixture() {
@@ -91,6 +91,24 @@ describe("WhitelistToken", function () {
         .to.be.revertedWith("WhitelistToken: exceeds maximum supply");
     });
 
+    it("Should allow owner to mint in batches", async function () {
+      const { token, addr1, addr2 } = await loadFixture(deployTokenFixture);
+
+      await expect(token.mintBatch([addr1.address, addr2.address], [ethers.parseEther("10"), ethers.parseEther("20")]))
+        .to.emit(token, "Mint")
+        .withArgs(addr2.address, ethers.parseEther("20"));
+
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.parseEther("10"));
+      expect(await token.balanceOf(addr2.address)).to.equal(ethers.parseEther("20"));
+
+      await expect(token.connect(addr1).mintBatch([addr1.address], [1n]))
+        .to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
+      await expect(token.mintBatch([addr1.address], [1n, 2n]))
+        .to.be.revertedWith("WhitelistToken: array length mismatch");
+      await expect(token.mintBatch([addr1.address, addr2.address], [1n, await token.remainingMintableSupply()]))
+        .to.be.revertedWith("WhitelistToken: exceeds maximum supply");
+    });
+
     it("Should return correct remaining mintable supply", async function () {
       const { token, addr1 } = await loadFixture(deployTokenFixture);
       const maxSupply = await token.MAX_SUPPLY();
@@ -222,6 +240,28 @@ describe("WhitelistToken", function () {
 
       expect(await token.balanceOf(addr2.address)).to.equal(ethers.parseEther("50"));
     });
+
+    it("Should apply restrictions to every transfer in a batch", async function () {
+      const { token, owner, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+      await token.mint(addr1.address, ethers.parseEther("100"));
+      await token.setTransferRestrictions(true);
+
+      await expect(token.connect(addr1).transferBatch([addr2.address, addr3.address], [1n, 1n]))
+        .to.be.revertedWith("WhitelistToken: transfer restricted to whitelisted addresses");
+
+      await token.updateWhitelist(addr3.address, true);
+      await expect(token.connect(addr1).transferBatch([addr3.address, addr2.address], [1n, 1n]))
+        .to.be.revertedWith("WhitelistToken: transfer restricted to whitelisted addresses");
+
+      await token.updateWhitelist(addr1.address, true);
+      await token.connect(addr1).transferBatch([addr2.address, addr3.address, owner.address], [10n, 20n, 30n]);
+      expect(await token.balanceOf(addr2.address)).to.equal(10n);
+      expect(await token.balanceOf(addr3.address)).to.equal(20n);
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.parseEther("100") - 60n);
+
+      await expect(token.connect(addr1).transferBatch([], []))
+        .to.be.revertedWith("WhitelistToken: empty recipients array");
+    });
   });
 
   describe("Pausable", function () {
@@ -291,6 +331,35 @@ describe("WhitelistToken", function () {
     });
   });
 
+  describe("Permit", function () {
+    it("Should approve a spender from an EIP-2612 signature", async function () {
+      const { token, addr1, addr2 } = await loadFixture(deployTokenFixture);
+      const value = ethers.parseEther("250");
+      const deadline = (await time.latest()) + 3600;
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = { name: "WhitelistToken", version: "1", chainId, verifyingContract: token.target as string };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const message = { owner: addr1.address, spender: addr2.address, value, nonce: 0n, deadline };
+      const { v, r, s } = ethers.Signature.from(await addr1.signTypedData(domain, types, message));
+
+      // Anyone may submit the signature; the owner pays no gas
+      await token.permit(addr1.address, addr2.address, value, deadline, v, r, s);
+      expect(await token.allowance(addr1.address, addr2.address)).to.equal(value);
+      expect(await token.nonces(addr1.address)).to.equal(1n);
+
+      await expect(token.permit(addr1.address, addr2.address, value, deadline, v, r, s))
+        .to.be.revertedWithCustomError(token, "ERC2612InvalidSigner");
+    });
+  });
+
   describe("Burning", function () {
     it("Should allow token holders to burn their tokens", async function () {
       const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
@@ -0,0 +1,67 @@
+import hre, { ethers } from "hardhat";
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+
+export const DAY = 24 * 3600;
+
+export interface SaleOptions {
+  tokenPrice?: bigint;
+  minPurchase?: bigint;
+  maxPurchase?: bigint;
+  maxSupply?: bigint;
+  // Tokens minted to the sale; defaults to maxSupply, zero mints none
+  funding?: bigint;
+}
+
+/**
+ * Deploys WhitelistToken and a WhitelistSale for it, owned by the first signer with the second
+ * as treasury. The sale starts in an hour, runs 30 days and holds its whole supply.
+ */
+export async function deployTokenAndSale(options: SaleOptions = {}) {
+  const [owner, treasury] = await ethers.getSigners();
+  const maxSupply = options.maxSupply ?? ethers.parseEther("1000000");
+
+  const token = await (await ethers.getContractFactory("WhitelistToken")).deploy("WhitelistToken", "WLT", owner.address);
+  const startTime = (await time.latest()) + 3600;
+  const endTime = startTime + 30 * DAY;
+  const sale = await (await ethers.getContractFactory("WhitelistSale")).deploy(
+    token.target,
+    treasury.address,
+    options.tokenPrice ?? ethers.parseEther("0.001"),
+    options.minPurchase ?? ethers.parseEther("10"),
+    options.maxPurchase ?? ethers.parseEther("10000"),
+    maxSupply,
+    startTime,
+    endTime,
+    owner.address
+  );
+
+  const funding = options.funding ?? maxSupply;
+  if (funding > 0n) {
+    await token.mint(sale.target, funding);
+  }
+
+  return { token, sale, owner, treasury, startTime, endTime };
+}
+
+/**
+ * Runs a task with its console output captured instead of printed
+ */
+export async function runQuiet(taskName: string, args: Record<string, unknown> = {}) {
+  const lines: string[] = [];
+  const log = console.log;
+  console.log = (...items: unknown[]) => lines.push(items.join(" "));
+  try {
+    const result = await hre.run(taskName, args);
+    return { result, output: lines.join("\n") };
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Runs a task with --json and returns the parsed output
+ */
+export async function runJson(taskName: string, args: Record<string, unknown> = {}) {
+  const { output } = await runQuiet(taskName, { ...args, json: true });
+  return JSON.parse(output);
+}